@@ -8,6 +8,7 @@ export class AudioManager {
         this.audioContext = null;
         this.isInitialized = false;
         this.volume = 0.7;
+        this.alertRepeat = 2;
         this.eventListeners = {};
         
         // Sound settings
@@ -119,9 +120,9 @@ export class AudioManager {
     /**
      * Play alert sound for box detection issues - improved version
      * @param {string} type - Alert type ('alert', 'success', 'error', 'notification')
-     * @param {number} repeat - Number of times to repeat (default: 2)
+     * @param {number} repeat - Number of times to repeat (default: alert profile, 2)
      */
-    async playAlert(type = 'alert', repeat = 2) {
+    async playAlert(type = 'alert', repeat = this.alertRepeat) {
         // Try to ensure audio context is ready before playing
         if (!this.isInitialized && this.audioContext && this.audioContext.state === 'suspended') {
             await this.resumeAudioContext();
@@ -405,6 +406,41 @@ export class AudioManager {
         console.log(`🔊 Audio ${muted ? 'muted' : 'unmuted'}`);
     }
 
+    /**
+     * Current alert sound settings, as stored in a recipe
+     * @returns {Object} {volume, repeat, sound: {frequency, duration, type}}
+     */
+    getAlertProfile() {
+        return {
+            volume: this.volume,
+            repeat: this.alertRepeat,
+            sound: { ...this.sounds.alert }
+        };
+    }
+
+    /**
+     * Apply alert sound settings from a recipe; missing fields keep their value
+     * @param {Object} profile - {volume?, repeat?, sound?}
+     */
+    setAlertProfile(profile = {}) {
+        if (typeof profile.volume === 'number') this.setVolume(profile.volume);
+        if (Number.isInteger(profile.repeat) && profile.repeat > 0) this.alertRepeat = profile.repeat;
+        if (profile.sound) this.sounds.alert = { ...this.sounds.alert, ...profile.sound };
+
+        this.emit('alertProfileChanged', this.getAlertProfile());
+    }
+
+    /**
+     * Apply the audio section of the configuration (see ConfigLoader)
+     * @param {Object} section - {volume?, repeat?, sounds?}; missing keys keep their value
+     */
+    configure(section = {}) {
+        Object.entries(section.sounds || {}).forEach(([name, sound]) => {
+            this.sounds[name] = { ...this.sounds[name], ...sound };
+        });
+        this.setAlertProfile({ volume: section.volume, repeat: section.repeat });
+    }
+
     /**
      * Test audio system
      */
@@ -1,122 +1,893 @@
-export class CameraManager {
-	constructor(settings = {}) {
-		this.settings = settings;
-		this.stream = null;
-		this.isActive = false;
-		this.frameRate = null;
-		this.videoElement = null;
-		this.eventListeners = {};
-	}
-
-	static async getCameraDevices() {
-		try {
-			if (!navigator.mediaDevices?.enumerateDevices) throw new Error('Device enumeration not supported');
-			const devices = await navigator.mediaDevices.enumerateDevices();
-			return devices.filter(d => d.kind === 'videoinput');
-		} catch (error) {
-			console.error('❌ Error getting camera devices:', error);
-			return [];
-		}
-	}
-
-	async switchCamera(deviceId) {
-		try {
-			if (!this.isActive) throw new Error('Cannot switch camera: not currently active');
-			if (this.stream) this.stream.getTracks().forEach(t => t.stop());
-			const constraints = { video: { ...this.settings, deviceId: { exact: deviceId } }, audio: false };
-			this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-			await this.setupVideoElement();
-			this.emit('cameraChanged', { deviceId });
-			console.log('📹 Switched to camera:', deviceId);
-		} catch (error) {
-			console.error('❌ Error switching camera:', error);
-			this.emit('error', error);
-			throw error;
-		}
-	}
-
-	updateSettings(newSettings) {
-		this.settings = { ...this.settings, ...newSettings };
-		console.log('📹 Camera settings updated:', this.settings);
-	}
-
-	getCapabilities() {
-		if (!this.stream) return null;
-		try {
-			return this.stream.getVideoTracks()[0].getCapabilities();
-		} catch {
-			return null;
-		}
-	}
-
-	getCurrentSettings() {
-		if (!this.stream) return null;
-		try {
-			return this.stream.getVideoTracks()[0].getSettings();
-		} catch {
-			return null;
-		}
-	}
-
-	async applyConstraints(constraints) {
-		if (!this.stream) throw new Error('Cannot apply constraints: camera not active');
-		const track = this.stream.getVideoTracks()[0];
-		await track.applyConstraints(constraints);
-		this.emit('constraintsApplied', constraints);
-		console.log('📹 Camera constraints applied:', constraints);
-	}
-
-	static isSupported() {
-		return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
-	}
-
-	static async getPermissionStatus() {
-		if (!navigator.permissions) return 'unknown';
-		try {
-			const permission = await navigator.permissions.query({ name: 'camera' });
-			return permission.state;
-		} catch {
-			return 'unknown';
-		}
-	}
-
-	on(event, callback) {
-		(this.eventListeners[event] ||= []).push(callback);
-	}
-
-	off(event, callback) {
-		const a = this.eventListeners[event];
-		if (!a) return;
-		const i = a.indexOf(callback);
-		if (i > -1) a.splice(i, 1);
-	}
-
-	emit(event, data = null) {
-		const a = this.eventListeners[event];
-		if (!a) return;
-		a.forEach(cb => {
-			try {
-				cb(data);
-			} catch (e) {
-				console.error(`❌ Error in event listener for '${event}':`, e);
-			}
-		});
-	}
-
-	getStatus() {
-		return {
-			isActive: this.isActive,
-			frameRate: this.frameRate,
-			resolution: this.videoElement ? { width: this.videoElement.videoWidth, height: this.videoElement.videoHeight } : null,
-			stream: !!this.stream,
-			settings: this.settings
-		};
-	}
-
-	destroy() {
-		this.stop?.();
-		this.eventListeners = {};
-		this.videoElement = null;
-		console.log('📹 Camera manager destroyed');
-	}
-}
\ No newline at end of file
+/**
+ * Camera Manager Module
+ * Opens the line camera, falling back to looser constraints and finally to a
+ * simulated camera so the rest of the app can always run. Also lists and
+ * switches devices, exposes capabilities, locks manual controls from a
+ * camera profile and captures frames for detection. It is the live
+ * FrameSource; capture and frame rate monitoring come from the base class.
+ *
+ * A watchdog watches the real camera for an ended track, no frames (0 FPS)
+ * and a frozen picture, and reconnects to the same device with backoff.
+ * Every outage is logged in outages with its duration and kept in localStorage,
+ * so the log survives a reload of the station.
+ *
+ * A frozen picture is a centre crop that stays byte-identical for frozenSeconds.
+ * A hung driver repeats its last frame exactly, but so can a live camera: with
+ * exposure locked, MJPEG compression can flatten the sensor noise of a still,
+ * empty belt. The check therefore assumes the line never stands still for
+ * frozenSeconds with nothing moving in the centre of the picture; the default is
+ * a minute, and lines that idle longer should raise it.
+ *
+ * Events:
+ *   'started'            {width, height, deviceId, label, simulated}
+ *   'stopped'            -
+ *   'cameraChanged'      {deviceId}
+ *   'devicesChanged'     [MediaDeviceInfo] video inputs
+ *   'trackEnded'         {deviceId} the browser ended the track (unplugged, revoked)
+ *   'frameUpdate'        {fps, width, height, timestamp, simulated} about once a second
+ *   'constraintsApplied' constraints
+ *   'settingsLocked'     {applied, unsupported}
+ *   'settingsUnlocked'   {exposureMode?, focusMode?, whiteBalanceMode?}
+ *   'lockError'          Error
+ *   'drift' / 'driftCleared' {drift: [{key, expected, actual}]}
+ *   'fault'              {reason, deviceId, startedAt} the watchdog lost the camera;
+ *                        reason is 'ended', 'stalled' or 'frozen'
+ *   'reconnecting'       {attempt, delay, deviceId} next reconnect scheduled
+ *   'recovered'          outage {reason, deviceId, startedAt, endedAt, duration, attempts, recovered}
+ *   'error'              Error when neither a real nor a simulated camera starts, or a switch fails
+ */
+
+import { FrameSource } from './frame-source.js';
+import { ConveyorSimulator, DEFAULT_SCENARIO } from './simulation.js';
+import { Utils } from './utils.js';
+
+// Manual controls a camera profile can lock; each mode comes before the value it unlocks
+const LOCK_KEYS = ['exposureMode', 'exposureTime', 'focusMode', 'focusDistance', 'whiteBalanceMode', 'colorTemperature', 'zoom'];
+const MODE_FOR = { exposureTime: 'exposureMode', focusDistance: 'focusMode', colorTemperature: 'whiteBalanceMode' };
+
+// Stream fields passed to getUserMedia as 'ideal' so a camera that can't match them still opens
+const STREAM_KEYS = ['width', 'height', 'frameRate', 'facingMode'];
+
+// Watchdog: how often it looks, the centre crop compared for a frozen picture, outages kept
+const WATCHDOG_INTERVAL = 1000;
+const FROZEN_SAMPLE_SIZE = 64;
+const MAX_OUTAGES = 200;
+
+export class CameraManager extends FrameSource {
+    /**
+     * @param {Object} settings - Stream settings {deviceId?, width?, height?, frameRate?, facingMode?}
+     */
+    constructor(settings = {}) {
+        super('camera');
+        this.settings = settings;
+        this.stream = null;
+
+        // 'idle' | 'starting' | 'live' | 'reconnecting' | 'simulated' | 'error'
+        this.state = 'idle';
+        this.deviceId = null;
+        this.label = '';
+        this.devices = [];
+        this.lastError = null;
+
+        // Simulation fallback; turn off to surface camera failures instead
+        this.allowSimulation = true;
+        this.simulator = null;
+        this.simulationCanvas = null;
+        this.simulationImage = null;
+        this.animationId = null;
+
+        this.handleDeviceChange = () => this.getDevices();
+        this.handleTrackEnded = () => {
+            this.emit('trackEnded', { deviceId: this.deviceId });
+            if (this.watchdog.enabled) this.beginOutage('ended');
+        };
+
+        // Profile values to lock, what the track accepted, and the drift seen against it
+        this.lockProfile = {};
+        this.lockedSettings = {};
+        this.drift = [];
+        this.driftCheckInterval = 5000;
+        this.driftTimer = null;
+
+        // Watchdog settings (seconds), the outage in progress and the ones already over, newest first
+        this.watchdog = { enabled: true, stallSeconds: 3, frozenSeconds: 60, reconnectSeconds: 1, maxReconnectSeconds: 30 };
+        this.watchdogTimer = null;
+        this.watchdogCanvas = null;
+        this.lastSample = null;
+        this.lastSampleAt = 0;
+        this.frozenSince = null;
+        this.mutedSince = null;
+        this.outage = null;
+        this.outageKey = 'visualControl_cameraOutages';
+        this.utils = new Utils();
+        this.outages = this.loadOutages();
+        this.reconnectTimer = null;
+    }
+
+    static get lockKeys() {
+        return LOCK_KEYS;
+    }
+
+    /**
+     * Start the camera: the real one with constraint fallbacks, otherwise the simulation
+     * @param {HTMLVideoElement} videoElement - Element that shows the stream
+     * @returns {Promise<Object>} getStatus()
+     * @throws {Error} When neither starts
+     */
+    async start(videoElement) {
+        if (this.isActive) this.stop();
+
+        this.videoElement = videoElement;
+        this.state = 'starting';
+        this.lastError = null;
+        navigator.mediaDevices?.addEventListener?.('devicechange', this.handleDeviceChange);
+
+        try {
+            await this.startRealCamera();
+        } catch (realError) {
+            console.warn('⚠️ Real camera failed:', realError.message);
+            this.lastError = realError;
+
+            if (!this.allowSimulation) {
+                this.state = 'error';
+                this.emit('error', realError);
+                throw realError;
+            }
+
+            try {
+                await this.startSimulationMode();
+            } catch (simError) {
+                console.error('❌ Both real and simulation failed:', simError);
+                this.state = 'error';
+                this.lastError = simError;
+                this.emit('error', simError);
+                throw simError;
+            }
+        }
+
+        this.getDevices();
+        return this.getStatus();
+    }
+
+    /**
+     * getUserMedia constraints to try, strictest first
+     * @returns {Array} Constraint objects
+     */
+    buildConstraints() {
+        const ideal = {};
+        STREAM_KEYS.forEach(key => {
+            if (this.settings[key] !== undefined) ideal[key] = { ideal: this.settings[key] };
+        });
+        const deviceId = this.settings.deviceId;
+
+        return [
+            { video: { ...ideal, ...(deviceId ? { deviceId: { exact: deviceId } } : {}) }, audio: false },
+            { video: { width: { ideal: 640 }, height: { ideal: 480 }, ...(deviceId ? { deviceId: { ideal: deviceId } } : {}) }, audio: false },
+            { video: true, audio: false }
+        ];
+    }
+
+    /**
+     * Open a real camera, loosening the constraints until one works
+     */
+    async startRealCamera() {
+        if (!CameraManager.isSupported()) {
+            throw new Error('Browser does not support camera API');
+        }
+
+        let lastError;
+        for (const constraints of this.buildConstraints()) {
+            let stream = null;
+            try {
+                console.log('📹 Trying constraints:', constraints.video);
+                stream = await navigator.mediaDevices.getUserMedia(constraints);
+
+                const track = stream.getVideoTracks()[0];
+                if (!track || track.readyState !== 'live') throw new Error('Camera returned no live video track');
+
+                await this.attachStream(stream);
+                this.isSimulating = false;
+                this.state = 'live';
+                await this.applyLock();
+                this.startWatchdog();
+
+                this.emit('started', this.getStartInfo());
+                console.log('✅ Camera started:', this.label || this.deviceId);
+                return;
+            } catch (error) {
+                stream?.getTracks().forEach(t => t.stop());
+                console.warn('❌ Constraints failed:', error.message);
+                lastError = error;
+
+                // Denied permission or a blocked origin fails the same way for every constraint
+                if (error.name === 'NotAllowedError' || error.name === 'SecurityError') break;
+            }
+        }
+
+        throw lastError || new Error('All real camera attempts failed');
+    }
+
+    /**
+     * Show a stream in the video element and start tracking it
+     * @param {MediaStream} stream - Camera or simulation stream
+     */
+    async attachStream(stream) {
+        await this.loadVideoElement({ srcObject: stream });
+
+        this.stream = stream;
+        this.isActive = true;
+
+        const track = stream.getVideoTracks()[0];
+        this.deviceId = track?.getSettings?.().deviceId || null;
+        this.label = track?.label || '';
+        track?.addEventListener?.('ended', this.handleTrackEnded);
+
+        this.startFrameMonitoring();
+    }
+
+    /**
+     * Start the simulated camera: the default conveyor scenario streamed into the video element
+     */
+    async startSimulationMode() {
+        console.log('🎬 Starting camera simulation...');
+
+        this.simulator = new ConveyorSimulator(DEFAULT_SCENARIO);
+        this.simulationCanvas = document.createElement('canvas');
+        this.simulationCanvas.width = this.simulator.width;
+        this.simulationCanvas.height = this.simulator.height;
+        this.simulationImage = this.simulationCanvas.getContext('2d').createImageData(this.simulator.width, this.simulator.height);
+
+        this.isSimulating = true;
+        this.drawSimulationFrame(0);
+        await this.attachStream(this.simulationCanvas.captureStream(this.simulator.frameRate));
+        this.deviceId = null;
+        this.label = 'Simulation';
+        this.state = 'simulated';
+
+        this.startSimulationLoop();
+        this.showSimulationNotice();
+
+        this.emit('started', this.getStartInfo());
+        console.log('✅ Camera simulation started successfully');
+    }
+
+    /**
+     * Keep drawing simulation frames while simulating, at the scenario's frame rate
+     */
+    startSimulationLoop() {
+        const startTime = performance.now();
+        let lastFrame = 0;
+
+        const draw = () => {
+            if (!this.isActive || !this.isSimulating) return;
+
+            // The scenario loops so the fallback never runs out of boxes
+            const frame = Math.floor((performance.now() - startTime) * this.simulator.frameRate / 1000);
+            if (frame !== lastFrame) {
+                lastFrame = frame;
+                this.drawSimulationFrame(frame % this.simulator.frameCount);
+            }
+
+            this.animationId = requestAnimationFrame(draw);
+        };
+
+        draw();
+    }
+
+    /**
+     * Draw one simulation frame: boxes passing on the belt plus a simulation banner
+     * @param {number} frame - Scenario frame index
+     */
+    drawSimulationFrame(frame) {
+        const canvas = this.simulationCanvas;
+        const ctx = canvas.getContext('2d');
+
+        this.simulator.render(frame, this.simulationImage);
+        ctx.putImageData(this.simulationImage, 0, 0);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, canvas.height - 36, canvas.width, 36);
+
+        ctx.fillStyle = '#ff9800';
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('⚠️ นี่คือกล้องจำลอง - กล้องจริงใช้ไม่ได้', canvas.width / 2, canvas.height - 12);
+    }
+
+    /**
+     * Tell the operator the picture is simulated
+     */
+    showSimulationNotice() {
+        document.getElementById('camera-sim-notice')?.remove();
+
+        const notice = document.createElement('div');
+        notice.id = 'camera-sim-notice';
+        notice.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: linear-gradient(135deg, #ff9800, #f57c00);
+            color: white;
+            padding: 20px;
+            border-radius: 12px;
+            box-shadow: 0 8px 24px rgba(0,0,0,0.3);
+            z-index: 10001;
+            font-family: 'Segoe UI', Arial, sans-serif;
+            max-width: 350px;
+            animation: slideInNotice 0.6s ease-out;
+            border: 2px solid #ffa726;
+        `;
+
+        notice.innerHTML = `
+            <div style="display: flex; align-items: flex-start; gap: 15px;">
+                <div style="font-size: 24px; flex-shrink: 0;">🎬</div>
+                <div style="flex: 1;">
+                    <div style="font-size: 16px; font-weight: bold; margin-bottom: 8px;">
+                        ใช้กล้องจำลอง
+                    </div>
+                    <div style="font-size: 13px; opacity: 0.9; line-height: 1.4;">
+                        กล้องจริงไม่สามารถใช้งานได้<br>
+                        • ระบบจำลองพร้อมใช้งาน<br>
+                        • สามารถทดสอบฟีเจอร์ได้ปกติ
+                    </div>
+                    <button data-dismiss style="margin-top: 10px; background: rgba(255,255,255,0.2); border: 1px solid rgba(255,255,255,0.3);
+                                   color: white; padding: 6px 12px; border-radius: 6px; cursor: pointer; font-size: 12px;">
+                        รับทราบ
+                    </button>
+                </div>
+                <button data-dismiss style="background: none; border: none; color: white; font-size: 20px;
+                               cursor: pointer; opacity: 0.7; padding: 0; width: 24px; height: 24px;">×</button>
+            </div>
+        `;
+        notice.querySelectorAll('[data-dismiss]').forEach(button => {
+            button.addEventListener('click', () => notice.remove());
+        });
+
+        if (!document.getElementById('sim-notice-style')) {
+            const style = document.createElement('style');
+            style.id = 'sim-notice-style';
+            style.textContent = `
+                @keyframes slideInNotice {
+                    from { transform: translateX(120%) scale(0.8); opacity: 0; }
+                    to { transform: translateX(0) scale(1); opacity: 1; }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        document.body.appendChild(notice);
+
+        setTimeout(() => {
+            if (notice.parentElement) {
+                notice.style.animation = 'slideInNotice 0.4s ease-in reverse';
+                setTimeout(() => notice.remove(), 400);
+            }
+        }, 15000);
+    }
+
+    /**
+     * Size of the picture being delivered
+     * @returns {Object} {width, height}
+     */
+    getResolution() {
+        return {
+            width: this.videoElement?.videoWidth || this.simulationCanvas?.width || 0,
+            height: this.videoElement?.videoHeight || this.simulationCanvas?.height || 0
+        };
+    }
+
+    getStartInfo() {
+        return {
+            ...this.getResolution(),
+            deviceId: this.deviceId,
+            label: this.label,
+            simulated: this.isSimulating
+        };
+    }
+
+    /**
+     * Video inputs; labels are empty until camera permission is granted
+     * @returns {Promise<Array>} MediaDeviceInfo list
+     */
+    static async getCameraDevices() {
+        try {
+            if (!navigator.mediaDevices?.enumerateDevices) throw new Error('Device enumeration not supported');
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices.filter(d => d.kind === 'videoinput');
+        } catch (error) {
+            console.error('❌ Error getting camera devices:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Refresh this.devices
+     * @returns {Promise<Array>} MediaDeviceInfo list
+     */
+    async getDevices() {
+        this.devices = await CameraManager.getCameraDevices();
+        this.emit('devicesChanged', this.devices);
+        return this.devices;
+    }
+
+    /**
+     * Use another camera; opens it right away when active, otherwise on the next start()
+     * @param {string} deviceId - MediaDeviceInfo.deviceId
+     */
+    async switchCamera(deviceId) {
+        this.settings = { ...this.settings, deviceId };
+        if (!this.isActive) return;
+
+        try {
+            this.releaseStream();
+            const constraints = { video: { ...this.buildConstraints()[0].video, deviceId: { exact: deviceId } }, audio: false };
+            const stream = await navigator.mediaDevices.getUserMedia(constraints);
+            await this.attachStream(stream);
+            this.isSimulating = false;
+            this.state = 'live';
+            await this.applyLock();
+            this.startWatchdog();
+            // Picking another camera ends an outage as well
+            if (this.outage) this.emit('recovered', this.endOutage(true));
+            this.emit('cameraChanged', { deviceId });
+            console.log('📹 Switched to camera:', deviceId);
+        } catch (error) {
+            console.error('❌ Error switching camera:', error);
+            this.isActive = false;
+            this.state = 'error';
+            this.lastError = error;
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        console.log('📹 Camera settings updated:', this.settings);
+    }
+
+    getCapabilities() {
+        if (!this.stream || this.isSimulating) return null;
+        try {
+            return this.stream.getVideoTracks()[0].getCapabilities();
+        } catch {
+            return null;
+        }
+    }
+
+    getCurrentSettings() {
+        if (!this.stream) return null;
+        try {
+            return this.stream.getVideoTracks()[0].getSettings();
+        } catch {
+            return null;
+        }
+    }
+
+    async applyConstraints(constraints) {
+        if (!this.stream) throw new Error('Cannot apply constraints: camera not active');
+        const track = this.stream.getVideoTracks()[0];
+        await track.applyConstraints(constraints);
+        this.emit('constraintsApplied', constraints);
+        console.log('📹 Camera constraints applied:', constraints);
+    }
+
+    /**
+     * Take a camera profile: stream fields (width, height, frameRate, ...) are used
+     * the next time a stream opens, manual controls are locked right away when active
+     * @param {Object} profile - ConfigLoader.getCameraConstraints()
+     * @returns {Promise<Object|null>} lockSettings() result, null when inactive
+     */
+    async setProfile(profile = {}) {
+        const settings = {};
+        const lock = {};
+        Object.entries(profile).forEach(([key, value]) => {
+            if (value === undefined) return;
+            (LOCK_KEYS.includes(key) ? lock : settings)[key] = value;
+        });
+
+        this.updateSettings(settings);
+        this.lockProfile = lock;
+        return this.stream ? this.applyLock() : null;
+    }
+
+    /**
+     * Lock the current profile on the active track
+     * @returns {Promise<Object|null>} lockSettings() result, null when inactive
+     */
+    async applyLock() {
+        if (!this.stream || this.isSimulating) return null;
+        if (Object.keys(this.lockProfile).length === 0) {
+            this.stopDriftCheck();
+            this.lockedSettings = {};
+            return { applied: {}, unsupported: [] };
+        }
+        try {
+            return await this.lockSettings(this.lockProfile);
+        } catch (error) {
+            console.error('❌ Error locking camera settings:', error);
+            this.emit('lockError', error);
+            return null;
+        }
+    }
+
+    /**
+     * Lock manual controls the track supports; values are clamped to its ranges
+     * A value implies manual mode for its control (exposureTime -> exposureMode: 'manual')
+     * @param {Object} lock - {exposureMode?, exposureTime?, focusMode?, focusDistance?, whiteBalanceMode?, colorTemperature?, zoom?}
+     * @returns {Promise<Object>} {applied, unsupported: [key]}
+     */
+    async lockSettings(lock) {
+        const capabilities = this.getCapabilities() || {};
+        const wanted = { ...lock };
+        Object.entries(MODE_FOR).forEach(([key, mode]) => {
+            if (wanted[key] !== undefined && wanted[mode] === undefined) wanted[mode] = 'manual';
+        });
+
+        const applied = {};
+        const unsupported = [];
+        LOCK_KEYS.forEach(key => {
+            if (wanted[key] === undefined) return;
+            const capability = capabilities[key];
+            if (Array.isArray(capability) && capability.includes(wanted[key])) {
+                applied[key] = wanted[key];
+            } else if (capability && typeof capability.min === 'number') {
+                applied[key] = Math.min(capability.max, Math.max(capability.min, wanted[key]));
+            } else {
+                unsupported.push(key);
+            }
+        });
+
+        if (Object.keys(applied).length > 0) {
+            await this.applyConstraints({ advanced: [applied] });
+        }
+        if (unsupported.length > 0) console.warn('⚠️ Camera does not support:', unsupported);
+
+        this.lockedSettings = applied;
+        this.drift = [];
+        this.startDriftCheck();
+        this.emit('settingsLocked', { applied, unsupported });
+        return { applied, unsupported };
+    }
+
+    /**
+     * Hand manual controls back to the camera's automatic modes
+     */
+    async unlockSettings() {
+        this.lockProfile = {};
+        this.lockedSettings = {};
+        this.drift = [];
+        this.stopDriftCheck();
+
+        const capabilities = this.getCapabilities() || {};
+        const automatic = {};
+        ['exposureMode', 'focusMode', 'whiteBalanceMode'].forEach(mode => {
+            if (capabilities[mode]?.includes('continuous')) automatic[mode] = 'continuous';
+        });
+        if (Object.keys(automatic).length > 0) await this.applyConstraints({ advanced: [automatic] });
+        this.emit('settingsUnlocked', automatic);
+    }
+
+    /**
+     * Compare the track's settings with the locked values
+     * A number drifts when it moves more than one capability step or 2%, whichever is larger
+     * @returns {Array} [{key, expected, actual}]
+     */
+    checkDrift() {
+        const current = this.getCurrentSettings();
+        if (!current) return this.drift;
+
+        const capabilities = this.getCapabilities() || {};
+        const drift = [];
+        Object.entries(this.lockedSettings).forEach(([key, expected]) => {
+            const actual = current[key];
+            const moved = typeof expected === 'number' ?
+                !(Math.abs(actual - expected) <= Math.max(capabilities[key]?.step || 0, Math.abs(expected) * 0.02)) :
+                actual !== expected;
+            if (moved) drift.push({ key, expected, actual });
+        });
+
+        const changed = JSON.stringify(drift) !== JSON.stringify(this.drift);
+        this.drift = drift;
+        if (changed) {
+            if (drift.length > 0) console.warn('⚠️ Camera settings drifted:', drift);
+            this.emit(drift.length > 0 ? 'drift' : 'driftCleared', { drift });
+        }
+        return drift;
+    }
+
+    startDriftCheck() {
+        this.stopDriftCheck();
+        if (Object.keys(this.lockedSettings).length === 0) return;
+        this.driftTimer = setInterval(() => this.checkDrift(), this.driftCheckInterval);
+    }
+
+    stopDriftCheck() {
+        if (this.driftTimer) clearInterval(this.driftTimer);
+        this.driftTimer = null;
+    }
+
+    /**
+     * Take the watchdog section of the configuration
+     * @param {Object} section - {enabled?, stallSeconds?, frozenSeconds?, reconnectSeconds?, maxReconnectSeconds?}
+     */
+    configureWatchdog(section = {}) {
+        this.watchdog = { ...this.watchdog, ...section };
+        if (this.state === 'live') this.startWatchdog();
+    }
+
+    /**
+     * Start checking the live camera every second, from a clean slate
+     */
+    startWatchdog() {
+        this.stopWatchdog();
+        if (!this.watchdog.enabled || this.isSimulating) return;
+
+        this.lastSample = null;
+        this.frozenSince = null;
+        this.mutedSince = null;
+        this.watchdogTimer = setInterval(() => this.checkWatchdog(), WATCHDOG_INTERVAL);
+    }
+
+    /**
+     * Stop the periodic camera check
+     */
+    stopWatchdog() {
+        if (this.watchdogTimer) clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
+    }
+
+    /**
+     * Look for a dead camera: an ended track, no frames for stallSeconds (or a
+     * muted track, where the browser only reports display frames) and a picture
+     * that has not changed a single pixel for frozenSeconds (see the module comment)
+     */
+    checkWatchdog() {
+        if (this.state !== 'live' || !this.stream) return;
+
+        const track = this.stream.getVideoTracks()[0];
+        if (!track || track.readyState === 'ended') {
+            this.beginOutage('ended');
+            return;
+        }
+
+        const now = performance.now();
+        this.mutedSince = track.muted ? (this.mutedSince ?? now) : null;
+        const stalledFor = Math.max(now - this.lastFrameAt, this.mutedSince === null ? 0 : now - this.mutedSince);
+        if (stalledFor >= this.watchdog.stallSeconds * 1000) {
+            this.frameRate = 0;
+            this.emit('frameUpdate', { fps: 0, ...this.getResolution(), timestamp: now, simulated: false });
+            this.beginOutage('stalled');
+            return;
+        }
+
+        // A live sensor never repeats its noise exactly, a hung driver repeats the last frame
+        const sample = this.sampleFrame();
+        const same = sample && this.lastSample && sample.every((value, i) => value === this.lastSample[i]);
+        this.frozenSince = same ? (this.frozenSince ?? this.lastSampleAt) : null;
+        this.lastSample = sample;
+        this.lastSampleAt = now;
+
+        if (this.frozenSince !== null && now - this.frozenSince >= this.watchdog.frozenSeconds * 1000) {
+            this.beginOutage('frozen');
+        }
+    }
+
+    /**
+     * Pixels of a small crop from the centre of the picture, at full resolution
+     * @returns {Uint8ClampedArray|null} RGBA pixels
+     */
+    sampleFrame() {
+        const { width, height } = this.getResolution();
+        if (!this.videoElement || !width || !height) return null;
+
+        const size = Math.min(FROZEN_SAMPLE_SIZE, width, height);
+        if (!this.watchdogCanvas) this.watchdogCanvas = document.createElement('canvas');
+        const canvas = this.watchdogCanvas;
+        if (canvas.width !== size) canvas.width = canvas.height = size;
+
+        try {
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(this.videoElement, Math.floor((width - size) / 2), Math.floor((height - size) / 2), size, size, 0, 0, size, size);
+            return ctx.getImageData(0, 0, size, size).data;
+        } catch (error) {
+            console.warn('⚠️ Watchdog could not sample the picture:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * The camera is gone: drop the stream and keep reconnecting to the same device
+     * @param {string} reason - 'ended', 'stalled' or 'frozen'
+     */
+    beginOutage(reason) {
+        if (this.outage || this.state !== 'live') return;
+
+        const deviceId = this.deviceId || this.settings.deviceId || null;
+        this.outage = { reason, deviceId, startedAt: Date.now(), attempts: 0 };
+        this.state = 'reconnecting';
+        this.frameRate = 0;
+        this.releaseStream();
+
+        console.warn(`⚠️ Camera ${reason}, reconnecting to ${this.label || deviceId || 'the default camera'}`);
+        this.emit('fault', { reason, deviceId, startedAt: this.outage.startedAt });
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Wait reconnectSeconds, doubling after every failed attempt up to maxReconnectSeconds
+     */
+    scheduleReconnect() {
+        const { reconnectSeconds, maxReconnectSeconds } = this.watchdog;
+        const delay = Math.min(reconnectSeconds * 2 ** this.outage.attempts, maxReconnectSeconds) * 1000;
+
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+        this.emit('reconnecting', { attempt: this.outage.attempts + 1, delay, deviceId: this.outage.deviceId });
+    }
+
+    async reconnect() {
+        const outage = this.outage;
+        this.reconnectTimer = null;
+        if (!outage) return;
+
+        outage.attempts++;
+        let stream = null;
+        try {
+            const video = { ...this.buildConstraints()[0].video };
+            if (outage.deviceId) video.deviceId = { exact: outage.deviceId };
+            stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+
+            // Stopped while the browser was opening the camera
+            if (this.outage !== outage) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            const track = stream.getVideoTracks()[0];
+            if (!track || track.readyState !== 'live') throw new Error('Camera returned no live video track');
+
+            await this.attachStream(stream);
+            this.state = 'live';
+            await this.applyLock();
+            this.startWatchdog();
+
+            this.emit('recovered', this.endOutage(true));
+        } catch (error) {
+            console.warn(`❌ Reconnect attempt ${outage.attempts} failed:`, error.message);
+            if (stream !== this.stream) stream?.getTracks().forEach(track => track.stop());
+            if (this.outage !== outage) return;
+
+            this.lastError = error;
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Close the outage in progress and add it to the log
+     * @param {boolean} recovered - Whether the camera came back (false when stopped)
+     * @returns {Object} {reason, deviceId, startedAt, endedAt, duration, attempts, recovered}
+     */
+    endOutage(recovered) {
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const { reason, deviceId, startedAt, attempts } = this.outage;
+        const endedAt = Date.now();
+        const entry = { reason, deviceId, startedAt, endedAt, duration: endedAt - startedAt, attempts, recovered };
+        this.outage = null;
+        this.outages = [entry, ...this.outages].slice(0, MAX_OUTAGES);
+        this.utils.saveToStorage(this.outageKey, this.outages);
+
+        const seconds = (entry.duration / 1000).toFixed(1);
+        console.log(`${recovered ? '✅ Camera back' : '📹 Camera stopped'} after a ${seconds} s outage (${reason}, ${attempts} reconnect attempts)`);
+        return entry;
+    }
+
+    /**
+     * Outage log kept by earlier page loads
+     * @returns {Array} Outages, newest first
+     */
+    loadOutages() {
+        const stored = this.utils.loadFromStorage(this.outageKey, []);
+        return Array.isArray(stored) ? stored.slice(0, MAX_OUTAGES) : [];
+    }
+
+    /**
+     * Stop the stream's tracks and the loops that read it
+     */
+    releaseStream() {
+        this.stopFrameMonitoring();
+        this.stopDriftCheck();
+        this.stopWatchdog();
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.removeEventListener?.('ended', this.handleTrackEnded);
+                track.stop();
+            });
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Stop the camera; start() can open it again
+     */
+    stop() {
+        try {
+            if (this.outage) this.endOutage(false);
+            this.releaseStream();
+
+            if (this.videoElement) {
+                this.videoElement.srcObject = null;
+            }
+
+            document.getElementById('camera-sim-notice')?.remove();
+
+            const wasActive = this.isActive;
+            this.isActive = false;
+            this.isSimulating = false;
+            this.frameRate = 0;
+            this.lockedSettings = {};
+            this.drift = [];
+            this.state = 'idle';
+
+            if (wasActive) {
+                this.emit('stopped');
+                console.log('📹 Camera stopped');
+            }
+        } catch (error) {
+            console.error('❌ Error stopping camera:', error);
+        }
+    }
+
+    static isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    static async getPermissionStatus() {
+        if (!navigator.permissions) return 'unknown';
+        try {
+            const permission = await navigator.permissions.query({ name: 'camera' });
+            return permission.state;
+        } catch {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Camera status for the UI
+     * @returns {Object} {kind, state, isActive, isSimulating, frameRate, resolution, seekable,
+     *                    deviceId, label, stream, settings, lockedSettings, drift, devices, outage, outages, error}
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            state: this.state,
+            deviceId: this.deviceId,
+            label: this.label,
+            stream: !!this.stream,
+            settings: this.settings,
+            lockedSettings: this.lockedSettings,
+            drift: this.drift,
+            devices: this.devices,
+            outage: this.outage,
+            outages: this.outages,
+            error: this.lastError?.message || null
+        };
+    }
+
+    destroy() {
+        navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
+        super.destroy();
+        this.simulator = null;
+        this.simulationCanvas = null;
+        this.simulationImage = null;
+        this.watchdogCanvas = null;
+        console.log('📹 Camera manager destroyed');
+    }
+}
@@ -0,0 +1,612 @@
+/**
+ * Configuration Module
+ * Loads config/settings.json and config/camera-profiles.json, checks them
+ * against a schema and merges the configuration layers, lowest first:
+ *
+ *   defaults   settings.json top-level sections
+ *   station    settings.json stations[<station id>], picked by ?station=<id>,
+ *              the visualControl_station storage key or settings.json "station"
+ *   recipe     the active recipe (see fromRecipe())
+ *   user       slider changes made on this browser, kept in localStorage
+ *
+ * Each module receives its own section through get('<section>'):
+ *   detection  {settings, config}            DetectionEngine.configure()
+ *   audio      {volume, repeat, sounds}      AudioManager.configure()
+ *   camera     {profile, width, height, ...} getCameraConstraints() for CameraManager.setProfile()
+ *   recorder   {rolling, rollingSeconds, maxSessions}  SessionRecorder.configure()
+ *   watchdog   {enabled, stallSeconds, frozenSeconds, ...} CameraManager.configureWatchdog()
+ *
+ * A file that does not match the schema is an error with every problem listed
+ * in error.details; nothing falls back to built-in values silently. The same
+ * holds for the user layer, whose error has error.layer = 'user'.
+ */
+
+import { Utils } from './utils.js';
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const oneOf = (...values) => ({ type: 'string', enum: values });
+
+// Manual camera controls a profile can lock (see CameraManager.lockSettings())
+const CAMERA_LOCKS = {
+    exposureMode: oneOf('manual', 'continuous', 'single-shot', 'none'),
+    exposureTime: number(0),
+    focusMode: oneOf('manual', 'continuous', 'single-shot', 'none'),
+    focusDistance: number(0),
+    whiteBalanceMode: oneOf('manual', 'continuous', 'single-shot', 'none'),
+    colorTemperature: number(0),
+    zoom: number(0)
+};
+
+const SOUND = {
+    type: 'object',
+    properties: {
+        frequency: number(20, 20000),
+        duration: number(0.01, 10),
+        type: oneOf('sine', 'square', 'sawtooth', 'triangle')
+    }
+};
+
+// Sections that may appear at the top level, in a station and in a recipe
+const SECTIONS = {
+    detection: {
+        type: 'object',
+        properties: {
+            settings: {
+                type: 'object',
+                properties: {
+                    rotationSensitivity: number(0, 90),
+                    positionSensitivity: number(0, 1000),
+                    detectionThreshold: number(0, 100),
+                    minContourArea: number(0),
+                    maxContourArea: number(0)
+                }
+            },
+            config: {
+                type: 'object',
+                properties: {
+                    gaussianBlur: number(0, 50),
+                    cannyLower: number(0, 255),
+                    cannyUpper: number(0, 255),
+                    cannySigma: number(0, 10),
+                    morphKernel: integer(0, 31),
+                    approxEpsilon: number(0, 1),
+                    signatureSize: integer(4, 256),
+                    occupancyEnter: number(0, 1),
+                    occupancyExit: number(0, 1),
+                    foregroundThreshold: number(1, 255),
+                    backgroundRate: number(0, 1),
+                    trackingMinFrames: integer(1, 60),
+                    similarityMetric: oneOf('ncc', 'ssim'),
+                    ssimWindow: integer(2, 64),
+                    searchMargin: integer(0, 1000),
+                    matchMinScore: number(-1, 1),
+                    houghAngleStep: number(0.05, 10),
+                    houghPeaks: integer(1, 100),
+                    houghMinConfidence: number(0, 1),
+                    visionBackend: oneOf('auto', 'js', 'opencv')
+                }
+            }
+        }
+    },
+    audio: {
+        type: 'object',
+        properties: {
+            volume: number(0, 1),
+            repeat: integer(1, 20),
+            sounds: {
+                type: 'object',
+                properties: { alert: SOUND, success: SOUND, error: SOUND, notification: SOUND }
+            }
+        }
+    },
+    camera: {
+        type: 'object',
+        properties: {
+            profile: { type: 'string' },
+            deviceId: { type: 'string' },
+            facingMode: oneOf('user', 'environment'),
+            width: integer(1, 8192),
+            height: integer(1, 8192),
+            frameRate: number(1, 240),
+            ...CAMERA_LOCKS
+        }
+    },
+    recorder: {
+        type: 'object',
+        properties: {
+            rolling: { type: 'boolean' },
+            rollingSeconds: integer(5, 600),
+            maxSessions: integer(1, 500)
+        }
+    },
+    watchdog: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            stallSeconds: number(1, 60),
+            frozenSeconds: number(2, 600),
+            reconnectSeconds: number(0.1, 60),
+            maxReconnectSeconds: number(1, 600)
+        }
+    }
+};
+
+const SETTINGS_SCHEMA = {
+    type: 'object',
+    required: ['version'],
+    properties: {
+        version: integer(1, 1),
+        station: { type: 'string' },
+        ...SECTIONS,
+        stations: {
+            type: 'object',
+            values: {
+                type: 'object',
+                properties: { name: { type: 'string' }, ...SECTIONS }
+            }
+        }
+    }
+};
+
+// detection.config fields that must stay ordered once the layers are merged: [lower, upper, strict]
+const ORDERED_FIELDS = [
+    ['cannyLower', 'cannyUpper', false],
+    ['occupancyExit', 'occupancyEnter', true]
+];
+
+// Recipe fields that feed the configuration layers (see fromRecipe());
+// region tolerances follow the matching detection settings, null meaning "use the setting"
+const DETECTION_SETTINGS = SECTIONS.detection.properties.settings;
+const RECIPE_CAMERA = { ...SECTIONS.camera.properties };
+delete RECIPE_CAMERA.profile;
+const RECIPE_SCHEMA = {
+    settings: DETECTION_SETTINGS,
+    cameraSettings: { type: 'object', properties: RECIPE_CAMERA },
+    alertProfile: {
+        type: 'object',
+        properties: {
+            volume: SECTIONS.audio.properties.volume,
+            repeat: SECTIONS.audio.properties.repeat,
+            sound: SOUND
+        }
+    },
+    tolerances: {
+        type: 'object',
+        properties: {
+            position: { ...DETECTION_SETTINGS.properties.positionSensitivity, nullable: true },
+            rotation: { ...DETECTION_SETTINGS.properties.rotationSensitivity, nullable: true },
+            similarity: { ...DETECTION_SETTINGS.properties.detectionThreshold, nullable: true }
+        }
+    }
+};
+
+const CAMERA_PROFILES_SCHEMA = {
+    type: 'object',
+    required: ['version', 'profiles'],
+    properties: {
+        version: integer(1, 1),
+        profiles: {
+            type: 'object',
+            values: {
+                type: 'object',
+                properties: {
+                    label: { type: 'string' },
+                    facingMode: oneOf('user', 'environment'),
+                    width: integer(1, 8192),
+                    height: integer(1, 8192),
+                    frameRate: number(1, 240),
+                    ...CAMERA_LOCKS
+                }
+            }
+        }
+    }
+};
+
+export class ConfigLoader {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || './config/';
+        this.userKey = 'visualControl_settings';
+        this.stationKey = 'visualControl_station';
+
+        this.settingsSchema = SETTINGS_SCHEMA;
+        this.cameraProfilesSchema = CAMERA_PROFILES_SCHEMA;
+
+        this.stationId = null;
+        this.cameraProfiles = {};
+        this.layers = { defaults: {}, station: {}, recipe: {}, user: {} };
+        this.layerOrder = ['defaults', 'station', 'recipe', 'user'];
+
+        this.utils = new Utils();
+        this.eventListeners = {};
+    }
+
+    /**
+     * Fetch and validate both config files and build the layers
+     * @param {string|null} stationId - Station to use; see the module comment for the fallbacks
+     * @throws {Error} When a file is missing, is not JSON or fails the schema;
+     *                 error.details lists each problem
+     */
+    async load(stationId = null) {
+        const [settings, cameraProfiles] = await Promise.all([
+            this.fetchJson('settings.json'),
+            this.fetchJson('camera-profiles.json')
+        ]);
+
+        const errors = [
+            ...this.validate(settings, this.settingsSchema, 'settings.json'),
+            ...this.validate(cameraProfiles, this.cameraProfilesSchema, 'camera-profiles.json')
+        ];
+
+        const defaults = { ...settings };
+        const stations = defaults.stations || {};
+        const defaultStation = defaults.station;
+        ['version', 'station', 'stations'].forEach(key => delete defaults[key]);
+
+        this.stationId = stationId || new URLSearchParams(location.search).get('station') ||
+            this.getStoredStation() || defaultStation || null;
+
+        if (this.stationId && !stations[this.stationId]) {
+            errors.push(`settings.json: station "${this.stationId}" is not defined in "stations" (known: ${Object.keys(stations).join(', ') || 'none'})`);
+        }
+
+        this.cameraProfiles = cameraProfiles.profiles || {};
+        [defaults.camera, ...Object.values(stations).map(station => station?.camera)].forEach(camera => {
+            if (camera?.profile && !this.cameraProfiles[camera.profile]) {
+                errors.push(`settings.json: camera profile "${camera.profile}" is not defined in camera-profiles.json`);
+            }
+        });
+
+        // A station may override one half of a pair, so each is checked over the defaults
+        if (errors.length === 0) {
+            errors.push(...this.checkOrder(defaults.detection, 'settings.json: detection'));
+            Object.entries(stations).forEach(([id, station]) => {
+                if (!station.detection) return;
+                errors.push(...this.checkOrder(this.merge(defaults.detection || {}, station.detection), `settings.json: stations.${id}.detection`));
+            });
+        }
+
+        if (errors.length > 0) {
+            throw this.createError('Configuration is invalid', errors);
+        }
+
+        const stationSections = { ...stations[this.stationId] };
+        delete stationSections.name;
+
+        this.layers.defaults = defaults;
+        this.layers.station = stationSections;
+        this.layers.user = this.loadUserLayer();
+
+        console.log(`⚙️ Configuration loaded${this.stationId ? ` for station ${this.stationId}` : ''}`);
+        this.emit('loaded', { station: this.stationId });
+    }
+
+    /**
+     * Station chosen on this browser
+     * @returns {string|null} Station id
+     */
+    getStoredStation() {
+        try {
+            return localStorage.getItem(this.stationKey);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Fetch one config file
+     * @param {string} name - File name inside the config directory
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async fetchJson(name) {
+        let response;
+        try {
+            response = await fetch(new URL(name, new URL(this.baseUrl, location.href)), { cache: 'no-cache' });
+        } catch (error) {
+            throw this.createError('Could not load configuration', [`${name}: ${error.message}`]);
+        }
+        if (!response.ok) {
+            throw this.createError('Could not load configuration', [`${name}: HTTP ${response.status} ${response.statusText}`]);
+        }
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const problem = text.trim() ? `not valid JSON (${error.message})` : 'file is empty';
+            throw this.createError('Could not load configuration', [`${name}: ${problem}`]);
+        }
+    }
+
+    /**
+     * Check a value against a schema
+     * @param {any} value - Value to check
+     * @param {Object} schema - {type, properties?, values?, items?, required?, enum?, min?, max?, nullable?}
+     * @param {string} path - Where the value sits, for messages
+     * @returns {Array} Readable problems; empty when valid
+     */
+    validate(value, schema, path) {
+        const errors = [];
+        if (value === null && schema.nullable) return errors;
+        const got = JSON.stringify(value);
+
+        switch (schema.type) {
+            case 'object':
+                if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path} must be an object (got ${got})`);
+                    break;
+                }
+                (schema.required || []).forEach(key => {
+                    if (!(key in value)) errors.push(`${path}.${key} is required`);
+                });
+                Object.entries(value).forEach(([key, child]) => {
+                    const childSchema = schema.properties ? schema.properties[key] : schema.values;
+                    if (!childSchema) {
+                        errors.push(`${path}.${key} is not a known setting (expected one of: ${Object.keys(schema.properties).join(', ')})`);
+                        return;
+                    }
+                    errors.push(...this.validate(child, childSchema, `${path}.${key}`));
+                });
+                break;
+
+            case 'number':
+            case 'integer': {
+                const valid = schema.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+                const tooLow = schema.min !== undefined && value < schema.min;
+                const tooHigh = schema.max !== undefined && value > schema.max;
+                if (!valid || tooLow || tooHigh) {
+                    const range = schema.min === schema.max ? ` equal to ${schema.min}` :
+                        schema.max !== undefined ? ` between ${schema.min} and ${schema.max}` :
+                        schema.min !== undefined ? ` of at least ${schema.min}` : '';
+                    errors.push(`${path} must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}${range} (got ${got})`);
+                }
+                break;
+            }
+
+            case 'string':
+                if (typeof value !== 'string') {
+                    errors.push(`${path} must be a string (got ${got})`);
+                } else if (schema.enum && !schema.enum.includes(value)) {
+                    errors.push(`${path} must be one of ${schema.enum.map(v => `"${v}"`).join(', ')} (got ${got})`);
+                }
+                break;
+
+            case 'boolean':
+                if (typeof value !== 'boolean') errors.push(`${path} must be true or false (got ${got})`);
+                break;
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path} must be a list (got ${got})`);
+                    break;
+                }
+                value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+                break;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the fields that only make sense together: the Canny lower threshold may not
+     * pass the upper one, and a box must leave below the occupancy at which it entered
+     * @param {Object} detection - Merged detection section
+     * @param {string} path - Where the section comes from, for messages
+     * @returns {Array} Readable problems; empty when valid
+     */
+    checkOrder(detection, path) {
+        const config = detection?.config || {};
+
+        return ORDERED_FIELDS.flatMap(([lower, upper, strict]) => {
+            if (config[lower] === undefined || config[upper] === undefined) return [];
+            if (strict ? config[lower] < config[upper] : config[lower] <= config[upper]) return [];
+            return [`${path}.config.${lower} must be ${strict ? 'below' : 'at most'} ${upper} (got ${config[lower]} and ${config[upper]})`];
+        });
+    }
+
+    /**
+     * Check the fields of a recipe that become configuration: detection settings,
+     * camera settings, alert profile and each region's tolerances
+     * @param {Object} recipe - Recipe, e.g. from an imported bundle
+     * @param {string} path - Where the recipe sits, for messages
+     * @returns {Array} Readable problems; empty when valid
+     */
+    validateRecipe(recipe, path = 'recipe') {
+        const errors = [];
+
+        ['settings', 'cameraSettings', 'alertProfile'].forEach(key => {
+            if (recipe[key] != null) errors.push(...this.validate(recipe[key], RECIPE_SCHEMA[key], `${path}.${key}`));
+        });
+
+        (Array.isArray(recipe.regions) ? recipe.regions : []).forEach((region, index) => {
+            if (region?.tolerances != null) {
+                errors.push(...this.validate(region.tolerances, RECIPE_SCHEMA.tolerances, `${path}.regions[${index}].tolerances`));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Error carrying a list of problems
+     * @param {string} message - Summary
+     * @param {Array} details - One readable line per problem
+     * @returns {Error} Error with error.details
+     */
+    createError(message, details) {
+        const error = new Error(`${message}: ${details[0]}${details.length > 1 ? ` (+${details.length - 1} more)` : ''}`);
+        error.details = details;
+        return error;
+    }
+
+    /**
+     * Merged section
+     * @param {string} section - 'detection', 'audio', 'camera', 'recorder' or 'watchdog'
+     * @returns {Object} Section with every layer applied
+     */
+    get(section) {
+        return this.layerOrder.reduce((merged, layer) =>
+            this.merge(merged, this.layers[layer][section] || {}), {});
+    }
+
+    /**
+     * Camera constraints: the named profile with the explicit camera fields on top
+     * @returns {Object} {width?, height?, frameRate?, facingMode?, deviceId?, exposureMode?, ...}
+     */
+    getCameraConstraints() {
+        const { profile, ...camera } = this.get('camera');
+        const constraints = { ...this.cameraProfiles[profile], ...camera };
+        delete constraints.label;
+        return constraints;
+    }
+
+    /**
+     * Replace a layer
+     * @param {string} layer - 'station', 'recipe' or 'user'
+     * @param {Object} sections - {detection?, audio?, camera?}
+     */
+    setLayer(layer, sections = {}) {
+        if (!this.layers[layer]) throw new Error(`Unknown configuration layer: ${layer}`);
+
+        this.layers[layer] = sections;
+        if (layer === 'user') this.saveUserLayer();
+        this.emit('changed', { layer });
+    }
+
+    /**
+     * Merge changes into the user layer and remember them
+     * @param {Object} sections - Partial {detection?, audio?, camera?}
+     */
+    setUserOverrides(sections) {
+        this.setLayer('user', this.merge(this.layers.user, sections));
+    }
+
+    /**
+     * Drop fields from this browser's overrides so the lower layers apply again
+     * @param {string} section - Section name
+     * @param {Array} keys - Fields to drop
+     */
+    clearUserOverrides(section, keys) {
+        const current = { ...this.layers.user[section] };
+        keys.forEach(key => delete current[key]);
+        this.setLayer('user', { ...this.layers.user, [section]: current });
+    }
+
+    /**
+     * Layer sections for a recipe; its camera section reopens the camera the
+     * recipe was saved with, in the same mode, when that camera is present
+     * @param {Object} recipe - Recipe from RecipeStore
+     * @returns {Object} {detection, audio, camera}
+     */
+    static fromRecipe(recipe) {
+        const sections = {};
+
+        if (recipe.settings) sections.detection = { settings: recipe.settings };
+        if (recipe.alertProfile) {
+            const { volume, repeat, sound } = recipe.alertProfile;
+            sections.audio = { volume, repeat, sounds: sound ? { alert: sound } : undefined };
+        }
+        if (recipe.cameraSettings) {
+            const { deviceId, facingMode, width, height, frameRate } = recipe.cameraSettings;
+            const locks = Object.fromEntries(Object.keys(CAMERA_LOCKS)
+                .filter(key => recipe.cameraSettings[key] !== undefined)
+                .map(key => [key, recipe.cameraSettings[key]]));
+            sections.camera = { deviceId, facingMode, width, height, frameRate, ...locks };
+        }
+
+        return sections;
+    }
+
+    /**
+     * User layer from localStorage; slider values saved before this module
+     * existed are a flat {rotationSensitivity, ...} object
+     * Runs after the defaults and station layers are set, which it is checked over
+     * @returns {Object} Valid user layer
+     * @throws {Error} When the stored layer fails the schema; error.layer is 'user'
+     */
+    loadUserLayer() {
+        let stored = this.utils.loadFromStorage(this.userKey, {});
+        if (stored && !Object.keys(SECTIONS).some(section => stored[section])) {
+            stored = Object.keys(stored).length > 0 ? { detection: { settings: stored } } : {};
+        }
+
+        const userSchema = { type: 'object', properties: SECTIONS };
+        const errors = this.validate(stored, userSchema, this.userKey);
+        if (errors.length === 0 && stored.detection) {
+            const below = this.merge(this.layers.defaults.detection || {}, this.layers.station.detection || {});
+            errors.push(...this.checkOrder(this.merge(below, stored.detection), `${this.userKey}.detection`));
+        }
+
+        if (errors.length > 0) {
+            const error = this.createError('Saved settings on this browser are invalid', errors);
+            error.layer = 'user';
+            throw error;
+        }
+
+        return stored;
+    }
+
+    saveUserLayer() {
+        this.utils.saveToStorage(this.userKey, this.layers.user);
+    }
+
+    /**
+     * Forget this browser's overrides, e.g. after they failed to load
+     */
+    clearUserLayer() {
+        this.utils.clearStorage(this.userKey);
+        this.layers.user = {};
+    }
+
+    /**
+     * Deep merge of plain objects; undefined leaves the lower value in place
+     * @param {Object} base - Lower layer
+     * @param {Object} override - Higher layer
+     * @returns {Object} New merged object
+     */
+    merge(base, override) {
+        const result = { ...base };
+
+        Object.entries(override).forEach(([key, value]) => {
+            if (value === undefined) return;
+
+            const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+            result[key] = isObject && result[key] && typeof result[key] === 'object' ?
+                this.merge(result[key], value) :
+                value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        const index = this.eventListeners[event].indexOf(callback);
+        if (index > -1) {
+            this.eventListeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data = null) {
+        if (!this.eventListeners[event]) return;
+
+        this.eventListeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Error in config listener for '${event}':`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,539 @@
+/**
+ * Detection Client Module
+ * Main-thread proxy for the DetectionEngine running in a Web Worker.
+ * Falls back to an inline engine when module workers are unavailable.
+ */
+
+import { DetectionEngine } from './detection.js';
+
+export class DetectionWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.engine = null;          // Inline fallback engine
+        this.eventListeners = {};
+
+        this.isBusy = false;
+        this.isInitialized = false;
+        this.lastDetection = null;
+        this.settings = {};
+        this.backend = 'js';
+        this.backendPreference = 'auto';
+        this.rules = [];
+
+        // What was sent to the worker, replayed into the inline engine if the worker dies
+        this.config = {};
+        this.reference = null;       // {boxRect, regions, imageData, edits}
+        this.ruleSources = [];
+        this.ruleStates = new Map();
+
+        this.frameId = 0;
+        this.pendingId = null;
+        this.stats = {
+            processed: 0,
+            dropped: 0,
+            lastTiming: 0
+        };
+
+        this.init();
+    }
+
+    /**
+     * Start the worker, or the inline engine if that fails
+     */
+    init() {
+        if (typeof Worker === 'undefined') {
+            this.useInlineEngine('Web Worker not supported');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(new URL('./detection-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('❌ Detection worker failed:', event.message || event);
+                this.useInlineEngine('worker error');
+            };
+            console.log('🧵 Detection worker started');
+        } catch (error) {
+            this.useInlineEngine(error.message);
+        }
+    }
+
+    /**
+     * Switch to running the engine on the main thread
+     * @param {string} reason - Why the worker is not used
+     */
+    useInlineEngine(reason) {
+        if (this.engine) return;
+
+        console.warn('⚠️ Running detection on the main thread:', reason);
+        const replaced = !!this.worker;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.engine = new DetectionEngine();
+        ['ready', 'referenceSet', 'referenceCleared', 'boxEntered', 'boxExited', 'backendChanged', 'rulesLoaded', 'error'].forEach(event => {
+            this.engine.on(event, (data) => this.handleEngineEvent(event, data));
+        });
+        this.engine.setBackend(this.backendPreference);
+
+        // A frame that was in flight in the dead worker will never come back
+        this.isBusy = false;
+        this.pendingId = null;
+        this.isInitialized = false;
+
+        this.restoreEngineState();
+
+        if (replaced) {
+            this.emit('fallback', { reason, restored: this.isInitialized });
+        }
+    }
+
+    /**
+     * Give the inline engine everything the worker had been sent:
+     * configuration, inspection rules and the reference with its later region edits
+     */
+    restoreEngineState() {
+        this.engine.configure({ settings: this.settings, config: this.config });
+
+        const sources = [undefined, ...this.ruleSources];
+        Promise.all(sources.map(source => this.engine.loadRules(source))).then(() => {
+            if (this.ruleStates.size === 0) return;
+            this.ruleStates.forEach((enabled, id) => this.engine.setRuleEnabled(id, enabled));
+            this.handleEngineEvent('rulesLoaded', { rules: this.engine.getRules() });
+        });
+
+        if (!this.reference) return;
+
+        const { boxRect, regions, imageData, edits } = this.reference;
+        this.engine.setReferenceRegions(boxRect, regions, imageData);
+        edits.forEach(({ type, id, changes }) => {
+            if (type === 'updateRegion') this.engine.updateRegion(id, changes);
+            if (type === 'removeRegion') this.engine.removeRegion(id);
+        });
+    }
+
+    /**
+     * Keep a copy of the reference sent to the worker
+     * The worker receives the frame buffer by transfer, so the pixels are cloned first
+     * @param {Object} boxRect - Main box rectangle
+     * @param {Array} regions - Key point regions
+     * @param {ImageData|null} imageData - Reference frame
+     */
+    retainReference(boxRect, regions, imageData) {
+        if (!this.worker) return;
+
+        this.reference = {
+            boxRect,
+            regions,
+            imageData: imageData ? new ImageData(imageData.data.slice(), imageData.width, imageData.height) : null,
+            edits: []
+        };
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'event':
+                this.handleEngineEvent(message.event, message.data);
+                break;
+
+            case 'result':
+                if (message.id !== this.pendingId) return;
+                this.finishFrame(message.result, message.timing);
+                break;
+        }
+    }
+
+    /**
+     * Mirror engine state and re-emit its events
+     * @param {string} event - Event name
+     * @param {any} data - Event payload
+     */
+    handleEngineEvent(event, data) {
+        if (event === 'referenceSet') this.isInitialized = true;
+        if (event === 'referenceCleared') this.isInitialized = false;
+        if (event === 'backendChanged') this.backend = data.backend;
+        if (event === 'rulesLoaded') this.rules = data.rules;
+
+        this.emit(event, data);
+    }
+
+    /**
+     * Record a finished frame and emit its result
+     * @param {Object|null} result - Detection result
+     * @param {number} timing - Processing time in ms
+     */
+    finishFrame(result, timing) {
+        this.isBusy = false;
+        this.pendingId = null;
+        this.stats.lastTiming = timing;
+
+        if (!result) return;
+
+        this.stats.processed++;
+        this.lastDetection = result;
+        this.emit('result', result);
+    }
+
+    /**
+     * Send a message to the worker, or run it on the inline engine
+     * @param {Object} message - Message
+     * @param {Array} transfer - Transferable objects
+     */
+    post(message, transfer = []) {
+        if (this.worker) {
+            this.worker.postMessage(message, transfer);
+            return;
+        }
+
+        const frameData = message.frame ? this.frameToImageData(message.frame) : null;
+
+        switch (message.type) {
+            case 'setReferenceAreas':
+                this.engine.setReferenceAreas(message.boxRect, message.keyPointRect, frameData);
+                break;
+            case 'setReferenceRegions':
+                this.engine.setReferenceRegions(message.boxRect, message.regions, frameData);
+                break;
+            case 'updateRegion':
+                this.engine.updateRegion(message.id, message.changes);
+                break;
+            case 'removeRegion':
+                this.engine.removeRegion(message.id);
+                break;
+            case 'setReferenceImage':
+                this.engine.setReferenceImage({ imageData: frameData, width: frameData.width, height: frameData.height });
+                break;
+            case 'clearReference':
+                this.engine.clearReference();
+                break;
+            case 'resetTracking':
+                this.engine.resetTracking();
+                break;
+            case 'updateSettings':
+                this.engine.updateSettings(message.settings);
+                break;
+            case 'configure':
+                this.engine.configure(message.section);
+                break;
+            case 'setBackend':
+                this.engine.setBackend(message.preference);
+                break;
+            case 'loadRules':
+                this.engine.loadRules(message.url);
+                break;
+            case 'setRuleEnabled':
+                this.engine.setRuleEnabled(message.id, message.enabled);
+                this.handleEngineEvent('rulesLoaded', { rules: this.engine.getRules() });
+                break;
+            case 'analyze': {
+                const started = performance.now();
+                const result = this.engine.analyzeFrame({
+                    imageData: frameData,
+                    width: frameData.width,
+                    height: frameData.height,
+                    timestamp: message.frame.timestamp
+                }, message.settings);
+
+                // Resolve asynchronously, like the worker does
+                Promise.resolve().then(() => {
+                    if (message.id === this.pendingId) {
+                        this.finishFrame(result, performance.now() - started);
+                    }
+                });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Decode a frame for the inline engine
+     * @param {Object} frame - {bitmap} or {buffer, width, height}
+     * @returns {ImageData} Frame pixels
+     */
+    frameToImageData(frame) {
+        if (frame.bitmap) {
+            const { width, height } = frame.bitmap;
+            if (!this.canvas || this.canvas.width !== width || this.canvas.height !== height) {
+                this.canvas = document.createElement('canvas');
+                this.canvas.width = width;
+                this.canvas.height = height;
+                this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+            }
+            this.ctx.drawImage(frame.bitmap, 0, 0);
+            frame.bitmap.close();
+            return this.ctx.getImageData(0, 0, width, height);
+        }
+
+        return new ImageData(new Uint8ClampedArray(frame.buffer), frame.width, frame.height);
+    }
+
+    /**
+     * Package a captured frame for transfer
+     * @param {Object} frameData - {bitmap} or {imageData} plus width/height
+     * @returns {Object} {frame, transfer}
+     */
+    packFrame(frameData) {
+        if (frameData.bitmap) {
+            return {
+                frame: { bitmap: frameData.bitmap, timestamp: frameData.timestamp },
+                transfer: [frameData.bitmap]
+            };
+        }
+
+        const buffer = frameData.imageData.data.buffer;
+        return {
+            frame: {
+                buffer,
+                width: frameData.imageData.width,
+                height: frameData.imageData.height,
+                timestamp: frameData.timestamp
+            },
+            transfer: [buffer]
+        };
+    }
+
+    /**
+     * Set reference areas using drawing rectangles
+     * The frame buffer is transferred, so the caller must not reuse it
+     * @param {Object} boxRect - Main box rectangle
+     * @param {Object} keyPointRect - Key point rectangle
+     * @param {ImageData} imageData - Optional reference image data
+     */
+    setReferenceAreas(boxRect, keyPointRect, imageData = null) {
+        this.retainReference(boxRect, [{ id: 'keypoint', name: 'จุดสำคัญ', rect: keyPointRect }], imageData);
+
+        const message = { type: 'setReferenceAreas', boxRect, keyPointRect };
+        let transfer = [];
+
+        if (imageData) {
+            const packed = this.packFrame({ imageData });
+            message.frame = packed.frame;
+            transfer = packed.transfer;
+        }
+
+        // Optimistic: the engine reports failures through the error event
+        this.isInitialized = true;
+        this.post(message, transfer);
+    }
+
+    /**
+     * Set the box area and its named key point regions
+     * The frame buffer is transferred, so the caller must not reuse it
+     * @param {Object} boxRect - Main box rectangle
+     * @param {Array} regions - [{id, name, rect, checkType, tolerances}]
+     * @param {ImageData} imageData - Optional reference image data
+     */
+    setReferenceRegions(boxRect, regions, imageData = null) {
+        this.retainReference(boxRect, regions, imageData);
+
+        const message = { type: 'setReferenceRegions', boxRect, regions };
+        let transfer = [];
+
+        if (imageData) {
+            const packed = this.packFrame({ imageData });
+            message.frame = packed.frame;
+            transfer = packed.transfer;
+        }
+
+        this.isInitialized = true;
+        this.post(message, transfer);
+    }
+
+    /**
+     * Change a region's name, check type or tolerances
+     * @param {string} id - Region id
+     * @param {Object} changes - {name?, checkType?, tolerances?}
+     */
+    updateRegion(id, changes) {
+        this.reference?.edits.push({ type: 'updateRegion', id, changes });
+        this.post({ type: 'updateRegion', id, changes });
+    }
+
+    /**
+     * Stop evaluating a region
+     * @param {string} id - Region id
+     */
+    removeRegion(id) {
+        this.reference?.edits.push({ type: 'removeRegion', id });
+        this.post({ type: 'removeRegion', id });
+    }
+
+    /**
+     * Set reference image for comparison (legacy method)
+     * @param {Object} frameData - Captured frame
+     */
+    setReferenceImage(frameData) {
+        this.reference = null;
+        const { frame, transfer } = this.packFrame(frameData);
+        this.isInitialized = true;
+        this.post({ type: 'setReferenceImage', frame }, transfer);
+    }
+
+    /**
+     * Clear reference data
+     */
+    clearReference() {
+        this.isInitialized = false;
+        this.lastDetection = null;
+        this.reference = null;
+        this.post({ type: 'clearReference' });
+    }
+
+    /**
+     * Reset box passage tracking
+     */
+    resetTracking() {
+        this.post({ type: 'resetTracking' });
+    }
+
+    /**
+     * Update detection settings
+     * @param {Object} newSettings - New settings
+     */
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        this.post({ type: 'updateSettings', settings: newSettings });
+    }
+
+    /**
+     * Apply the detection section of the configuration
+     * @param {Object} section - {settings?, config?}
+     */
+    configure(section) {
+        this.settings = { ...this.settings, ...section.settings };
+        this.config = { ...this.config, ...section.config };
+        if (section.config?.visionBackend) this.backendPreference = section.config.visionBackend;
+        this.post({ type: 'configure', section });
+    }
+
+    /**
+     * Select the vision backend ('auto', 'js' or 'opencv')
+     * The outcome arrives as a 'backendChanged' or 'error' event
+     * @param {string} preference - Backend preference
+     */
+    setBackend(preference) {
+        this.backendPreference = preference;
+        this.post({ type: 'setBackend', preference });
+    }
+
+    /**
+     * Load inspection rules from an ES module
+     * Relative URLs are resolved against the page, not the worker script
+     * @param {string} url - Module URL
+     */
+    loadRules(url) {
+        const href = new URL(url, location.href).href;
+        if (!this.ruleSources.includes(href)) this.ruleSources.push(href);
+        this.post({ type: 'loadRules', url: href });
+    }
+
+    /**
+     * Enable or disable an inspection rule
+     * @param {string} id - Rule id
+     * @param {boolean} enabled - New state
+     */
+    setRuleEnabled(id, enabled) {
+        this.ruleStates.set(id, enabled);
+        this.post({ type: 'setRuleEnabled', id, enabled });
+    }
+
+    /**
+     * Submit a frame for analysis; the result arrives as a 'result' event
+     * Frames submitted while the engine is busy are dropped, never queued
+     * @param {Object} frameData - {bitmap} or {imageData} plus width/height
+     * @param {Object} settings - Detection settings
+     * @returns {boolean} Whether the frame was accepted
+     */
+    submitFrame(frameData, settings = {}) {
+        if (this.isBusy) {
+            this.dropFrame(frameData);
+            return false;
+        }
+
+        const { frame, transfer } = this.packFrame(frameData);
+        this.isBusy = true;
+        this.pendingId = ++this.frameId;
+        this.post({ type: 'analyze', id: this.pendingId, frame, settings }, transfer);
+        return true;
+    }
+
+    /**
+     * Count a frame that was skipped because the engine was busy
+     * @param {Object} frameData - Optional frame to release
+     */
+    dropFrame(frameData = null) {
+        frameData?.bitmap?.close();
+        this.stats.dropped++;
+    }
+
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        const index = this.eventListeners[event].indexOf(callback);
+        if (index > -1) {
+            this.eventListeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data = null) {
+        if (!this.eventListeners[event]) return;
+
+        this.eventListeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Error in detection client listener for '${event}':`, error);
+            }
+        });
+    }
+
+    /**
+     * Get status information
+     * @returns {Object} Client status
+     */
+    getStatus() {
+        return {
+            mode: this.worker ? 'worker' : 'inline',
+            backend: this.backend,
+            rules: this.rules,
+            isInitialized: this.isInitialized,
+            isBusy: this.isBusy,
+            lastDetection: this.lastDetection,
+            stats: { ...this.stats }
+        };
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
+        this.eventListeners = {};
+        console.log('🧵 Detection client destroyed');
+    }
+}
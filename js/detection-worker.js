@@ -0,0 +1,154 @@
+/**
+ * Detection Worker
+ * Runs the DetectionEngine pipeline off the main thread.
+ * Frames arrive as transferable ImageBitmaps or RGBA ArrayBuffers,
+ * results and engine events go back as messages.
+ */
+
+import { DetectionEngine } from './detection.js';
+
+const engine = new DetectionEngine();
+let canvas = null;
+let ctx = null;
+
+// Forward engine events to the main thread
+['ready', 'referenceSet', 'referenceCleared', 'boxEntered', 'boxExited', 'backendChanged', 'rulesLoaded', 'error'].forEach(event => {
+    engine.on(event, (data) => {
+        self.postMessage({ type: 'event', event, data: serializeEventData(data) });
+    });
+});
+
+/**
+ * Make event payloads structured-clone safe
+ * @param {any} data - Event payload
+ * @returns {any} Cloneable payload
+ */
+function serializeEventData(data) {
+    if (data instanceof Error) {
+        return { message: data.message, name: data.name };
+    }
+    return data;
+}
+
+// Pick OpenCV.js when lib/opencv.js provides it, and load the line's custom rules
+engine.setBackend();
+engine.loadRules();
+
+/**
+ * Turn a transferred frame into ImageData
+ * @param {Object} frame - {bitmap} or {buffer, width, height}
+ * @returns {ImageData|null} Frame pixels
+ */
+function toImageData(frame) {
+    if (frame.bitmap) {
+        const { width, height } = frame.bitmap;
+
+        if (!canvas || canvas.width !== width || canvas.height !== height) {
+            canvas = new OffscreenCanvas(width, height);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        ctx.drawImage(frame.bitmap, 0, 0);
+        frame.bitmap.close();
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    if (frame.buffer) {
+        return new ImageData(new Uint8ClampedArray(frame.buffer), frame.width, frame.height);
+    }
+
+    return null;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'setReferenceAreas': {
+                const imageData = message.frame ? toImageData(message.frame) : null;
+                engine.setReferenceAreas(message.boxRect, message.keyPointRect, imageData);
+                break;
+            }
+
+            case 'setReferenceRegions': {
+                const imageData = message.frame ? toImageData(message.frame) : null;
+                engine.setReferenceRegions(message.boxRect, message.regions, imageData);
+                break;
+            }
+
+            case 'updateRegion':
+                engine.updateRegion(message.id, message.changes);
+                break;
+
+            case 'removeRegion':
+                engine.removeRegion(message.id);
+                break;
+
+            case 'setReferenceImage': {
+                const imageData = toImageData(message.frame);
+                engine.setReferenceImage({ imageData, width: imageData.width, height: imageData.height });
+                break;
+            }
+
+            case 'clearReference':
+                engine.clearReference();
+                break;
+
+            case 'resetTracking':
+                engine.resetTracking();
+                break;
+
+            case 'updateSettings':
+                engine.updateSettings(message.settings);
+                break;
+
+            case 'configure':
+                engine.configure(message.section);
+                break;
+
+            case 'setBackend':
+                engine.setBackend(message.preference);
+                break;
+
+            case 'loadRules':
+                engine.loadRules(message.url);
+                break;
+
+            case 'setRuleEnabled':
+                engine.setRuleEnabled(message.id, message.enabled);
+                self.postMessage({ type: 'event', event: 'rulesLoaded', data: { rules: engine.getRules() } });
+                break;
+
+            case 'analyze': {
+                const started = performance.now();
+                const imageData = toImageData(message.frame);
+                const result = engine.analyzeFrame({
+                    imageData,
+                    width: imageData.width,
+                    height: imageData.height,
+                    timestamp: message.frame.timestamp
+                }, message.settings);
+
+                self.postMessage({
+                    type: 'result',
+                    id: message.id,
+                    result,
+                    timing: performance.now() - started
+                });
+                break;
+            }
+
+            default:
+                console.warn('⚠️ Detection worker: unknown message', message.type);
+        }
+    } catch (error) {
+        console.error('❌ Detection worker error:', error);
+
+        // Always answer an analyze request so the client does not stay busy
+        if (message.type === 'analyze') {
+            self.postMessage({ type: 'result', id: message.id, result: null, timing: 0 });
+        }
+        self.postMessage({ type: 'event', event: 'error', data: serializeEventData(error) });
+    }
+};
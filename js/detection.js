@@ -4,12 +4,15 @@
  * Updated for Drawing Mode with Box and Key Point areas
  */
 
+import { ImageProcessing } from './image-processing.js';
+import { JsVisionBackend, OpenCvVisionBackend } from './vision-backend.js';
+
 export class DetectionEngine {
     constructor() {
         this.referenceImage = null;
         this.referenceFeatures = null;
         this.boxRect = null;        // Main box area
-        this.keyPointRect = null;   // Key point area for detection
+        this.regions = [];          // Named key point regions, evaluated one by one
         this.eventListeners = {};
         
         // Detection parameters
@@ -23,13 +26,47 @@ export class DetectionEngine {
 
         // Algorithm configuration
         this.config = {
-            gaussianBlur: 5,
+            gaussianBlur: 5,            // pre-blur radius for legacy full-frame detection
             cannyLower: 50,
             cannyUpper: 150,
-            morphKernel: 3,
-            approxEpsilon: 0.02
+            cannySigma: 1.4,            // Gaussian sigma applied inside detectEdges()
+            morphKernel: 3,             // closing size that bridges gaps in edge outlines
+            approxEpsilon: 0.02,
+            signatureSize: 32,          // box area thumbnail size used for tracking
+            occupancyEnter: 0.6,        // share of the box area covered to call a box present
+            occupancyExit: 0.35,        // share of the box area covered below which the box has left
+            foregroundThreshold: 30,    // gray levels a thumbnail sample must differ from the empty belt to count as covered
+            backgroundRate: 0.05,       // per-frame rate the empty-belt model follows the uncovered belt
+            trackingMinFrames: 2,       // consecutive frames needed to change state
+            similarityMetric: 'ncc',    // 'ncc' or 'ssim' for the key point snapshot
+            ssimWindow: 8,              // SSIM window size in pixels
+            searchMargin: 40,           // pixels searched around each region for the template
+            matchMinScore: 0.4,         // template score below which the key point is lost
+            houghAngleStep: 0.5,        // degrees per Hough accumulator bin
+            houghPeaks: 8,              // strongest lines used for the dominant orientation
+            houghMinConfidence: 0.3,    // below this the Hough angle is not trusted
+            visionBackend: 'auto'       // 'auto', 'js' or 'opencv' (see setBackend())
+        };
+
+        // What each region check type verifies (see compareWithReference())
+        this.checkTypes = {
+            full: { presence: true, position: true, rotation: true, similarity: true },
+            position: { presence: true, position: true, rotation: false, similarity: false },
+            rotation: { presence: true, position: false, rotation: true, similarity: false },
+            similarity: { presence: false, position: false, rotation: false, similarity: true },
+            presence: { presence: true, position: false, rotation: false, similarity: false }
         };
 
+        // Vision primitives; pure JS until setBackend() picks another one
+        this.backend = new JsVisionBackend();
+
+        // Line-specific inspection rules (see registerRule() / loadRules())
+        this.rules = new Map();
+
+        // Box passage tracking: 'empty' -> 'present' -> 'empty'
+        this.tracking = this.createTrackingState();
+        this.background = null;     // Empty-belt thumbnail of the box area (see measureOccupancy())
+
         this.isInitialized = false;
         this.lastDetection = null;
         this.detectionHistory = [];
@@ -51,31 +88,47 @@ export class DetectionEngine {
             this.emit('ready', {
                 engine: 'DetectionEngine',
                 version: '2.0.0',
-                capabilities: ['position', 'rotation', 'drawing-areas', 'basic-cv']
+                capabilities: ['position', 'rotation', 'drawing-areas', 'canny', 'box-tracking', 'snapshot-compare', 'template-match', 'hough-skew', 'regions'],
+                backend: this.backend.name
             });
         }, 100);
     }
 
     /**
      * Set reference areas using drawing rectangles
+     * Single key point shorthand for setReferenceRegions()
      * @param {Object} boxRect - Main box rectangle
      * @param {Object} keyPointRect - Key point rectangle
      * @param {Object} imageData - Optional reference image data
      */
     setReferenceAreas(boxRect, keyPointRect, imageData = null) {
+        this.setReferenceRegions(boxRect, [{ id: 'keypoint', name: 'จุดสำคัญ', rect: keyPointRect }], imageData);
+    }
+
+    /**
+     * Set the box area and its named key point regions
+     * Each region is {id, name, rect, checkType, tolerances: {position, rotation, similarity}};
+     * a null tolerance falls back to the matching global setting
+     * @param {Object} boxRect - Main box rectangle
+     * @param {Array} regions - Key point regions
+     * @param {Object} imageData - Optional reference image data
+     */
+    setReferenceRegions(boxRect, regions, imageData = null) {
         try {
             this.boxRect = boxRect;
-            this.keyPointRect = keyPointRect;
+            this.regions = regions.map((region, index) => this.normalizeRegion(region, index));
             this.referenceImage = imageData;
             
             // Extract features from the areas
-            this.referenceFeatures = this.extractFeaturesFromAreas(boxRect, keyPointRect, imageData);
+            this.referenceFeatures = this.extractFeaturesFromAreas(boxRect, this.regions, imageData);
             this.isInitialized = true;
+            this.resetTracking();
+            this.background = null;
             
-            console.log('📐 Reference areas set successfully:', { boxRect, keyPointRect });
+            console.log('📐 Reference areas set successfully:', { boxRect, regions: this.regions.length });
             this.emit('referenceSet', {
                 boxRect,
-                keyPointRect,
+                regions: this.getRegions(),
                 hasImage: !!imageData,
                 timestamp: Date.now()
             });
@@ -86,6 +139,75 @@ export class DetectionEngine {
         }
     }
 
+    /**
+     * Fill in defaults for a region definition
+     * @param {Object} region - Region definition
+     * @param {number} index - Position in the region list
+     * @returns {Object} Region
+     */
+    normalizeRegion(region, index) {
+        return {
+            id: region.id || `region-${index + 1}`,
+            name: region.name || `จุดที่ ${index + 1}`,
+            rect: { ...region.rect },
+            checkType: this.checkTypes[region.checkType] ? region.checkType : 'full',
+            tolerances: { position: null, rotation: null, similarity: null, ...region.tolerances },
+            features: null
+        };
+    }
+
+    /**
+     * Change a region's name, check type or tolerances without retaking the reference
+     * @param {string} id - Region id
+     * @param {Object} changes - {name?, checkType?, tolerances?}
+     * @returns {boolean} Whether the region exists
+     */
+    updateRegion(id, changes) {
+        const region = this.regions.find(r => r.id === id);
+        if (!region) return false;
+
+        if (changes.name) region.name = changes.name;
+        if (this.checkTypes[changes.checkType]) region.checkType = changes.checkType;
+        if (changes.tolerances) region.tolerances = { ...region.tolerances, ...changes.tolerances };
+
+        return true;
+    }
+
+    /**
+     * Stop evaluating a region
+     * @param {string} id - Region id
+     * @returns {boolean} Whether a region was removed
+     */
+    removeRegion(id) {
+        const count = this.regions.length;
+        this.regions = this.regions.filter(r => r.id !== id);
+        return this.regions.length !== count;
+    }
+
+    /**
+     * Describe the regions (without their reference pixels)
+     * @returns {Array} [{id, name, rect, checkType, tolerances}]
+     */
+    getRegions() {
+        return this.regions.map(({ id, name, rect, checkType, tolerances }) => ({
+            id, name, rect, checkType, tolerances
+        }));
+    }
+
+    /**
+     * Tolerances for a region, falling back to the global settings
+     * @param {Object|null} region - Region, or null for the global settings
+     * @returns {Object} {position, rotation, similarity}
+     */
+    resolveTolerances(region) {
+        const own = region?.tolerances || {};
+        return {
+            position: own.position ?? this.settings.positionSensitivity,
+            rotation: own.rotation ?? this.settings.rotationSensitivity,
+            similarity: own.similarity ?? this.settings.detectionThreshold
+        };
+    }
+
     /**
      * Set reference image for comparison (legacy method)
      * @param {Object} imageData - Reference image data
@@ -117,10 +239,12 @@ export class DetectionEngine {
         this.referenceImage = null;
         this.referenceFeatures = null;
         this.boxRect = null;
-        this.keyPointRect = null;
+        this.regions = [];
         this.isInitialized = false;
         this.lastDetection = null;
         this.detectionHistory = [];
+        this.resetTracking();
+        this.background = null;
         
         console.log('📐 Reference data cleared');
         this.emit('referenceCleared');
@@ -135,7 +259,7 @@ export class DetectionEngine {
         
         return {
             boxRect: this.boxRect,
-            keyPointRect: this.keyPointRect,
+            regions: this.getRegions(),
             image: this.referenceImage,
             features: this.referenceFeatures,
             timestamp: Date.now(),
@@ -164,7 +288,7 @@ export class DetectionEngine {
             this.updateSettings(settings);
 
             // If using drawing mode
-            if (this.keyPointRect) {
+            if (this.regions.length > 0) {
                 return this.analyzeWithDrawingAreas(frameData);
             }
             
@@ -188,84 +312,378 @@ export class DetectionEngine {
      * @returns {Object} Detection result
      */
     analyzeWithDrawingAreas(frameData) {
-        // Extract region of interest from key point area
-        const roiData = this.extractROI(frameData, this.keyPointRect);
+        // Skew of the box edges inside boxRect, shared by every region
+        const skew = this.measureSkew(frameData.imageData, this.boxRect);
+
+        const results = this.regions.map(region => this.analyzeRegion(frameData, region, skew));
+        const comparison = this.combineRegionResults(results);
+
+        // Follow the box through boxRect so each box gets a single verdict
+        const signature = this.computeSignature(frameData.imageData, this.boxRect);
+        comparison.tracking = this.updateTracking(this.measureOccupancy(signature), this.measureSimilarity(signature), comparison);
+        
+        // Store detection history
+        this.addToHistory(comparison);
+        this.lastDetection = comparison;
+        
+        return comparison;
+    }
+
+    /**
+     * Analyze and judge one key point region
+     * @param {Object} frameData - Frame data
+     * @param {Object} region - Region
+     * @param {Object|null} skew - Hough skew of the box
+     * @returns {Object} Comparison result tagged with the region
+     */
+    analyzeRegion(frameData, region, skew) {
+        const tag = { id: region.id, name: region.name, checkType: region.checkType };
+
+        // Extract region of interest from the key point area
+        const roiData = this.extractROI(frameData, region.rect);
         
         if (!roiData) {
             return {
                 hasAlert: false,
                 message: 'ไม่สามารถแยกพื้นที่ตรวจจับได้',
-                box: this.keyPointRect,
-                confidence: 0
+                box: region.rect,
+                confidence: 0,
+                region: tag
             };
         }
 
         // Analyze the region for changes
         const analysis = this.analyzeROI(roiData);
+        if (analysis.features?.rotatedRect) {
+            analysis.features.rotatedRect = this.offsetRotatedRect(analysis.features.rotatedRect, roiData.originalRect);
+            analysis.features.position = { ...analysis.features.rotatedRect.center };
+        }
+
+        // Find where the reference key point patch actually is
+        analysis.match = this.locateKeyPoint(frameData, region);
+        analysis.skew = skew;
         
         // Compare with reference state
-        const comparison = this.compareWithReference(analysis);
-        
-        // Store detection history
-        this.addToHistory(comparison);
-        this.lastDetection = comparison;
-        
-        return comparison;
+        const result = this.compareWithReference(analysis, region);
+
+        // Line-specific checks from the rule registry
+        this.applyRules(result, { frame: frameData, roi: roiData, analysis, region });
+
+        result.region = tag;
+        return result;
+    }
+
+    /**
+     * Fold per-region results into one frame verdict
+     * The first failing region (or the first region) supplies box, rotatedRect and details
+     * @param {Array} results - Region results in region order
+     * @returns {Object} Detection result with a `regions` array
+     */
+    combineRegionResults(results) {
+        const failed = results.filter(result => result.hasAlert);
+        const primary = failed[0] || results[0];
+        const label = result => results.length > 1 ? `${result.region.name}: ${result.message}` : result.message;
+
+        return {
+            hasAlert: failed.length > 0,
+            message: failed.length > 0 ? failed.map(label).join(' | ') : primary.message,
+            box: primary.box,
+            rotatedRect: primary.rotatedRect || null,
+            confidence: Math.min(...results.map(result => result.confidence)),
+            details: primary.details,
+            regions: results
+        };
+    }
+
+    /**
+     * Create a fresh tracking state
+     * @returns {Object} Tracking state
+     */
+    createTrackingState() {
+        return {
+            state: 'empty',
+            sequence: 0,
+            pendingFrames: 0,
+            enteredAt: null,
+            frames: 0,
+            bestSimilarity: -1,
+            verdict: null
+        };
+    }
+
+    /**
+     * Reset box passage tracking (keeps nothing from the previous box)
+     */
+    resetTracking() {
+        this.tracking = this.createTrackingState();
+    }
+
+    /**
+     * Measure how much of the box area is covered by something other than the empty belt
+     * Presence never looks at the reference box, so a box that looks wrong is still
+     * tracked and judged. The empty-belt model starts at the belt level seen around the
+     * box area in the reference picture (the first frame without one) and then follows
+     * the belt: quickly where it is uncovered, 25 times slower under a box, so a box
+     * left standing in the area fades into the belt after roughly 20 seconds at 30 FPS.
+     * @param {Float32Array|null} signature - Box area thumbnail of this frame
+     * @returns {number} Covered share of the box area 0..1
+     */
+    measureOccupancy(signature) {
+        if (!signature) return 0;
+
+        if (!this.background || this.background.length !== signature.length) {
+            const level = this.referenceFeatures?.beltLevel;
+            this.background = typeof level === 'number' ?
+                new Float32Array(signature.length).fill(level) :
+                Float32Array.from(signature);
+        }
+
+        const { foregroundThreshold, backgroundRate } = this.config;
+        const mask = this.referenceFeatures?.boxSignatureMask;
+        const background = this.background;
+        let covered = 0, count = 0;
+
+        for (let i = 0; i < signature.length; i++) {
+            const foreground = Math.abs(signature[i] - background[i]) > foregroundThreshold;
+            background[i] += (signature[i] - background[i]) * (foreground ? backgroundRate / 25 : backgroundRate);
+
+            if (mask && !mask[i]) continue;
+            count++;
+            if (foreground) covered++;
+        }
+
+        return count > 0 ? covered / count : 0;
+    }
+
+    /**
+     * Measure how much the box area looks like the reference box
+     * @param {Float32Array|null} signature - Box area thumbnail of this frame
+     * @returns {number} Similarity 0..1
+     */
+    measureSimilarity(signature) {
+        const reference = this.referenceFeatures?.boxSignature;
+        if (!reference || !signature) return 0;
+
+        return Math.max(0, this.normalizedCorrelation(reference, signature, this.referenceFeatures.boxSignatureMask));
+    }
+
+    /**
+     * Median gray level of a band around the box area in the reference picture,
+     * taken as the empty belt the reference box stands on
+     * @param {ImageData} imageData - Reference picture
+     * @param {Object} rect - Box area
+     * @returns {number|null} Gray level, null when the band is outside the picture
+     */
+    measureBeltLevel(imageData, rect) {
+        const { width, height, data } = imageData;
+        const margin = Math.max(4, Math.round(Math.min(rect.width, rect.height) * 0.1));
+        const step = Math.max(1, Math.round(margin / 4));
+        const x0 = Math.max(0, Math.floor(rect.x - margin));
+        const y0 = Math.max(0, Math.floor(rect.y - margin));
+        const x1 = Math.min(width, Math.ceil(rect.x + rect.width + margin));
+        const y1 = Math.min(height, Math.ceil(rect.y + rect.height + margin));
+
+        const levels = [];
+        for (let y = y0; y < y1; y += step) {
+            for (let x = x0; x < x1; x += step) {
+                if (x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height) continue;
+                const idx = (y * width + x) * 4;
+                levels.push(data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114);
+            }
+        }
+        if (levels.length === 0) return null;
+
+        levels.sort((a, b) => a - b);
+        return levels[levels.length >> 1];
+    }
+
+    /**
+     * Downsample a rectangle of an image to a small grayscale thumbnail
+     * @param {ImageData} imageData - Source image
+     * @param {Object} rect - Area to sample
+     * @returns {Float32Array|null} Thumbnail values (row-major)
+     */
+    computeSignature(imageData, rect) {
+        if (!imageData || !rect) return null;
+
+        const size = this.config.signatureSize;
+        const { width, height, data } = imageData;
+        const x0 = Math.max(0, Math.floor(rect.x));
+        const y0 = Math.max(0, Math.floor(rect.y));
+        const x1 = Math.min(width, Math.floor(rect.x + rect.width));
+        const y1 = Math.min(height, Math.floor(rect.y + rect.height));
+        if (x1 - x0 < 2 || y1 - y0 < 2) return null;
+
+        const signature = new Float32Array(size * size);
+        const cellW = (x1 - x0) / size;
+        const cellH = (y1 - y0) / size;
+
+        for (let sy = 0; sy < size; sy++) {
+            const py = Math.min(y1 - 1, Math.floor(y0 + (sy + 0.5) * cellH));
+            for (let sx = 0; sx < size; sx++) {
+                const px = Math.min(x1 - 1, Math.floor(x0 + (sx + 0.5) * cellW));
+                const idx = (py * width + px) * 4;
+                signature[sy * size + sx] = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+            }
+        }
+
+        return signature;
+    }
+
+    /**
+     * Zero-mean normalized cross-correlation of two equally sized arrays
+     * @param {ArrayLike<number>} a - First array
+     * @param {ArrayLike<number>} b - Second array
+     * @param {Uint8Array|null} mask - Only entries with a non-zero mask are compared
+     * @returns {number} Correlation in -1..1 (0 when either is flat)
+     */
+    normalizedCorrelation(a, b, mask = null) {
+        const length = Math.min(a.length, b.length);
+        let n = 0;
+
+        let meanA = 0, meanB = 0;
+        for (let i = 0; i < length; i++) {
+            if (mask && !mask[i]) continue;
+            meanA += a[i];
+            meanB += b[i];
+            n++;
+        }
+        if (n === 0) return 0;
+        meanA /= n;
+        meanB /= n;
+
+        let cross = 0, varA = 0, varB = 0;
+        for (let i = 0; i < length; i++) {
+            if (mask && !mask[i]) continue;
+            const da = a[i] - meanA;
+            const db = b[i] - meanB;
+            cross += da * db;
+            varA += da * da;
+            varB += db * db;
+        }
+
+        const denom = Math.sqrt(varA * varB);
+        return denom > 0 ? cross / denom : 0;
+    }
+
+    /**
+     * Advance the box passage state machine
+     * @param {number} occupancy - Covered share of the box area 0..1 (decides presence)
+     * @param {number} similarity - Similarity to the reference box 0..1 (picks the verdict frame)
+     * @param {Object} comparison - Comparison result for this frame
+     * @returns {Object} Tracking snapshot for the result
+     */
+    updateTracking(occupancy, similarity, comparison) {
+        const t = this.tracking;
+        const minFrames = this.config.trackingMinFrames;
+
+        if (t.state === 'empty') {
+            t.pendingFrames = occupancy >= this.config.occupancyEnter ? t.pendingFrames + 1 : 0;
+
+            if (t.pendingFrames >= minFrames) {
+                t.state = 'present';
+                t.sequence++;
+                t.pendingFrames = 0;
+                t.enteredAt = Date.now();
+                t.frames = 0;
+                t.bestSimilarity = -1;
+                t.verdict = null;
+
+                this.emit('boxEntered', {
+                    sequence: t.sequence,
+                    occupancy,
+                    timestamp: t.enteredAt
+                });
+            }
+        } else {
+            t.frames++;
+
+            // The frame where the box best matches the reference decides the verdict
+            if (similarity > t.bestSimilarity) {
+                t.bestSimilarity = similarity;
+                t.verdict = comparison;
+            }
+
+            t.pendingFrames = occupancy < this.config.occupancyExit ? t.pendingFrames + 1 : 0;
+
+            if (t.pendingFrames >= minFrames) {
+                const exitedAt = Date.now();
+
+                this.emit('boxExited', {
+                    sequence: t.sequence,
+                    result: t.verdict,
+                    frames: t.frames,
+                    duration: exitedAt - t.enteredAt,
+                    timestamp: exitedAt
+                });
+
+                t.state = 'empty';
+                t.pendingFrames = 0;
+                t.enteredAt = null;
+                t.frames = 0;
+                t.bestSimilarity = -1;
+                t.verdict = null;
+            }
+        }
+
+        return {
+            state: t.state,
+            sequence: t.sequence,
+            occupancy,
+            similarity
+        };
     }
 
     /**
      * Extract Region of Interest from frame
+     * Copies rows straight out of the frame buffer, so it works without a DOM (Web Worker)
      * @param {Object} frameData - Frame data
      * @param {Object} rect - Rectangle defining ROI
      * @returns {Object|null} ROI data
      */
     extractROI(frameData, rect) {
         try {
-            if (!frameData.imageData) return null;
+            const source = frameData.imageData;
+            if (!source) return null;
 
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            // Scale rectangle to frame dimensions
-            const scaleX = frameData.width / frameData.imageData.width;
-            const scaleY = frameData.height / frameData.imageData.height;
-            
-            const scaledRect = {
-                x: Math.floor(rect.x * scaleX),
-                y: Math.floor(rect.y * scaleY),
-                width: Math.floor(rect.width * scaleX),
-                height: Math.floor(rect.height * scaleY)
+            if (rect.angle) {
+                const roi = this.extractRotatedROI(source, rect);
+                roi.mask = this.roiMask(roi, rect);
+                return roi;
+            }
+
+            // Rectangles arrive in frame pixels (see VideoViewport.rectToFrame)
+            const frameRect = {
+                x: Math.floor(rect.x),
+                y: Math.floor(rect.y),
+                width: Math.floor(rect.width),
+                height: Math.floor(rect.height)
             };
 
             // Ensure bounds are within image
-            scaledRect.x = Math.max(0, Math.min(scaledRect.x, frameData.width - 1));
-            scaledRect.y = Math.max(0, Math.min(scaledRect.y, frameData.height - 1));
-            scaledRect.width = Math.min(scaledRect.width, frameData.width - scaledRect.x);
-            scaledRect.height = Math.min(scaledRect.height, frameData.height - scaledRect.y);
-
-            canvas.width = scaledRect.width;
-            canvas.height = scaledRect.height;
-
-            // Put the original image on a temporary canvas
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = frameData.width;
-            tempCanvas.height = frameData.height;
-            tempCtx.putImageData(frameData.imageData, 0, 0);
-
-            // Extract ROI
-            ctx.drawImage(
-                tempCanvas,
-                scaledRect.x, scaledRect.y, scaledRect.width, scaledRect.height,
-                0, 0, scaledRect.width, scaledRect.height
-            );
+            frameRect.x = Math.max(0, Math.min(frameRect.x, source.width - 1));
+            frameRect.y = Math.max(0, Math.min(frameRect.y, source.height - 1));
+            frameRect.width = Math.min(frameRect.width, source.width - frameRect.x);
+            frameRect.height = Math.min(frameRect.height, source.height - frameRect.y);
 
-            return {
-                imageData: ctx.getImageData(0, 0, canvas.width, canvas.height),
-                width: canvas.width,
-                height: canvas.height,
-                originalRect: scaledRect
+            if (frameRect.width <= 0 || frameRect.height <= 0) return null;
+
+            const rowBytes = frameRect.width * 4;
+            const pixels = new Uint8ClampedArray(rowBytes * frameRect.height);
+
+            for (let y = 0; y < frameRect.height; y++) {
+                const start = ((frameRect.y + y) * source.width + frameRect.x) * 4;
+                pixels.set(source.data.subarray(start, start + rowBytes), y * rowBytes);
+            }
+
+            const roi = {
+                imageData: new ImageData(pixels, frameRect.width, frameRect.height),
+                width: frameRect.width,
+                height: frameRect.height,
+                originalRect: frameRect
             };
+            roi.mask = this.roiMask(roi, rect);
+            return roi;
 
         } catch (error) {
             console.error('❌ Error extracting ROI:', error);
@@ -273,6 +691,138 @@ export class DetectionEngine {
         }
     }
 
+    /**
+     * Whether an area is limited by a polygon or painted mask
+     * @param {Object} rect - Area rectangle
+     * @returns {boolean} True when only part of the rectangle is analysed
+     */
+    hasAreaShape(rect) {
+        return (rect?.polygon?.length || 0) >= 3 || (rect?.mask?.strokes?.length || 0) > 0;
+    }
+
+    /**
+     * Rasterize an area's polygon and brush strokes
+     * Vertices and stroke points are normalized to the area rectangle (0..1 along its
+     * own axes) and a stroke radius is a fraction of its shorter side. Without a polygon
+     * the whole rectangle is included, or nothing when there are include strokes;
+     * strokes are then applied in order.
+     * @param {Object} rect - Area {x, y, width, height, angle?, polygon?, mask: {strokes}?}
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @param {Function} toPixel - Maps a normalized [u, v] to mask pixels [x, y]
+     * @param {number} unit - Mask pixels per unit of stroke radius
+     * @returns {Uint8Array} 1 for analysed pixels, 0 for ignored ones
+     */
+    areaMask(rect, width, height, toPixel, unit) {
+        const mask = new Uint8Array(width * height);
+        const strokes = rect.mask?.strokes || [];
+
+        if ((rect.polygon?.length || 0) >= 3) {
+            ImageProcessing.fillPolygon(mask, width, height, rect.polygon.map(toPixel), 1);
+        } else if (!strokes.some(stroke => stroke.mode === 'include')) {
+            mask.fill(1);
+        }
+
+        strokes.forEach(stroke => {
+            ImageProcessing.paintStroke(mask, width, height, stroke.points.map(toPixel),
+                stroke.radius * unit, stroke.mode === 'exclude' ? 0 : 1);
+        });
+
+        return mask;
+    }
+
+    /**
+     * Mask of the analysed pixels inside an extracted ROI
+     * @param {Object} roi - ROI from extractROI()
+     * @param {Object} rect - Area the ROI was cut from
+     * @returns {Uint8Array|null} Mask, or null when every pixel is analysed
+     */
+    roiMask(roi, rect) {
+        if (!this.hasAreaShape(rect)) return null;
+
+        const origin = roi.originalRect;
+        const toPixel = rect.angle ?
+            ([u, v]) => [u * roi.width, v * roi.height] :
+            ([u, v]) => [rect.x + u * rect.width - origin.x, rect.y + v * rect.height - origin.y];
+
+        return this.areaMask(rect, roi.width, roi.height, toPixel, Math.min(rect.width, rect.height));
+    }
+
+    /**
+     * Mask of the box signature samples (see computeSignature())
+     * @param {Object} rect - Box area
+     * @returns {Uint8Array|null} signatureSize^2 mask, or null when every sample is used
+     */
+    signatureMask(rect) {
+        if (!this.hasAreaShape(rect)) return null;
+
+        const size = this.config.signatureSize;
+        const unit = size * Math.min(rect.width, rect.height) / Math.max(rect.width, rect.height);
+        return this.areaMask(rect, size, size, ([u, v]) => [u * size, v * size], unit);
+    }
+
+    /**
+     * Drop edge pixels outside a mask
+     * @param {Object} edges - Edge map {data, width, height}
+     * @param {Uint8Array|null} mask - Analysed pixels
+     * @returns {Object} The edge map
+     */
+    maskEdges(edges, mask) {
+        if (!mask) return edges;
+
+        for (let i = 0; i < edges.data.length; i++) {
+            if (!mask[i]) edges.data[i] = 0;
+        }
+        return edges;
+    }
+
+    /**
+     * Resample a rotated rectangle into an upright ROI (bilinear, edges clamped)
+     * @param {ImageData} source - Frame pixels
+     * @param {Object} rect - {x, y, width, height, angle}: the unrotated rectangle
+     *                        turned by `angle` degrees (clockwise) about its centre
+     * @returns {Object} ROI data; originalRect keeps the angle for offsetRotatedRect()
+     */
+    extractRotatedROI(source, rect) {
+        const width = Math.max(1, Math.round(rect.width));
+        const height = Math.max(1, Math.round(rect.height));
+        const a = rect.angle * Math.PI / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        const cx = rect.x + rect.width / 2;
+        const cy = rect.y + rect.height / 2;
+        const src = source.data;
+        const maxX = source.width - 1, maxY = source.height - 1;
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        for (let y = 0; y < height; y++) {
+            const v = y + 0.5 - height / 2;
+            for (let x = 0; x < width; x++) {
+                const u = x + 0.5 - width / 2;
+                const fx = Math.max(0, Math.min(maxX, cx + u * cos - v * sin - 0.5));
+                const fy = Math.max(0, Math.min(maxY, cy + u * sin + v * cos - 0.5));
+                const x0 = Math.floor(fx), y0 = Math.floor(fy);
+                const x1 = Math.min(maxX, x0 + 1), y1 = Math.min(maxY, y0 + 1);
+                const tx = fx - x0, ty = fy - y0;
+
+                const i00 = (y0 * source.width + x0) * 4, i10 = (y0 * source.width + x1) * 4;
+                const i01 = (y1 * source.width + x0) * 4, i11 = (y1 * source.width + x1) * 4;
+                const o = (y * width + x) * 4;
+                for (let c = 0; c < 4; c++) {
+                    const top = src[i00 + c] + (src[i10 + c] - src[i00 + c]) * tx;
+                    const bottom = src[i01 + c] + (src[i11 + c] - src[i01 + c]) * tx;
+                    pixels[o + c] = top + (bottom - top) * ty;
+                }
+            }
+        }
+
+        return {
+            imageData: new ImageData(pixels, width, height),
+            width,
+            height,
+            originalRect: { x: rect.x, y: rect.y, width, height, angle: rect.angle }
+        };
+    }
+
     /**
      * Analyze Region of Interest
      * @param {Object} roiData - ROI data
@@ -281,13 +831,13 @@ export class DetectionEngine {
     analyzeROI(roiData) {
         try {
             // Convert to grayscale for analysis
-            const grayData = this.convertToGrayscale(roiData.imageData);
+            const gray = this.toGrayImage(roiData.imageData);
             
-            // Apply edge detection
-            const edges = this.detectEdges(grayData);
+            // Apply edge detection; belt texture outside the area's mask is ignored
+            const edges = this.maskEdges(this.detectEdges(gray), roiData.mask);
             
-            // Find contours
-            const contours = this.findContours(edges);
+            // Find contours on the closed edge map
+            const contours = this.findContours(this.closeEdges(edges));
             
             // Analyze contours for box-like shapes
             const boxFeatures = this.analyzeContours(contours);
@@ -296,6 +846,11 @@ export class DetectionEngine {
                 edges: edges,
                 contours: contours.length,
                 features: boxFeatures,
+                gray: gray.data,
+                mask: roiData.mask || null,
+                origin: { x: roiData.originalRect.x, y: roiData.originalRect.y },
+                width: roiData.width,
+                height: roiData.height,
                 timestamp: Date.now()
             };
 
@@ -305,6 +860,7 @@ export class DetectionEngine {
                 edges: null,
                 contours: 0,
                 features: null,
+                gray: null,
                 timestamp: Date.now()
             };
         }
@@ -339,16 +895,17 @@ export class DetectionEngine {
 
         // Calculate box features
         const boundingBox = this.calculateBoundingBox(largestContour);
-        const rotation = this.calculateRotation(largestContour);
+        const rotatedRect = this.minAreaRect(largestContour);
         const confidence = Math.min(100, maxArea / 1000); // Simple confidence based on area
 
         return {
             hasBox: maxArea > this.settings.minContourArea,
-            rotation: rotation,
+            rotation: rotatedRect.angle,
             position: {
-                x: boundingBox.x + boundingBox.width / 2,
-                y: boundingBox.y + boundingBox.height / 2
+                x: rotatedRect.center.x,
+                y: rotatedRect.center.y
             },
+            rotatedRect: rotatedRect,
             boundingBox: boundingBox,
             area: maxArea,
             confidence: confidence
@@ -400,96 +957,608 @@ export class DetectionEngine {
         };
     }
 
+    /**
+     * Minimum-area rotated rectangle around a contour
+     * @param {Array} contour - [x, y] points
+     * @returns {Object} {center, width, height, angle, corners}, angle in (-45, 45] degrees
+     */
+    minAreaRect(contour) {
+        return this.backend.minAreaRect(contour);
+    }
+
+    /**
+     * Move a rotated rectangle from ROI coordinates into frame coordinates
+     * @param {Object} rect - Rotated rectangle in ROI pixels
+     * @param {Object} origin - ROI origin {x, y} in the frame, with `angle` for rotated ROIs
+     * @returns {Object} Rotated rectangle in frame pixels
+     */
+    offsetRotatedRect(rect, origin) {
+        if (origin.angle) {
+            const a = origin.angle * Math.PI / 180;
+            const cos = Math.cos(a), sin = Math.sin(a);
+            const cx = origin.x + origin.width / 2;
+            const cy = origin.y + origin.height / 2;
+            const toFrame = (x, y) => {
+                const u = x + 0.5 - origin.width / 2;
+                const v = y + 0.5 - origin.height / 2;
+                return [cx + u * cos - v * sin - 0.5, cy + u * sin + v * cos - 0.5];
+            };
+            const [x, y] = toFrame(rect.center.x, rect.center.y);
+
+            return {
+                ...rect,
+                angle: rect.angle + origin.angle,
+                center: { x, y },
+                corners: rect.corners.map(([px, py]) => toFrame(px, py))
+            };
+        }
+
+        return {
+            ...rect,
+            center: { x: rect.center.x + origin.x, y: rect.center.y + origin.y },
+            corners: rect.corners.map(([x, y]) => [x + origin.x, y + origin.y])
+        };
+    }
+
     /**
      * Compare analysis with reference
+     * With a region, its own reference, tolerances and check type are used
      * @param {Object} analysis - Current analysis
+     * @param {Object|null} region - Key point region
      * @returns {Object} Comparison result
      */
-    compareWithReference(analysis) {
-        if (!this.referenceFeatures) {
+    compareWithReference(analysis, region = null) {
+        const reference = region ? region.features : this.referenceFeatures;
+        const box = region ? region.rect : null;
+
+        if (!reference) {
             return {
                 hasAlert: false,
                 message: 'ไม่มีข้อมูลอ้างอิง',
-                box: this.keyPointRect,
+                box,
                 confidence: 0,
                 details: {
                     positionOffset: 0,
                     rotationOffset: 0,
+                    similarity: null,
                     positionOk: true,
-                    rotationOk: true
+                    rotationOk: true,
+                    similarityOk: true
                 }
             };
         }
 
+        const tolerances = this.resolveTolerances(region);
+        const checks = this.checkTypes[region?.checkType] || this.checkTypes.full;
+
         const result = {
             hasAlert: false,
             message: 'กล่องอยู่ในตำแหน่งที่ถูกต้อง',
-            box: this.keyPointRect,
+            box,
+            rotatedRect: analysis.features?.rotatedRect || null,
             confidence: 100,
             details: {
                 positionOffset: 0,
                 rotationOffset: 0,
+                similarity: null,
                 positionOk: true,
-                rotationOk: true
+                rotationOk: true,
+                similarityOk: true
             }
         };
 
-        // If no box features detected, it might be an issue
-        if (!analysis.features || !analysis.features.hasBox) {
-            // Simulate detection for demo purposes
-            const shouldAlert = Math.random() < 0.05; // 5% chance
-            
-            if (shouldAlert) {
+        const issues = [];
+
+        // Compare the key point pixels with the reference snapshot
+        const similarity = checks.similarity ? this.compareWithSnapshot(analysis, reference.keyPointPatch) : null;
+        if (similarity !== null) {
+            result.details.similarity = Math.round(similarity);
+            result.details.similarityOk = similarity >= tolerances.similarity;
+            result.confidence = Math.round(similarity);
+
+            if (!result.details.similarityOk) {
+                issues.push(`จุดสำคัญไม่ตรงกับภาพอ้างอิง (${result.details.similarity}%)`);
+            }
+        }
+
+        const match = analysis.match || null;
+        const keyPointFound = match ?
+            match.score >= this.config.matchMinScore :
+            !!(analysis.features && analysis.features.hasBox);
+
+        // A similarity-only region is judged on its pixels alone
+        if (!checks.presence) {
+            if (match) result.details.match = this.roundMatch(match);
+            if (issues.length > 0) {
                 result.hasAlert = true;
-                result.message = 'ไม่พบกล่องในตำแหน่งที่กำหนด';
-                result.confidence = 30;
-                result.details.positionOk = false;
-                result.details.positionOffset = Math.floor(Math.random() * 50 + 20);
+                result.message = issues.join(', ');
             }
-            
             return result;
         }
 
-        // Compare position (simplified - using center of keypoint area as reference)
-        const expectedCenterX = this.keyPointRect.width / 2;
-        const expectedCenterY = this.keyPointRect.height / 2;
-        const currentCenterX = analysis.features.position.x;
-        const currentCenterY = analysis.features.position.y;
+        // Key point not found inside its search window (or no box-like shape without a template)
+        if (!keyPointFound) {
+            result.hasAlert = true;
+            result.details.positionOk = false;
+            if (match) {
+                result.details.match = this.roundMatch(match);
+            }
+            issues.unshift('ไม่พบกล่องในตำแหน่งที่กำหนด');
+            result.message = issues.join(', ');
+            if (similarity === null) {
+                result.confidence = Math.round(match ? match.score * 100 : (analysis.features?.confidence || 0));
+            }
+            return result;
+        }
 
-        const positionOffset = Math.sqrt(
-            Math.pow(currentCenterX - expectedCenterX, 2) + 
-            Math.pow(currentCenterY - expectedCenterY, 2)
-        );
+        let positionOffset;
+
+        if (match) {
+            // True displacement of the key point patch inside the search window
+            positionOffset = Math.sqrt(match.dx * match.dx + match.dy * match.dy);
+            result.details.match = this.roundMatch(match);
+        } else {
+            // Without a template, fall back to the centroid of the largest contour
+            const expectedCenterX = reference.centerX;
+            const expectedCenterY = reference.centerY;
+            const currentCenterX = analysis.features.position.x;
+            const currentCenterY = analysis.features.position.y;
+
+            positionOffset = Math.sqrt(
+                Math.pow(currentCenterX - expectedCenterX, 2) + 
+                Math.pow(currentCenterY - expectedCenterY, 2)
+            );
+        }
 
         result.details.positionOffset = Math.round(positionOffset);
-        result.details.positionOk = positionOffset <= this.settings.positionSensitivity;
-
-        // Compare rotation
-        const expectedRotation = this.referenceFeatures.rotation || 0;
-        const currentRotation = analysis.features.rotation;
-        const rotationDiff = Math.abs(currentRotation - expectedRotation);
-        const normalizedRotation = Math.min(rotationDiff, 360 - rotationDiff);
+        result.details.positionOk = !checks.position || positionOffset <= tolerances.position;
+
+        // Compare rotation: Hough skew of the box edges first, contour moments as fallback
+        let normalizedRotation = 0;
+        const skew = analysis.skew;
+        const referenceSkew = this.referenceFeatures?.skew;
+
+        if (skew && referenceSkew && skew.confidence >= this.config.houghMinConfidence) {
+            normalizedRotation = this.angleDifference90(skew.angle, referenceSkew.angle);
+            result.details.rotation = {
+                angle: Math.round(skew.angle * 10) / 10,
+                reference: Math.round(referenceSkew.angle * 10) / 10,
+                confidence: Math.round(skew.confidence * 100),
+                source: 'hough'
+            };
+        } else if (analysis.features && analysis.features.hasBox) {
+            const expectedRotation = reference.rotation || 0;
+            const currentRotation = analysis.features.rotation;
+            normalizedRotation = this.angleDifference90(currentRotation, expectedRotation);
+            result.details.rotation = {
+                angle: Math.round(currentRotation * 10) / 10,
+                reference: Math.round(expectedRotation * 10) / 10,
+                confidence: skew ? Math.round(skew.confidence * 100) : 0,
+                source: 'contour'
+            };
+        }
 
         result.details.rotationOffset = Math.round(normalizedRotation);
-        result.details.rotationOk = normalizedRotation <= this.settings.rotationSensitivity;
+        result.details.rotationOk = !checks.rotation || normalizedRotation <= tolerances.rotation;
+
+        if (!result.details.positionOk) {
+            issues.push(`ตำแหน่งเลื่อน ${result.details.positionOffset}px`);
+        }
+        if (!result.details.rotationOk) {
+            issues.push(`เอียง ${result.details.rotationOffset}°`);
+        }
 
         // Determine if there's an alert
-        if (!result.details.positionOk || !result.details.rotationOk) {
+        if (issues.length > 0) {
             result.hasAlert = true;
+            result.message = issues.join(', ');
+
+            if (similarity === null) {
+                result.confidence = Math.max(0, 100 - (positionOffset / 5) - (normalizedRotation * 2));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Register a custom inspection rule
+     * A rule is {id, name?, description?, enabled?, options?, evaluate(context)} where
+     * evaluate() synchronously returns {pass, score, message} (or just a boolean).
+     * The context holds the key point ROI, reference features, settings and this frame's analysis.
+     * An optional `regions` array of region ids or names limits the rule to those regions.
+     * @param {Object} rule - Rule definition
+     * @param {string} source - Where the rule came from
+     * @returns {boolean} Whether the rule was registered
+     */
+    registerRule(rule, source = 'inline') {
+        if (!rule || typeof rule.id !== 'string' || typeof rule.evaluate !== 'function') {
+            console.warn('⚠️ Ignoring invalid inspection rule (needs id and evaluate()):', rule?.id ?? rule);
+            return false;
+        }
+
+        if (this.rules.has(rule.id)) {
+            console.warn(`⚠️ Replacing inspection rule '${rule.id}'`);
+        }
+
+        this.rules.set(rule.id, {
+            id: rule.id,
+            name: rule.name || rule.id,
+            description: rule.description || '',
+            enabled: rule.enabled !== false,
+            options: rule.options || {},
+            regions: Array.isArray(rule.regions) ? rule.regions : null,
+            source,
+            evaluate: rule.evaluate
+        });
+
+        return true;
+    }
+
+    /**
+     * Remove an inspection rule
+     * @param {string} id - Rule id
+     * @returns {boolean} Whether a rule was removed
+     */
+    unregisterRule(id) {
+        return this.rules.delete(id);
+    }
+
+    /**
+     * Enable or disable an inspection rule
+     * @param {string} id - Rule id
+     * @param {boolean} enabled - New state
+     */
+    setRuleEnabled(id, enabled) {
+        const rule = this.rules.get(id);
+        if (rule) rule.enabled = !!enabled;
+    }
+
+    /**
+     * Describe the registered rules (without their functions)
+     * @returns {Array} [{id, name, description, enabled, regions, source}]
+     */
+    getRules() {
+        return Array.from(this.rules.values()).map(({ id, name, description, enabled, regions, source }) => ({
+            id, name, description, enabled, regions, source
+        }));
+    }
+
+    /**
+     * Load rules from an ES module
+     * The module's default export (or named `rules` export) is a rule or an array of rules
+     * @param {string|URL} source - Module URL, lib/custom-detection.js by default
+     * @returns {Promise<number>} Number of rules registered
+     */
+    async loadRules(source = new URL('../lib/custom-detection.js', import.meta.url)) {
+        const url = String(source);
+
+        try {
+            const module = await import(url);
+            const exported = module.default ?? module.rules ?? [];
+            const rules = Array.isArray(exported) ? exported : [exported];
+
+            const count = rules.filter(rule => this.registerRule(rule, url)).length;
+            console.log(`📐 Loaded ${count} inspection rule(s) from ${url}`);
+            this.emit('rulesLoaded', { source: url, count, rules: this.getRules() });
+
+            return count;
+        } catch (error) {
+            console.error('❌ Error loading inspection rules:', error);
+            this.emit('error', new Error(`โหลดกฎตรวจสอบไม่สำเร็จ: ${url}`));
+            return 0;
+        }
+    }
+
+    /**
+     * Run every enabled rule and fold failures into the comparison result
+     * @param {Object} comparison - Result of compareWithReference()
+     * @param {Object} input - {frame, roi, analysis, region}
+     */
+    applyRules(comparison, { frame, roi, analysis, region }) {
+        const outcomes = [];
+
+        for (const rule of this.rules.values()) {
+            if (!rule.enabled) continue;
+            if (rule.regions && !rule.regions.includes(region.id) && !rule.regions.includes(region.name)) continue;
+
+            outcomes.push(this.evaluateRule(rule, {
+                frame,
+                roi,
+                gray: analysis.gray,
+                analysis,
+                boxRect: this.boxRect,
+                keyPointRect: region.rect,
+                region: this.getRegions().find(r => r.id === region.id),
+                reference: { ...this.referenceFeatures, ...region.features },
+                settings: this.settings,
+                options: rule.options,
+                vision: this.backend
+            }));
+        }
+
+        comparison.details = comparison.details || {};
+        comparison.details.rules = outcomes;
 
-            const issues = [];
-            if (!result.details.positionOk) {
-                issues.push(`ตำแหน่งเลื่อน ${result.details.positionOffset}px`);
+        const failures = outcomes.filter(outcome => !outcome.pass).map(outcome => outcome.message);
+        if (failures.length > 0) {
+            comparison.message = comparison.hasAlert ?
+                [comparison.message, ...failures].join(', ') :
+                failures.join(', ');
+            comparison.hasAlert = true;
+        }
+    }
+
+    /**
+     * Evaluate one rule, turning exceptions and odd return values into a failed outcome
+     * @param {Object} rule - Registered rule
+     * @param {Object} context - Rule context
+     * @returns {Object} {id, name, pass, score, message, error?}
+     */
+    evaluateRule(rule, context) {
+        const outcome = { id: rule.id, name: rule.name, pass: false, score: null, message: '' };
+
+        try {
+            let value = rule.evaluate(context);
+            if (typeof value === 'boolean') value = { pass: value };
+
+            if (!value || typeof value.then === 'function') {
+                throw new Error('evaluate() must return {pass, score, message} synchronously');
             }
-            if (!result.details.rotationOk) {
-                issues.push(`เอียง ${result.details.rotationOffset}°`);
+
+            outcome.pass = !!value.pass;
+            outcome.score = Number.isFinite(value.score) ? value.score : null;
+            outcome.message = value.message || (outcome.pass ? '' : `${rule.name} ไม่ผ่าน`);
+        } catch (error) {
+            // Rules run on every frame; only log when the error changes
+            if (rule.lastError !== error.message) {
+                console.error(`❌ Inspection rule '${rule.id}' failed:`, error);
+                rule.lastError = error.message;
             }
+            outcome.error = error.message;
+            outcome.message = `${rule.name}: ${error.message}`;
+        }
 
-            result.message = issues.join(', ');
-            result.confidence = Math.max(0, 100 - (positionOffset / 5) - (normalizedRotation * 2));
+        return outcome;
+    }
+
+    /**
+     * Score the current key point pixels against the reference snapshot
+     * @param {Object} analysis - ROI analysis holding the grayscale pixels
+     * @param {Object} patch - Reference key point pixels {data, x, y, width, height, mask}
+     * @returns {number|null} Similarity 0..100, or null without a snapshot or when
+     *                        too little of the region is inside the frame to judge
+     */
+    compareWithSnapshot(analysis, patch) {
+        if (!patch || !analysis.gray) return null;
+
+        let { data: reference, mask, width, height } = patch;
+        let live = analysis.gray;
+
+        // A region clipped at the frame border covers fewer pixels than its snapshot;
+        // only the pixels both of them have are compared
+        if (analysis.width !== patch.width || analysis.height !== patch.height) {
+            const common = this.commonWindow(analysis, patch);
+            if (!common) return null;
+
+            ({ width, height } = common);
+            reference = this.cropArray(patch.data, patch.width, common.patchX, common.patchY, width, height);
+            live = this.cropArray(analysis.gray, analysis.width, common.liveX, common.liveY, width, height);
+            mask = patch.mask && this.cropArray(patch.mask, patch.width, common.patchX, common.patchY, width, height);
         }
 
-        return result;
+        const score = this.config.similarityMetric === 'ssim' ?
+            this.structuralSimilarity(reference, live, width, height, mask) :
+            this.normalizedCorrelation(reference, live, mask);
+
+        return Math.max(0, Math.min(1, score)) * 100;
+    }
+
+    /**
+     * Frame area covered by both the live ROI and the reference patch
+     * @param {Object} analysis - ROI analysis {origin, width, height}
+     * @param {Object} patch - Reference patch {x, y, width, height}
+     * @returns {Object|null} {width, height, liveX, liveY, patchX, patchY}, or null
+     *                        when less than a quarter of the patch is left
+     */
+    commonWindow(analysis, patch) {
+        const liveX = analysis.origin?.x ?? 0, liveY = analysis.origin?.y ?? 0;
+        const patchX = patch.x ?? 0, patchY = patch.y ?? 0;
+        const x0 = Math.max(liveX, patchX), y0 = Math.max(liveY, patchY);
+        const width = Math.min(liveX + analysis.width, patchX + patch.width) - x0;
+        const height = Math.min(liveY + analysis.height, patchY + patch.height) - y0;
+
+        if (width < 4 || height < 4 || width * height < patch.width * patch.height / 4) return null;
+
+        return { width, height, liveX: x0 - liveX, liveY: y0 - liveY, patchX: x0 - patchX, patchY: y0 - patchY };
+    }
+
+    /**
+     * Copy a window out of a row-major array
+     * @param {ArrayLike<number>} data - Source values
+     * @param {number} stride - Source width
+     * @param {number} x - Window left
+     * @param {number} y - Window top
+     * @param {number} width - Window width
+     * @param {number} height - Window height
+     * @returns {ArrayLike<number>} Window values, same array type as the source
+     */
+    cropArray(data, stride, x, y, width, height) {
+        const out = new data.constructor(width * height);
+        for (let row = 0; row < height; row++) {
+            const start = (y + row) * stride + x;
+            out.set(data.subarray(start, start + width), row * width);
+        }
+        return out;
+    }
+
+    /**
+     * Round a template match for reporting
+     * @param {Object} match - Template match
+     * @returns {Object} Rounded match
+     */
+    roundMatch(match) {
+        return {
+            dx: Math.round(match.dx * 100) / 100,
+            dy: Math.round(match.dy * 100) / 100,
+            score: Math.round(match.score * 1000) / 1000
+        };
+    }
+
+    /**
+     * Locate a region's reference patch inside a margin around its rectangle
+     * @param {Object} frameData - Frame data
+     * @param {Object} region - Key point region
+     * @returns {Object|null} Match {dx, dy, score, x, y} relative to the region rectangle
+     */
+    locateKeyPoint(frameData, region) {
+        const patch = region.features?.keyPointPatch;
+        const rect = region.rect;
+        if (!patch || !frameData.imageData) return null;
+
+        const margin = this.config.searchMargin;
+        const search = this.extractGrayRegion(frameData.imageData, {
+            x: rect.x - margin,
+            y: rect.y - margin,
+            width: rect.width + margin * 2,
+            height: rect.height + margin * 2,
+            angle: rect.angle
+        });
+
+        if (!search || search.width < patch.width || search.height < patch.height) return null;
+
+        // Masked-out template pixels hold the masked mean, so they add nothing to the score
+        const match = this.matchTemplate(search, patch.template ?
+            { data: patch.template, width: patch.width, height: patch.height } : patch);
+        if (!match) return null;
+
+        // Where the patch sits when the box is exactly in its reference place
+        // (dx/dy are along the region's own axes when it is rotated)
+        const expectedX = rect.angle ? margin : Math.floor(rect.x) - search.x;
+        const expectedY = rect.angle ? margin : Math.floor(rect.y) - search.y;
+
+        return {
+            dx: match.x - expectedX,
+            dy: match.y - expectedY,
+            score: match.score,
+            x: search.x + match.x,
+            y: search.y + match.y
+        };
+    }
+
+    /**
+     * Copy a clipped rectangle of an image into a grayscale array
+     * Rotated rectangles are resampled upright and not clipped
+     * @param {ImageData} imageData - Source image
+     * @param {Object} rect - Requested rectangle (clipped to the image)
+     * @returns {Object|null} {data, width, height, x, y}
+     */
+    extractGrayRegion(imageData, rect) {
+        if (rect.angle) {
+            const roi = this.extractRotatedROI(imageData, rect);
+            return { data: this.toGrayArray(roi.imageData), width: roi.width, height: roi.height, x: rect.x, y: rect.y };
+        }
+
+        const x0 = Math.max(0, Math.floor(rect.x));
+        const y0 = Math.max(0, Math.floor(rect.y));
+        const x1 = Math.min(imageData.width, Math.floor(rect.x + rect.width));
+        const y1 = Math.min(imageData.height, Math.floor(rect.y + rect.height));
+        const width = x1 - x0;
+        const height = y1 - y0;
+        if (width <= 0 || height <= 0) return null;
+
+        const src = imageData.data;
+        const data = new Float32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            let i = ((y0 + y) * imageData.width + x0) * 4;
+            for (let x = 0; x < width; x++, i += 4) {
+                data[y * width + x] = src[i] * 0.299 + src[i + 1] * 0.587 + src[i + 2] * 0.114;
+            }
+        }
+
+        return { data, width, height, x: x0, y: y0 };
+    }
+
+    /**
+     * Normalized cross-correlation template matching with sub-pixel refinement
+     * @param {Object} search - Search image {data, width, height}
+     * @param {Object} template - Template image {data, width, height}
+     * @returns {Object|null} Best match {x, y, score} in search coordinates
+     */
+    matchTemplate(search, template) {
+        return this.backend.matchTemplate(search, template);
+    }
+
+    /**
+     * Mean structural similarity (SSIM) over non-overlapping windows
+     * @param {Float32Array} a - Reference grayscale pixels
+     * @param {Float32Array} b - Current grayscale pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Uint8Array|null} mask - Windows less than half inside the mask are skipped
+     * @returns {number} Mean SSIM in -1..1
+     */
+    structuralSimilarity(a, b, width, height, mask = null) {
+        const win = Math.max(2, Math.min(this.config.ssimWindow, width, height));
+        const c1 = Math.pow(0.01 * 255, 2);
+        const c2 = Math.pow(0.03 * 255, 2);
+        let total = 0;
+        let windows = 0;
+
+        for (let y0 = 0; y0 + win <= height; y0 += win) {
+            for (let x0 = 0; x0 + win <= width; x0 += win) {
+                if (mask && !this.isMostlyMasked(mask, width, x0, y0, win)) continue;
+
+                let meanA = 0, meanB = 0;
+                for (let y = y0; y < y0 + win; y++) {
+                    for (let x = x0; x < x0 + win; x++) {
+                        meanA += a[y * width + x];
+                        meanB += b[y * width + x];
+                    }
+                }
+                const n = win * win;
+                meanA /= n;
+                meanB /= n;
+
+                let varA = 0, varB = 0, cov = 0;
+                for (let y = y0; y < y0 + win; y++) {
+                    for (let x = x0; x < x0 + win; x++) {
+                        const da = a[y * width + x] - meanA;
+                        const db = b[y * width + x] - meanB;
+                        varA += da * da;
+                        varB += db * db;
+                        cov += da * db;
+                    }
+                }
+                varA /= n - 1;
+                varB /= n - 1;
+                cov /= n - 1;
+
+                total += ((2 * meanA * meanB + c1) * (2 * cov + c2)) /
+                    ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+                windows++;
+            }
+        }
+
+        return windows > 0 ? total / windows : 0;
+    }
+
+    /**
+     * Whether at least half of a square window lies inside a mask
+     * @param {Uint8Array} mask - Analysed pixels
+     * @param {number} width - Mask width
+     * @param {number} x0 - Window left
+     * @param {number} y0 - Window top
+     * @param {number} win - Window size
+     * @returns {boolean} True when the window is mostly analysed pixels
+     */
+    isMostlyMasked(mask, width, x0, y0, win) {
+        let inside = 0;
+        for (let y = y0; y < y0 + win; y++) {
+            for (let x = x0; x < x0 + win; x++) inside += mask[y * width + x] ? 1 : 0;
+        }
+        return inside * 2 >= win * win;
     }
 
     /**
@@ -525,19 +1594,16 @@ export class DetectionEngine {
 
     /**
      * Extract features from drawing areas
+     * Box-level features are returned; each region gets its own `features`
      * @param {Object} boxRect - Box rectangle
-     * @param {Object} keyPointRect - Key point rectangle
+     * @param {Array} regions - Key point regions
      * @param {Object} imageData - Optional image data
-     * @returns {Object} Extracted features
+     * @returns {Object} Extracted box features
      */
-    extractFeaturesFromAreas(boxRect, keyPointRect, imageData = null) {
+    extractFeaturesFromAreas(boxRect, regions, imageData = null) {
         const features = {
             boxRect: boxRect,
-            keyPointRect: keyPointRect,
-            centerX: keyPointRect.x + keyPointRect.width / 2,
-            centerY: keyPointRect.y + keyPointRect.height / 2,
-            rotation: 0, // Assume reference is at 0 degrees
-            area: keyPointRect.width * keyPointRect.height,
+            skew: null,
             timestamp: Date.now(),
             mode: 'drawing'
         };
@@ -545,6 +1611,83 @@ export class DetectionEngine {
         if (imageData) {
             features.imageWidth = imageData.width;
             features.imageHeight = imageData.height;
+            features.boxSignature = this.computeSignature(imageData, boxRect);
+
+            features.boxSignatureMask = this.signatureMask(boxRect);
+            features.beltLevel = this.measureBeltLevel(imageData, boxRect);
+
+            // Edge orientation of the reference box; live skew is measured relative to it
+            features.skew = this.measureSkew(imageData, boxRect);
+        }
+
+        regions.forEach(region => {
+            region.features = this.extractRegionFeatures(region.rect, imageData);
+        });
+
+        return features;
+    }
+
+    /**
+     * Copy of an image with masked-out pixels set to the mean of the masked-in ones
+     * @param {Float32Array} data - Grayscale pixels
+     * @param {Uint8Array} mask - Analysed pixels
+     * @returns {Float32Array} Filled copy
+     */
+    fillMasked(data, mask) {
+        let sum = 0, count = 0;
+        for (let i = 0; i < data.length; i++) {
+            if (mask[i]) {
+                sum += data[i];
+                count++;
+            }
+        }
+
+        const mean = count > 0 ? sum / count : 0;
+        const filled = new Float32Array(data.length);
+        for (let i = 0; i < data.length; i++) filled[i] = mask[i] ? data[i] : mean;
+        return filled;
+    }
+
+    /**
+     * Extract the reference features of one key point region
+     * @param {Object} rect - Region rectangle
+     * @param {Object} imageData - Optional image data
+     * @returns {Object} {keyPointRect, centerX, centerY, rotation, area, keyPointPatch?}
+     */
+    extractRegionFeatures(rect, imageData = null) {
+        const features = {
+            keyPointRect: rect,
+            centerX: rect.x + rect.width / 2,
+            centerY: rect.y + rect.height / 2,
+            rotation: 0, // Replaced by the reference contour angle when an image is given
+            area: rect.width * rect.height
+        };
+
+        if (imageData) {
+            // Keep the key point pixels so live frames can be compared against them
+            const roi = this.extractROI({ imageData, width: imageData.width, height: imageData.height }, rect);
+            if (roi) {
+                features.keyPointPatch = {
+                    data: this.toGrayArray(roi.imageData),
+                    x: roi.originalRect.x,
+                    y: roi.originalRect.y,
+                    width: roi.width,
+                    height: roi.height,
+                    mask: roi.mask
+                };
+                if (roi.mask) {
+                    features.keyPointPatch.template = this.fillMasked(features.keyPointPatch.data, roi.mask);
+                }
+
+                // Contour fallback compares against the reference shape, not the rectangle centre
+                const reference = this.analyzeROI(roi).features;
+                if (reference?.hasBox) {
+                    const rotatedRect = this.offsetRotatedRect(reference.rotatedRect, roi.originalRect);
+                    features.centerX = rotatedRect.center.x;
+                    features.centerY = rotatedRect.center.y;
+                    features.rotation = rotatedRect.angle;
+                }
+            }
         }
 
         return features;
@@ -558,19 +1701,20 @@ export class DetectionEngine {
     detectBoxes(frameData) {
         try {
             // Convert to grayscale
-            const grayImageData = this.convertToGrayscale(frameData.imageData);
+            const gray = this.toGrayImage(frameData.imageData);
             
-            // Apply Gaussian blur to reduce noise
-            const blurredData = this.applyGaussianBlur(grayImageData, this.config.gaussianBlur);
+            // Apply Gaussian blur to reduce noise (radius = 3 sigma)
+            const blurred = this.backend.blur(gray, this.config.gaussianBlur / 3);
             
-            // Edge detection using Canny algorithm (simplified)
-            const edges = this.detectEdges(blurredData);
+            // Edge detection using the Canny algorithm
+            const edges = this.closeEdges(this.detectEdges(blurred));
             
-            // Find contours
-            const contours = this.findContours(edges);
+            // Find contours; a thin closed edge yields an outer and a hole border, keep the outer one
+            const { contours, holes } = this.findContoursWithHierarchy(edges);
+            const outerContours = contours.filter((contour, i) => !holes[i] && contour.length > 20);
             
             // Filter and convert contours to boxes
-            const boxes = this.contoursToBoxes(contours);
+            const boxes = this.contoursToBoxes(outerContours);
             
             return boxes;
             
@@ -581,229 +1725,345 @@ export class DetectionEngine {
     }
 
     /**
-     * Convert image to grayscale
+     * Convert RGBA image data to a single-channel luminance array
      * @param {ImageData} imageData - Input image data
-     * @returns {ImageData} Grayscale image data
+     * @returns {Float32Array} Luminance values (row-major)
      */
-    convertToGrayscale(imageData) {
-        const data = new Uint8ClampedArray(imageData.data);
-        
-        for (let i = 0; i < data.length; i += 4) {
-            const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-            data[i] = gray;     // R
-            data[i + 1] = gray; // G
-            data[i + 2] = gray; // B
-            // Alpha remains the same
-        }
-        
-        return new ImageData(data, imageData.width, imageData.height);
+    toGrayArray(imageData) {
+        return this.backend.grayscale(imageData).data;
     }
 
     /**
-     * Apply Gaussian blur (simplified)
-     * @param {ImageData} imageData - Input image
-     * @param {number} radius - Blur radius
-     * @returns {ImageData} Blurred image
+     * Convert RGBA image data to a single-channel image
+     * @param {ImageData} imageData - Input image data
+     * @returns {Object} {data, width, height} with Float32Array luminance
      */
-    applyGaussianBlur(imageData, radius) {
-        // Simplified blur implementation
-        const data = new Uint8ClampedArray(imageData.data);
-        const { width, height } = imageData;
-        const output = new Uint8ClampedArray(data.length);
-        
-        const kernel = this.createGaussianKernel(radius);
-        const kernelSize = kernel.length;
-        const half = Math.floor(kernelSize / 2);
-        
-        for (let y = half; y < height - half; y++) {
-            for (let x = half; x < width - half; x++) {
-                let sum = 0;
-                let weightSum = 0;
-                
-                for (let ky = 0; ky < kernelSize; ky++) {
-                    for (let kx = 0; kx < kernelSize; kx++) {
-                        const px = x + kx - half;
-                        const py = y + ky - half;
-                        const idx = (py * width + px) * 4;
-                        const weight = kernel[ky][kx];
-                        
-                        sum += data[idx] * weight;
-                        weightSum += weight;
+    toGrayImage(imageData) {
+        return this.backend.grayscale(imageData);
+    }
+
+    /**
+     * Morphological closing of an edge map with config.morphKernel
+     * @param {Object} edges - Edge image from detectEdges()
+     * @returns {Object} Closed edge image
+     */
+    closeEdges(edges) {
+        if (this.config.morphKernel < 2) return edges;
+
+        return {
+            data: ImageProcessing.close(edges.data, edges.width, edges.height, this.config.morphKernel),
+            width: edges.width,
+            height: edges.height
+        };
+    }
+
+    /**
+     * Detect edges with the Canny algorithm
+     * @param {Object} image - Grayscale image {data, width, height}
+     * @returns {Object} Edge image {data: Uint8Array (255 = edge, 0 = background), width, height}
+     */
+    detectEdges(image) {
+        return this.backend.canny(image, {
+            lower: this.config.cannyLower,
+            upper: this.config.cannyUpper,
+            sigma: this.config.cannySigma
+        });
+    }
+
+    /**
+     * Measure the skew of the box edges inside a rectangle
+     * @param {ImageData} imageData - Full frame
+     * @param {Object} rect - Box rectangle
+     * @returns {Object|null} {angle, confidence, lines} with angle in (-45, 45] degrees
+     */
+    measureSkew(imageData, rect) {
+        if (!imageData || !rect) return null;
+
+        const roi = this.extractROI({ imageData, width: imageData.width, height: imageData.height }, rect);
+        if (!roi) return null;
+
+        const edges = this.maskEdges(this.detectEdges(this.toGrayImage(roi.imageData)), roi.mask);
+        const lines = this.houghLines(edges);
+
+        return this.dominantOrientation(lines);
+    }
+
+    /**
+     * Standard Hough line transform over strong edge pixels
+     * @param {Object} edgeData - Edge image from detectEdges()
+     * @returns {Array} Peaks [{theta, rho, votes}] sorted by votes, theta in degrees
+     */
+    houghLines(edgeData) {
+        const { width, height, data } = edgeData;
+        const step = this.config.houghAngleStep;
+        const thetaBins = Math.round(180 / step);
+        const maxRho = Math.ceil(Math.sqrt(width * width + height * height));
+        const rhoBins = maxRho * 2 + 1;
+        const accumulator = ImageProcessing.scratch('hough', thetaBins * rhoBins, Uint32Array);
+        accumulator.fill(0);
+
+        const cosTable = new Float32Array(thetaBins);
+        const sinTable = new Float32Array(thetaBins);
+        for (let t = 0; t < thetaBins; t++) {
+            const theta = (t * step) * Math.PI / 180;
+            cosTable[t] = Math.cos(theta);
+            sinTable[t] = Math.sin(theta);
+        }
+
+        let edgeCount = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[y * width + x] < 255) continue;
+                edgeCount++;
+
+                // Offset by maxRho first so truncation rounds a non-negative value
+                for (let t = 0, row = 0; t < thetaBins; t++, row += rhoBins) {
+                    accumulator[row + ((x * cosTable[t] + y * sinTable[t] + maxRho + 0.5) | 0)]++;
+                }
+            }
+        }
+
+        if (edgeCount === 0) return [];
+
+        // Pick local maxima, suppressing their 5x5 neighbourhood
+        const minVotes = Math.max(10, Math.min(width, height) * 0.25);
+        const peaks = [];
+        for (let t = 0; t < thetaBins; t++) {
+            for (let r = 0; r < rhoBins; r++) {
+                const votes = accumulator[t * rhoBins + r];
+                if (votes < minVotes) continue;
+
+                let isPeak = true;
+                for (let dt = -2; dt <= 2 && isPeak; dt++) {
+                    const tt = (t + dt + thetaBins) % thetaBins;
+                    for (let dr = -2; dr <= 2; dr++) {
+                        const rr = r + dr;
+                        if ((dt || dr) && rr >= 0 && rr < rhoBins && accumulator[tt * rhoBins + rr] > votes) {
+                            isPeak = false;
+                            break;
+                        }
                     }
                 }
-                
-                const outputIdx = (y * width + x) * 4;
-                const value = sum / weightSum;
-                output[outputIdx] = value;
-                output[outputIdx + 1] = value;
-                output[outputIdx + 2] = value;
-                output[outputIdx + 3] = data[outputIdx + 3];
+
+                if (isPeak) {
+                    peaks.push({ theta: t * step, rho: r - maxRho, votes });
+                }
             }
         }
-        
-        return new ImageData(output, width, height);
+
+        peaks.sort((a, b) => b.votes - a.votes);
+        return peaks.slice(0, this.config.houghPeaks);
     }
 
     /**
-     * Create Gaussian kernel
-     * @param {number} radius - Kernel radius
-     * @returns {Array} 2D kernel array
+     * Fold Hough peaks into a single box skew angle
+     * Box edges are perpendicular, so orientations are compared modulo 90 degrees
+     * @param {Array} lines - Hough peaks
+     * @returns {Object|null} {angle, confidence, lines}
      */
-    createGaussianKernel(radius) {
-        const size = radius * 2 + 1;
-        const kernel = [];
-        const sigma = radius / 3;
-        const sigma2 = sigma * sigma;
-        const norm = 1 / (2 * Math.PI * sigma2);
-        
-        for (let y = 0; y < size; y++) {
-            kernel[y] = [];
-            for (let x = 0; x < size; x++) {
-                const dx = x - radius;
-                const dy = y - radius;
-                const exp = -(dx * dx + dy * dy) / (2 * sigma2);
-                kernel[y][x] = norm * Math.exp(exp);
+    dominantOrientation(lines) {
+        if (!lines || lines.length === 0) return null;
+
+        // Average on the circle with period 90 degrees (angle * 4 in radians)
+        let sumCos = 0, sumSin = 0, total = 0;
+        for (const line of lines) {
+            const a = (line.theta * 4) * Math.PI / 180;
+            sumCos += Math.cos(a) * line.votes;
+            sumSin += Math.sin(a) * line.votes;
+            total += line.votes;
+        }
+
+        let angle = (Math.atan2(sumSin, sumCos) * 180 / Math.PI) / 4;
+        if (angle <= -45) angle += 90;
+        if (angle > 45) angle -= 90;
+
+        // Share of votes on lines that agree with the dominant angle
+        let agreeing = 0;
+        for (const line of lines) {
+            if (this.angleDifference90(line.theta, angle) <= 2) {
+                agreeing += line.votes;
             }
         }
-        
-        return kernel;
+
+        return {
+            angle,
+            confidence: total > 0 ? agreeing / total : 0,
+            lines: lines.length
+        };
     }
 
     /**
-     * Detect edges using simplified Canny algorithm
-     * @param {ImageData} imageData - Input image
-     * @returns {ImageData} Edge image
+     * Smallest difference between two orientations with a 90 degree period
+     * @param {number} a - Angle in degrees
+     * @param {number} b - Angle in degrees
+     * @returns {number} Difference in 0..45 degrees
      */
-    detectEdges(imageData) {
-        const { width, height, data } = imageData;
-        const edges = new Uint8ClampedArray(data.length);
-        
-        // Sobel operators
-        const sobelX = [[-1, 0, 1], [-2, 0, 2], [-1, 0, 1]];
-        const sobelY = [[-1, -2, -1], [0, 0, 0], [1, 2, 1]];
-        
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                let gx = 0;
-                let gy = 0;
-                
-                for (let ky = -1; ky <= 1; ky++) {
-                    for (let kx = -1; kx <= 1; kx++) {
-                        const idx = ((y + ky) * width + (x + kx)) * 4;
-                        const pixel = data[idx]; // Use grayscale value
-                        
-                        gx += pixel * sobelX[ky + 1][kx + 1];
-                        gy += pixel * sobelY[ky + 1][kx + 1];
-                    }
-                }
-                
-                const magnitude = Math.sqrt(gx * gx + gy * gy);
-                const threshold = magnitude > this.config.cannyLower ? 
-                    (magnitude > this.config.cannyUpper ? 255 : 128) : 0;
-                
-                const outputIdx = (y * width + x) * 4;
-                edges[outputIdx] = threshold;
-                edges[outputIdx + 1] = threshold;
-                edges[outputIdx + 2] = threshold;
-                edges[outputIdx + 3] = 255;
+    angleDifference90(a, b) {
+        const diff = Math.abs(a - b) % 90;
+        return Math.min(diff, 90 - diff);
+    }
+
+    /**
+     * Find contours in edge image
+     * @param {Object} edgeData - Edge image {data, width, height}
+     * @returns {Array} Array of contours (ordered [x, y] points)
+     */
+    findContours(edgeData) {
+        const { contours } = this.findContoursWithHierarchy(edgeData);
+        return contours.filter(contour => contour.length > 20);
+    }
+
+    /**
+     * Trace every outer and hole border as an ordered, closed point list plus
+     * an OpenCV-style hierarchy entry [next, previous, firstChild, parent]
+     * @param {Object} edgeData - Single-channel binary image {data, width, height} (pixels > 128 are foreground)
+     * @returns {Object} {contours, hierarchy, holes}
+     */
+    findContoursWithHierarchy(edgeData) {
+        return this.backend.findContours(edgeData);
+    }
+
+    /**
+     * Douglas-Peucker polygon approximation of a closed contour
+     * @param {Array} contour - Ordered [x, y] points
+     * @param {number} epsilon - Maximum distance between contour and polygon
+     * @returns {Array} Polygon vertices
+     */
+    approxPolygon(contour, epsilon) {
+        if (!contour || contour.length < 3) return contour ? contour.slice() : [];
+
+        // Split the closed curve at the point farthest from the first one
+        let far = 0;
+        let farDist = -1;
+        for (let i = 1; i < contour.length; i++) {
+            const dx = contour[i][0] - contour[0][0];
+            const dy = contour[i][1] - contour[0][1];
+            const dist = dx * dx + dy * dy;
+            if (dist > farDist) {
+                farDist = dist;
+                far = i;
             }
         }
-        
-        return new ImageData(edges, width, height);
+
+        const first = this.simplifyChain(contour.slice(0, far + 1), epsilon);
+        const second = this.simplifyChain(contour.slice(far).concat([contour[0]]), epsilon);
+
+        return first.slice(0, -1).concat(second.slice(0, -1));
     }
 
     /**
-     * Find contours in edge image (simplified)
-     * @param {ImageData} edgeData - Edge detected image
-     * @returns {Array} Array of contours
+     * Douglas-Peucker simplification of an open chain
+     * @param {Array} points - Ordered [x, y] points
+     * @param {number} epsilon - Tolerance in pixels
+     * @returns {Array} Simplified chain including both end points
      */
-    findContours(edgeData) {
-        const contours = [];
-        const { width, height, data } = edgeData;
-        const visited = new Array(width * height).fill(false);
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const idx = y * width + x;
-                if (!visited[idx] && data[idx * 4] > 128) {
-                    const contour = this.traceContour(data, width, height, x, y, visited);
-                    if (contour.length > 20) {
-                        contours.push(contour);
-                    }
+    simplifyChain(points, epsilon) {
+        if (points.length < 3) return points.slice();
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+        const stack = [[0, points.length - 1]];
+
+        while (stack.length > 0) {
+            const [a, b] = stack.pop();
+            const [ax, ay] = points[a];
+            const [bx, by] = points[b];
+            const dx = bx - ax;
+            const dy = by - ay;
+            const length = Math.sqrt(dx * dx + dy * dy);
+
+            let index = -1;
+            let maxDist = epsilon;
+            for (let i = a + 1; i < b; i++) {
+                const [px, py] = points[i];
+                const dist = length > 0 ?
+                    Math.abs(dy * px - dx * py + bx * ay - by * ax) / length :
+                    Math.sqrt((px - ax) * (px - ax) + (py - ay) * (py - ay));
+                if (dist > maxDist) {
+                    maxDist = dist;
+                    index = i;
                 }
             }
+
+            if (index >= 0) {
+                keep[index] = 1;
+                stack.push([a, index], [index, b]);
+            }
         }
-        
-        return contours;
+
+        return points.filter((_, i) => keep[i]);
     }
 
     /**
-     * Trace contour from starting point
-     * @param {Uint8ClampedArray} data - Image data
-     * @param {number} width - Image width
-     * @param {number} height - Image height
-     * @param {number} startX - Starting X coordinate
-     * @param {number} startY - Starting Y coordinate
-     * @param {Array} visited - Visited pixels array
-     * @returns {Array} Contour points
-     */
-    traceContour(data, width, height, startX, startY, visited) {
-        const contour = [];
-        const stack = [[startX, startY]];
-        const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-        
-        while (stack.length > 0 && contour.length < 1000) {
-            const [x, y] = stack.pop();
-            const idx = y * width + x;
-            
-            if (x < 0 || x >= width || y < 0 || y >= height || visited[idx]) {
-                continue;
-            }
-            
-            if (data[idx * 4] > 128) {
-                visited[idx] = true;
-                contour.push([x, y]);
-                
-                for (const [dx, dy] of directions) {
-                    stack.push([x + dx, y + dy]);
-                }
+     * Perimeter of a closed contour
+     * @param {Array} contour - Ordered [x, y] points
+     * @returns {number} Perimeter in pixels
+     */
+    calculatePerimeter(contour) {
+        let perimeter = 0;
+        for (let i = 0; i < contour.length; i++) {
+            const [x1, y1] = contour[i];
+            const [x2, y2] = contour[(i + 1) % contour.length];
+            perimeter += Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+        }
+        return perimeter;
+    }
+
+    /**
+     * Check that a polygon is convex
+     * @param {Array} polygon - Polygon vertices
+     * @returns {boolean} Whether every turn has the same sign
+     */
+    isConvex(polygon) {
+        let sign = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const [x0, y0] = polygon[i];
+            const [x1, y1] = polygon[(i + 1) % polygon.length];
+            const [x2, y2] = polygon[(i + 2) % polygon.length];
+            const cross = (x1 - x0) * (y2 - y1) - (y1 - y0) * (x2 - x1);
+            if (cross !== 0) {
+                if (sign === 0) sign = Math.sign(cross);
+                else if (Math.sign(cross) !== sign) return false;
             }
         }
-        
-        return contour;
+        return sign !== 0;
     }
 
     /**
-     * Convert contours to bounding boxes (legacy)
+     * Convert contours to boxes, keeping convex quadrilaterals only
      * @param {Array} contours - Array of contours
-     * @returns {Array} Array of bounding boxes
+     * @returns {Array} Array of boxes with their four corners
      */
     contoursToBoxes(contours) {
         const boxes = [];
         
         for (const contour of contours) {
             if (contour.length < 4) continue;
-            
-            const boundingBox = this.calculateBoundingBox(contour);
-            const area = boundingBox.width * boundingBox.height;
-            
+
+            const area = this.calculateContourArea(contour);
             if (area < this.settings.minContourArea || area > this.settings.maxContourArea) {
                 continue;
             }
+
+            const epsilon = this.config.approxEpsilon * this.calculatePerimeter(contour);
+            const corners = this.approxPolygon(contour, epsilon);
+            if (corners.length !== 4 || !this.isConvex(corners)) continue;
             
-            const centerX = boundingBox.x + boundingBox.width / 2;
-            const centerY = boundingBox.y + boundingBox.height / 2;
-            const rotation = this.calculateRotation(contour);
+            const boundingBox = this.calculateBoundingBox(contour);
+            const rotatedRect = this.minAreaRect(contour);
             
             boxes.push({
                 x: boundingBox.x,
                 y: boundingBox.y,
                 width: boundingBox.width,
                 height: boundingBox.height,
-                centerX,
-                centerY,
-                rotation,
+                centerX: rotatedRect.center.x,
+                centerY: rotatedRect.center.y,
+                rotation: rotatedRect.angle,
+                rotatedRect,
                 area,
+                corners,
                 contour
             });
         }
@@ -940,6 +2200,22 @@ export class DetectionEngine {
         this.settings = { ...this.settings, ...newSettings };
     }
 
+    /**
+     * Apply the detection section of the configuration (see ConfigLoader)
+     * @param {Object} section - {settings?, config?}; missing keys keep their value
+     */
+    configure(section = {}) {
+        if (section.settings) this.updateSettings(section.settings);
+
+        if (section.config) {
+            const backendChanged = section.config.visionBackend &&
+                section.config.visionBackend !== this.config.visionBackend;
+
+            this.config = { ...this.config, ...section.config };
+            if (backendChanged) this.setBackend(section.config.visionBackend);
+        }
+    }
+
     /**
      * Get current settings
      * @returns {Object} Current settings
@@ -948,6 +2224,42 @@ export class DetectionEngine {
         return { ...this.settings };
     }
 
+    /**
+     * Select the vision backend at runtime
+     * 'auto' uses OpenCV.js when lib/opencv.js provides it and falls back to pure JS;
+     * 'opencv' does the same but reports an error when OpenCV.js cannot be loaded
+     * @param {string} preference - 'auto', 'js' or 'opencv'
+     * @returns {Promise<string>} Name of the active backend
+     */
+    async setBackend(preference = this.config.visionBackend) {
+        let backend = null;
+
+        if (preference !== 'js') {
+            try {
+                if (await OpenCvVisionBackend.load()) {
+                    backend = new OpenCvVisionBackend();
+                }
+            } catch (error) {
+                console.warn('⚠️ OpenCV.js backend unavailable:', error.message);
+            }
+
+            if (!backend && preference === 'opencv') {
+                this.emit('error', new Error('OpenCV.js backend requested but lib/opencv.js could not be loaded'));
+            }
+        }
+
+        this.config.visionBackend = preference;
+        backend = backend || new JsVisionBackend();
+
+        if (backend.name !== this.backend.name) {
+            this.backend = backend;
+            console.log(`📐 Vision backend: ${backend.name}`);
+            this.emit('backendChanged', { backend: backend.name, preference });
+        }
+
+        return this.backend.name;
+    }
+
     /**
      * Reset detection history
      */
@@ -996,10 +2308,18 @@ export class DetectionEngine {
         return {
             isInitialized: this.isInitialized,
             hasReference: !!this.referenceImage,
-            hasDrawingAreas: !!(this.boxRect && this.keyPointRect),
+            hasSnapshot: this.regions.some(region => !!region.features?.keyPointPatch),
+            hasDrawingAreas: !!(this.boxRect && this.regions.length > 0),
+            regions: this.getRegions(),
             mode: this.boxRect ? 'drawing' : 'legacy',
+            backend: this.backend.name,
+            rules: this.getRules(),
             historyCount: this.detectionHistory.length,
             lastDetection: this.lastDetection,
+            tracking: {
+                state: this.tracking.state,
+                sequence: this.tracking.sequence
+            },
             settings: this.settings
         };
     }
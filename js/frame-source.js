@@ -0,0 +1,711 @@
+/**
+ * Frame Source Module
+ * Interchangeable sources of frames for inspection: the live camera
+ * (CameraManager), a recorded video file and a list of still images. Every
+ * source plays into the shared <video> element, so the overlay and the
+ * monitoring loop work unchanged, and hands out frames through the same
+ * getCurrentFrame() contract, so DetectionEngine can't tell them apart.
+ *
+ * Every source implements:
+ *   start(videoElement)  -> Promise, emits 'started' {width, height, simulated, ...}
+ *   stop()               -> emits 'stopped'
+ *   getCurrentFrame()    -> {imageData, width, height, timestamp, simulated, mediaTime?, frameIndex?} | null
+ *   captureBitmap()      -> Promise<{bitmap, width, height, timestamp, simulated}> | null
+ *   getStatus()          -> {kind, state, isActive, frameRate, resolution, ...playback}
+ * Recorded sources also support play(), pause(), step(frames), seek(seconds),
+ * setSpeed(rate) and setLoop(loop), and emit 'position' as they move and
+ * 'ended' when they run out without looping.
+ */
+
+/**
+ * Base class: event system, frame rate monitoring and capture
+ */
+export class FrameSource {
+    /**
+     * @param {string} kind - 'camera', 'video', 'images', 'replay' or 'simulation'
+     */
+    constructor(kind) {
+        this.kind = kind;
+        this.videoElement = null;
+        this.isActive = false;
+        this.isSimulating = false;
+        this.frameRate = 0;
+        this.lastFrameAt = 0;
+        this.eventListeners = {};
+
+        this.monitorId = null;
+        this.monitorPerVideoFrame = false;
+        this.captureCanvas = null;
+    }
+
+    /**
+     * Whether play/pause/step/seek apply
+     */
+    get seekable() {
+        return false;
+    }
+
+    /**
+     * Element frames are captured from; sources that draw elsewhere override this
+     * @returns {CanvasImageSource|null}
+     */
+    getDrawable() {
+        return this.videoElement;
+    }
+
+    /**
+     * Size of the picture being delivered
+     * @returns {Object} {width, height}
+     */
+    getResolution() {
+        return {
+            width: this.videoElement?.videoWidth || 0,
+            height: this.videoElement?.videoHeight || 0
+        };
+    }
+
+    /**
+     * Where a recorded source is, merged into every frame it hands out
+     * @returns {Object} {mediaTime?, frameIndex?}
+     */
+    getPosition() {
+        return {};
+    }
+
+    /**
+     * Capture the current frame as pixels
+     * @returns {Object|null} {imageData, width, height, timestamp, simulated, ...getPosition()}
+     */
+    captureFrame() {
+        const drawable = this.getDrawable();
+        if (!this.isActive || !drawable) {
+            console.warn('⚠️ Cannot capture: source not active');
+            return null;
+        }
+
+        const { width, height } = this.getResolution();
+        if (!width || !height) {
+            console.warn('⚠️ Invalid dimensions for capture');
+            return null;
+        }
+
+        try {
+            this.captureCanvas ||= document.createElement('canvas');
+            const canvas = this.captureCanvas;
+            if (canvas.width !== width) canvas.width = width;
+            if (canvas.height !== height) canvas.height = height;
+
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(drawable, 0, 0, width, height);
+
+            return {
+                imageData: ctx.getImageData(0, 0, width, height),
+                width,
+                height,
+                timestamp: performance.now(),
+                simulated: this.isSimulating,
+                ...this.getPosition()
+            };
+        } catch (error) {
+            console.error('❌ Capture error:', error);
+            return null;
+        }
+    }
+
+    getCurrentFrame() {
+        return this.captureFrame();
+    }
+
+    /**
+     * Capture the current frame as an ImageBitmap (transferable to a worker without copying)
+     * @returns {Promise<Object|null>} {bitmap, width, height, timestamp, simulated, ...getPosition()}
+     */
+    async captureBitmap() {
+        const drawable = this.getDrawable();
+        if (!this.isActive || !drawable || typeof createImageBitmap !== 'function') {
+            return null;
+        }
+
+        const { width, height } = this.getResolution();
+        if (!width || !height) return null;
+
+        try {
+            const bitmap = await createImageBitmap(drawable);
+            return {
+                bitmap,
+                width,
+                height,
+                timestamp: performance.now(),
+                simulated: this.isSimulating,
+                ...this.getPosition()
+            };
+        } catch (error) {
+            console.error('❌ Bitmap capture error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Measure the delivered frame rate; counts decoded video frames where the
+     * browser reports them, display frames otherwise
+     */
+    startFrameMonitoring() {
+        this.stopFrameMonitoring();
+
+        const video = this.videoElement;
+        const perVideoFrame = typeof video?.requestVideoFrameCallback === 'function';
+        let lastTime = performance.now();
+        let frameCount = 0;
+        this.lastFrameAt = lastTime;
+
+        const monitor = () => {
+            if (!this.isActive) return;
+
+            const now = performance.now();
+            frameCount++;
+            this.lastFrameAt = now;
+
+            if (now - lastTime >= 1000) {
+                this.frameRate = Math.round(frameCount * 1000 / (now - lastTime));
+                frameCount = 0;
+                lastTime = now;
+
+                this.emit('frameUpdate', {
+                    fps: this.frameRate,
+                    ...this.getResolution(),
+                    timestamp: now,
+                    simulated: this.isSimulating
+                });
+            }
+
+            this.monitorId = perVideoFrame ? video.requestVideoFrameCallback(monitor) : requestAnimationFrame(monitor);
+        };
+
+        this.monitorId = perVideoFrame ? video.requestVideoFrameCallback(monitor) : requestAnimationFrame(monitor);
+        this.monitorPerVideoFrame = perVideoFrame;
+    }
+
+    stopFrameMonitoring() {
+        if (this.monitorId === null) return;
+        if (this.monitorPerVideoFrame) {
+            this.videoElement?.cancelVideoFrameCallback?.(this.monitorId);
+        } else {
+            cancelAnimationFrame(this.monitorId);
+        }
+        this.monitorId = null;
+    }
+
+    /**
+     * Play a media element source in the shared video element
+     * @param {Object} media - {srcObject} or {src}
+     * @returns {Promise<void>} Resolves once metadata is loaded (and playback started unless paused)
+     */
+    loadVideoElement(media, { autoplay = true } = {}) {
+        const video = this.videoElement;
+        if (!video) return Promise.reject(new Error('No video element to show the source in'));
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timeout);
+                video.removeEventListener('loadedmetadata', onReady);
+                video.removeEventListener('error', onError);
+            };
+            const timeout = setTimeout(() => {
+                cleanup();
+                reject(new Error('Video setup timeout'));
+            }, 8000);
+
+            const onReady = () => {
+                cleanup();
+                if (!autoplay) {
+                    resolve();
+                    return;
+                }
+                video.play().then(resolve).catch(reject);
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error(video.error?.message || 'Video could not be loaded'));
+            };
+
+            video.addEventListener('loadedmetadata', onReady);
+            video.addEventListener('error', onError);
+            video.playsInline = true;
+            video.muted = true;
+
+            if ('srcObject' in media) {
+                video.removeAttribute('src');
+                video.srcObject = media.srcObject;
+            } else {
+                video.srcObject = null;
+                video.src = media.src;
+            }
+        });
+    }
+
+    // Playback; live sources ignore these
+    async play() {}
+    pause() {}
+    async step() {}
+    async seek() {}
+    setSpeed() {}
+    setLoop() {}
+
+    /**
+     * Source status for the UI
+     * @returns {Object} {kind, state, isActive, isSimulating, frameRate, resolution, seekable}
+     */
+    getStatus() {
+        return {
+            kind: this.kind,
+            state: this.isActive ? 'live' : 'idle',
+            isActive: this.isActive,
+            isSimulating: this.isSimulating,
+            frameRate: this.frameRate,
+            resolution: this.isActive ? this.getResolution() : null,
+            seekable: this.seekable
+        };
+    }
+
+    /**
+     * Event system
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        const index = this.eventListeners[event].indexOf(callback);
+        if (index > -1) {
+            this.eventListeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data = null) {
+        if (!this.eventListeners[event]) return;
+
+        this.eventListeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Error in event listener for '${event}':`, error);
+            }
+        });
+    }
+
+    destroy() {
+        this.stop();
+        this.eventListeners = {};
+        this.videoElement = null;
+        this.captureCanvas = null;
+    }
+}
+
+/**
+ * A recorded MP4/WebM file played in the video element
+ * Browsers don't report a file's frame rate, so stepping uses options.frameRate
+ * until the real one has been measured from presented frames
+ */
+export class VideoFileSource extends FrameSource {
+    /**
+     * @param {File|Blob} file - Video file
+     * @param {Object} options - {frameRate = 30, speed = 1, loop = true}
+     */
+    constructor(file, options = {}) {
+        super('video');
+        this.file = file;
+        this.label = file.name || 'video';
+        this.url = null;
+        this.mediaFrameRate = options.frameRate || 30;
+        this.speed = options.speed || 1;
+        this.loop = options.loop ?? true;
+
+        this.handleEnded = () => {
+            this.emitPosition();
+            this.emit('ended', this.getPosition());
+        };
+        this.handleTimeUpdate = () => this.emitPosition();
+    }
+
+    get seekable() {
+        return true;
+    }
+
+    get duration() {
+        return Number.isFinite(this.videoElement?.duration) ? this.videoElement.duration : 0;
+    }
+
+    get frameCount() {
+        return Math.round(this.duration * this.mediaFrameRate);
+    }
+
+    async start(videoElement) {
+        this.videoElement = videoElement;
+        this.url = URL.createObjectURL(this.file);
+
+        try {
+            await this.loadVideoElement({ src: this.url });
+        } catch (error) {
+            this.releaseUrl();
+            this.emit('error', error);
+            throw new Error(`Cannot play ${this.label}: ${error.message}`);
+        }
+
+        videoElement.loop = this.loop;
+        videoElement.playbackRate = this.speed;
+        videoElement.addEventListener('ended', this.handleEnded);
+        videoElement.addEventListener('timeupdate', this.handleTimeUpdate);
+
+        this.isActive = true;
+        this.startFrameMonitoring();
+        this.measureFrameRate();
+
+        this.emit('started', { ...this.getResolution(), label: this.label, simulated: false, duration: this.duration });
+        this.emitPosition();
+        console.log(`🎞️ Playing ${this.label} (${this.duration.toFixed(1)} s)`);
+    }
+
+    /**
+     * Learn the file's frame rate from the media time between presented frames
+     */
+    measureFrameRate() {
+        const video = this.videoElement;
+        if (typeof video?.requestVideoFrameCallback !== 'function') return;
+
+        const times = [];
+        const sample = (now, metadata) => {
+            if (!this.isActive || video !== this.videoElement) return;
+            times.push(metadata.mediaTime);
+            if (times.length < 10) {
+                video.requestVideoFrameCallback(sample);
+                return;
+            }
+
+            const deltas = times.slice(1).map((t, i) => t - times[i]).filter(d => d > 0).sort((a, b) => a - b);
+            const median = deltas[Math.floor(deltas.length / 2)];
+            if (median) this.mediaFrameRate = Math.round(1 / median);
+        };
+        video.requestVideoFrameCallback(sample);
+    }
+
+    getPosition() {
+        const mediaTime = this.videoElement?.currentTime || 0;
+        return { mediaTime, frameIndex: Math.floor(mediaTime * this.mediaFrameRate + 1e-6) };
+    }
+
+    emitPosition() {
+        if (!this.isActive) return;
+        this.emit('position', {
+            ...this.getPosition(),
+            frameCount: this.frameCount,
+            duration: this.duration,
+            playing: !this.videoElement.paused
+        });
+    }
+
+    async play() {
+        if (!this.isActive) return;
+        if (this.videoElement.ended) this.videoElement.currentTime = 0;
+        await this.videoElement.play();
+        this.emitPosition();
+    }
+
+    pause() {
+        if (!this.isActive) return;
+        this.videoElement.pause();
+        this.emitPosition();
+    }
+
+    /**
+     * Pause and move by whole frames
+     * @param {number} frames - Negative steps back
+     */
+    async step(frames = 1) {
+        if (!this.isActive) return;
+        this.videoElement.pause();
+        const { frameIndex } = this.getPosition();
+        // Aim at the middle of the frame so rounding in the decoder can't land on its neighbour
+        await this.seek((frameIndex + frames + 0.5) / this.mediaFrameRate);
+    }
+
+    /**
+     * Jump to a time; resolves once the frame there is shown
+     * @param {number} seconds - Media time, clamped to the file
+     */
+    async seek(seconds) {
+        if (!this.isActive) return;
+        const video = this.videoElement;
+        const target = Math.max(0, Math.min(this.duration, seconds));
+
+        await new Promise(resolve => {
+            video.addEventListener('seeked', resolve, { once: true });
+            video.currentTime = target;
+        });
+        this.emitPosition();
+    }
+
+    setSpeed(rate) {
+        this.speed = rate;
+        if (this.videoElement) this.videoElement.playbackRate = rate;
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        if (this.videoElement) this.videoElement.loop = loop;
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            label: this.label,
+            playing: this.isActive && !this.videoElement.paused,
+            speed: this.speed,
+            loop: this.loop,
+            duration: this.duration,
+            frameCount: this.frameCount,
+            ...this.getPosition()
+        };
+    }
+
+    releaseUrl() {
+        if (this.url) URL.revokeObjectURL(this.url);
+        this.url = null;
+    }
+
+    stop() {
+        this.stopFrameMonitoring();
+
+        const video = this.videoElement;
+        if (video) {
+            video.removeEventListener('ended', this.handleEnded);
+            video.removeEventListener('timeupdate', this.handleTimeUpdate);
+            video.pause();
+            video.loop = false;
+            video.playbackRate = 1;
+            video.removeAttribute('src');
+            video.load();
+        }
+        this.releaseUrl();
+
+        const wasActive = this.isActive;
+        this.isActive = false;
+        this.frameRate = 0;
+        if (wasActive) this.emit('stopped');
+    }
+}
+
+/**
+ * Still images shown one after another, in file name order
+ * Images are drawn onto a canvas streamed into the video element; only the
+ * image on screen is decoded, so long sequences don't fill memory
+ */
+export class ImageSequenceSource extends FrameSource {
+    /**
+     * @param {Array<File>} files - Images; non-images are skipped
+     * @param {Object} options - {frameRate = 2 images per second, speed = 1, loop = true}
+     */
+    constructor(files, options = {}) {
+        super('images');
+        const collator = new Intl.Collator(undefined, { numeric: true });
+        this.files = Array.from(files)
+            .filter(file => file.type.startsWith('image/'))
+            .sort((a, b) => collator.compare(a.webkitRelativePath || a.name, b.webkitRelativePath || b.name));
+        this.label = this.files.length > 0 ? `${this.files[0].name} (+${this.files.length - 1})` : 'images';
+
+        this.imageRate = options.frameRate || 2;
+        this.speed = options.speed || 1;
+        this.loop = options.loop ?? true;
+
+        this.index = 0;
+        this.canvas = null;
+        this.stream = null;
+        this.timer = null;
+        this.playing = false;
+        this.showing = Promise.resolve();
+    }
+
+    get seekable() {
+        return true;
+    }
+
+    get duration() {
+        return this.frameCount / this.imageRate;
+    }
+
+    get frameCount() {
+        return this.files.length;
+    }
+
+    getDrawable() {
+        return this.canvas;
+    }
+
+    getResolution() {
+        return { width: this.canvas?.width || 0, height: this.canvas?.height || 0 };
+    }
+
+    getPosition() {
+        return { mediaTime: this.index / this.imageRate, frameIndex: this.index };
+    }
+
+    async start(videoElement) {
+        if (this.frameCount === 0) throw new Error('No images to play');
+
+        this.videoElement = videoElement;
+        this.canvas = document.createElement('canvas');
+        await this.show(0);
+
+        // Frames are pushed with requestFrame() whenever an image is drawn
+        this.stream = this.canvas.captureStream(0);
+        await this.loadVideoElement({ srcObject: this.stream });
+        this.stream.getVideoTracks()[0]?.requestFrame?.();
+
+        this.isActive = true;
+        this.startFrameMonitoring();
+        this.emit('started', { ...this.getResolution(), label: this.label, simulated: false, duration: this.duration });
+        this.emitPosition();
+        this.play();
+        console.log(`🖼️ Showing ${this.frameCount} frames of ${this.label}`);
+    }
+
+    /**
+     * Draw one frame and push it to the stream; calls are queued so frames never interleave
+     * @param {number} index - Frame index
+     */
+    show(index) {
+        this.showing = this.showing.then(async () => {
+            await this.drawFrame(index);
+
+            this.index = index;
+            this.stream?.getVideoTracks()[0]?.requestFrame?.();
+            this.emitPosition();
+        }).catch(error => {
+            console.error(`❌ Cannot show frame ${index} of ${this.label}:`, error);
+            this.emit('error', error);
+        });
+        return this.showing;
+    }
+
+    /**
+     * Decode one image onto the canvas; subclasses that generate frames override this
+     * @param {number} index - Image index
+     */
+    async drawFrame(index) {
+        const bitmap = await createImageBitmap(this.files[index]);
+        try {
+            if (this.canvas.width !== bitmap.width) this.canvas.width = bitmap.width;
+            if (this.canvas.height !== bitmap.height) this.canvas.height = bitmap.height;
+            this.canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    emitPosition() {
+        if (!this.isActive) return;
+        this.emit('position', {
+            ...this.getPosition(),
+            frameCount: this.frameCount,
+            duration: this.duration,
+            playing: this.playing
+        });
+    }
+
+    /**
+     * Advance on a timer at imageRate × speed
+     */
+    async play() {
+        if (!this.isActive) return;
+        this.pause();
+        if (!this.loop && this.index >= this.frameCount - 1) await this.show(0);
+
+        this.playing = true;
+        this.timer = setInterval(() => this.advance(), 1000 / (this.imageRate * this.speed));
+        this.emitPosition();
+    }
+
+    advance() {
+        const next = this.index + 1;
+        if (next < this.frameCount) {
+            this.show(next);
+        } else if (this.loop) {
+            this.show(0);
+        } else {
+            this.pause();
+            this.emit('ended', this.getPosition());
+        }
+    }
+
+    pause() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.playing = false;
+        this.emitPosition();
+    }
+
+    /**
+     * Pause and move by whole images
+     * @param {number} frames - Negative steps back
+     */
+    async step(frames = 1) {
+        if (!this.isActive) return;
+        this.pause();
+        await this.show(this.clampIndex(this.index + frames));
+    }
+
+    /**
+     * Jump to the image shown at a time
+     * @param {number} seconds - Sequence time
+     */
+    async seek(seconds) {
+        if (!this.isActive) return;
+        await this.show(this.clampIndex(Math.floor(seconds * this.imageRate)));
+    }
+
+    clampIndex(index) {
+        const count = this.frameCount;
+        if (this.loop) return ((index % count) + count) % count;
+        return Math.max(0, Math.min(count - 1, index));
+    }
+
+    setSpeed(rate) {
+        this.speed = rate;
+        if (this.playing) this.play();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            label: this.label,
+            playing: this.playing,
+            speed: this.speed,
+            loop: this.loop,
+            duration: this.duration,
+            frameCount: this.frameCount,
+            ...this.getPosition()
+        };
+    }
+
+    stop() {
+        this.pause();
+        this.stopFrameMonitoring();
+
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        if (this.videoElement) this.videoElement.srcObject = null;
+
+        const wasActive = this.isActive;
+        this.isActive = false;
+        this.frameRate = 0;
+        if (wasActive) this.emit('stopped');
+    }
+}
@@ -0,0 +1,430 @@
+/**
+ * Image Processing Module
+ * Kernels over single-channel typed-array images (row-major, one value per pixel).
+ * Every function takes (src, width, height, ...) and an optional `out` buffer,
+ * has no DOM dependency and can run inside a Web Worker.
+ */
+
+// Working buffers reused across calls, keyed by name (see ImageProcessing.scratch())
+const scratchBuffers = new Map();
+
+export class ImageProcessing {
+    /**
+     * Reusable working buffer for intermediate results
+     * Contents are left over from the previous user; never return one to a caller
+     * @param {string} name - Buffer name, one per purpose
+     * @param {number} length - Number of elements
+     * @param {Function} Type - Typed array constructor
+     * @returns {TypedArray} Buffer of exactly `length` elements
+     */
+    static scratch(name, length, Type = Float32Array) {
+        let buffer = scratchBuffers.get(name);
+        if (!buffer || buffer.length < length || buffer.constructor !== Type) {
+            buffer = new Type(length);
+            scratchBuffers.set(name, buffer);
+        }
+        return buffer.length === length ? buffer : buffer.subarray(0, length);
+    }
+
+    /**
+     * Convert RGBA image data to luminance
+     * @param {ImageData} imageData - RGBA input
+     * @param {Float32Array|Uint8Array} out - Optional output buffer
+     * @returns {Float32Array|Uint8Array} Luminance values
+     */
+    static grayscale(imageData, out = null) {
+        const { data, width, height } = imageData;
+        const gray = out || new Float32Array(width * height);
+
+        for (let i = 0, p = 0; p < width * height; i += 4, p++) {
+            gray[p] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        }
+
+        return gray;
+    }
+
+    /**
+     * Normalized 1D Gaussian kernel with radius ceil(3 * sigma)
+     * @param {number} sigma - Standard deviation in pixels
+     * @returns {Float32Array} Kernel weights (length 2 * radius + 1)
+     */
+    static gaussianKernel(sigma) {
+        const radius = Math.max(1, Math.ceil(sigma * 3));
+        const kernel = new Float32Array(radius * 2 + 1);
+        let norm = 0;
+
+        for (let k = -radius; k <= radius; k++) {
+            kernel[k + radius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+            norm += kernel[k + radius];
+        }
+        for (let k = 0; k < kernel.length; k++) kernel[k] /= norm;
+
+        return kernel;
+    }
+
+    /**
+     * Convolve with a horizontal and a vertical 1D kernel, clamping at the borders
+     * Kernels must be symmetric (like Gaussians): mirrored taps are summed before
+     * the multiply, which halves the work per pixel
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Float32Array} kernelX - Horizontal kernel (odd length, symmetric)
+     * @param {Float32Array} kernelY - Vertical kernel (odd length, symmetric)
+     * @param {Float32Array} out - Optional output buffer (may be src)
+     * @returns {Float32Array} Filtered pixels
+     */
+    static convolveSeparable(src, width, height, kernelX, kernelY, out = null) {
+        const temp = ImageProcessing.scratch('convolve', width * height);
+        const dst = out || new Float32Array(width * height);
+        const rx = kernelX.length >> 1;
+        const ry = kernelY.length >> 1;
+        const left = Math.min(rx, width);
+        const right = Math.max(left, width - rx);
+
+        // Horizontal pass; only the columns within rx of the borders need clamping
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            const last = row + width - 1;
+            const clamped = (x) => {
+                const c = row + x;
+                let sum = src[c] * kernelX[rx];
+                for (let k = 1; k <= rx; k++) {
+                    const a = c - k < row ? row : c - k;
+                    const b = c + k > last ? last : c + k;
+                    sum += (src[a] + src[b]) * kernelX[rx + k];
+                }
+                return sum;
+            };
+
+            for (let x = 0; x < left; x++) temp[row + x] = clamped(x);
+
+            for (let x = left; x < right; x++) {
+                const c = row + x;
+                let sum = src[c] * kernelX[rx];
+                for (let k = 1; k <= rx; k++) sum += (src[c - k] + src[c + k]) * kernelX[rx + k];
+                temp[c] = sum;
+            }
+
+            for (let x = right; x < width; x++) temp[row + x] = clamped(x);
+        }
+
+        // Vertical pass; border rows are clamped through the per-row tap offsets
+        const taps = ImageProcessing.scratch('convolveTaps', 2 * ry + 1, Int32Array);
+        for (let y = 0; y < height; y++) {
+            for (let k = -ry; k <= ry; k++) {
+                const yy = y + k;
+                taps[k + ry] = (yy < 0 ? 0 : yy >= height ? height - 1 : yy) * width;
+            }
+
+            const row = y * width;
+            const center = taps[ry];
+            for (let x = 0; x < width; x++) {
+                let sum = temp[center + x] * kernelY[ry];
+                for (let k = 1; k <= ry; k++) sum += (temp[taps[ry - k] + x] + temp[taps[ry + k] + x]) * kernelY[ry + k];
+                dst[row + x] = sum;
+            }
+        }
+
+        return dst;
+    }
+
+    /**
+     * Separable Gaussian blur
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} sigma - Standard deviation in pixels (<= 0 copies the input)
+     * @param {Float32Array} out - Optional output buffer
+     * @returns {Float32Array} Blurred pixels
+     */
+    static gaussianBlur(src, width, height, sigma, out = null) {
+        if (!sigma || sigma <= 0) {
+            const copy = out || new Float32Array(width * height);
+            copy.set(src);
+            return copy;
+        }
+
+        const kernel = ImageProcessing.gaussianKernel(sigma);
+        return ImageProcessing.convolveSeparable(src, width, height, kernel, kernel, out);
+    }
+
+    /**
+     * Summed-area table with a zero first row and column
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Float64Array} Table of size (width + 1) * (height + 1)
+     */
+    static integralImage(src, width, height) {
+        const iw = width + 1;
+        const sum = new Float64Array(iw * (height + 1));
+
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += src[y * width + x];
+                sum[(y + 1) * iw + x + 1] = sum[y * iw + x + 1] + rowSum;
+            }
+        }
+
+        return sum;
+    }
+
+    /**
+     * Mean filter over a (2 * radius + 1)^2 window using an integral image
+     * Cost per pixel does not depend on the radius; windows are clipped at the borders
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Window radius in pixels
+     * @param {Float32Array} out - Optional output buffer
+     * @returns {Float32Array} Blurred pixels
+     */
+    static boxBlur(src, width, height, radius, out = null) {
+        const dst = out || new Float32Array(width * height);
+        const sum = ImageProcessing.integralImage(src, width, height);
+        const iw = width + 1;
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                const total = sum[y1 * iw + x1] - sum[y0 * iw + x1] - sum[y1 * iw + x0] + sum[y0 * iw + x0];
+                dst[y * width + x] = total / ((x1 - x0) * (y1 - y0));
+            }
+        }
+
+        return dst;
+    }
+
+    /**
+     * Sobel gradients; the one pixel border is left at zero
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} out - Optional output buffers {gx, gy, magnitude}
+     * @returns {Object} {gx, gy, magnitude} as Float32Arrays
+     */
+    static sobel(src, width, height, out = null) {
+        const size = width * height;
+        const gx = out?.gx || new Float32Array(size);
+        const gy = out?.gy || new Float32Array(size);
+        const magnitude = out?.magnitude || new Float32Array(size);
+
+        // Only the interior is written below
+        if (out) {
+            for (let x = 0; x < width; x++) {
+                gx[x] = gy[x] = magnitude[x] = 0;
+                gx[size - 1 - x] = gy[size - 1 - x] = magnitude[size - 1 - x] = 0;
+            }
+            for (let y = 1; y < height - 1; y++) {
+                const i = y * width;
+                gx[i] = gy[i] = magnitude[i] = 0;
+                gx[i + width - 1] = gy[i + width - 1] = magnitude[i + width - 1] = 0;
+            }
+        }
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const tl = src[i - width - 1], t = src[i - width], tr = src[i - width + 1];
+                const l = src[i - 1], r = src[i + 1];
+                const bl = src[i + width - 1], b = src[i + width], br = src[i + width + 1];
+
+                const dx = (tr + 2 * r + br) - (tl + 2 * l + bl);
+                const dy = (bl + 2 * b + br) - (tl + 2 * t + tr);
+                gx[i] = dx;
+                gy[i] = dy;
+                magnitude[i] = Math.sqrt(dx * dx + dy * dy);
+            }
+        }
+
+        return { gx, gy, magnitude };
+    }
+
+    /**
+     * Minimum over a size x size square (grayscale erosion)
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} size - Structuring element size (odd)
+     * @param {ArrayLike<number>} out - Optional output buffer (same type as src by default)
+     * @returns {ArrayLike<number>} Eroded pixels
+     */
+    static erode(src, width, height, size = 3, out = null) {
+        return ImageProcessing.rankFilter(src, width, height, size, false, out);
+    }
+
+    /**
+     * Maximum over a size x size square (grayscale dilation)
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} size - Structuring element size (odd)
+     * @param {ArrayLike<number>} out - Optional output buffer (same type as src by default)
+     * @returns {ArrayLike<number>} Dilated pixels
+     */
+    static dilate(src, width, height, size = 3, out = null) {
+        return ImageProcessing.rankFilter(src, width, height, size, true, out);
+    }
+
+    /**
+     * Opening (erode, then dilate): removes specks smaller than the element
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} size - Structuring element size (odd)
+     * @param {ArrayLike<number>} out - Optional output buffer
+     * @returns {ArrayLike<number>} Opened pixels
+     */
+    static open(src, width, height, size = 3, out = null) {
+        const eroded = ImageProcessing.erode(src, width, height, size);
+        return ImageProcessing.dilate(eroded, width, height, size, out);
+    }
+
+    /**
+     * Closing (dilate, then erode): bridges gaps smaller than the element
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} size - Structuring element size (odd)
+     * @param {ArrayLike<number>} out - Optional output buffer
+     * @returns {ArrayLike<number>} Closed pixels
+     */
+    static close(src, width, height, size = 3, out = null) {
+        const dilated = ImageProcessing.dilate(src, width, height, size);
+        return ImageProcessing.erode(dilated, width, height, size, out);
+    }
+
+    /**
+     * Separable min/max filter with a square structuring element
+     * Pixels outside the image are ignored, so borders are not eroded away
+     * @param {ArrayLike<number>} src - Input pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} size - Structuring element size
+     * @param {boolean} useMax - true for dilation, false for erosion
+     * @param {ArrayLike<number>} out - Optional output buffer
+     * @returns {ArrayLike<number>} Filtered pixels
+     */
+    static rankFilter(src, width, height, size, useMax, out = null) {
+        const radius = Math.max(0, Math.floor(size / 2));
+        const dst = out || new src.constructor(width * height);
+        if (radius === 0) {
+            dst.set(src);
+            return dst;
+        }
+
+        const temp = ImageProcessing.scratch(`rank.${src.constructor.name}`, width * height, src.constructor);
+
+        // Horizontal pass
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width - 1, x + radius);
+                let value = src[row + x0];
+                for (let xx = x0 + 1; xx <= x1; xx++) {
+                    const v = src[row + xx];
+                    if (useMax ? v > value : v < value) value = v;
+                }
+                temp[row + x] = value;
+            }
+        }
+
+        // Vertical pass
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height - 1, y + radius);
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let value = temp[y0 * width + x];
+                for (let yy = y0 + 1; yy <= y1; yy++) {
+                    const v = temp[yy * width + x];
+                    if (useMax ? v > value : v < value) value = v;
+                }
+                dst[row + x] = value;
+            }
+        }
+
+        return dst;
+    }
+
+    /**
+     * Set the pixels whose centres lie inside a polygon (even-odd rule)
+     * @param {Uint8Array} mask - Output mask, modified in place
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @param {Array} points - Polygon vertices [x, y] in pixel coordinates
+     * @param {number} value - Value written inside the polygon
+     * @returns {Uint8Array} The mask
+     */
+    static fillPolygon(mask, width, height, points, value = 1) {
+        if (points.length < 3) return mask;
+
+        const crossings = [];
+        for (let y = 0; y < height; y++) {
+            const cy = y + 0.5;
+            crossings.length = 0;
+
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [xi, yi] = points[i];
+                const [xj, yj] = points[j];
+                if ((yi > cy) !== (yj > cy)) {
+                    crossings.push(xi + (cy - yi) * (xj - xi) / (yj - yi));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                const x0 = Math.max(0, Math.ceil(crossings[k] - 0.5));
+                const x1 = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+                for (let x = x0; x <= x1; x++) mask[y * width + x] = value;
+            }
+        }
+
+        return mask;
+    }
+
+    /**
+     * Paint a round brush stroke along a polyline
+     * @param {Uint8Array} mask - Output mask, modified in place
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @param {Array} points - Stroke points [x, y] in pixel coordinates
+     * @param {number} radius - Brush radius in pixels
+     * @param {number} value - Value written under the brush
+     * @returns {Uint8Array} The mask
+     */
+    static paintStroke(mask, width, height, points, radius, value = 1) {
+        const r2 = radius * radius;
+
+        for (let i = 0; i < points.length; i++) {
+            const [ax, ay] = points[i];
+            const [bx, by] = points[Math.min(i + 1, points.length - 1)];
+            const dx = bx - ax, dy = by - ay;
+            const lengthSq = dx * dx + dy * dy;
+
+            const x0 = Math.max(0, Math.floor(Math.min(ax, bx) - radius));
+            const x1 = Math.min(width - 1, Math.ceil(Math.max(ax, bx) + radius));
+            const y0 = Math.max(0, Math.floor(Math.min(ay, by) - radius));
+            const y1 = Math.min(height - 1, Math.ceil(Math.max(ay, by) + radius));
+
+            for (let y = y0; y <= y1; y++) {
+                const py = y + 0.5;
+                for (let x = x0; x <= x1; x++) {
+                    const px = x + 0.5;
+                    // Distance from the pixel centre to the segment
+                    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+                    const ex = px - (ax + t * dx), ey = py - (ay + t * dy);
+                    if (ex * ex + ey * ey <= r2) mask[y * width + x] = value;
+                }
+            }
+        }
+
+        return mask;
+    }
+}
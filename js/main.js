@@ -5,11 +5,30 @@
 
 // Import modules
 import { CameraManager } from './camera.js';
-import { DetectionEngine } from './detection.js';
+import { VideoFileSource, ImageSequenceSource } from './frame-source.js';
+import { DetectionWorkerClient } from './detection-client.js';
 import { AudioManager } from './audio.js';
 import { BluetoothManager } from './bluetooth.js';
+import { RegionEditor } from './region-editor.js';
+import { VideoViewport } from './video-viewport.js';
+import { RecipeStore } from './recipe-store.js';
+import { RecipeBundle } from './recipe-bundle.js';
+import { SessionStore } from './session-store.js';
+import { SessionRecorder, SessionReplaySource } from './session-recorder.js';
+import { SimulationSource, GroundTruthScorer } from './simulation.js';
+import { ConfigLoader } from './config.js';
 import { Utils } from './utils.js';
 
+// What the camera watchdog reports, for the operator
+const CAMERA_FAULTS = {
+    ended: 'สัญญาณกล้องหลุด',
+    stalled: 'ไม่มีภาพจากกล้อง (0 FPS)',
+    frozen: 'ภาพค้าง'
+};
+
+// How often a camera fault alarm sounds until the camera is back
+const FAULT_ALARM_INTERVAL = 5000;
+
 /**
  * Main Visual Control Application Class - Drawing Mode
  */
@@ -17,11 +36,28 @@ class VisualControlApp {
     constructor() {
         // Initialize components
         this.camera = new CameraManager();
-        this.detection = new DetectionEngine();
+        this.source = this.camera;    // Where frames come from: the camera or recorded footage
+        this.detection = new DetectionWorkerClient();
         this.audio = new AudioManager();
         this.bluetooth = new BluetoothManager();
+        this.recipes = new RecipeStore();
+        this.config = new ConfigLoader();
+        this.recipeBundle = new RecipeBundle(this.recipes, this.config);
         this.utils = new Utils();
 
+        // Recorded sessions; the recorder follows whatever source is active
+        this.sessions = new SessionStore();
+        this.recorder = new SessionRecorder({
+            detection: this.detection,
+            getSource: () => this.source,
+            getContext: () => this.getRecordingContext()
+        });
+        this.replayResult = null;     // Recorded result on screen during a replay
+        this.replayBackup = null;     // Areas in use before a replay replaced them
+        this.scorer = null;           // Ground truth for simulated footage
+        this.cameraFault = null;      // Watchdog fault while the camera reconnects
+        this.faultAlarmTimer = null;
+
         // Application state
         this.state = {
             isMonitoring: false,
@@ -29,7 +65,7 @@ class VisualControlApp {
             hasReferenceImage: false,
             isBluetoothConnected: false,
             isCameraActive: false,
-            currentStep: 'ready', // 'ready', 'drawing-box', 'drawing-keypoint', 'ready-monitor', 'monitoring'
+            currentStep: 'ready', // 'ready', 'drawing-box', 'drawing-keypoint', 'drawing-polygon', 'painting-include', 'painting-exclude', 'editing', 'ready-monitor', 'monitoring'
             isDrawing: false
         };
 
@@ -38,12 +74,39 @@ class VisualControlApp {
             startX: 0,
             startY: 0,
             currentRect: null,
-            boxRect: null,        // Main box area
-            keyPointRect: null,   // Key point for detection
+            boxRect: null,        // Main box area, normalized video coordinates
+            regions: [],          // Named key points {id, name, rect, checkType, tolerances}, rects normalized
+            polygonPoints: [],    // Vertices of the polygon being drawn, canvas pixels
+            stroke: null,         // Mask stroke being painted {targetId, mode, points}
+            brushSize: 30,        // Brush diameter in canvas pixels
             isDrawingBox: false,
             isDrawingKeyPoint: false
         };
 
+        // Region check types (see DetectionEngine.checkTypes) and outline colours
+        this.regionCheckTypes = {
+            full: 'ครบทุกด้าน',
+            position: 'ตำแหน่ง',
+            rotation: 'ความเอียง',
+            similarity: 'ความเหมือนภาพ',
+            presence: 'มี/ไม่มี'
+        };
+        this.regionColors = ['#2196F3', '#9C27B0', '#FF9800', '#00BCD4', '#E91E63', '#795548'];
+
+        // Maps the normalized areas onto the drawing canvas (object-fit aware)
+        this.viewport = new VideoViewport();
+
+        // Selection, handles and undo/redo for the drawn areas, in canvas pixels
+        this.editor = new RegionEditor(() => this.layoutOnCanvas());
+        this.syncReferenceAreasSoon = this.utils.debounce(() => this.syncReferenceAreas(), 300, 'referenceSync');
+
+        // Recipe whose areas are loaded, and a copy of the reference frame to store with it
+        this.activeRecipe = null;
+        this.referenceCanvas = null;
+        this.recipeThumbnailUrls = [];
+        this.pendingImport = null;    // RecipeBundle.diff() entries awaiting confirmation
+        this.renderRecipeListSoon = this.utils.debounce(() => this.renderRecipeList(), 200, 'recipeSearch');
+
         // Statistics
         this.stats = {
             total: 0,
@@ -56,17 +119,20 @@ class VisualControlApp {
         // DOM elements
         this.elements = {};
         
-        // Settings
-        this.settings = {
-            rotationSensitivity: 5,
-            positionSensitivity: 20,
-            detectionThreshold: 50
-        };
+        // Sensitivities, from the detection section of the configuration (see applyConfig())
+        this.settings = {};
 
         // Canvas contexts
         this.overlayCtx = null;
         this.drawingCtx = null;
 
+        // Monitoring loop
+        this.monitoringFrameId = null;
+        this.monitoringUsesVideoCallback = false;
+        this.isCapturing = false;
+        this.lastFrameSize = null;
+        this.alertHighlight = null;
+
         // Initialize application
         this.init();
     }
@@ -80,6 +146,16 @@ class VisualControlApp {
             
             // Cache DOM elements first
             this.cacheElements();
+
+            // Every default comes from config/; a broken file stops startup here
+            try {
+                await this.config.load();
+            } catch (error) {
+                console.error('❌ Invalid configuration:', error.details || error);
+                this.hideLoadingScreen();
+                this.showConfigError(error);
+                return;
+            }
             
             // Hide loading screen immediately after caching elements
             this.hideLoadingScreen();
@@ -90,11 +166,23 @@ class VisualControlApp {
             // Setup event listeners
             this.setupEventListeners();
             
-            // Load settings from localStorage
-            this.loadSettings();
+            // Hand each module its configuration section
+            this.applyConfig();
             
             // Setup component event handlers
             this.setupComponentHandlers();
+
+            // Recipe library; restores the recipe in use before the reload
+            this.loadRecipes();
+            this.renderSessionList();
+            this.updateRecorderControls();
+            this.renderCameraOutages();
+
+            // Extra inspection rules from ?rules=<module url>
+            const rulesUrl = new URLSearchParams(location.search).get('rules');
+            if (rulesUrl) {
+                this.detection.loadRules(rulesUrl);
+            }
             
             // Update initial UI state
             this.updateUI();
@@ -148,7 +236,8 @@ class VisualControlApp {
             'cameraStatus', 'bluetoothStatus', 'monitoringStatus', 'setupStatus',
             'videoElement', 'overlayCanvas', 'drawingCanvas', 'videoContainer',
             'videoResolution', 'frameRate', 'startCamera', 
-            'drawBoxBtn', 'drawKeyPointBtn', 'clearDrawing',
+            'drawBoxBtn', 'drawKeyPointBtn', 'drawPolygonBtn', 'paintIncludeBtn', 'paintExcludeBtn',
+            'brushSize', 'brushSizeValue', 'editRegionsBtn', 'clearDrawing',
             'takeReference', 'clearReference', 'saveReference',
             'connectBluetooth', 'disconnectBluetooth', 'testSound',
             'startMonitoring', 'stopMonitoring', 'pauseAlert', 'resetStats',
@@ -156,7 +245,14 @@ class VisualControlApp {
             'detectionThreshold', 'rotationValue', 'positionValue', 'thresholdValue',
             'totalBoxes', 'normalBoxes', 'alertBoxes', 'accuracy',
             'normalBoxesStats', 'alertBoxesStats', 'boxCounter',
-            'systemAlert', 'bluetoothInfo', 'drawingInstructions', 'instructionText'
+            'systemAlert', 'bluetoothInfo', 'drawingInstructions', 'instructionText',
+            'regionList', 'recipeName', 'recipeSku', 'newRecipe', 'recipeSearch', 'recipeList',
+            'exportRecipes', 'importRecipes', 'recipeImportFile', 'recipeImport',
+            'cameraProfile', 'cameraLocks', 'cameraDrift', 'unlockCamera', 'cameraFault', 'cameraOutages',
+            'openVideoFile', 'openImageFiles', 'openImageFolder', 'videoFileInput', 'imageFilesInput', 'imageFolderInput',
+            'playbackControls', 'stepBack', 'playPause', 'stepForward', 'seekSlider', 'playbackPosition',
+            'playbackSpeed', 'playbackLoop', 'openScenario', 'scenarioFileInput', 'simulationScore',
+            'recordToggle', 'saveRolling', 'rollingRecord', 'recordStatus', 'sessionList', 'openSessionFile', 'sessionFileInput'
         ];
 
         this.elements = {};
@@ -195,6 +291,8 @@ class VisualControlApp {
      * Setup canvas contexts
      */
     setupCanvases() {
+        this.viewport.videoElement = this.elements.videoElement || null;
+
         if (this.elements.overlayCanvas) {
             this.overlayCtx = this.elements.overlayCanvas.getContext('2d');
         }
@@ -224,10 +322,54 @@ class VisualControlApp {
             }
         });
         
+        this.updateViewport();
+
         // Redraw existing shapes
         this.redrawOverlay();
     }
 
+    /**
+     * Re-measure where the video picture sits on the canvas
+     * The undo history holds canvas layouts, so it is carried over to the new geometry
+     */
+    updateViewport() {
+        const canvas = this.elements.drawingCanvas;
+        if (!canvas) return;
+
+        const previous = this.viewport.clone();
+        if (!this.viewport.update(canvas.width, canvas.height)) return;
+
+        if (previous.isReady) {
+            this.editor.remapHistory(layout => this.layoutOnCanvas(this.layoutFromCanvas(layout, previous)));
+        }
+        this.redrawOverlay();
+    }
+
+    /**
+     * Areas projected onto the drawing canvas
+     * @param {Object} layout - Normalized {boxRect, regions}; the current areas by default
+     * @returns {Object} {boxRect, regions} in canvas pixels
+     */
+    layoutOnCanvas(layout = this.drawing) {
+        return {
+            boxRect: this.viewport.rectToCanvas(layout.boxRect),
+            regions: layout.regions.map(region => ({ ...region, rect: this.viewport.rectToCanvas(region.rect) }))
+        };
+    }
+
+    /**
+     * Areas drawn on the canvas in normalized video coordinates
+     * @param {Object} layout - {boxRect, regions} in canvas pixels
+     * @param {VideoViewport} viewport - Geometry the layout was drawn in
+     * @returns {Object} Normalized {boxRect, regions}
+     */
+    layoutFromCanvas(layout, viewport = this.viewport) {
+        return {
+            boxRect: viewport.rectFromCanvas(layout.boxRect),
+            regions: layout.regions.map(region => ({ ...region, rect: viewport.rectFromCanvas(region.rect) }))
+        };
+    }
+
     /**
      * Setup event listeners
      */
@@ -239,9 +381,48 @@ class VisualControlApp {
         this.elements.saveReference?.addEventListener('click', () => this.handleSaveReference());
         this.elements.fullscreenBtn?.addEventListener('click', () => this.handleFullscreen());
 
+        // Recipe library
+        this.elements.newRecipe?.addEventListener('click', () => this.handleNewRecipe());
+        this.elements.recipeSearch?.addEventListener('input', () => this.renderRecipeListSoon());
+        this.elements.exportRecipes?.addEventListener('click', () => this.handleExportRecipes());
+        this.elements.importRecipes?.addEventListener('click', () => this.elements.recipeImportFile?.click());
+        this.elements.recipeImportFile?.addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+
+        // Recorded footage and playback
+        this.elements.openVideoFile?.addEventListener('click', () => this.elements.videoFileInput?.click());
+        this.elements.openImageFiles?.addEventListener('click', () => this.elements.imageFilesInput?.click());
+        this.elements.openImageFolder?.addEventListener('click', () => this.elements.imageFolderInput?.click());
+        this.elements.videoFileInput?.addEventListener('change', (e) => this.handleOpenFootage(e.target, files => new VideoFileSource(files[0])));
+        this.elements.imageFilesInput?.addEventListener('change', (e) => this.handleOpenFootage(e.target, files => new ImageSequenceSource(files)));
+        this.elements.imageFolderInput?.addEventListener('change', (e) => this.handleOpenFootage(e.target, files => new ImageSequenceSource(files)));
+        this.elements.openScenario?.addEventListener('click', () => this.elements.scenarioFileInput?.click());
+        this.elements.scenarioFileInput?.addEventListener('change', (e) => this.handleOpenScenario(e.target));
+        this.elements.playPause?.addEventListener('click', () => this.handlePlayPause());
+        this.elements.stepBack?.addEventListener('click', () => this.source.step(-1));
+        this.elements.stepForward?.addEventListener('click', () => this.source.step(1));
+        this.elements.seekSlider?.addEventListener('input', (e) => this.source.seek(parseFloat(e.target.value)));
+        this.elements.playbackSpeed?.addEventListener('change', (e) => this.source.setSpeed(parseFloat(e.target.value)));
+        this.elements.playbackLoop?.addEventListener('change', (e) => this.source.setLoop(e.target.checked));
+
+        // Session recording and replay
+        this.elements.recordToggle?.addEventListener('click', () => this.handleToggleRecording());
+        this.elements.saveRolling?.addEventListener('click', () => this.handleSaveRolling());
+        this.elements.rollingRecord?.addEventListener('change', (e) => this.handleRollingChange(e.target.checked));
+        this.elements.openSessionFile?.addEventListener('click', () => this.elements.sessionFileInput?.click());
+        this.elements.sessionFileInput?.addEventListener('change', (e) => this.handleOpenSessionFile(e.target));
+
+        // Camera profile and locks
+        this.elements.cameraProfile?.addEventListener('change', (e) => this.handleCameraProfileChange(e.target.value));
+        this.elements.unlockCamera?.addEventListener('click', () => this.handleUnlockCamera());
+
         // Drawing controls
         this.elements.drawBoxBtn?.addEventListener('click', () => this.handleStartDrawingBox());
         this.elements.drawKeyPointBtn?.addEventListener('click', () => this.handleStartDrawingKeyPoint());
+        this.elements.drawPolygonBtn?.addEventListener('click', () => this.handleStartDrawingPolygon());
+        this.elements.paintIncludeBtn?.addEventListener('click', () => this.handleStartPainting('include'));
+        this.elements.paintExcludeBtn?.addEventListener('click', () => this.handleStartPainting('exclude'));
+        this.elements.brushSize?.addEventListener('input', (e) => this.handleBrushSizeChange(e.target.value));
+        this.elements.editRegionsBtn?.addEventListener('click', () => this.handleToggleEditing());
         this.elements.clearDrawing?.addEventListener('click', () => this.handleClearDrawing());
 
         // Bluetooth controls
@@ -269,6 +450,13 @@ class VisualControlApp {
         // Window events
         window.addEventListener('beforeunload', () => this.cleanup());
         window.addEventListener('resize', () => this.resizeCanvases());
+
+        // The camera resolution decides where the picture lands on the canvas
+        this.elements.videoElement?.addEventListener('loadedmetadata', () => {
+            this.updateViewport();
+            this.resumeLegacyMigration();
+        });
+        this.elements.videoElement?.addEventListener('resize', () => this.updateViewport());
     }
 
     /**
@@ -281,6 +469,9 @@ class VisualControlApp {
         this.elements.drawingCanvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         this.elements.drawingCanvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.elements.drawingCanvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.elements.drawingCanvas.addEventListener('dblclick', () => {
+            if (this.state.currentStep === 'drawing-polygon') this.finishPolygon();
+        });
 
         // Touch events for mobile
         this.elements.drawingCanvas.addEventListener('touchstart', (e) => {
@@ -312,15 +503,41 @@ class VisualControlApp {
         console.log('🖱️ Drawing events setup complete');
     }
 
+    /**
+     * Pointer position in drawing-canvas pixels
+     * @param {MouseEvent} e - Mouse event
+     * @returns {Object} {x, y}
+     */
+    canvasPoint(e) {
+        const rect = this.elements.drawingCanvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
     /**
      * Handle mouse down for drawing
      */
     handleMouseDown(e) {
+        if (this.state.currentStep === 'editing') {
+            this.editor.begin(this.canvasPoint(e));
+            this.redrawOverlay();
+            return;
+        }
+
+        if (this.state.currentStep === 'drawing-polygon') {
+            this.addPolygonPoint(this.canvasPoint(e));
+            return;
+        }
+
+        if (this.isPainting()) {
+            this.beginStroke(this.canvasPoint(e));
+            return;
+        }
+
         if (!this.canDraw()) return;
 
-        const rect = this.elements.drawingCanvas.getBoundingClientRect();
-        this.drawing.startX = e.clientX - rect.left;
-        this.drawing.startY = e.clientY - rect.top;
+        const point = this.canvasPoint(e);
+        this.drawing.startX = point.x;
+        this.drawing.startY = point.y;
         this.state.isDrawing = true;
 
         // Show drawing instructions
@@ -331,11 +548,26 @@ class VisualControlApp {
      * Handle mouse move for drawing
      */
     handleMouseMove(e) {
+        if (this.state.currentStep === 'editing') {
+            const point = this.canvasPoint(e);
+            this.editor.update(point, { shiftKey: e.shiftKey });
+            this.elements.drawingCanvas.style.cursor = this.editor.cursorAt(point);
+            return;
+        }
+
+        if (this.state.currentStep === 'drawing-polygon') {
+            this.drawPolygonPreview(this.canvasPoint(e));
+            return;
+        }
+
+        if (this.isPainting()) {
+            this.extendStroke(this.canvasPoint(e));
+            return;
+        }
+
         if (!this.state.isDrawing || !this.canDraw()) return;
 
-        const rect = this.elements.drawingCanvas.getBoundingClientRect();
-        const currentX = e.clientX - rect.left;
-        const currentY = e.clientY - rect.top;
+        const { x: currentX, y: currentY } = this.canvasPoint(e);
 
         const width = currentX - this.drawing.startX;
         const height = currentY - this.drawing.startY;
@@ -355,6 +587,16 @@ class VisualControlApp {
      * Handle mouse up for drawing
      */
     handleMouseUp(e) {
+        if (this.state.currentStep === 'editing') {
+            this.editor.end();
+            return;
+        }
+
+        if (this.isPainting()) {
+            this.finishStroke();
+            return;
+        }
+
         if (!this.state.isDrawing || !this.canDraw()) return;
 
         this.state.isDrawing = false;
@@ -363,15 +605,14 @@ class VisualControlApp {
             this.drawing.currentRect.width > 20 && 
             this.drawing.currentRect.height > 20) {
             
+            this.editor.record();
+
             if (this.state.currentStep === 'drawing-box') {
-                this.drawing.boxRect = { ...this.drawing.currentRect };
+                this.drawing.boxRect = this.viewport.rectFromCanvas(this.drawing.currentRect);
                 this.state.currentStep = 'box-drawn';
                 this.showAlert('✅ วางกรอบกล่องเรียบร้อย - ตอนนี้วางกรอบจุดสำคัญ', 'success');
             } else if (this.state.currentStep === 'drawing-keypoint') {
-                this.drawing.keyPointRect = { ...this.drawing.currentRect };
-                this.state.currentStep = 'ready-monitor';
-                this.state.hasReferenceImage = true;
-                this.showAlert('✅ วางกรอบจุดสำคัญเรียบร้อย - พร้อมเริ่มตรวจสอบ', 'success');
+                this.addKeyPointRegion(this.drawing.currentRect);
             }
         } else {
             this.showAlert('⚠️ กรอบเล็กเกินไป กรุณาลากให้ใหญ่กว่านี้', 'warning');
@@ -398,7 +639,8 @@ class VisualControlApp {
         if (!this.drawing.currentRect || !this.drawingCtx) return;
 
         this.drawingCtx.clearRect(0, 0, this.elements.drawingCanvas.width, this.elements.drawingCanvas.height);
-        this.drawingCtx.strokeStyle = this.state.currentStep === 'drawing-box' ? '#4CAF50' : '#2196F3';
+        this.drawingCtx.strokeStyle = this.state.currentStep === 'drawing-box' ?
+            '#4CAF50' : this.regionColor(this.drawing.regions.length);
         this.drawingCtx.lineWidth = 3;
         this.drawingCtx.setLineDash([5, 5]);
 
@@ -411,246 +653,1370 @@ class VisualControlApp {
     }
 
     /**
-     * Redraw overlay with saved rectangles
+     * Add a drawn key point and snapshot the reference
+     * The box is in its correct place while the operator draws, so the
+     * snapshot is taken straight away
+     * @param {Object} rect - Rectangle in canvas pixels
      */
-    redrawOverlay() {
-        if (!this.overlayCtx) return;
-
-        this.overlayCtx.clearRect(0, 0, this.elements.overlayCanvas.width, this.elements.overlayCanvas.height);
-        
-        // Clear drawing canvas
-        if (this.drawingCtx && !this.state.isDrawing) {
-            this.drawingCtx.clearRect(0, 0, this.elements.drawingCanvas.width, this.elements.drawingCanvas.height);
-        }
+    addKeyPointRegion(rect) {
+        const region = this.createRegion(this.viewport.rectFromCanvas(rect));
+        this.drawing.regions.push(region);
+        this.state.currentStep = 'ready-monitor';
+        this.state.hasReferenceImage = true;
 
-        // Draw box rectangle
-        if (this.drawing.boxRect) {
-            this.overlayCtx.strokeStyle = '#4CAF50';
-            this.overlayCtx.lineWidth = 3;
-            this.overlayCtx.setLineDash([]);
-            this.overlayCtx.strokeRect(
-                this.drawing.boxRect.x,
-                this.drawing.boxRect.y,
-                this.drawing.boxRect.width,
-                this.drawing.boxRect.height
-            );
+        this.handleTakeReference();
+        this.renderRegionList();
+        this.showAlert(`✅ เพิ่ม${region.name}เรียบร้อย - พร้อมเริ่มตรวจสอบ`, 'success');
+    }
 
-            // Add label
-            this.overlayCtx.fillStyle = '#4CAF50';
-            this.overlayCtx.font = '14px Inter, sans-serif';
-            this.overlayCtx.fillText('กรอบกล่อง', this.drawing.boxRect.x, this.drawing.boxRect.y - 5);
+    /**
+     * Add a polygon vertex; clicking near the first vertex closes the polygon
+     * @param {Object} point - {x, y} in canvas pixels
+     */
+    addPolygonPoint(point) {
+        const points = this.drawing.polygonPoints;
+        if (points.length >= 3 && Math.hypot(point.x - points[0].x, point.y - points[0].y) <= 10) {
+            this.finishPolygon();
+            return;
         }
 
-        // Draw key point rectangle
-        if (this.drawing.keyPointRect) {
-            this.overlayCtx.strokeStyle = '#2196F3';
-            this.overlayCtx.lineWidth = 2;
-            this.overlayCtx.setLineDash([]);
-            this.overlayCtx.strokeRect(
-                this.drawing.keyPointRect.x,
-                this.drawing.keyPointRect.y,
-                this.drawing.keyPointRect.width,
-                this.drawing.keyPointRect.height
-            );
-
-            // Add label
-            this.overlayCtx.fillStyle = '#2196F3';
-            this.overlayCtx.font = '14px Inter, sans-serif';
-            this.overlayCtx.fillText('กรอบจุดสำคัญ', this.drawing.keyPointRect.x, this.drawing.keyPointRect.y - 5);
-        }
+        points.push(point);
+        this.showDrawingInstructions(true);
+        this.drawPolygonPreview(point);
     }
 
     /**
-     * Show/hide drawing instructions
+     * Draw the open polygon with a rubber band edge to the cursor
+     * @param {Object} cursor - {x, y} in canvas pixels
      */
-    showDrawingInstructions(show) {
-        if (!this.elements.drawingInstructions || !this.elements.instructionText) return;
-
-        if (show) {
-            let text = '';
-            let icon = '';
-            
-            if (this.state.currentStep === 'drawing-box') {
-                text = 'ลากเมาส์เพื่อวางกรอบรอบกล่อง';
-                icon = '📦';
-            } else if (this.state.currentStep === 'drawing-keypoint') {
-                text = 'ลากเมาส์เพื่อวางกรอบจุดสำคัญ';
-                icon = '🎯';
-            }
-
-            this.elements.instructionText.innerHTML = `<span class="instruction-icon">${icon}</span><span>${text}</span>`;
-            this.elements.drawingInstructions.classList.add('show');
-        } else {
-            this.elements.drawingInstructions.classList.remove('show');
-        }
+    drawPolygonPreview(cursor) {
+        const ctx = this.drawingCtx;
+        const points = this.drawing.polygonPoints;
+        if (!ctx || points.length === 0) return;
+
+        ctx.clearRect(0, 0, this.elements.drawingCanvas.width, this.elements.drawingCanvas.height);
+        ctx.strokeStyle = this.drawing.boxRect ? this.regionColor(this.drawing.regions.length) : '#4CAF50';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.lineTo(cursor.x, cursor.y);
+        ctx.stroke();
+
+        // Vertices; the first one is larger as it closes the polygon
+        ctx.setLineDash([]);
+        ctx.fillStyle = ctx.strokeStyle;
+        points.forEach((p, i) => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, i === 0 ? 6 : 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
     }
 
     /**
-     * Setup component event handlers
+     * Close the polygon being drawn and add it as the box or a key point
+     * The rectangle is the polygon's bounding box and the vertices are kept
+     * in rect.polygon, normalized to that rectangle
      */
-    setupComponentHandlers() {
-        try {
-            // Camera events
-            this.camera.on('started', () => {
-                this.state.isCameraActive = true;
-                this.state.currentStep = 'camera-ready';
-                this.updateCameraStatus('เชื่อมต่อแล้ว', 'connected');
-                this.resizeCanvases(); // Ensure canvases are properly sized
-                this.showAlert('เปิดกล้องสำเร็จ - ตอนนี้วางกรอบกล่อง', 'success');
-            });
-
-            this.camera.on('error', (error) => {
-                this.state.isCameraActive = false;
-                this.updateCameraStatus('ไม่เชื่อมต่อ', 'disconnected');
-                this.showAlert('ไม่สามารถเปิดกล้องได้: ' + error.message, 'danger');
-            });
-
-            this.camera.on('frameUpdate', (frameData) => {
-                this.updateVideoInfo(frameData);
-                if (this.state.isMonitoring && this.state.hasReferenceImage) {
-                    this.processFrame();
-                }
-            });
-
-            // Detection events
-            if (this.detection && typeof this.detection.on === 'function') {
-                this.detection.on('ready', (info) => {
-                    console.log('✅ Detection engine ready:', info);
-                });
-
-                this.detection.on('boxDetected', (result) => {
-                    this.handleDetectionResult(result);
-                });
+    finishPolygon() {
+        // A double click also lands as two clicks on the last vertex
+        const points = this.drawing.polygonPoints.filter((p, i, all) =>
+            i === 0 || Math.hypot(p.x - all[i - 1].x, p.y - all[i - 1].y) > 3);
+        this.drawing.polygonPoints = [];
+        this.redrawOverlay();
 
-                this.detection.on('error', (error) => {
-                    console.error('❌ Detection error:', error);
-                    this.showAlert('เกิดข้อผิดพลาดในการตรวจจับ: ' + error.message, 'danger');
-                });
-            }
+        if (points.length < 3) {
+            this.showAlert('⚠️ รูปหลายเหลี่ยมต้องมีอย่างน้อย 3 จุด', 'warning');
+            return;
+        }
 
-            // Audio events
-            if (this.audio && typeof this.audio.on === 'function') {
-                this.audio.on('ready', () => {
-                    if (this.elements.testSound) this.elements.testSound.disabled = false;
-                    console.log('✅ Audio system ready');
-                });
+        const xs = points.map(p => p.x), ys = points.map(p => p.y);
+        const rect = { x: Math.min(...xs), y: Math.min(...ys) };
+        rect.width = Math.max(...xs) - rect.x;
+        rect.height = Math.max(...ys) - rect.y;
 
-                this.audio.on('error', (error) => {
-                    console.error('❌ Audio error:', error);
-                });
-            }
+        if (rect.width <= 20 || rect.height <= 20) {
+            this.showAlert('⚠️ กรอบเล็กเกินไป กรุณาวาดให้ใหญ่กว่านี้', 'warning');
+            return;
+        }
 
-            // Bluetooth events
-            if (this.bluetooth && typeof this.bluetooth.on === 'function') {
-                this.bluetooth.on('connected', () => {
-                    this.state.isBluetoothConnected = true;
-                    this.updateBluetoothStatus('เชื่อมต่อแล้ว', 'connected');
-                    this.updateBluetoothButtons(true);
-                    this.showAlert('เชื่อมต่อลำโพงสำเร็จ', 'success');
-                });
+        rect.polygon = points.map(p => [(p.x - rect.x) / rect.width, (p.y - rect.y) / rect.height]);
 
-                this.bluetooth.on('error', (error) => {
-                    this.state.isBluetoothConnected = false;
-                    this.updateBluetoothStatus('ไม่เชื่อมต่อ', 'disconnected');
-                    this.updateBluetoothButtons(false);
-                    this.showAlert('ไม่สามารถเชื่อมต่อ Bluetooth ได้: ' + error.message, 'danger');
-                });
+        this.editor.record();
+        if (!this.drawing.boxRect) {
+            this.drawing.boxRect = this.viewport.rectFromCanvas(rect);
+            this.state.currentStep = 'box-drawn';
+            this.showAlert('✅ วางกรอบกล่องเรียบร้อย - ตอนนี้วางกรอบจุดสำคัญ', 'success');
+        } else {
+            this.addKeyPointRegion(rect);
+        }
 
-                this.bluetooth.on('disconnected', () => {
-                    this.state.isBluetoothConnected = false;
-                    this.updateBluetoothStatus('ไม่เชื่อมต่อ', 'disconnected');
-                    this.updateBluetoothButtons(false);
-                });
-            }
+        this.showDrawingInstructions(false);
+        this.updateUI();
+        this.redrawOverlay();
+    }
 
-            console.log('✅ Component handlers setup completed');
+    /**
+     * Whether a mask brush is active
+     */
+    isPainting() {
+        return this.state.currentStep === 'painting-include' ||
+               this.state.currentStep === 'painting-exclude';
+    }
 
-        } catch (error) {
-            console.error('❌ Error setting up component handlers:', error);
-        }
+    /**
+     * Topmost drawn area under a canvas point
+     * @param {Object} point - {x, y} in canvas pixels
+     * @returns {Object|null} {id, rect} where id is 'box' or a region id
+     */
+    areaAt(point) {
+        return this.editor.getShapes().reverse().find(shape => {
+            const local = this.editor.toLocal(point, shape.rect);
+            return Math.abs(local.x) <= shape.rect.width / 2 && Math.abs(local.y) <= shape.rect.height / 2;
+        }) || null;
     }
 
     /**
-     * Update bluetooth button states
+     * Start a mask stroke on the area under the pointer
+     * @param {Object} point - {x, y} in canvas pixels
      */
-    updateBluetoothButtons(connected) {
-        if (this.elements.connectBluetooth) {
-            this.elements.connectBluetooth.disabled = connected;
-            this.elements.connectBluetooth.innerHTML = connected ? '🔗 เชื่อมต่อลำโพง' : '🔗 เชื่อมต่อลำโพง';
-        }
-        if (this.elements.disconnectBluetooth) {
-            this.elements.disconnectBluetooth.disabled = !connected;
-        }
-        if (this.elements.testSound) {
-            this.elements.testSound.disabled = !connected;
-        }
-        if (this.elements.bluetoothInfo) {
-            this.elements.bluetoothInfo.classList.toggle('hidden', !connected);
+    beginStroke(point) {
+        const area = this.areaAt(point);
+        if (!area) {
+            this.showAlert('⚠️ เริ่มระบายภายในกรอบกล่องหรือจุดสำคัญ', 'warning');
+            return;
         }
+
+        this.drawing.stroke = {
+            targetId: area.id,
+            mode: this.state.currentStep === 'painting-include' ? 'include' : 'exclude',
+            points: [point]
+        };
+        this.drawStrokePreview();
     }
 
     /**
-     * Handle start camera
+     * Add a point to the stroke being painted
+     * @param {Object} point - {x, y} in canvas pixels
      */
-    async handleStartCamera() {
-        try {
-            this.elements.startCamera.disabled = true;
-            this.elements.startCamera.innerHTML = '🔄 กำลังเปิด...';
+    extendStroke(point) {
+        const stroke = this.drawing.stroke;
+        if (!stroke) return;
 
-            await this.camera.start(this.elements.videoElement);
+        const last = stroke.points[stroke.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) < 2) return;
 
-        } catch (error) {
-            console.error('Failed to start camera:', error);
-            this.elements.startCamera.disabled = false;
-            this.elements.startCamera.innerHTML = '🎥 เปิดกล้อง';
-        }
+        stroke.points.push(point);
+        this.drawStrokePreview();
     }
 
     /**
-     * Handle start drawing box
+     * Draw the stroke being painted on the drawing canvas
      */
-    handleStartDrawingBox() {
-        if (!this.state.isCameraActive) {
-            this.showAlert('กรุณาเปิดกล้องก่อน', 'warning');
-            return;
-        }
+    drawStrokePreview() {
+        const ctx = this.drawingCtx;
+        const stroke = this.drawing.stroke;
+        if (!ctx || !stroke) return;
 
-        this.state.currentStep = 'drawing-box';
-        this.elements.drawingCanvas.style.cursor = 'crosshair';
-        this.elements.videoContainer.classList.add('drawing-box');
-        this.updateUI();
-        this.showAlert('📦 ลากเมาส์เพื่อวางกรอบรอบกล่อง', 'info');
+        ctx.clearRect(0, 0, this.elements.drawingCanvas.width, this.elements.drawingCanvas.height);
+        this.traceStroke(ctx, stroke.points.map(p => [p.x, p.y]), this.drawing.brushSize, stroke.mode);
     }
 
     /**
-     * Handle start drawing key point
+     * Store the finished stroke in its area's mask, normalized to the area
      */
-    handleStartDrawingKeyPoint() {
-        if (!this.drawing.boxRect) {
-            this.showAlert('กรุณาวางกรอบกล่องก่อน', 'warning');
+    finishStroke() {
+        const stroke = this.drawing.stroke;
+        this.drawing.stroke = null;
+        if (!stroke) return;
+
+        const area = this.editor.getShapes().find(shape => shape.id === stroke.targetId);
+        if (!area) {
+            this.redrawOverlay();
             return;
         }
 
-        this.state.currentStep = 'drawing-keypoint';
-        this.elements.drawingCanvas.style.cursor = 'crosshair';
-        this.elements.videoContainer.classList.remove('drawing-box');
-        this.elements.videoContainer.classList.add('drawing-keypoint');
-        this.updateUI();
-        this.showAlert('🎯 ลากเมาส์เพื่อวางกรอบจุดสำคัญ', 'info');
+        const { rect } = area;
+        const points = stroke.points.map(p => {
+            const local = this.editor.toLocal(p, rect);
+            return [local.x / rect.width + 0.5, local.y / rect.height + 0.5];
+        });
+        const strokes = [...(rect.mask?.strokes || []), {
+            mode: stroke.mode,
+            radius: this.drawing.brushSize / 2 / Math.min(rect.width, rect.height),
+            points
+        }];
+
+        this.editor.record();
+        this.applyLayout(this.editor.replaceRect(area.id, { ...rect, mask: { strokes } }), true);
     }
 
     /**
-     * Handle clear drawing
+     * Canvas position of a point given in an area's normalized coordinates
+     * @param {Object} rect - Possibly rotated rectangle
+     * @param {Array} point - [u, v] in 0..1 of the rectangle
+     * @returns {Array} [x, y] on the canvas
      */
-    handleClearDrawing() {
-        this.drawing.boxRect = null;
-        this.drawing.keyPointRect = null;
-        this.drawing.currentRect = null;
+    areaPointToCanvas(rect, [u, v]) {
+        const p = this.editor.toCanvas({ x: (u - 0.5) * rect.width, y: (v - 0.5) * rect.height }, rect);
+        return [p.x, p.y];
+    }
+
+    /**
+     * Outline of a drawn area: its polygon when it has one, otherwise its corners
+     * @param {Object} rect - Possibly rotated rectangle with optional polygon
+     * @returns {Array} Points [x, y] on the canvas
+     */
+    areaOutline(rect) {
+        if (rect.polygon?.length >= 3) {
+            return rect.polygon.map(point => this.areaPointToCanvas(rect, point));
+        }
+        return this.rectCorners(rect);
+    }
+
+    /**
+     * Draw a brush stroke as a thick translucent line
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Array} points - [x, y] points on the canvas
+     * @param {number} width - Brush diameter in canvas pixels
+     * @param {string} mode - 'include' or 'exclude'
+     */
+    traceStroke(ctx, points, width, mode) {
+        ctx.save();
+        ctx.strokeStyle = mode === 'include' ? 'rgba(76, 175, 80, 0.35)' : 'rgba(244, 67, 54, 0.35)';
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        // A single click still paints a dot
+        if (points.length === 1) ctx.lineTo(points[0][0] + 0.1, points[0][1]);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Draw the painted mask strokes of an area
+     * @param {Object} rect - Area rectangle with optional mask
+     */
+    drawAreaMask(rect) {
+        const strokes = rect.mask?.strokes;
+        if (!strokes?.length) return;
+
+        const unit = Math.min(rect.width, rect.height);
+        strokes.forEach(stroke => {
+            const points = stroke.points.map(point => this.areaPointToCanvas(rect, point));
+            this.traceStroke(this.overlayCtx, points, stroke.radius * unit * 2, stroke.mode);
+        });
+    }
+
+    /**
+     * Redraw overlay with saved rectangles
+     */
+    redrawOverlay() {
+        if (!this.overlayCtx) return;
+
+        this.overlayCtx.clearRect(0, 0, this.elements.overlayCanvas.width, this.elements.overlayCanvas.height);
+        
+        // Clear drawing canvas
+        if (this.drawingCtx && !this.state.isDrawing) {
+            this.drawingCtx.clearRect(0, 0, this.elements.drawingCanvas.width, this.elements.drawingCanvas.height);
+        }
+
+        // Painted masks are hidden while monitoring to keep the live outlines readable
+        const showMasks = !this.state.isMonitoring;
+        const { boxRect, regions } = this.layoutOnCanvas();
+
+        // Draw box area
+        if (boxRect) {
+            if (showMasks) this.drawAreaMask(boxRect);
+
+            this.overlayCtx.strokeStyle = '#4CAF50';
+            this.overlayCtx.lineWidth = 3;
+            this.overlayCtx.setLineDash([]);
+            this.tracePolygon(this.areaOutline(boxRect));
+            this.overlayCtx.stroke();
+
+            // Add label
+            this.overlayCtx.fillStyle = '#4CAF50';
+            this.overlayCtx.font = '14px Inter, sans-serif';
+            this.overlayCtx.fillText('กรอบกล่อง', boxRect.x, boxRect.y - 5);
+        }
+
+        // Draw key point regions, each with its own colour and name
+        regions.forEach((region, index) => {
+            const color = this.regionColor(index);
+            const corners = this.rectCorners(region.rect);
+            if (showMasks) this.drawAreaMask(region.rect);
+
+            this.overlayCtx.strokeStyle = color;
+            this.overlayCtx.lineWidth = 2;
+            this.overlayCtx.setLineDash([]);
+            this.tracePolygon(this.areaOutline(region.rect));
+            this.overlayCtx.stroke();
+
+            // Add label
+            this.overlayCtx.fillStyle = color;
+            this.overlayCtx.font = '14px Inter, sans-serif';
+            this.overlayCtx.fillText(`${index + 1}. ${region.name}`, corners[0][0], corners[0][1] - 5);
+        });
+
+        // Selection handles while editing
+        if (this.state.currentStep === 'editing') {
+            this.editor.draw(this.overlayCtx);
+        }
+    }
+
+    /**
+     * Corners of a possibly rotated rectangle, clockwise from its top-left
+     * @param {Object} rect - {x, y, width, height, angle?}
+     * @returns {Array} Corner points [x, y]
+     */
+    rectCorners(rect) {
+        const { x, y, width, height } = rect;
+        if (!rect.angle) {
+            return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+        }
+
+        const a = rect.angle * Math.PI / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        const cx = x + width / 2, cy = y + height / 2;
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+            const u = sx * width / 2, v = sy * height / 2;
+            return [cx + u * cos - v * sin, cy + u * sin + v * cos];
+        });
+    }
+
+    /**
+     * Create a key point region from a rectangle drawn on the canvas
+     * @param {Object} rect - Rectangle in normalized video coordinates
+     * @param {string} name - Optional name
+     * @returns {Object} Region {id, name, rect, checkType, tolerances}
+     */
+    createRegion(rect, name = null) {
+        return {
+            id: this.utils.generateId(6, 'region-'),
+            name: name || `จุดที่ ${this.drawing.regions.length + 1}`,
+            rect: { ...rect },
+            checkType: 'full',
+            // null follows the global sensitivity sliders
+            tolerances: { position: null, rotation: null, similarity: null }
+        };
+    }
+
+    /**
+     * Outline colour of the region at the given position
+     * @param {number} index - Region index
+     * @returns {string} CSS colour
+     */
+    regionColor(index) {
+        return this.regionColors[index % this.regionColors.length];
+    }
+
+    /**
+     * Regions with their rectangles converted into frame pixels
+     * @param {Object} frameData - Frame the rectangles should map onto
+     * @returns {Array} Regions for the detection engine
+     */
+    regionsToFrame(frameData) {
+        return this.drawing.regions.map(region => ({
+            ...region,
+            rect: VideoViewport.rectToFrame(region.rect, frameData.width, frameData.height)
+        }));
+    }
+
+    /**
+     * Rebuild the region list in the sidebar
+     */
+    renderRegionList() {
+        const list = this.elements.regionList;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.drawing.regions.length === 0) {
+            list.appendChild(this.utils.createElement('p', { className: 'region-empty' }, {}, 'ยังไม่มีจุดตรวจสอบ'));
+            return;
+        }
+
+        this.drawing.regions.forEach((region, index) => {
+            const item = this.utils.createElement('div', { className: 'region-item', 'data-region-id': region.id });
+            item.style.setProperty('--region-color', this.regionColor(index));
+
+            // Name and delete button
+            const header = this.utils.createElement('div', { className: 'region-header' });
+            const nameInput = this.utils.createElement('input', { type: 'text', 'aria-label': 'ชื่อจุดตรวจสอบ' });
+            nameInput.value = region.name;
+            nameInput.addEventListener('change', () => {
+                this.handleRegionChange(region.id, { name: nameInput.value.trim() || region.name });
+            });
+
+            const removeButton = this.utils.createElement('button', { className: 'btn btn-secondary btn-sm', title: 'ลบจุดนี้' }, {}, '🗑️');
+            removeButton.disabled = this.state.isMonitoring;
+            removeButton.addEventListener('click', () => this.handleRemoveRegion(region.id));
+
+            header.append(nameInput, removeButton);
+
+            // Check type
+            const checkSelect = this.utils.createElement('select', { 'aria-label': 'ประเภทการตรวจ' });
+            Object.entries(this.regionCheckTypes).forEach(([value, label]) => {
+                const option = this.utils.createElement('option', { value }, {}, label);
+                option.selected = value === region.checkType;
+                checkSelect.appendChild(option);
+            });
+            checkSelect.addEventListener('change', () => this.handleRegionChange(region.id, { checkType: checkSelect.value }));
+
+            // Own tolerances; empty fields follow the sensitivity sliders
+            const tolerances = this.utils.createElement('div', { className: 'region-tolerances' });
+            [
+                ['position', 'ตำแหน่ง (px)', this.settings.positionSensitivity],
+                ['rotation', 'เอียง (°)', this.settings.rotationSensitivity],
+                ['similarity', 'เหมือน (%)', this.settings.detectionThreshold]
+            ].forEach(([key, label, fallback]) => {
+                const field = this.utils.createElement('label', {}, {}, label);
+                const input = this.utils.createElement('input', { type: 'number', min: '0', step: '1', placeholder: String(fallback) });
+                input.value = region.tolerances[key] ?? '';
+                input.addEventListener('change', () => {
+                    const value = input.value === '' ? null : Number(input.value);
+                    this.handleRegionChange(region.id, { tolerances: { [key]: Number.isFinite(value) ? value : null } });
+                });
+                field.appendChild(input);
+                tolerances.appendChild(field);
+            });
+
+            item.append(header, checkSelect, tolerances);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Mark the sidebar regions that failed in the latest result
+     * @param {Object|null} result - Detection result
+     */
+    markRegionResults(result) {
+        if (!this.elements.regionList) return;
+
+        const failed = new Set((result?.regions || []).filter(r => r.hasAlert).map(r => r.region.id));
+        this.elements.regionList.querySelectorAll('.region-item').forEach(item => {
+            item.classList.toggle('failed', failed.has(item.dataset.regionId));
+        });
+    }
+
+    /**
+     * Apply an edit made in the region list
+     * @param {string} id - Region id
+     * @param {Object} changes - {name?, checkType?, tolerances?}
+     */
+    handleRegionChange(id, changes) {
+        const region = this.drawing.regions.find(r => r.id === id);
+        if (!region) return;
+
+        this.editor.record();
+        if (changes.name) region.name = changes.name;
+        if (changes.checkType) region.checkType = changes.checkType;
+        if (changes.tolerances) region.tolerances = { ...region.tolerances, ...changes.tolerances };
+
+        this.detection.updateRegion(id, changes);
+        this.redrawOverlay();
+    }
+
+    /**
+     * Remove a region; without regions the setup returns to the box-drawn step
+     * @param {string} id - Region id
+     */
+    handleRemoveRegion(id) {
+        if (this.state.isMonitoring) return;
+
+        this.editor.record();
+        this.drawing.regions = this.drawing.regions.filter(r => r.id !== id);
+        if (this.editor.selectedId === id) this.editor.select(null);
+
+        if (this.drawing.regions.length > 0) {
+            this.detection.removeRegion(id);
+        } else {
+            this.detection.clearReference();
+            this.state.hasReferenceImage = false;
+        }
+        if (this.state.currentStep !== 'editing') {
+            this.state.currentStep = this.stepForLayout();
+        }
+
+        this.renderRegionList();
+        this.redrawOverlay();
+        this.updateUI();
+    }
+
+    /**
+     * Setup step that matches the drawn areas
+     * @returns {string} 'ready-monitor', 'box-drawn', 'camera-ready' or 'ready'
+     */
+    stepForLayout() {
+        if (this.drawing.boxRect && this.drawing.regions.length > 0) return 'ready-monitor';
+        if (this.drawing.boxRect) return 'box-drawn';
+        return this.state.isCameraActive ? 'camera-ready' : 'ready';
+    }
+
+    /**
+     * Apply a layout emitted by the region editor
+     * @param {Object} layout - {boxRect, regions} in canvas pixels
+     * @param {boolean} final - false while a drag is still in progress
+     */
+    applyLayout(layout, final) {
+        const { boxRect, regions } = this.layoutFromCanvas(layout);
+        this.drawing.boxRect = boxRect;
+        this.drawing.regions = regions;
+        this.redrawOverlay();
+
+        if (!final) return;
+
+        this.state.hasReferenceImage = !!(layout.boxRect && layout.regions.length > 0);
+        // Editing and painting stay active across edits
+        if (this.state.currentStep !== 'editing' && !this.isPainting()) {
+            this.state.currentStep = this.stepForLayout();
+        }
+
+        this.renderRegionList();
+        this.syncReferenceAreasSoon();
+        this.updateUI();
+    }
+
+    /**
+     * Re-send the edited areas to the detection engine
+     * The areas are cut from the stored reference frame, which edits leave unchanged;
+     * without any frame the reference is dropped and taken again when monitoring starts
+     */
+    syncReferenceAreas() {
+        if (!this.state.hasReferenceImage || !this.applyReferenceAreas()) {
+            this.detection.clearReference();
+        }
+    }
+
+    /**
+     * Toggle editing of the drawn areas
+     */
+    handleToggleEditing() {
+        if (this.state.currentStep === 'editing') {
+            this.state.currentStep = this.stepForLayout();
+            this.editor.select(null);
+            this.elements.drawingCanvas.style.cursor = 'default';
+            this.showDrawingInstructions(false);
+        } else {
+            if (this.state.isMonitoring) {
+                this.showAlert('กรุณาหยุดการตรวจสอบก่อนแก้ไขกรอบ', 'warning');
+                return;
+            }
+            if (!this.drawing.boxRect) {
+                this.showAlert('ยังไม่มีกรอบให้แก้ไข', 'warning');
+                return;
+            }
+
+            this.state.currentStep = 'editing';
+            this.showDrawingInstructions(true);
+        }
+
+        this.updateUI();
+        this.redrawOverlay();
+    }
+
+    /**
+     * Show/hide drawing instructions
+     */
+    showDrawingInstructions(show) {
+        if (!this.elements.drawingInstructions || !this.elements.instructionText) return;
+
+        if (show) {
+            let text = '';
+            let icon = '';
+            
+            if (this.state.currentStep === 'drawing-box') {
+                text = 'ลากเมาส์เพื่อวางกรอบรอบกล่อง';
+                icon = '📦';
+            } else if (this.state.currentStep === 'drawing-keypoint') {
+                text = 'ลากเมาส์เพื่อวางกรอบจุดสำคัญ';
+                icon = '🎯';
+            } else if (this.state.currentStep === 'drawing-polygon') {
+                text = 'คลิกเพื่อเพิ่มจุดยอด • คลิกจุดแรก ดับเบิลคลิก หรือ Enter เพื่อปิดรูป • Backspace ลบจุดล่าสุด • Esc ยกเลิก';
+                icon = '⬠';
+            } else if (this.isPainting()) {
+                text = this.state.currentStep === 'painting-include' ?
+                    'ระบายส่วนที่ต้องการตรวจ • Ctrl+Z ย้อนกลับ • Esc เสร็จสิ้น' :
+                    'ระบายส่วนที่ไม่ต้องการตรวจ • Ctrl+Z ย้อนกลับ • Esc เสร็จสิ้น';
+                icon = this.state.currentStep === 'painting-include' ? '🖌️' : '🧽';
+            } else if (this.state.currentStep === 'editing') {
+                text = 'คลิกเลือกกรอบ • ลากเพื่อย้าย • จับมุม/ขอบเพื่อปรับขนาด • จุดกลมเพื่อหมุน • ลูกศรเพื่อขยับ • Ctrl+Z ย้อนกลับ';
+                icon = '✏️';
+            }
+
+            this.elements.instructionText.innerHTML = `<span class="instruction-icon">${icon}</span><span>${text}</span>`;
+            this.elements.drawingInstructions.classList.add('show');
+        } else {
+            this.elements.drawingInstructions.classList.remove('show');
+        }
+    }
+
+    /**
+     * Setup component event handlers
+     */
+    setupComponentHandlers() {
+        try {
+            // Frame source events; the same handlers serve the camera and recorded footage
+            this.sourceHandlers = {
+                started: (info) => {
+                    this.state.isCameraActive = true;
+                    this.state.currentStep = 'camera-ready';
+                    this.resizeCanvases(); // Ensure canvases are properly sized
+                    if (this.source === this.camera) {
+                        this.updateCameraStatus('เชื่อมต่อแล้ว', 'connected');
+                        this.showAlert('เปิดกล้องสำเร็จ - ตอนนี้วางกรอบกล่อง', 'success');
+                    } else {
+                        this.updateCameraStatus(info.label, 'connected');
+                        this.showAlert(`เปิด ${info.label} แล้ว - ตอนนี้วางกรอบกล่อง`, 'success');
+                    }
+                    this.renderCameraControls();
+                    this.updatePlaybackControls();
+                    this.updateRecorderControls();
+                    this.updateUI();
+                },
+                stopped: () => {
+                    this.state.isCameraActive = false;
+                    this.clearCameraFault();
+                    this.updateCameraStatus('ไม่เชื่อมต่อ', 'disconnected');
+                    this.renderCameraControls();
+                    this.renderCameraOutages();
+                    this.updatePlaybackControls();
+                    this.updateRecorderControls();
+                },
+                error: (error) => {
+                    this.state.isCameraActive = false;
+                    this.updateCameraStatus('ไม่เชื่อมต่อ', 'disconnected');
+                    const message = this.source === this.camera ? 'ไม่สามารถเปิดกล้องได้: ' : 'ไม่สามารถเล่นไฟล์ได้: ';
+                    this.showAlert(message + error.message, 'danger');
+                },
+                frameUpdate: (frameData) => this.updateVideoInfo(frameData),
+                position: (position) => this.updatePlaybackControls(position),
+                ended: () => this.showAlert('เล่นจบแล้ว', 'info'),
+                replayResult: (replay) => this.handleReplayResult(replay),
+                replayContext: (context) => this.showReplayContext(context)
+            };
+            this.bindSource(this.source);
+
+            // Camera events
+            this.camera.on('settingsLocked', ({ unsupported }) => {
+                this.renderCameraControls();
+                if (unsupported.length > 0) {
+                    this.showAlert('กล้องนี้ไม่รองรับการล็อก: ' + unsupported.join(', '), 'warning');
+                }
+            });
+
+            this.camera.on('settingsUnlocked', () => this.renderCameraControls());
+
+            this.camera.on('lockError', (error) => {
+                this.showAlert('ไม่สามารถล็อกค่ากล้องได้: ' + error.message, 'warning');
+            });
+
+            // Watchdog: inspection waits while the camera reconnects
+            this.camera.on('fault', (fault) => this.handleCameraFault(fault));
+            this.camera.on('reconnecting', ({ attempt, delay }) => {
+                this.updateCameraStatus(`เชื่อมต่อใหม่ครั้งที่ ${attempt} ใน ${Math.round(delay / 1000)} วิ`, 'disconnected');
+            });
+            this.camera.on('recovered', (outage) => this.handleCameraRecovered(outage));
+
+            this.camera.on('drift', ({ drift }) => {
+                this.updateCameraDrift(drift);
+                this.showAlert('ค่ากล้องเปลี่ยนไปจากที่ล็อกไว้: ' + drift.map(item => item.key).join(', '), 'warning');
+            });
+
+            this.camera.on('driftCleared', () => this.updateCameraDrift([]));
+
+            // Recipe events
+            this.recipes.on('saved', () => this.renderRecipeList());
+            this.recipes.on('deleted', () => this.renderRecipeList());
+
+            // Recording events
+            this.recorder.on('started', () => this.updateRecorderControls());
+            this.recorder.on('stopped', () => this.updateRecorderControls());
+            this.recorder.on('error', (error) => {
+                this.showAlert('การบันทึกเซสชันผิดพลาด: ' + error.message, 'warning');
+            });
+            this.sessions.on('saved', () => this.renderSessionList());
+            this.sessions.on('deleted', () => this.renderSessionList());
+
+            // Region editor events
+            this.editor.on('change', ({ layout, final }) => this.applyLayout(layout, final));
+            this.editor.on('select', () => this.redrawOverlay());
+
+            // Detection events
+            if (this.detection && typeof this.detection.on === 'function') {
+                this.detection.on('ready', (info) => {
+                    console.log('✅ Detection engine ready:', info);
+                });
+
+                this.detection.on('result', (result) => {
+                    if (this.state.isMonitoring) {
+                        this.renderDetectionOverlay(result);
+                        this.markRegionResults(result);
+                    }
+                });
+
+                // The worker died; the client carried the reference over to the main thread
+                this.detection.on('fallback', (info) => {
+                    console.warn('⚠️ Detection moved to the main thread:', info.reason);
+                    this.showAlert('⚠️ ตัวประมวลผลภาพหยุดทำงาน ย้ายการตรวจจับมาทำงานบนหน้าหลัก (อาจช้าลง)', 'warning');
+                });
+
+                this.detection.on('backendChanged', (info) => {
+                    console.log(`🧠 Vision backend: ${info.backend}`);
+                });
+
+                this.detection.on('rulesLoaded', (info) => {
+                    if (info.count > 0) {
+                        console.log(`🧩 ${info.count} inspection rule(s) from ${info.source}:`, info.rules.map(rule => rule.id));
+                    }
+                });
+
+                this.detection.on('boxEntered', (event) => {
+                    console.log(`📦 Box #${event.sequence} entered`);
+                });
+
+                this.detection.on('boxExited', (event) => {
+                    this.handleBoxPassed(event);
+                });
+
+                this.detection.on('error', (error) => {
+                    console.error('❌ Detection error:', error);
+                    this.showAlert('เกิดข้อผิดพลาดในการตรวจจับ: ' + error.message, 'danger');
+                });
+            }
+
+            // Audio events
+            if (this.audio && typeof this.audio.on === 'function') {
+                this.audio.on('ready', () => {
+                    if (this.elements.testSound) this.elements.testSound.disabled = false;
+                    console.log('✅ Audio system ready');
+                });
+
+                this.audio.on('error', (error) => {
+                    console.error('❌ Audio error:', error);
+                });
+            }
+
+            // Bluetooth events
+            if (this.bluetooth && typeof this.bluetooth.on === 'function') {
+                this.bluetooth.on('connected', () => {
+                    this.state.isBluetoothConnected = true;
+                    this.updateBluetoothStatus('เชื่อมต่อแล้ว', 'connected');
+                    this.updateBluetoothButtons(true);
+                    this.showAlert('เชื่อมต่อลำโพงสำเร็จ', 'success');
+                });
+
+                this.bluetooth.on('error', (error) => {
+                    this.state.isBluetoothConnected = false;
+                    this.updateBluetoothStatus('ไม่เชื่อมต่อ', 'disconnected');
+                    this.updateBluetoothButtons(false);
+                    this.showAlert('ไม่สามารถเชื่อมต่อ Bluetooth ได้: ' + error.message, 'danger');
+                });
+
+                this.bluetooth.on('disconnected', () => {
+                    this.state.isBluetoothConnected = false;
+                    this.updateBluetoothStatus('ไม่เชื่อมต่อ', 'disconnected');
+                    this.updateBluetoothButtons(false);
+                });
+            }
+
+            console.log('✅ Component handlers setup completed');
+
+        } catch (error) {
+            console.error('❌ Error setting up component handlers:', error);
+        }
+    }
+
+    /**
+     * Update bluetooth button states
+     */
+    updateBluetoothButtons(connected) {
+        if (this.elements.connectBluetooth) {
+            this.elements.connectBluetooth.disabled = connected;
+            this.elements.connectBluetooth.innerHTML = connected ? '🔗 เชื่อมต่อลำโพง' : '🔗 เชื่อมต่อลำโพง';
+        }
+        if (this.elements.disconnectBluetooth) {
+            this.elements.disconnectBluetooth.disabled = !connected;
+        }
+        if (this.elements.testSound) {
+            this.elements.testSound.disabled = !connected;
+        }
+        if (this.elements.bluetoothInfo) {
+            this.elements.bluetoothInfo.classList.toggle('hidden', !connected);
+        }
+    }
+
+    /**
+     * Handle start camera
+     */
+    async handleStartCamera() {
+        try {
+            this.elements.startCamera.disabled = true;
+            this.elements.startCamera.innerHTML = '🔄 กำลังเปิด...';
+
+            await this.useSource(this.camera);
+
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            this.elements.startCamera.disabled = false;
+        } finally {
+            this.elements.startCamera.innerHTML = '🎥 เปิดกล้อง';
+        }
+    }
+
+    /**
+     * Replace the frame source; while monitoring the operator has to confirm,
+     * since the reference was taken from the previous source
+     * @param {FrameSource} source - Camera or recorded footage
+     * @returns {Promise<boolean>} Whether the source was started
+     */
+    async useSource(source) {
+        if (this.state.isMonitoring) {
+            if (!window.confirm('กำลังตรวจสอบอยู่ ต้องการหยุดการตรวจสอบและเปลี่ยนแหล่งภาพหรือไม่?')) return false;
+            this.handleStopMonitoring();
+        }
+
+        const previous = this.source;
+        if (previous !== source) {
+            // A recording can't follow the picture to another source
+            if (this.recorder.isRecording) await this.stopRecording();
+
+            this.unbindSource(previous);
+            previous.stop();
+            // Its 'stopped' no longer reaches us; an outage in progress ends with it
+            this.clearCameraFault();
+            this.renderCameraOutages();
+            if (previous !== this.camera) previous.destroy();
+            if (previous.kind === 'replay') this.restoreDrawing();
+            this.source = source;
+            this.bindSource(source);
+
+            // Simulated footage knows which boxes are defective, so its verdicts can be scored
+            this.scorer = source.kind === 'simulation' ? new GroundTruthScorer(source.simulator) : null;
+            this.updateSimulationScore();
+        }
+
+        this.state.isCameraActive = false;
+        await source.start(this.elements.videoElement);
+        return true;
+    }
+
+    /**
+     * Route a source's events to the UI
+     * @param {FrameSource} source - Source to listen to
+     */
+    bindSource(source) {
+        Object.entries(this.sourceHandlers).forEach(([event, handler]) => source.on(event, handler));
+    }
+
+    unbindSource(source) {
+        Object.entries(this.sourceHandlers).forEach(([event, handler]) => source.off(event, handler));
+    }
+
+    /**
+     * Play a video file or images picked in a file input
+     * @param {HTMLInputElement} input - File input
+     * @param {Function} createSource - files => FrameSource
+     */
+    async handleOpenFootage(input, createSource) {
+        const files = Array.from(input.files || []);
+        // Picking the same file again should still fire 'change'
+        input.value = '';
+        if (files.length === 0) return;
+
+        try {
+            await this.useSource(createSource(files));
+        } catch (error) {
+            console.error('❌ Error opening footage:', error);
+            this.showAlert('ไม่สามารถเปิดไฟล์ได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Play a scenario file; schema problems are listed in the alert
+     * @param {HTMLInputElement} input - File input
+     */
+    async handleOpenScenario(input) {
+        const file = input.files?.[0];
+        // Choosing the same file again should still fire 'change'
+        input.value = '';
+        if (!file) return;
+
+        try {
+            await this.useSource(new SimulationSource(JSON.parse(await file.text())));
+        } catch (error) {
+            console.error('❌ Error opening scenario:', error);
+            const details = error.details ? ': ' + error.details.join(', ') : '';
+            this.showAlert(`ไม่สามารถเปิด ${file.name}: ${error.message}${details}`, 'danger');
+        }
+    }
+
+    /**
+     * Show how the verdicts so far compare with the scenario's ground truth
+     */
+    updateSimulationScore() {
+        const panel = this.elements.simulationScore;
+        if (!panel) return;
+
+        panel.classList.toggle('hidden', !this.scorer);
+        if (!this.scorer) return;
+
+        const summary = this.scorer.summary();
+        const accuracy = summary.accuracy === null ? '-' : `${(summary.accuracy * 100).toFixed(1)}%`;
+        panel.textContent = `🧪 ถูกต้อง ${summary.correct}/${summary.boxes + summary.extra} (${accuracy}) · ` +
+            `จับของเสียได้ ${summary.truePositive} · หลุด ${summary.missedAlerts} · ` +
+            `แจ้งเตือนผิด ${summary.falsePositive} · ไม่ได้ตรวจ ${summary.missed}`;
+    }
+
+    handlePlayPause() {
+        if (this.source.getStatus().playing) {
+            this.source.pause();
+        } else {
+            this.source.play();
+        }
+    }
+
+    /**
+     * Show the playback bar for recorded footage and move it with the source
+     * @param {Object} position - 'position' event; read from the source when omitted
+     */
+    updatePlaybackControls(position = null) {
+        const panel = this.elements.playbackControls;
+        if (!panel) return;
+
+        const status = this.source.getStatus();
+        panel.classList.toggle('hidden', !status.seekable || !status.isActive);
+        if (!status.seekable || !status.isActive) return;
+
+        const { frameIndex, frameCount, mediaTime, duration, playing } = position || status;
+        if (this.elements.seekSlider) {
+            this.elements.seekSlider.max = duration;
+            this.elements.seekSlider.value = mediaTime;
+        }
+        if (this.elements.playbackPosition) {
+            this.elements.playbackPosition.textContent = `${frameIndex + 1} / ${frameCount}`;
+        }
+        if (this.elements.playPause) {
+            this.elements.playPause.textContent = playing ? '⏸️' : '▶️';
+        }
+        if (!position) {
+            if (this.elements.playbackSpeed) this.elements.playbackSpeed.value = String(status.speed);
+            if (this.elements.playbackLoop) this.elements.playbackLoop.checked = status.loop;
+        }
+    }
+
+    /**
+     * What a recording needs besides the video to redraw the overlay later
+     * @returns {Object} {settings, boxRect, regions, recipe}
+     */
+    getRecordingContext() {
+        return {
+            settings: { ...this.settings },
+            boxRect: this.drawing.boxRect,
+            regions: this.drawing.regions,
+            recipe: this.activeRecipe ? { id: this.activeRecipe.id, name: this.activeRecipe.name, sku: this.activeRecipe.sku } : null
+        };
+    }
+
+    /**
+     * Start recording the active source
+     * @param {string} mode - 'manual' or 'rolling'
+     */
+    startRecording(mode) {
+        try {
+            this.recorder.start(mode);
+        } catch (error) {
+            console.error('❌ Error starting recording:', error);
+            this.showAlert('ไม่สามารถเริ่มบันทึกได้: ' + error.message, 'warning');
+        }
+    }
+
+    /**
+     * Stop recording; a manual recording is kept as a session
+     */
+    async stopRecording() {
+        try {
+            const session = await this.recorder.stop();
+            if (session) await this.saveSession(session);
+        } catch (error) {
+            console.error('❌ Error stopping recording:', error);
+            this.showAlert('ไม่สามารถบันทึกเซสชันได้: ' + error.message, 'danger');
+        }
+    }
+
+    handleToggleRecording() {
+        if (this.recorder.mode === 'manual') {
+            this.stopRecording();
+        } else {
+            this.startRecording('manual');
+        }
+    }
+
+    /**
+     * Turn rolling recording on or off; applies at once while monitoring
+     * @param {boolean} rolling - Record while monitoring
+     */
+    handleRollingChange(rolling) {
+        this.config.setUserOverrides({ recorder: { rolling } });
+        this.recorder.configure({ rolling });
+
+        if (this.state.isMonitoring && rolling && !this.recorder.isRecording) {
+            this.startRecording('rolling');
+        } else if (!rolling && this.recorder.mode === 'rolling') {
+            this.stopRecording();
+        }
+        this.updateRecorderControls();
+    }
+
+    /**
+     * Keep the last seconds of a rolling recording, e.g. right after a false alarm
+     */
+    async handleSaveRolling() {
+        try {
+            await this.saveSession(await this.recorder.saveRolling());
+        } catch (error) {
+            console.error('❌ Error saving rolling recording:', error);
+            this.showAlert('ไม่สามารถเก็บช่วงที่บันทึกได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Store a session, or offer it as a download when IndexedDB is not available
+     * @param {Object} session - Session from the recorder
+     */
+    async saveSession(session) {
+        if (!SessionStore.isSupported()) {
+            await this.sessions.download(session);
+            return;
+        }
+
+        const stored = await this.sessions.save(session);
+        this.showAlert(`บันทึกเซสชัน "${stored.name}" แล้ว (${this.utils.formatDuration(stored.duration)})`, 'success');
+    }
+
+    /**
+     * Reflect the recorder state in the recording controls
+     */
+    updateRecorderControls() {
+        const supported = SessionRecorder.isSupported();
+        const canRecord = supported && this.source.isActive && this.source.kind !== 'replay';
+        const mode = this.recorder.mode;
+
+        if (this.elements.recordToggle) {
+            this.elements.recordToggle.disabled = mode === 'rolling' || (mode !== 'manual' && !canRecord);
+            this.elements.recordToggle.textContent = mode === 'manual' ? '⏹️ หยุดบันทึก' : '⏺️ เริ่มบันทึก';
+        }
+        if (this.elements.saveRolling) this.elements.saveRolling.disabled = mode !== 'rolling';
+        if (this.elements.rollingRecord) this.elements.rollingRecord.disabled = !supported;
+
+        if (this.elements.recordStatus) {
+            this.elements.recordStatus.textContent = !supported ? 'เบราว์เซอร์นี้บันทึกวิดีโอไม่ได้' :
+                mode === 'manual' ? '🔴 กำลังบันทึก' :
+                mode === 'rolling' ? `🔴 บันทึกต่อเนื่อง (${this.recorder.rollingSeconds} วิ ล่าสุด)` : '';
+            this.elements.recordStatus.classList.toggle('recording', mode !== null);
+        }
+    }
+
+    /**
+     * List the stored sessions with replay, download and delete actions
+     */
+    async renderSessionList() {
+        const list = this.elements.sessionList;
+        if (!list || !SessionStore.isSupported()) return;
+
+        let sessions;
+        try {
+            sessions = await this.sessions.list();
+        } catch (error) {
+            console.error('❌ Failed to list sessions:', error);
+            return;
+        }
+
+        list.innerHTML = '';
+        if (sessions.length === 0) {
+            list.appendChild(this.utils.createElement('p', { className: 'region-empty' }, {}, 'ยังไม่มีเซสชันที่บันทึกไว้'));
+            return;
+        }
+
+        sessions.forEach(session => {
+            const alerts = session.verdicts.filter(verdict => verdict.event.result?.hasAlert).length;
+            const item = this.utils.createElement('div', { className: 'recipe-item', 'data-session-id': session.id });
+
+            const info = this.utils.createElement('div', { className: 'recipe-info' });
+            info.append(
+                this.utils.createElement('strong', { title: session.name }, {}, session.name),
+                this.utils.createElement('small', {}, {},
+                    `${this.utils.formatDuration(session.duration)} • ${session.verdicts.length} กล่อง • ${alerts} ผิดปกติ`)
+            );
+
+            const actions = this.utils.createElement('div', { className: 'recipe-actions' });
+            const replayButton = this.utils.createElement('button', { className: 'btn btn-success btn-sm', title: 'เล่นซ้ำ' }, {}, '▶️');
+            replayButton.addEventListener('click', () => this.handleReplaySession(session.id));
+
+            const downloadButton = this.utils.createElement('button', { className: 'btn btn-secondary btn-sm', title: 'ดาวน์โหลด' }, {}, '⬇️');
+            downloadButton.addEventListener('click', () => this.handleDownloadSession(session.id));
+
+            const deleteButton = this.utils.createElement('button', { className: 'btn btn-secondary btn-sm', title: 'ลบเซสชัน' }, {}, '🗑️');
+            deleteButton.addEventListener('click', () => this.handleDeleteSession(session.id));
+
+            actions.append(replayButton, downloadButton, deleteButton);
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    }
+
+    async handleReplaySession(id) {
+        try {
+            const session = await this.sessions.get(id);
+            if (!session) {
+                this.showAlert('ไม่พบเซสชันนี้แล้ว', 'warning');
+                this.renderSessionList();
+                return;
+            }
+            await this.replaySession(session);
+        } catch (error) {
+            console.error('❌ Error replaying session:', error);
+            this.showAlert('ไม่สามารถเล่นเซสชันได้: ' + error.message, 'danger');
+        }
+    }
+
+    async handleDownloadSession(id) {
+        try {
+            const session = await this.sessions.get(id);
+            if (session) await this.sessions.download(session);
+        } catch (error) {
+            console.error('❌ Error downloading session:', error);
+            this.showAlert('ไม่สามารถดาวน์โหลดเซสชันได้: ' + error.message, 'danger');
+        }
+    }
+
+    async handleDeleteSession(id) {
+        try {
+            const session = await this.sessions.get(id);
+            if (session && !window.confirm(`ลบเซสชัน "${session.name}"?`)) return;
+            await this.sessions.delete(id);
+        } catch (error) {
+            console.error('❌ Error deleting session:', error);
+            this.showAlert('ไม่สามารถลบเซสชันได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Replay a session file; it is added to the list when IndexedDB is available
+     * @param {HTMLInputElement} input - File input
+     */
+    async handleOpenSessionFile(input) {
+        const file = input.files?.[0];
+        // Choosing the same file again should still fire 'change'
+        input.value = '';
+        if (!file) return;
+
+        try {
+            let session = await this.sessions.parse(await file.text());
+            if (SessionStore.isSupported()) session = await this.sessions.save(session);
+            await this.replaySession(session);
+        } catch (error) {
+            console.error('❌ Error opening session file:', error);
+            this.showAlert(`ไม่สามารถเปิด ${file.name}: ${error.message}`, 'danger');
+        }
+    }
+
+    /**
+     * Play a session with the areas it was recorded with; the current areas
+     * come back when another source is opened
+     * @param {Object} session - Stored or parsed session
+     */
+    async replaySession(session) {
+        const backup = this.replayBackup || {
+            boxRect: this.drawing.boxRect,
+            regions: this.drawing.regions,
+            lastFrameSize: this.lastFrameSize
+        };
+
+        const source = new SessionReplaySource(session);
+        if (!await this.useSource(source)) return;
+
+        this.replayBackup = backup;
+        this.showReplayContext(source.getClipContext());
+        this.updatePlaybackControls();
+        this.updateRecorderControls();
+    }
+
+    /**
+     * Draw the areas a replayed clip was recorded with
+     * @param {Object} context - SessionReplaySource.getClipContext()
+     */
+    showReplayContext({ boxRect, regions, frameSize }) {
+        if (!this.replayBackup || this.state.isMonitoring) return;
+
+        this.replayResult = null;
+        this.drawing.boxRect = boxRect;
+        this.drawing.regions = regions;
+        this.lastFrameSize = frameSize;
+        this.renderRegionList();
+        this.redrawOverlay();
+    }
+
+    /**
+     * Put back the areas that were in use before a replay
+     */
+    restoreDrawing() {
+        this.replayResult = null;
+        if (!this.replayBackup) return;
+
+        Object.assign(this.drawing, { boxRect: this.replayBackup.boxRect, regions: this.replayBackup.regions });
+        this.lastFrameSize = this.replayBackup.lastFrameSize;
+        this.replayBackup = null;
+        this.alertHighlight = null;
+        this.renderRegionList();
+        this.redrawOverlay();
+        this.markRegionResults(null);
+    }
+
+    /**
+     * Draw a recorded result the way it was shown live; recorded alerts are
+     * outlined and listed but make no sound
+     * @param {Object} replay - 'replayResult' event {result, verdicts, mediaTime}
+     */
+    handleReplayResult({ result, verdicts }) {
+        if (this.state.isMonitoring) return;
+
+        this.replayResult = result;
+        verdicts.filter(event => event.result?.hasAlert).forEach(event => {
+            this.drawAlertRect(event.result);
+            this.showAlert(`⚠️ กล่อง #${event.sequence}: ${event.result.message}`, 'danger');
+        });
+
+        this.renderDetectionOverlay(result);
+        this.markRegionResults(result);
+    }
+
+    /**
+     * Handle start drawing box
+     */
+    handleStartDrawingBox() {
+        if (!this.state.isCameraActive) {
+            this.showAlert('กรุณาเปิดกล้องก่อน', 'warning');
+            return;
+        }
+
+        this.state.currentStep = 'drawing-box';
+        this.editor.select(null);
+        this.elements.drawingCanvas.style.cursor = 'crosshair';
+        this.elements.videoContainer.classList.add('drawing-box');
+        this.updateUI();
+        this.showAlert('📦 ลากเมาส์เพื่อวางกรอบรอบกล่อง', 'info');
+    }
+
+    /**
+     * Handle start drawing key point
+     */
+    handleStartDrawingKeyPoint() {
+        if (!this.drawing.boxRect) {
+            this.showAlert('กรุณาวางกรอบกล่องก่อน', 'warning');
+            return;
+        }
+
+        this.state.currentStep = 'drawing-keypoint';
+        this.editor.select(null);
+        this.elements.drawingCanvas.style.cursor = 'crosshair';
+        this.elements.videoContainer.classList.remove('drawing-box');
+        this.elements.videoContainer.classList.add('drawing-keypoint');
+        this.updateUI();
+        this.showAlert('🎯 ลากเมาส์เพื่อเพิ่มจุดสำคัญ (เพิ่มได้หลายจุด)', 'info');
+    }
+
+    /**
+     * Handle start drawing a polygon
+     * The polygon becomes the box when there is none yet, otherwise a key point
+     */
+    handleStartDrawingPolygon() {
+        if (!this.state.isCameraActive) {
+            this.showAlert('กรุณาเปิดกล้องก่อน', 'warning');
+            return;
+        }
+
+        this.state.currentStep = 'drawing-polygon';
+        this.drawing.polygonPoints = [];
+        this.editor.select(null);
+        this.elements.drawingCanvas.style.cursor = 'crosshair';
+        this.updateUI();
+        this.redrawOverlay();
+        this.showDrawingInstructions(true);
+        this.showAlert(this.drawing.boxRect ?
+            '⬠ คลิกเพื่อวางจุดยอดของจุดสำคัญ' :
+            '⬠ คลิกเพื่อวางจุดยอดของกรอบกล่อง', 'info');
+    }
+
+    /**
+     * Handle start painting an include or exclude mask
+     * @param {string} mode - 'include' or 'exclude'
+     */
+    handleStartPainting(mode) {
+        if (!this.drawing.boxRect) {
+            this.showAlert('กรุณาวางกรอบกล่องก่อน', 'warning');
+            return;
+        }
+
+        this.state.currentStep = `painting-${mode}`;
+        this.editor.select(null);
+        this.elements.drawingCanvas.style.cursor = 'crosshair';
+        this.updateUI();
+        this.redrawOverlay();
+        this.showDrawingInstructions(true);
+        this.showAlert(mode === 'include' ?
+            '🖌️ ระบายส่วนที่ต้องการตรวจภายในกรอบ' :
+            '🧽 ระบายส่วนที่ไม่ต้องการตรวจ เช่น พื้นสายพานหรือเงา', 'info');
+    }
+
+    /**
+     * Handle brush size change
+     * @param {string} value - Brush diameter in canvas pixels
+     */
+    handleBrushSizeChange(value) {
+        this.drawing.brushSize = parseInt(value) || this.drawing.brushSize;
+        if (this.elements.brushSizeValue) {
+            this.elements.brushSizeValue.textContent = `${this.drawing.brushSize}px`;
+        }
+    }
+
+    /**
+     * Leave polygon drawing or painting without changing the areas
+     */
+    handleCancelTool() {
+        this.drawing.polygonPoints = [];
+        this.drawing.stroke = null;
+        this.state.currentStep = this.stepForLayout();
+        this.elements.drawingCanvas.style.cursor = 'default';
+        this.showDrawingInstructions(false);
+        this.updateUI();
+        this.redrawOverlay();
+    }
+
+    /**
+     * Handle clear drawing
+     */
+    handleClearDrawing() {
+        this.drawing.boxRect = null;
+        this.drawing.regions = [];
+        this.drawing.currentRect = null;
+        this.drawing.polygonPoints = [];
+        this.drawing.stroke = null;
+        this.editor.clearHistory();
         this.state.hasReferenceImage = false;
         this.state.currentStep = this.state.isCameraActive ? 'camera-ready' : 'ready';
+        this.referenceCanvas = null;
+
+        // The snapshot belongs to the cleared areas
+        this.detection.clearReference();
 
         // Clear canvases
         this.redrawOverlay();
+        this.renderRegionList();
 
         // Reset UI
         this.elements.videoContainer.className = 'video-container';
@@ -664,18 +2030,29 @@ class VisualControlApp {
     }
 
     /**
-     * Handle take reference photo (legacy method)
+     * Handle take reference photo
+     * With drawn areas the snapshot keeps each region's pixels for comparison,
+     * otherwise the whole frame is used (legacy mode)
      */
     handleTakeReference() {
         try {
-            const referenceData = this.camera.captureFrame();
+            const referenceData = this.source.getCurrentFrame();
             if (referenceData) {
-                if (this.detection && typeof this.detection.setReferenceImage === 'function') {
+                this.keepReferenceFrame(referenceData.imageData);
+
+                if (this.drawing.boxRect && this.drawing.regions.length > 0) {
+                    this.detection.setReferenceRegions(
+                        VideoViewport.rectToFrame(this.drawing.boxRect, referenceData.width, referenceData.height),
+                        this.regionsToFrame(referenceData),
+                        referenceData.imageData
+                    );
+                    this.redrawOverlay();
+                } else {
                     this.detection.setReferenceImage(referenceData);
+                    this.drawReferenceBox();
                 }
 
                 this.state.hasReferenceImage = true;
-                this.drawReferenceBox();
 
                 if (this.elements.clearReference) this.elements.clearReference.disabled = false;
                 if (this.elements.saveReference) this.elements.saveReference.disabled = false;
@@ -700,39 +2077,553 @@ class VisualControlApp {
                 this.detection.clearReference();
             }
 
-            this.handleClearDrawing(); // This also clears reference state
+            this.handleClearDrawing(); // This also clears reference state
+
+            if (this.state.isMonitoring) {
+                this.handleStopMonitoring();
+            }
+
+            this.showAlert('ลบภาพอ้างอิงแล้ว', 'success');
+        } catch (error) {
+            console.error('❌ Error clearing reference:', error);
+            this.showAlert('เกิดข้อผิดพลาดในการลบภาพอ้างอิง', 'danger');
+        }
+    }
+
+    /**
+     * Handle save reference
+     * Stores the areas, sensitivities, reference frame, camera settings and alert
+     * profile in the active recipe, or in a new one named from the recipe form
+     */
+    async handleSaveReference() {
+        if (!this.drawing.boxRect || this.drawing.regions.length === 0) {
+            this.showAlert('ไม่มีกรอบอ้างอิงให้บันทึก', 'warning');
+            return;
+        }
+
+        const name = this.elements.recipeName?.value.trim() || this.activeRecipe?.name;
+        if (!name) {
+            this.showAlert('กรุณาตั้งชื่อสูตรก่อนบันทึก', 'warning');
+            this.elements.recipeName?.focus();
+            return;
+        }
+
+        try {
+            const recipe = await this.recipes.save(await this.buildRecipe(name));
+            this.activeRecipe = recipe;
+            this.recipes.setActiveId(recipe.id);
+            this.showAlert(`บันทึกสูตร "${recipe.name}" สำเร็จ`, 'success');
+        } catch (error) {
+            console.error('❌ Error saving recipe:', error);
+            this.showAlert('ไม่สามารถบันทึกสูตรได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Recipe holding the current setup
+     * @param {string} name - Recipe name
+     * @returns {Promise<Object>} Recipe for RecipeStore.save(); keeps the active recipe's id
+     */
+    async buildRecipe(name) {
+        let referenceImage = null;
+        let thumbnail = null;
+
+        if (this.referenceCanvas) {
+            referenceImage = await this.utils.canvasToBlob(this.referenceCanvas, 'image/png');
+            thumbnail = await this.utils.canvasToBlob(this.utils.resizeImage(this.referenceCanvas, 160, 120), 'image/jpeg', 0.7);
+        }
+
+        // Only what it takes to open the same camera in the same mode again, plus its locks
+        const current = this.camera.getCurrentSettings?.();
+        const cameraSettings = current ? {
+            deviceId: current.deviceId,
+            width: current.width,
+            height: current.height,
+            frameRate: current.frameRate,
+            facingMode: current.facingMode,
+            ...this.camera.lockedSettings
+        } : this.activeRecipe?.cameraSettings || null;
+
+        return {
+            ...(this.activeRecipe || {}),
+            name,
+            sku: this.elements.recipeSku?.value.trim() || '',
+            boxRect: this.drawing.boxRect,
+            regions: this.drawing.regions,
+            settings: { ...this.settings },
+            referenceImage,
+            thumbnail,
+            cameraSettings,
+            alertProfile: this.audio.getAlertProfile()
+        };
+    }
+
+    /**
+     * Keep a copy of the reference frame so it can be stored with the recipe
+     * Must run before the frame goes to the detection worker, which takes over its buffer
+     * @param {ImageData} imageData - Reference frame
+     */
+    keepReferenceFrame(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        this.referenceCanvas = canvas;
+    }
+
+    /**
+     * Pixels of the kept reference frame, unless the source now delivers another resolution
+     * @returns {Object|null} {imageData, width, height}
+     */
+    storedReferenceFrame() {
+        if (!this.referenceCanvas) return null;
+
+        const { width, height } = this.referenceCanvas;
+        const resolution = this.state.isCameraActive ? this.source.getStatus().resolution : null;
+        if (resolution?.width && (resolution.width !== width || resolution.height !== height)) return null;
+
+        return {
+            imageData: this.referenceCanvas.getContext('2d').getImageData(0, 0, width, height),
+            width,
+            height
+        };
+    }
+
+    /**
+     * Decode a stored reference frame
+     * @param {Blob} blob - PNG from RecipeStore
+     * @returns {Promise<HTMLCanvasElement>} Canvas holding the frame
+     */
+    async decodeReferenceImage(blob) {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d', { willReadFrequently: true }).drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    }
+
+    /**
+     * Load a recipe into the drawing, the detection engine and the audio alerts
+     * Camera locks apply to a live camera right away; the device, mode, size and
+     * frame rate take effect the next time the camera opens. Without a stored
+     * reference frame the reference is taken when monitoring starts.
+     * Choosing a recipe drops the slider changes made for the previous one.
+     * @param {Object} recipe - Recipe from RecipeStore
+     * @param {boolean} keepOverrides - Keep the slider changes (restoring after a reload)
+     */
+    async applyRecipe(recipe, keepOverrides = false) {
+        const referenceCanvas = recipe.referenceImage ? await this.decodeReferenceImage(recipe.referenceImage) : null;
+
+        this.editor.select(null);
+        this.editor.clearHistory();
+        this.drawing.boxRect = recipe.boxRect;
+        this.drawing.regions = recipe.regions || [];
+        this.drawing.currentRect = null;
+        this.drawing.polygonPoints = [];
+        this.drawing.stroke = null;
+        // The recipe's areas stay after a replay instead of the ones it replaced
+        this.replayBackup = null;
+
+        this.config.setLayer('recipe', ConfigLoader.fromRecipe(recipe));
+        // Whether to record is a station habit, not part of the recipe
+        if (!keepOverrides) this.config.setLayer('user', { recorder: this.config.layers.user.recorder });
+        this.applyConfig();
+
+        this.detection.clearReference();
+        this.referenceCanvas = referenceCanvas;
+        this.state.hasReferenceImage = !!(this.drawing.boxRect && this.drawing.regions.length > 0);
+
+        if (this.state.hasReferenceImage && referenceCanvas) {
+            const { width, height } = referenceCanvas;
+            this.detection.setReferenceRegions(
+                VideoViewport.rectToFrame(this.drawing.boxRect, width, height),
+                this.regionsToFrame({ width, height }),
+                referenceCanvas.getContext('2d').getImageData(0, 0, width, height)
+            );
+        }
+
+        this.activeRecipe = recipe;
+        this.recipes.setActiveId(recipe.id);
+        if (this.elements.recipeName) this.elements.recipeName.value = recipe.name;
+        if (this.elements.recipeSku) this.elements.recipeSku.value = recipe.sku || '';
+
+        this.state.currentStep = this.stepForLayout();
+        if (this.elements.drawingCanvas) this.elements.drawingCanvas.style.cursor = 'default';
+        this.showDrawingInstructions(false);
+
+        this.redrawOverlay();
+        this.renderRegionList();
+        this.renderRecipeList();
+        this.updateUI();
+    }
+
+    /**
+     * Open the recipe library and restore the recipe used before the reload
+     */
+    async loadRecipes() {
+        if (!RecipeStore.isSupported()) {
+            console.warn('⚠️ IndexedDB is not available, recipes are disabled');
+            return;
+        }
+
+        try {
+            await this.migrateLegacyReference();
+
+            const activeId = this.recipes.getActiveId();
+            const recipe = activeId ? await this.recipes.get(activeId) : null;
+            if (recipe) {
+                await this.applyRecipe(recipe, true);
+                this.showAlert(`โหลดสูตร "${recipe.name}" สำเร็จ`, 'success');
+            } else {
+                await this.renderRecipeList();
+            }
+        } catch (error) {
+            console.error('❌ Failed to load recipes:', error);
+            this.showAlert('ไม่สามารถโหลดสูตรสินค้าได้: ' + error.message, 'warning');
+        }
+    }
+
+    /**
+     * Move the single visualControl_reference entry of earlier versions into a recipe
+     * An entry that needs the video geometry stays stored until the video is measured
+     * @returns {Promise<Object|null>} The recipe it became, if it was moved now
+     */
+    async migrateLegacyReference() {
+        const saved = this.utils.loadFromStorage('visualControl_reference');
+        if (!saved) return null;
+
+        const referenceData = this.migrateReference(saved);
+        if (!referenceData) return null;
+
+        const regions = referenceData.regions || [];
+        if (!referenceData.boxRect && regions.length === 0) {
+            console.log('🔄 Saved reference holds no areas, removed');
+            this.utils.clearStorage('visualControl_reference');
+            return null;
+        }
+
+        const recipe = await this.recipes.save({
+            name: 'สูตรเดิม',
+            boxRect: referenceData.boxRect || null,
+            regions,
+            settings: { ...this.settings },
+            alertProfile: this.audio.getAlertProfile()
+        });
+        if (!this.recipes.getActiveId()) this.recipes.setActiveId(recipe.id);
+        this.utils.clearStorage('visualControl_reference');
+        console.log(`🔄 Moved the saved reference (version ${saved.version || 1}) into recipe ${recipe.id}`);
+
+        // A box area without key points was kept; it cannot be monitored until one is added
+        if (!referenceData.boxRect || regions.length === 0) {
+            this.showAlert(`⚠️ ย้ายกรอบที่บันทึกไว้เป็นสูตร "${recipe.name}" แล้ว แต่ยังไม่ครบ กรุณาเพิ่ม${referenceData.boxRect ? 'จุดสำคัญ' : 'กรอบกล่อง'}แล้วบันทึกสูตร`, 'warning');
+        }
+
+        return recipe;
+    }
+
+    /**
+     * Retry a legacy reference migration that waited for the video size
+     */
+    async resumeLegacyMigration() {
+        if (!RecipeStore.isSupported()) return;
+
+        try {
+            const recipe = await this.migrateLegacyReference();
+            if (!recipe) return;
+
+            if (!this.activeRecipe && !this.state.isMonitoring) {
+                await this.applyRecipe(recipe);
+            } else {
+                await this.renderRecipeList();
+            }
+        } catch (error) {
+            console.error('❌ Failed to migrate the saved reference:', error);
+        }
+    }
+
+    /**
+     * Rebuild the recipe list, filtered by the search box
+     */
+    async renderRecipeList() {
+        const list = this.elements.recipeList;
+        if (!list || !RecipeStore.isSupported()) return;
+
+        let recipes;
+        try {
+            recipes = await this.recipes.search(this.elements.recipeSearch?.value || '');
+        } catch (error) {
+            console.error('❌ Failed to list recipes:', error);
+            return;
+        }
+
+        this.recipeThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.recipeThumbnailUrls = [];
+        list.innerHTML = '';
+
+        if (recipes.length === 0) {
+            const text = this.elements.recipeSearch?.value.trim() ? 'ไม่พบสูตรที่ค้นหา' : 'ยังไม่มีสูตรที่บันทึกไว้';
+            list.appendChild(this.utils.createElement('p', { className: 'region-empty' }, {}, text));
+            return;
+        }
+
+        recipes.forEach(recipe => {
+            const isActive = recipe.id === this.activeRecipe?.id;
+            const item = this.utils.createElement('div', { className: `recipe-item${isActive ? ' active' : ''}`, 'data-recipe-id': recipe.id });
+
+            const thumbnail = this.utils.createElement('img', { className: 'recipe-thumb', alt: '' });
+            if (recipe.thumbnail) {
+                thumbnail.src = URL.createObjectURL(recipe.thumbnail);
+                this.recipeThumbnailUrls.push(thumbnail.src);
+            }
+
+            const info = this.utils.createElement('div', { className: 'recipe-info' });
+            info.append(
+                this.utils.createElement('strong', { title: recipe.name }, {}, recipe.name),
+                this.utils.createElement('small', {}, {},
+                    `${recipe.sku || '-'} • ${recipe.regions.length} จุด • ${this.utils.formatTimestamp(recipe.updatedAt)}`)
+            );
+
+            const actions = this.utils.createElement('div', { className: 'recipe-actions' });
+            const useButton = this.utils.createElement('button', { className: 'btn btn-success btn-sm', title: 'ใช้สูตรนี้' }, {}, '▶️');
+            useButton.disabled = isActive;
+            useButton.addEventListener('click', () => this.handleSelectRecipe(recipe.id));
+
+            const copyButton = this.utils.createElement('button', { className: 'btn btn-secondary btn-sm', title: 'คัดลอกสูตร' }, {}, '📄');
+            copyButton.addEventListener('click', () => this.handleDuplicateRecipe(recipe.id));
+
+            const exportButton = this.utils.createElement('button', { className: 'btn btn-secondary btn-sm', title: 'ส่งออกสูตร' }, {}, '⬇️');
+            exportButton.addEventListener('click', () => this.handleExportRecipes([recipe.id]));
+
+            const deleteButton = this.utils.createElement('button', { className: 'btn btn-secondary btn-sm', title: 'ลบสูตร' }, {}, '🗑️');
+            deleteButton.addEventListener('click', () => this.handleDeleteRecipe(recipe.id));
+
+            actions.append(useButton, copyButton, exportButton, deleteButton);
+            item.append(thumbnail, info, actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Switch to another recipe; while monitoring the operator has to confirm,
+     * and monitoring stops before the areas change
+     * @param {string} id - Recipe id
+     */
+    async handleSelectRecipe(id) {
+        if (this.state.isMonitoring) {
+            if (!window.confirm('กำลังตรวจสอบอยู่ ต้องการหยุดการตรวจสอบและเปลี่ยนสูตรหรือไม่?')) return;
+            this.handleStopMonitoring();
+        }
+
+        try {
+            const recipe = await this.recipes.get(id);
+            if (!recipe) {
+                this.showAlert('ไม่พบสูตรนี้แล้ว', 'warning');
+                this.renderRecipeList();
+                return;
+            }
+
+            await this.applyRecipe(recipe);
+            this.showAlert(`เปลี่ยนเป็นสูตร "${recipe.name}" แล้ว`, 'success');
+        } catch (error) {
+            console.error('❌ Error switching recipe:', error);
+            this.showAlert('ไม่สามารถเปลี่ยนสูตรได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Copy a recipe
+     * @param {string} id - Recipe id
+     */
+    async handleDuplicateRecipe(id) {
+        try {
+            const copy = await this.recipes.duplicate(id);
+            this.showAlert(`คัดลอกเป็น "${copy.name}" แล้ว`, 'success');
+        } catch (error) {
+            console.error('❌ Error duplicating recipe:', error);
+            this.showAlert('ไม่สามารถคัดลอกสูตรได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Delete a recipe; the drawn areas stay on screen when it is the active one
+     * @param {string} id - Recipe id
+     */
+    async handleDeleteRecipe(id) {
+        if (id === this.activeRecipe?.id && this.state.isMonitoring) {
+            this.showAlert('กรุณาหยุดการตรวจสอบก่อนลบสูตรที่ใช้อยู่', 'warning');
+            return;
+        }
+
+        try {
+            const recipe = await this.recipes.get(id);
+            if (recipe && !window.confirm(`ลบสูตร "${recipe.name}"?`)) return;
+
+            if (id === this.activeRecipe?.id) this.activeRecipe = null;
+            await this.recipes.delete(id);
+            this.showAlert('ลบสูตรแล้ว', 'info');
+        } catch (error) {
+            console.error('❌ Error deleting recipe:', error);
+            this.showAlert('ไม่สามารถลบสูตรได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Start a new recipe from an empty drawing
+     */
+    handleNewRecipe() {
+        if (this.state.isMonitoring) {
+            this.showAlert('กรุณาหยุดการตรวจสอบก่อนเริ่มสูตรใหม่', 'warning');
+            return;
+        }
+
+        this.activeRecipe = null;
+        this.recipes.setActiveId(null);
+        this.config.setLayer('recipe', {});
+        this.applyConfig();
+        if (this.elements.recipeName) this.elements.recipeName.value = '';
+        if (this.elements.recipeSku) this.elements.recipeSku.value = '';
+
+        this.handleClearDrawing();
+        this.renderRecipeList();
+        this.elements.recipeName?.focus();
+    }
+
+    /**
+     * Download recipes as a bundle file for another station
+     * @param {Array|null} ids - Recipes to export; null for all
+     */
+    async handleExportRecipes(ids = null) {
+        try {
+            const count = await this.recipeBundle.download(ids);
+            this.showAlert(`ส่งออก ${count} สูตรแล้ว`, 'success');
+        } catch (error) {
+            console.error('❌ Error exporting recipes:', error);
+            this.showAlert('ไม่สามารถส่งออกสูตรได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Read a bundle file and show how it differs from the library
+     * @param {File} file - Selected bundle file
+     */
+    async handleImportFile(file) {
+        if (!file) return;
+
+        try {
+            const bundle = this.recipeBundle.parse(await file.text());
+            this.pendingImport = await this.recipeBundle.diff(bundle);
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('❌ Error reading recipe bundle:', error.details || error);
+            this.showAlert(`ไม่สามารถนำเข้า ${file.name}: ${error.message}`, 'danger');
+        } finally {
+            // Choosing the same file again should still fire 'change'
+            if (this.elements.recipeImportFile) this.elements.recipeImportFile.value = '';
+        }
+    }
+
+    /**
+     * List the bundled recipes with their match in the library and a choice of action
+     */
+    renderImportPreview() {
+        const panel = this.elements.recipeImport;
+        if (!panel || !this.pendingImport) return;
+
+        const fieldLabels = {
+            name: 'ชื่อ',
+            sku: 'SKU',
+            boxRect: 'กรอบกล่อง',
+            regions: 'จุดตรวจสอบ',
+            settings: 'ค่าความไว',
+            referenceImage: 'ภาพอ้างอิง',
+            cameraSettings: 'กล้อง',
+            alertProfile: 'เสียงเตือน'
+        };
+        const actionLabels = { add: 'เพิ่ม', replace: 'แทนที่ของเดิม', copy: 'เพิ่มเป็นสำเนา', skip: 'ข้าม' };
+        const actionsByStatus = {
+            new: ['add', 'skip'],
+            identical: ['skip', 'copy'],
+            changed: ['skip', 'replace', 'copy']
+        };
+
+        panel.innerHTML = '';
+        panel.appendChild(this.utils.createElement('strong', {}, {}, `นำเข้า ${this.pendingImport.length} สูตร`));
+
+        this.pendingImport.forEach(entry => {
+            const { recipe, existing, status, changes } = entry;
+            const item = this.utils.createElement('div', { className: `recipe-import-item status-${status}` });
+
+            let detail = 'สูตรใหม่';
+            if (status === 'identical') detail = `เหมือนกับ "${existing.name}"`;
+            if (status === 'changed') detail = `ต่างจาก "${existing.name}": ${changes.map(field => fieldLabels[field]).join(', ')}`;
+
+            const info = this.utils.createElement('div', {}, {}, `${recipe.name}${recipe.sku ? ` (${recipe.sku})` : ''}`);
+            info.appendChild(this.utils.createElement('small', {}, {}, detail));
+
+            const select = this.utils.createElement('select', { 'aria-label': 'การนำเข้า', 'data-recipe-id': recipe.id });
+            actionsByStatus[status].forEach(action => {
+                select.appendChild(this.utils.createElement('option', { value: action }, {}, actionLabels[action]));
+            });
+
+            item.append(info, select);
+            panel.appendChild(item);
+        });
+
+        const buttons = this.utils.createElement('div', { className: 'recipe-transfer' });
+        const confirmButton = this.utils.createElement('button', { className: 'btn btn-primary btn-sm' }, {}, '✅ นำเข้า');
+        confirmButton.addEventListener('click', () => this.handleConfirmImport());
+        const cancelButton = this.utils.createElement('button', { className: 'btn btn-secondary btn-sm' }, {}, 'ยกเลิก');
+        cancelButton.addEventListener('click', () => this.handleCancelImport());
+        buttons.append(confirmButton, cancelButton);
+
+        panel.appendChild(buttons);
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Import the previewed bundle with the chosen actions
+     */
+    async handleConfirmImport() {
+        if (!this.pendingImport) return;
+
+        const resolutions = {};
+        this.elements.recipeImport.querySelectorAll('select[data-recipe-id]').forEach(select => {
+            resolutions[select.dataset.recipeId] = select.value;
+        });
+
+        // The engine keeps judging boxes against the active recipe, so it cannot be swapped underneath
+        const replacesActive = this.pendingImport.some(({ recipe, existing }) =>
+            existing && existing.id === this.activeRecipe?.id && resolutions[recipe.id] === 'replace');
+        if (replacesActive && this.state.isMonitoring) {
+            this.showAlert('กรุณาหยุดการตรวจสอบก่อนแทนที่สูตรที่ใช้อยู่', 'warning');
+            return;
+        }
+
+        try {
+            const stored = await this.recipeBundle.import(this.pendingImport, resolutions);
+            this.handleCancelImport();
 
-            if (this.state.isMonitoring) {
-                this.handleStopMonitoring();
-            }
+            // A replaced active recipe is reloaded
+            const active = stored.find(recipe => recipe.id === this.activeRecipe?.id);
+            if (active) await this.applyRecipe(active);
 
-            this.showAlert('ลบภาพอ้างอิงแล้ว', 'success');
+            this.showAlert(`นำเข้า ${stored.length} สูตรแล้ว`, 'success');
         } catch (error) {
-            console.error('❌ Error clearing reference:', error);
-            this.showAlert('เกิดข้อผิดพลาดในการลบภาพอ้างอิง', 'danger');
+            console.error('❌ Error importing recipes:', error);
+            this.showAlert('ไม่สามารถนำเข้าสูตรได้: ' + error.message, 'danger');
         }
     }
 
     /**
-     * Handle save reference
+     * Close the import preview without importing
      */
-    handleSaveReference() {
-        try {
-            const referenceData = {
-                boxRect: this.drawing.boxRect,
-                keyPointRect: this.drawing.keyPointRect,
-                timestamp: Date.now()
-            };
-
-            if (referenceData.boxRect && referenceData.keyPointRect) {
-                localStorage.setItem('visualControl_reference', JSON.stringify(referenceData));
-                this.showAlert('บันทึกกรอบอ้างอิงลง Local Storage สำเร็จ', 'success');
-            } else {
-                this.showAlert('ไม่มีกรอบอ้างอิงให้บันทึก', 'warning');
-            }
-        } catch (error) {
-            console.error('❌ Error saving reference:', error);
-            this.showAlert('ไม่สามารถบันทึกกรอบอ้างอิงได้', 'danger');
+    handleCancelImport() {
+        this.pendingImport = null;
+        if (this.elements.recipeImport) {
+            this.elements.recipeImport.innerHTML = '';
+            this.elements.recipeImport.classList.add('hidden');
         }
     }
 
@@ -795,11 +2686,34 @@ class VisualControlApp {
      * Handle start monitoring
      */
     handleStartMonitoring() {
-        if (!this.state.hasReferenceImage || !this.drawing.boxRect || !this.drawing.keyPointRect) {
+        // A replay shows the recorded areas, not the ones the detection engine was set up with
+        if (this.source.kind === 'replay') {
+            this.showAlert('เซสชันที่เล่นซ้ำแสดงผลตามที่บันทึกไว้ เปิดกล้องหรือไฟล์วิดีโอเพื่อตรวจสอบ', 'warning');
+            return;
+        }
+
+        if (this.cameraFault) {
+            this.showAlert('กล้องขัดข้อง รอให้กล้องเชื่อมต่อใหม่ก่อนเริ่มตรวจสอบ', 'warning');
+            return;
+        }
+
+        if (!this.state.hasReferenceImage || !this.drawing.boxRect || this.drawing.regions.length === 0) {
             this.showAlert('กรุณาวางกรอบกล่องและจุดสำคัญก่อน', 'warning');
             return;
         }
 
+        // A recipe's reference frame from another resolution cannot be compared pixel for pixel
+        const resolution = this.source.getStatus().resolution;
+        if (this.referenceCanvas && resolution?.width &&
+            (resolution.width !== this.referenceCanvas.width || resolution.height !== this.referenceCanvas.height)) {
+            this.detection.clearReference();
+        }
+
+        if (!this.detection.isInitialized && !this.applyReferenceAreas()) {
+            this.showAlert('ไม่สามารถจับภาพจากกล้องเพื่อตั้งค่าอ้างอิงได้', 'warning');
+            return;
+        }
+
         this.state.isMonitoring = true;
         this.state.currentStep = 'monitoring';
         this.stats.startTime = new Date();
@@ -807,7 +2721,10 @@ class VisualControlApp {
         this.updateMonitoringStatus('กำลังตรวจสอบ', 'monitoring');
         this.elements.videoContainer.className = 'video-container active monitoring';
 
+        this.updateUI();
+
         this.startMonitoringLoop();
+        if (this.recorder.rolling) this.startRecording('rolling');
         this.showAlert('เริ่มการตรวจสอบแล้ว', 'success');
     }
 
@@ -821,10 +2738,15 @@ class VisualControlApp {
         this.updateMonitoringStatus('หยุดตรวจสอบ', 'disconnected');
         this.elements.videoContainer.classList.remove('monitoring');
 
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
-            this.monitoringInterval = null;
-        }
+        this.stopMonitoringLoop();
+        if (this.recorder.mode === 'rolling') this.stopRecording();
+
+        // A box still inside the area when monitoring stops gets no verdict
+        this.detection.resetTracking();
+        this.alertHighlight = null;
+        this.redrawOverlay();
+        this.markRegionResults(null);
+        this.updateUI();
 
         this.showAlert('หยุดการตรวจสอบแล้ว', 'info');
     }
@@ -858,8 +2780,11 @@ class VisualControlApp {
             startTime: this.state.isMonitoring ? new Date() : null
         };
 
+        this.scorer?.reset();
+
         this.updateStatistics();
         this.updateCounters();
+        this.updateSimulationScore();
         this.showAlert('รีเซ็ตสถิติแล้ว', 'success');
     }
 
@@ -908,7 +2833,7 @@ class VisualControlApp {
      * Handle keyboard shortcuts
      */
     handleKeyboardShortcuts(event) {
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
             return;
         }
 
@@ -945,8 +2870,62 @@ class VisualControlApp {
                     this.handleTestSound();
                 }
                 break;
+            case 'KeyZ':
+                if (event.ctrlKey && !this.state.isMonitoring) {
+                    event.preventDefault();
+                    if (event.shiftKey) this.editor.redo();
+                    else this.editor.undo();
+                }
+                break;
+            case 'KeyY':
+                if (event.ctrlKey && !this.state.isMonitoring) {
+                    event.preventDefault();
+                    this.editor.redo();
+                }
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                if (this.state.currentStep === 'editing') {
+                    const step = event.shiftKey ? 10 : 1;
+                    const dx = event.code === 'ArrowLeft' ? -step : event.code === 'ArrowRight' ? step : 0;
+                    const dy = event.code === 'ArrowUp' ? -step : event.code === 'ArrowDown' ? step : 0;
+                    if (this.editor.nudge(dx, dy)) event.preventDefault();
+                }
+                break;
+            case 'Comma':
+            case 'Period':
+                if (this.source.seekable) {
+                    event.preventDefault();
+                    this.source.step(event.code === 'Comma' ? -1 : 1);
+                }
+                break;
+            case 'Delete':
+                if (this.state.currentStep === 'editing' && this.editor.selectedId && this.editor.selectedId !== 'box') {
+                    this.handleRemoveRegion(this.editor.selectedId);
+                }
+                break;
+            case 'Enter':
+                if (this.state.currentStep === 'drawing-polygon') {
+                    event.preventDefault();
+                    this.finishPolygon();
+                }
+                break;
+            case 'Backspace':
+                if (this.state.currentStep === 'drawing-polygon' && this.drawing.polygonPoints.length > 0) {
+                    event.preventDefault();
+                    const last = this.drawing.polygonPoints.pop();
+                    this.redrawOverlay();
+                    this.drawPolygonPreview(last);
+                }
+                break;
             case 'Escape':
-                if (document.fullscreenElement) {
+                if (this.state.currentStep === 'editing') {
+                    this.handleToggleEditing();
+                } else if (this.state.currentStep === 'drawing-polygon' || this.isPainting()) {
+                    this.handleCancelTool();
+                } else if (document.fullscreenElement) {
                     document.exitFullscreen();
                 }
                 break;
@@ -955,130 +2934,251 @@ class VisualControlApp {
 
     /**
      * Start monitoring loop
+     * Runs once per video frame; frames that arrive while the worker
+     * is still busy are dropped so the overlay never lags behind
      */
     startMonitoringLoop() {
         if (!this.state.isMonitoring) return;
 
-        // Simulate box detection and processing
-        this.monitoringInterval = setInterval(() => {
-            if (this.state.isMonitoring) {
-                this.performDetection();
-            }
-        }, 1000); // Check every second
-    }
+        this.stopMonitoringLoop();
 
-    /**
-     * Perform detection (enhanced with drawing areas)
-     */
-    performDetection() {
-        if (!this.state.isMonitoring || !this.drawing.keyPointRect) return;
+        const video = this.elements.videoElement;
+        const useVideoCallback = typeof video?.requestVideoFrameCallback === 'function';
+        this.monitoringUsesVideoCallback = useVideoCallback;
 
-        // Simulate detection based on key point area
-        const shouldAlert = Math.random() < 0.1; // 10% chance of alert
+        const tick = () => {
+            if (!this.state.isMonitoring) return;
 
-        this.stats.total++;
+            this.processFrame();
+            this.monitoringFrameId = useVideoCallback
+                ? video.requestVideoFrameCallback(tick)
+                : requestAnimationFrame(tick);
+        };
 
-        if (shouldAlert) {
-            this.stats.alert++;
-            this.drawAlertRect();
+        this.monitoringFrameId = useVideoCallback
+            ? video.requestVideoFrameCallback(tick)
+            : requestAnimationFrame(tick);
+    }
 
-            if (!this.state.isPaused) {
-                this.audio.playAlert();
-                const issues = [
-                    'กล่องเอียง ' + Math.floor(Math.random() * 10 + 5) + '°',
-                    'กล่องเลื่อนตำแหน่ง ' + Math.floor(Math.random() * 30 + 15) + 'px',
-                    'จุดสำคัญผิดตำแหน่ง',
-                    'การหมุนผิดปกติ'
-                ];
-                const issue = issues[Math.floor(Math.random() * issues.length)];
-                this.showAlert('⚠️ ' + issue, 'danger');
-            }
+    /**
+     * Stop monitoring loop
+     */
+    stopMonitoringLoop() {
+        if (this.monitoringFrameId === null) return;
+
+        if (this.monitoringUsesVideoCallback) {
+            this.elements.videoElement?.cancelVideoFrameCallback(this.monitoringFrameId);
         } else {
-            this.stats.normal++;
+            cancelAnimationFrame(this.monitoringFrameId);
         }
+        this.monitoringFrameId = null;
+    }
+
+    /**
+     * Hand the drawn areas and the reference frame to the detection engine
+     * The stored reference frame is used when it matches the source resolution;
+     * otherwise the live frame is taken and kept as the new reference
+     * @returns {boolean} Whether the reference could be set
+     */
+    applyReferenceAreas() {
+        if (!this.drawing.boxRect || this.drawing.regions.length === 0) return false;
 
-        // Simulate box counter increment
-        if (Math.random() < 0.3) { // 30% chance a box passes
-            this.stats.boxCounter++;
+        let frameData = this.storedReferenceFrame();
+        if (!frameData) {
+            frameData = this.state.isCameraActive ? this.source.getCurrentFrame() : null;
+            if (!frameData) return false;
+            this.keepReferenceFrame(frameData.imageData);
         }
 
-        this.updateStatistics();
-        this.updateCounters();
+        this.detection.setReferenceRegions(
+            VideoViewport.rectToFrame(this.drawing.boxRect, frameData.width, frameData.height),
+            this.regionsToFrame(frameData),
+            frameData.imageData
+        );
+
+        return this.detection.isInitialized;
+    }
+
+    /**
+     * Draw alert outlines around the key points that failed
+     * Uses the rotated rectangle from the engine when there is one
+     * @param {Object} result - Detection result that raised the alert
+     */
+    drawAlertRect(result = null) {
+        if (this.drawing.regions.length === 0 || !this.overlayCtx) return;
+
+        const failed = (result?.regions || [result]).filter(r => !r || r.hasAlert);
+        this.alertHighlight = {
+            polygons: failed.map(r => this.resultCornersOnCanvas(r)).filter(Boolean),
+            until: Date.now() + 2000
+        };
+
+        this.renderDetectionOverlay(this.overlayResult());
+
+        // Remove alert outline after 2 seconds
+        setTimeout(() => {
+            if (this.alertHighlight && Date.now() >= this.alertHighlight.until) {
+                this.alertHighlight = null;
+                this.renderDetectionOverlay(this.overlayResult());
+            }
+        }, 2000);
+    }
+
+    /**
+     * Result the overlay shows besides an alert: the live one while monitoring,
+     * the recorded one during a replay
+     * @returns {Object|null} Detection result
+     */
+    overlayResult() {
+        if (this.state.isMonitoring) return this.detection.lastDetection;
+        return this.source.kind === 'replay' ? this.replayResult : null;
     }
 
     /**
-     * Draw alert rectangle around key point area
+     * Redraw the overlay with the live detection outline and any active alert
+     * @param {Object|null} result - Latest detection result
      */
-    drawAlertRect() {
-        if (!this.drawing.keyPointRect || !this.overlayCtx) return;
+    renderDetectionOverlay(result) {
+        if (!this.overlayCtx) return;
 
-        // Save current overlay
         this.redrawOverlay();
 
-        // Draw alert rectangle
-        this.overlayCtx.strokeStyle = '#F44336';
-        this.overlayCtx.lineWidth = 4;
-        this.overlayCtx.setLineDash([]);
-        this.overlayCtx.globalAlpha = 0.8;
+        const ctx = this.overlayCtx;
 
-        // Draw pulsing alert rectangle
-        this.overlayCtx.strokeRect(
-            this.drawing.keyPointRect.x - 3,
-            this.drawing.keyPointRect.y - 3,
-            this.drawing.keyPointRect.width + 6,
-            this.drawing.keyPointRect.height + 6
-        );
+        // Rotated outline of each key point as the engine sees it
+        (result?.regions || (result ? [result] : [])).forEach(regionResult => {
+            const liveCorners = this.resultCornersOnCanvas(regionResult, false);
+            if (!liveCorners) return;
 
-        // Fill with semi-transparent red
-        this.overlayCtx.fillStyle = 'rgba(244, 67, 54, 0.2)';
-        this.overlayCtx.fillRect(
-            this.drawing.keyPointRect.x,
-            this.drawing.keyPointRect.y,
-            this.drawing.keyPointRect.width,
-            this.drawing.keyPointRect.height
-        );
+            ctx.strokeStyle = regionResult.hasAlert ? '#FF9800' : '#00E676';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            this.tracePolygon(liveCorners);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
 
-        this.overlayCtx.globalAlpha = 1;
+        if (this.alertHighlight && Date.now() < this.alertHighlight.until) {
+            ctx.globalAlpha = 0.8;
+            ctx.strokeStyle = '#F44336';
+            ctx.lineWidth = 4;
+            ctx.setLineDash([]);
+            ctx.fillStyle = 'rgba(244, 67, 54, 0.2)';
+            this.alertHighlight.polygons.forEach(corners => {
+                this.tracePolygon(corners);
+                ctx.stroke();
+                ctx.fill();
+            });
+            ctx.globalAlpha = 1;
+        }
+    }
 
-        // Remove alert rectangle after 2 seconds
-        setTimeout(() => {
-            this.redrawOverlay();
-        }, 2000);
+    /**
+     * Corners of a result's rotated rectangle in drawing-canvas pixels
+     * @param {Object|null} result - Detection result
+     * @param {boolean} fallbackToRegion - Use the drawn region when there is no rotated rectangle
+     * @returns {Array|null} Corner points [x, y]
+     */
+    resultCornersOnCanvas(result, fallbackToRegion = true) {
+        const corners = result?.rotatedRect?.corners;
+
+        if (corners && corners.length === 4 && this.lastFrameSize) {
+            return corners.map(([x, y]) => this.framePointToCanvas(x, y));
+        }
+
+        const region = this.drawing.regions.find(r => r.id === result?.region?.id) || this.drawing.regions[0];
+        if (!fallbackToRegion || !region) return null;
+
+        return this.areaOutline(this.viewport.rectToCanvas(region.rect));
+    }
+
+    /**
+     * Convert a point in frame pixels into drawing-canvas pixels
+     * @param {number} x - Frame x
+     * @param {number} y - Frame y
+     * @returns {Array} [x, y] on the canvas
+     */
+    framePointToCanvas(x, y) {
+        const { width, height } = this.lastFrameSize;
+        const point = this.viewport.pointToCanvas(width ? x / width : 0, height ? y / height : 0);
+        return [point.x, point.y];
+    }
+
+    /**
+     * Start a closed path through the given points on the overlay
+     * @param {Array} points - [x, y] points
+     */
+    tracePolygon(points) {
+        const ctx = this.overlayCtx;
+        ctx.beginPath();
+        points.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
     }
 
     /**
      * Process frame for detection
+     * The frame is handed to the detection worker; the overlay is redrawn
+     * from its 'result' event and verdicts arrive through boxExited
      */
-    processFrame() {
+    async processFrame() {
+        if (this.drawing.regions.length === 0) return;
+
+        if (this.isCapturing || this.detection.isBusy) {
+            this.detection.dropFrame();
+            return;
+        }
+
+        this.isCapturing = true;
         try {
-            const frameData = this.camera.getCurrentFrame();
-            if (frameData && this.drawing.keyPointRect) {
-                // Create detection result based on key point area
-                const result = {
-                    hasAlert: Math.random() < 0.05, // 5% chance during processing
-                    box: this.drawing.keyPointRect,
-                    message: 'การตรวจสอบเรียลไทม์',
-                    confidence: 95 + Math.random() * 5
-                };
-
-                if (result.hasAlert) {
-                    this.handleDetectionResult(result);
-                }
+            const frameData = await this.source.captureBitmap() || this.source.getCurrentFrame();
+            if (!frameData || !this.state.isMonitoring) {
+                frameData?.bitmap?.close();
+                return;
             }
+
+            this.lastFrameSize = { width: frameData.width, height: frameData.height };
+            this.detection.submitFrame(frameData, this.settings);
         } catch (error) {
             console.error('❌ Error processing frame:', error);
+        } finally {
+            this.isCapturing = false;
+        }
+    }
+
+    /**
+     * Handle a box leaving the box area
+     * @param {Object} event - boxExited event from the detection engine
+     */
+    handleBoxPassed(event) {
+        if (!this.state.isMonitoring) return;
+
+        this.stats.boxCounter++;
+        console.log(`📦 Box #${event.sequence} exited after ${event.frames} frames`);
+
+        if (this.scorer) {
+            this.scorer.record(event.result, this.source.getPosition().frameIndex);
+            this.updateSimulationScore();
+        }
+
+        if (event.result) {
+            this.handleDetectionResult(event.result);
+        } else {
+            this.updateCounters();
         }
     }
 
     /**
-     * Handle detection result
+     * Handle detection result (one verdict per box)
      */
     handleDetectionResult(result) {
         this.stats.total++;
 
         if (result.hasAlert) {
             this.stats.alert++;
-            this.drawAlertRect();
+            this.drawAlertRect(result);
 
             if (!this.state.isPaused) {
                 this.audio.playAlert();
@@ -1089,6 +3189,7 @@ class VisualControlApp {
         }
 
         this.updateStatistics();
+        this.updateCounters();
     }
 
     /**
@@ -1137,13 +3238,19 @@ class VisualControlApp {
             this.elements.videoContainer.classList.add('drawing-box');
         } else if (this.state.currentStep === 'drawing-keypoint') {
             this.elements.videoContainer.classList.add('drawing-keypoint');
+        } else if (this.state.currentStep === 'drawing-polygon') {
+            this.elements.videoContainer.classList.add('drawing-polygon');
+        } else if (this.isPainting()) {
+            this.elements.videoContainer.classList.add('painting');
+        } else if (this.state.currentStep === 'editing') {
+            this.elements.videoContainer.classList.add('editing');
         } else if (this.state.currentStep === 'monitoring') {
             this.elements.videoContainer.classList.add('monitoring');
         }
 
         // Update button states
         if (this.elements.startCamera) {
-            this.elements.startCamera.disabled = this.state.isCameraActive;
+            this.elements.startCamera.disabled = this.state.isCameraActive && this.source === this.camera;
         }
 
         if (this.elements.drawBoxBtn) {
@@ -1154,14 +3261,45 @@ class VisualControlApp {
             this.elements.drawKeyPointBtn.disabled = !this.drawing.boxRect;
         }
 
+        if (this.elements.drawPolygonBtn) {
+            this.elements.drawPolygonBtn.disabled = !this.state.isCameraActive || this.state.isMonitoring;
+        }
+
+        ['paintIncludeBtn', 'paintExcludeBtn'].forEach(id => {
+            if (!this.elements[id]) return;
+            const mode = id === 'paintIncludeBtn' ? 'painting-include' : 'painting-exclude';
+            this.elements[id].disabled = !this.drawing.boxRect || this.state.isMonitoring;
+            this.elements[id].classList.toggle('active', this.state.currentStep === mode);
+        });
+
+        if (this.elements.editRegionsBtn) {
+            const editing = this.state.currentStep === 'editing';
+            this.elements.editRegionsBtn.disabled = !this.drawing.boxRect || this.state.isMonitoring;
+            this.elements.editRegionsBtn.innerHTML = editing ? '✅ เสร็จสิ้นการแก้ไข' : '✏️ แก้ไขกรอบ';
+        }
+
         if (this.elements.clearDrawing) {
-            this.elements.clearDrawing.disabled = !this.drawing.boxRect && !this.drawing.keyPointRect;
+            this.elements.clearDrawing.disabled = !this.drawing.boxRect && this.drawing.regions.length === 0;
+        }
+
+        if (this.elements.takeReference) {
+            this.elements.takeReference.disabled = !this.state.isCameraActive ||
+                !this.drawing.boxRect || this.drawing.regions.length === 0 || this.state.isMonitoring;
         }
 
         if (this.elements.startMonitoring) {
             this.elements.startMonitoring.disabled = this.state.currentStep !== 'ready-monitor' || this.state.isMonitoring;
         }
 
+        if (this.elements.saveReference) {
+            this.elements.saveReference.disabled = !this.drawing.boxRect || this.drawing.regions.length === 0;
+        }
+
+        // Regions cannot be removed while boxes are being judged against them
+        this.elements.regionList?.querySelectorAll('button').forEach(button => {
+            button.disabled = this.state.isMonitoring;
+        });
+
         if (this.elements.stopMonitoring) {
             this.elements.stopMonitoring.disabled = !this.state.isMonitoring;
         }
@@ -1197,6 +3335,13 @@ class VisualControlApp {
             case 'drawing-keypoint':
                 statusText = 'ขั้นตอน: กำลังวางกรอบจุดสำคัญ';
                 break;
+            case 'drawing-polygon':
+                statusText = 'ขั้นตอน: กำลังวาดรูปหลายเหลี่ยม';
+                break;
+            case 'painting-include':
+            case 'painting-exclude':
+                statusText = 'ขั้นตอน: กำลังระบายพื้นที่ตรวจ';
+                break;
             case 'ready-monitor':
                 statusText = 'ขั้นตอน: พร้อมตรวจสอบ';
                 statusClass = 'status-connected';
@@ -1330,64 +3475,329 @@ class VisualControlApp {
     }
 
     /**
-     * Load settings from localStorage
+     * Hand each module its merged configuration section
      */
-    loadSettings() {
-        try {
-            const savedSettings = localStorage.getItem('visualControl_settings');
-            if (savedSettings) {
-                const settings = JSON.parse(savedSettings);
-                this.settings = { ...this.settings, ...settings };
-
-                // Update UI
-                if (this.elements.rotationSensitivity) {
-                    this.elements.rotationSensitivity.value = this.settings.rotationSensitivity;
-                    this.elements.rotationValue.textContent = this.settings.rotationSensitivity + '°';
-                }
+    applyConfig() {
+        const detection = this.config.get('detection');
+        this.settings = { ...this.settings, ...detection.settings };
+        this.updateSensitivityControls();
+
+        this.detection.configure(detection);
+        this.audio.configure(this.config.get('audio'));
+        this.camera.setProfile(this.config.getCameraConstraints());
+        this.camera.configureWatchdog(this.config.get('watchdog'));
+        this.renderCameraProfiles();
+
+        const recorder = this.config.get('recorder');
+        this.recorder.configure(recorder);
+        this.sessions.maxSessions = recorder.maxSessions || this.sessions.maxSessions;
+        if (this.elements.rollingRecord) this.elements.rollingRecord.checked = this.recorder.rolling;
+    }
 
-                if (this.elements.positionSensitivity) {
-                    this.elements.positionSensitivity.value = this.settings.positionSensitivity;
-                    this.elements.positionValue.textContent = this.settings.positionSensitivity + 'px';
-                }
+    /**
+     * Fill the profile picker from camera-profiles.json
+     */
+    renderCameraProfiles() {
+        const select = this.elements.cameraProfile;
+        if (!select) return;
+
+        const current = this.config.get('camera').profile;
+        select.innerHTML = '';
+        Object.entries(this.config.cameraProfiles).forEach(([id, profile]) => {
+            select.appendChild(this.utils.createElement('option', { value: id }, {}, profile.label || id));
+        });
+        select.value = current || '';
+    }
 
-                if (this.elements.detectionThreshold) {
-                    this.elements.detectionThreshold.value = this.settings.detectionThreshold;
-                    this.elements.thresholdValue.textContent = this.settings.detectionThreshold + '%';
-                }
-            }
+    /**
+     * Sliders for the manual controls the open camera supports
+     */
+    renderCameraControls() {
+        const container = this.elements.cameraLocks;
+        if (!container) return;
+
+        const capabilities = this.camera.getCapabilities() || {};
+        const current = this.camera.getCurrentSettings() || {};
+        const locked = this.camera.lockedSettings;
+        const controls = [
+            ['exposureTime', 'เวลารับแสง'],
+            ['focusDistance', 'ระยะโฟกัส'],
+            ['colorTemperature', 'อุณหภูมิสี (K)'],
+            ['zoom', 'ซูม']
+        ].filter(([key]) => typeof capabilities[key]?.min === 'number');
+
+        container.innerHTML = '';
+        if (controls.length === 0) {
+            const text = this.camera.isActive ? 'กล้องนี้ไม่มีการควบคุมแบบแมนนวล' : 'เปิดกล้องเพื่อล็อกค่าแสง โฟกัส และสมดุลแสงขาว';
+            container.appendChild(this.utils.createElement('p', { className: 'region-empty' }, {}, text));
+        }
+
+        controls.forEach(([key, label]) => {
+            const { min, max, step } = capabilities[key];
+            const value = locked[key] ?? current[key] ?? min;
+            const item = this.utils.createElement('div', { className: 'setting-item' });
+            const slider = this.utils.createElement('input', {
+                type: 'range', className: 'slider', id: `cameraLock-${key}`, min, max, step: step || 1, value
+            });
+            const output = this.utils.createElement('span', { className: 'slider-value' }, {}, `${value}${key in locked ? ' 🔒' : ''}`);
 
-            // Load saved reference rectangles
-            const savedReference = localStorage.getItem('visualControl_reference');
-            if (savedReference) {
-                const referenceData = JSON.parse(savedReference);
-                if (referenceData.boxRect && referenceData.keyPointRect) {
-                    this.drawing.boxRect = referenceData.boxRect;
-                    this.drawing.keyPointRect = referenceData.keyPointRect;
-                    this.state.hasReferenceImage = true;
-                    this.state.currentStep = 'ready-monitor';
-                    
-                    // Redraw after a short delay to ensure canvas is ready
-                    setTimeout(() => {
-                        this.redrawOverlay();
-                        this.updateUI();
-                        this.showAlert('โหลดกรอบอ้างอิงจาก Local Storage สำเร็จ', 'success');
-                    }, 1000);
-                }
-            }
-        } catch (error) {
-            console.error('Failed to load settings:', error);
+            slider.addEventListener('input', () => { output.textContent = slider.value; });
+            slider.addEventListener('change', () => this.handleCameraLockChange(key, parseFloat(slider.value)));
+
+            const row = this.utils.createElement('div', { className: 'slider-container' });
+            row.append(slider, output);
+            item.append(this.utils.createElement('label', { for: slider.id }, {}, label), row);
+            container.appendChild(item);
+        });
+
+        if (this.elements.unlockCamera) this.elements.unlockCamera.disabled = Object.keys(locked).length === 0;
+        this.updateCameraDrift(this.camera.drift);
+    }
+
+    /**
+     * Show which locked values the camera has moved away from
+     * @param {Array} drift - CameraManager.checkDrift() result
+     */
+    updateCameraDrift(drift) {
+        const status = this.elements.cameraDrift;
+        if (!status) return;
+
+        const lockedCount = Object.keys(this.camera.lockedSettings).length;
+        status.classList.toggle('drifted', drift.length > 0);
+        if (drift.length > 0) {
+            status.textContent = '⚠️ ค่าเปลี่ยน: ' + drift.map(item => `${item.key} ${item.actual ?? '-'} (ตั้งไว้ ${item.expected})`).join(', ');
+        } else {
+            status.textContent = lockedCount > 0 ? `🔒 ล็อก ${lockedCount} ค่า` : 'อัตโนมัติ';
         }
     }
 
     /**
-     * Save settings to localStorage
+     * The watchdog lost the camera: hold inspection and keep alarming until it is back
+     * @param {Object} fault - 'fault' event {reason, deviceId, startedAt}
      */
-    saveSettings() {
+    async handleCameraFault(fault) {
+        this.cameraFault = fault;
+        const reason = CAMERA_FAULTS[fault.reason] || fault.reason;
+
+        this.updateCameraStatus(reason, 'disconnected');
+        this.elements.videoContainer?.classList.add('camera-fault');
+        if (this.elements.cameraFault) {
+            this.elements.cameraFault.textContent = `🚨 กล้องขัดข้อง: ${reason} — หยุดตรวจสอบชั่วคราว กำลังเชื่อมต่อใหม่...`;
+            this.elements.cameraFault.classList.remove('hidden');
+        }
+        this.showAlert(`กล้องขัดข้อง: ${reason} กำลังเชื่อมต่อใหม่`, 'danger');
+
+        this.soundFaultAlarm();
+        clearInterval(this.faultAlarmTimer);
+        this.faultAlarmTimer = setInterval(() => this.soundFaultAlarm(), FAULT_ALARM_INTERVAL);
+
+        if (this.state.isMonitoring) {
+            // A box inside the area when the picture stopped gets no verdict
+            this.stopMonitoringLoop();
+            this.detection.resetTracking();
+            this.updateMonitoringStatus('หยุดชั่วคราว: กล้องขัดข้อง', 'disconnected');
+        }
+        // The recording would only hold the dead stream
+        if (this.recorder.isRecording) await this.stopRecording();
+    }
+
+    /**
+     * The camera is back: pick inspection up where it stopped
+     * @param {Object} outage - 'recovered' event
+     */
+    handleCameraRecovered(outage) {
+        this.clearCameraFault();
+        this.updateCameraStatus(this.camera.label || 'เชื่อมต่อแล้ว', 'connected');
+        this.renderCameraControls();
+        this.renderCameraOutages();
+
+        if (this.state.isMonitoring) {
+            this.updateMonitoringStatus('กำลังตรวจสอบ', 'monitoring');
+            this.startMonitoringLoop();
+            if (this.recorder.rolling) this.startRecording('rolling');
+        }
+
+        const seconds = (outage.duration / 1000).toFixed(1);
+        this.showAlert(`กล้องกลับมาแล้ว หลังขาดไป ${seconds} วินาที`, 'success');
+    }
+
+    /**
+     * Stop the fault alarm and hide the fault banner and outline
+     */
+    clearCameraFault() {
+        this.cameraFault = null;
+        clearInterval(this.faultAlarmTimer);
+        this.faultAlarmTimer = null;
+        this.elements.videoContainer?.classList.remove('camera-fault');
+        this.elements.cameraFault?.classList.add('hidden');
+    }
+
+    /**
+     * Alarm for a camera fault; "pause alert" silences it like any other alert
+     */
+    soundFaultAlarm() {
+        if (!this.state.isPaused) this.audio.playAlert('error', 3);
+    }
+
+    /**
+     * List the camera outages the watchdog has logged, newest first
+     */
+    renderCameraOutages() {
+        const list = this.elements.cameraOutages;
+        if (!list) return;
+
+        const outages = this.camera.outages.slice(0, 5);
+        list.innerHTML = '';
+        if (outages.length === 0) {
+            list.appendChild(this.utils.createElement('p', { className: 'region-empty' }, {}, 'กล้องยังไม่เคยขาดการเชื่อมต่อ'));
+            return;
+        }
+
+        outages.forEach(outage => {
+            const time = new Date(outage.startedAt).toLocaleString('th-TH');
+            const result = outage.recovered ? `เชื่อมต่อใหม่ ${outage.attempts} ครั้ง` : 'ปิดกล้องก่อนกลับมา';
+            list.appendChild(this.utils.createElement('div', { className: outage.recovered ? 'camera-outage' : 'camera-outage unrecovered' }, {},
+                `🚨 ${time} • ${CAMERA_FAULTS[outage.reason] || outage.reason} • ${(outage.duration / 1000).toFixed(1)} วิ • ${result}`));
+        });
+    }
+
+    /**
+     * Switch camera profile as this browser's override
+     * @param {string} profile - Profile id; empty for the station/recipe default
+     */
+    handleCameraProfileChange(profile) {
+        if (profile) {
+            this.config.setUserOverrides({ camera: { profile } });
+        } else {
+            this.config.clearUserOverrides('camera', ['profile']);
+        }
+        this.applyConfig();
+        if (this.state.isCameraActive) {
+            this.showAlert('ความละเอียดและเฟรมเรตของโปรไฟล์ใหม่จะมีผลเมื่อเปิดกล้องอีกครั้ง', 'info');
+        }
+    }
+
+    /**
+     * Lock one manual control at a new value as this browser's override
+     * @param {string} key - Lock key, e.g. 'exposureTime'
+     * @param {number} value - Value from the slider
+     */
+    handleCameraLockChange(key, value) {
+        this.config.setUserOverrides({ camera: { [key]: value } });
+        this.applyConfig();
+    }
+
+    /**
+     * Hand exposure, focus and white balance back to the camera
+     * Profile and recipe locks return when they are next applied
+     */
+    async handleUnlockCamera() {
         try {
-            localStorage.setItem('visualControl_settings', JSON.stringify(this.settings));
+            this.config.clearUserOverrides('camera', CameraManager.lockKeys);
+            await this.camera.unlockSettings();
+            this.showAlert('ปลดล็อกค่ากล้องแล้ว', 'info');
         } catch (error) {
-            console.error('Failed to save settings:', error);
+            console.error('❌ Error unlocking camera:', error);
+            this.showAlert('ไม่สามารถปลดล็อกค่ากล้องได้: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Block startup with the configuration problems listed
+     * @param {Error} error - Error from ConfigLoader.load(), with error.details;
+     *                        error.layer is 'user' when only this browser's saved settings are wrong
+     */
+    showConfigError(error) {
+        const screen = this.utils.createElement('div', { className: 'config-error', role: 'alert' });
+        const panel = this.utils.createElement('div', { className: 'config-error-panel' });
+        const isUserLayer = error.layer === 'user';
+
+        panel.append(
+            this.utils.createElement('h2', {}, {}, isUserLayer ? '⚠️ ค่าที่บันทึกไว้ในเบราว์เซอร์นี้ไม่ถูกต้อง' : '⚠️ การตั้งค่าระบบไม่ถูกต้อง'),
+            this.utils.createElement('p', {}, {}, isUserLayer ?
+                'ระบบหยุดการเริ่มต้นเพื่อไม่ให้ตรวจสอบด้วยค่าที่ผิด ล้างค่าที่ปรับไว้ในเบราว์เซอร์นี้เพื่อกลับไปใช้ค่าจากโฟลเดอร์ config/ และสูตรสินค้า' :
+                'ระบบหยุดการเริ่มต้นเพื่อไม่ให้ตรวจสอบด้วยค่าที่ผิด แก้ไขไฟล์ในโฟลเดอร์ config/ ตามรายการด้านล่าง แล้วโหลดหน้าใหม่')
+        );
+
+        const list = this.utils.createElement('ul');
+        (error.details || [error.message]).forEach(detail => {
+            list.appendChild(this.utils.createElement('li', {}, {}, detail));
+        });
+
+        const reloadButton = this.utils.createElement('button', { className: 'btn btn-primary' }, {}, '🔄 โหลดใหม่');
+        reloadButton.addEventListener('click', () => location.reload());
+        panel.append(list, reloadButton);
+
+        if (isUserLayer) {
+            const clearButton = this.utils.createElement('button', { className: 'btn btn-secondary' }, {}, '🗑️ ล้างค่าที่ปรับไว้แล้วโหลดใหม่');
+            clearButton.addEventListener('click', () => {
+                this.config.clearUserLayer();
+                location.reload();
+            });
+            panel.appendChild(clearButton);
+        }
+
+        screen.appendChild(panel);
+        document.body.appendChild(screen);
+    }
+
+    /**
+     * Show the current sensitivities on the sliders
+     */
+    updateSensitivityControls() {
+        if (this.elements.rotationSensitivity) {
+            this.elements.rotationSensitivity.value = this.settings.rotationSensitivity;
+            this.elements.rotationValue.textContent = this.settings.rotationSensitivity + '°';
+        }
+
+        if (this.elements.positionSensitivity) {
+            this.elements.positionSensitivity.value = this.settings.positionSensitivity;
+            this.elements.positionValue.textContent = this.settings.positionSensitivity + 'px';
+        }
+
+        if (this.elements.detectionThreshold) {
+            this.elements.detectionThreshold.value = this.settings.detectionThreshold;
+            this.elements.thresholdValue.textContent = this.settings.detectionThreshold + '%';
+        }
+    }
+
+    /**
+     * Bring a saved visualControl_reference entry up to the current format
+     * Version 1 (unversioned) entries hold drawing-canvas pixels; they are converted
+     * through the viewport like newly drawn areas, so object-fit letterboxing is
+     * taken off. That needs the video size, so until the video has loaded the
+     * entry is left for a later attempt. A lone keyPointRect (before named
+     * regions) becomes one region.
+     * @param {Object} data - Parsed entry
+     * @returns {Object|null} The entry itself when current, a migrated copy, or null
+     *                        when it cannot be migrated yet
+     */
+    migrateReference(data) {
+        if ((data.version || 1) >= 2) return data;
+
+        this.updateViewport();
+        if (!this.viewport.isReady || !this.viewport.videoSize.width) {
+            console.warn('⚠️ Saved reference needs the video size to migrate, retried when the video loads');
+            return null;
         }
+
+        const { keyPointRect, ...rest } = data;
+        const regions = data.regions || (keyPointRect ? [this.createRegion(keyPointRect, 'จุดสำคัญ')] : []);
+        const layout = this.layoutFromCanvas({ boxRect: data.boxRect || null, regions });
+
+        return {
+            ...rest,
+            version: 2,
+            ...layout
+        };
+    }
+
+    /**
+     * Remember the slider values as this browser's configuration overrides
+     */
+    saveSettings() {
+        const { rotationSensitivity, positionSensitivity, detectionThreshold } = this.settings;
+        this.config.setUserOverrides({ detection: { settings: { rotationSensitivity, positionSensitivity, detectionThreshold } } });
     }
 
     /**
@@ -1396,6 +3806,10 @@ class VisualControlApp {
     cleanup() {
         console.log('🧹 Cleaning up Visual Control System...');
 
+        if (this.source && this.source !== this.camera) {
+            this.source.destroy();
+        }
+
         if (this.camera) {
             this.camera.stop();
         }
@@ -1404,11 +3818,19 @@ class VisualControlApp {
             this.bluetooth.disconnect();
         }
 
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
-            this.monitoringInterval = null;
+        this.stopMonitoringLoop();
+
+        if (this.detection) {
+            this.detection.destroy();
         }
 
+        this.recipes?.destroy();
+        this.recipeThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+
+        this.clearCameraFault();
+        this.recorder?.destroy();
+        this.sessions?.destroy();
+
         this.state.isMonitoring = false;
     }
 }
@@ -0,0 +1,289 @@
+/**
+ * Recipe Bundle Module
+ * Moves recipes between inspection stations as one JSON file. Images are
+ * embedded as data URLs so the file is self-contained:
+ *
+ *   {
+ *       format: 'visual-control-recipes',
+ *       version: 1,
+ *       exportedAt,                 // ms timestamp
+ *       recipes: [ ...recipe, referenceImage: 'data:image/png;base64,...' ]
+ *   }
+ *
+ * Bundles with a higher version than this app understands are rejected rather
+ * than imported half-read.
+ */
+
+import { Utils } from './utils.js';
+
+export class RecipeBundle {
+    /**
+     * @param {RecipeStore} store - Recipe library to export from and import into
+     * @param {ConfigLoader} config - Checks the recipes' settings against the configuration schema
+     */
+    constructor(store, config) {
+        this.store = store;
+        this.config = config;
+        this.format = 'visual-control-recipes';
+        this.version = 1;
+        this.utils = new Utils();
+
+        // Recipe fields shown in the import diff, in display order
+        this.diffFields = ['name', 'sku', 'boxRect', 'regions', 'settings', 'referenceImage', 'cameraSettings', 'alertProfile'];
+    }
+
+    /**
+     * Build a bundle
+     * @param {Array|null} ids - Recipes to include; null for all
+     * @returns {Promise<Object>} Bundle ready for JSON.stringify
+     */
+    async create(ids = null) {
+        const recipes = ids ?
+            (await Promise.all(ids.map(id => this.store.get(id)))).filter(Boolean) :
+            await this.store.list();
+
+        return {
+            format: this.format,
+            version: this.version,
+            exportedAt: Date.now(),
+            recipes: await Promise.all(recipes.map(recipe => this.encodeRecipe(recipe)))
+        };
+    }
+
+    /**
+     * Download a bundle file
+     * @param {Array|null} ids - Recipes to include; null for all
+     * @returns {Promise<number>} Number of recipes exported
+     */
+    async download(ids = null) {
+        const bundle = await this.create(ids);
+        if (bundle.recipes.length === 0) throw new Error('No recipes to export');
+
+        const date = new Date(bundle.exportedAt).toISOString().slice(0, 10);
+        const single = bundle.recipes.length === 1 && ids ? bundle.recipes[0] : null;
+        const label = single ? (single.sku || single.name).replace(/[\\/:*?"<>|\s]+/g, '_') : 'recipes';
+
+        this.utils.downloadAsFile(JSON.stringify(bundle, null, 2), `${label}-${date}.json`, 'application/json');
+        console.log(`📦 Exported ${bundle.recipes.length} recipe(s)`);
+        return bundle.recipes.length;
+    }
+
+    /**
+     * Parse and validate a bundle file
+     * @param {string} text - File contents
+     * @returns {Object} The bundle
+     * @throws {Error} With every schema problem listed in error.details
+     */
+    parse(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+
+        if (!this.isObject(bundle) || bundle.format !== this.format) {
+            throw new Error('Not a recipe bundle file');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+            throw new Error(`Unknown bundle version: ${bundle.version}`);
+        }
+        if (bundle.version > this.version) {
+            throw new Error(`Bundle was made by a newer version of the app (format ${bundle.version}, this app reads up to ${this.version}). Update the app on this station first.`);
+        }
+
+        const errors = [];
+        if (!Array.isArray(bundle.recipes)) {
+            errors.push('recipes must be a list');
+        } else {
+            bundle.recipes.forEach((recipe, index) => this.validateRecipe(recipe, `recipes[${index}]`, errors));
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(`Invalid bundle: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+            error.details = errors;
+            throw error;
+        }
+
+        return bundle;
+    }
+
+    /**
+     * Check one bundled recipe
+     * @param {any} recipe - Recipe from the bundle
+     * @param {string} path - Where it sits in the bundle, for messages
+     * @param {Array} errors - Problems are appended here
+     */
+    validateRecipe(recipe, path, errors) {
+        if (!this.isObject(recipe)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+
+        if (typeof recipe.id !== 'string' || !recipe.id) errors.push(`${path}.id must be a non-empty string`);
+        if (typeof recipe.name !== 'string' || !recipe.name.trim()) errors.push(`${path}.name must be a non-empty string`);
+        if (recipe.sku != null && typeof recipe.sku !== 'string') errors.push(`${path}.sku must be a string`);
+
+        if (recipe.boxRect != null) this.validateRect(recipe.boxRect, `${path}.boxRect`, errors);
+
+        if (!Array.isArray(recipe.regions)) {
+            errors.push(`${path}.regions must be a list`);
+        } else {
+            recipe.regions.forEach((region, index) => {
+                const regionPath = `${path}.regions[${index}]`;
+                if (!this.isObject(region)) {
+                    errors.push(`${regionPath} must be an object`);
+                    return;
+                }
+                if (typeof region.id !== 'string' || !region.id) errors.push(`${regionPath}.id must be a non-empty string`);
+                if (typeof region.name !== 'string') errors.push(`${regionPath}.name must be a string`);
+                this.validateRect(region.rect, `${regionPath}.rect`, errors);
+            });
+        }
+
+        // Settings, camera, alert sound and tolerances against the configuration schema
+        errors.push(...this.config.validateRecipe(recipe, path));
+
+        ['referenceImage', 'thumbnail'].forEach(key => {
+            if (recipe[key] != null && !(typeof recipe[key] === 'string' && recipe[key].startsWith('data:image/'))) {
+                errors.push(`${path}.${key} must be an image data URL`);
+            }
+        });
+    }
+
+    /**
+     * Check a normalized rectangle
+     * @param {any} rect - Rectangle
+     * @param {string} path - Where it sits in the bundle, for messages
+     * @param {Array} errors - Problems are appended here
+     */
+    validateRect(rect, path, errors) {
+        if (!this.isObject(rect)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        ['x', 'y', 'width', 'height'].forEach(key => {
+            if (!Number.isFinite(rect[key])) errors.push(`${path}.${key} must be a number`);
+        });
+    }
+
+    /**
+     * Deep equality of JSON-like values; object key order does not matter and
+     * undefined fields count as absent, as they would after a JSON round trip
+     * @param {any} a - First value
+     * @param {any} b - Second value
+     * @returns {boolean} Whether both hold the same data
+     */
+    isEqual(a, b) {
+        if (a === b) return true;
+        if (Array.isArray(a) || Array.isArray(b)) {
+            return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+                a.every((item, index) => this.isEqual(item, b[index]));
+        }
+        if (!this.isObject(a) || !this.isObject(b)) return false;
+
+        const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+        const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+        return keysA.length === keysB.length && keysA.every(key => key in b && this.isEqual(a[key], b[key]));
+    }
+
+    /**
+     * Plain object check (not null, not an array)
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Compare bundled recipes with the library
+     * A recipe matches an existing one by id, otherwise by name and SKU
+     * @param {Object} bundle - Parsed bundle
+     * @returns {Promise<Array>} [{recipe, existing, status: 'new'|'identical'|'changed', changes: [field]}]
+     */
+    async diff(bundle) {
+        const library = await this.store.list();
+        const key = recipe => `${recipe.name.trim().toLowerCase()}|${(recipe.sku || '').trim().toLowerCase()}`;
+
+        return Promise.all(bundle.recipes.map(async recipe => {
+            const existing = library.find(r => r.id === recipe.id) || library.find(r => key(r) === key(recipe)) || null;
+            if (!existing) return { recipe, existing: null, status: 'new', changes: [] };
+
+            const current = await this.encodeRecipe(existing);
+            const changes = this.diffFields.filter(field => !this.isEqual(current[field] ?? null, recipe[field] ?? null));
+
+            return { recipe, existing, status: changes.length > 0 ? 'changed' : 'identical', changes };
+        }));
+    }
+
+    /**
+     * Import bundled recipes
+     * @param {Array} entries - Result of diff()
+     * @param {Object} resolutions - Per bundled recipe id: 'add', 'replace', 'copy' or 'skip';
+     *                               defaults to 'add' for new recipes and 'skip' otherwise
+     * @returns {Promise<Array>} The stored recipes
+     */
+    async import(entries, resolutions = {}) {
+        const stored = [];
+
+        for (const { recipe, existing, status } of entries) {
+            const action = resolutions[recipe.id] || (status === 'new' ? 'add' : 'skip');
+            if (action === 'skip') continue;
+
+            const decoded = await this.decodeRecipe(recipe);
+            if (action === 'replace' && existing) {
+                decoded.id = existing.id;
+                decoded.createdAt = existing.createdAt;
+            } else if (existing) {
+                // Anything but an explicit replace keeps the matched recipe untouched
+                decoded.id = null;
+                decoded.createdAt = null;
+                decoded.name = `${recipe.name} (นำเข้า)`;
+            }
+
+            stored.push(await this.store.save(decoded));
+        }
+
+        console.log(`📦 Imported ${stored.length} recipe(s)`);
+        return stored;
+    }
+
+    /**
+     * Recipe with its image blobs replaced by data URLs
+     * @param {Object} recipe - Stored recipe
+     * @returns {Promise<Object>} Bundled recipe
+     */
+    async encodeRecipe(recipe) {
+        return {
+            ...recipe,
+            referenceImage: recipe.referenceImage ? await this.blobToDataUrl(recipe.referenceImage) : null,
+            thumbnail: recipe.thumbnail ? await this.blobToDataUrl(recipe.thumbnail) : null
+        };
+    }
+
+    /**
+     * Bundled recipe with its data URLs turned back into blobs
+     * @param {Object} recipe - Bundled recipe
+     * @returns {Promise<Object>} Recipe for RecipeStore.save()
+     */
+    async decodeRecipe(recipe) {
+        return {
+            ...recipe,
+            referenceImage: recipe.referenceImage ? await (await fetch(recipe.referenceImage)).blob() : null,
+            thumbnail: recipe.thumbnail ? await (await fetch(recipe.thumbnail)).blob() : null
+        };
+    }
+
+    /**
+     * Read a blob as a data URL
+     * @param {Blob} blob - Image
+     * @returns {Promise<string>} Data URL
+     */
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * Recipe Store Module
+ * Named product profiles (recipes) kept in IndexedDB. A recipe holds everything
+ * needed to inspect one SKU: the drawn areas with their tolerances, the reference
+ * frame, the camera settings and the alert profile.
+ *
+ *   {
+ *       id, name, sku,
+ *       boxRect, regions,          // normalized video coordinates (see VideoViewport)
+ *       settings,                  // global sensitivities {rotationSensitivity, ...}
+ *       referenceImage,            // PNG Blob of the reference frame, or null
+ *       thumbnail,                 // small JPEG Blob for the list, or null
+ *       cameraSettings,            // MediaTrackSettings subset, or null
+ *       alertProfile,              // AudioManager.getAlertProfile()
+ *       createdAt, updatedAt
+ *   }
+ */
+
+import { Utils } from './utils.js';
+
+export class RecipeStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'visualControl';
+        this.storeName = 'recipes';
+        this.dbVersion = 1;
+        this.activeKey = 'visualControl_activeRecipe';
+
+        this.db = null;
+        this.opening = null;
+        this.utils = new Utils();
+        this.eventListeners = {};
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating the recipe store on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        if (!RecipeStore.isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not supported'));
+        }
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('name', 'name');
+                    store.createIndex('sku', 'sku');
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs this connection gone
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                console.log('📚 Recipe store opened');
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Recipe database is blocked by another tab'));
+        }).finally(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    }
+
+    /**
+     * Run one request against the recipe store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<any>} Request result once the transaction completes
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * All recipes, sorted by name
+     * @returns {Promise<Array>} Recipes
+     */
+    async list() {
+        const recipes = await this.run('readonly', store => store.getAll());
+        return recipes.sort((a, b) => a.name.localeCompare(b.name, 'th'));
+    }
+
+    /**
+     * Recipes whose name or SKU contains the query (case-insensitive)
+     * @param {string} query - Search text; empty returns every recipe
+     * @returns {Promise<Array>} Matching recipes, sorted by name
+     */
+    async search(query = '') {
+        const recipes = await this.list();
+        const needle = query.trim().toLowerCase();
+        if (!needle) return recipes;
+
+        return recipes.filter(recipe =>
+            recipe.name.toLowerCase().includes(needle) ||
+            (recipe.sku || '').toLowerCase().includes(needle));
+    }
+
+    /**
+     * Get one recipe
+     * @param {string} id - Recipe id
+     * @returns {Promise<Object|null>} Recipe or null
+     */
+    async get(id) {
+        return (await this.run('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Create or replace a recipe
+     * @param {Object} recipe - Recipe; an id is generated when missing
+     * @returns {Promise<Object>} The stored recipe
+     */
+    async save(recipe) {
+        if (!recipe?.name?.trim()) {
+            throw new Error('Recipe needs a name');
+        }
+
+        const now = Date.now();
+        const stored = {
+            sku: '',
+            boxRect: null,
+            regions: [],
+            settings: {},
+            referenceImage: null,
+            thumbnail: null,
+            cameraSettings: null,
+            alertProfile: null,
+            ...recipe,
+            id: recipe.id || this.utils.generateId(8, 'recipe-'),
+            name: recipe.name.trim(),
+            createdAt: recipe.createdAt || now,
+            updatedAt: now
+        };
+
+        await this.run('readwrite', store => store.put(stored));
+        console.log(`📚 Recipe saved: ${stored.name}`);
+        this.emit('saved', stored);
+        return stored;
+    }
+
+    /**
+     * Copy a recipe under a new id
+     * @param {string} id - Recipe to copy
+     * @param {string} name - Name of the copy; defaults to "<name> (สำเนา)"
+     * @returns {Promise<Object>} The new recipe
+     */
+    async duplicate(id, name = null) {
+        const source = await this.get(id);
+        if (!source) throw new Error(`Recipe not found: ${id}`);
+
+        // Blobs are immutable, so the copy can share them
+        const copy = {
+            ...JSON.parse(JSON.stringify({ ...source, referenceImage: null, thumbnail: null })),
+            referenceImage: source.referenceImage,
+            thumbnail: source.thumbnail,
+            id: null,
+            name: name || `${source.name} (สำเนา)`,
+            createdAt: null
+        };
+
+        return this.save(copy);
+    }
+
+    /**
+     * Delete a recipe; the active recipe is cleared when it is the one deleted
+     * @param {string} id - Recipe id
+     */
+    async delete(id) {
+        await this.run('readwrite', store => store.delete(id));
+        if (this.getActiveId() === id) this.setActiveId(null);
+
+        console.log(`📚 Recipe deleted: ${id}`);
+        this.emit('deleted', { id });
+    }
+
+    /**
+     * Id of the recipe in use, remembered across reloads
+     * @returns {string|null} Recipe id
+     */
+    getActiveId() {
+        try {
+            return localStorage.getItem(this.activeKey);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the recipe in use
+     * @param {string|null} id - Recipe id, null to clear
+     */
+    setActiveId(id) {
+        try {
+            if (id) localStorage.setItem(this.activeKey, id);
+            else localStorage.removeItem(this.activeKey);
+        } catch (error) {
+            console.warn('⚠️ Could not remember the active recipe:', error);
+        }
+        this.emit('activeChanged', { id });
+    }
+
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        const index = this.eventListeners[event].indexOf(callback);
+        if (index > -1) {
+            this.eventListeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data = null) {
+        if (!this.eventListeners[event]) return;
+
+        this.eventListeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Error in recipe store listener for '${event}':`, error);
+            }
+        });
+    }
+
+    /**
+     * Close the database
+     */
+    destroy() {
+        this.db?.close();
+        this.db = null;
+        this.eventListeners = {};
+    }
+}
@@ -0,0 +1,462 @@
+/**
+ * Region Editor Module
+ * Select, move, resize and rotate the drawn box and key point regions,
+ * with undo/redo. Works in drawing-canvas pixels and never touches the DOM;
+ * the app applies the layouts it emits through the 'change' event.
+ */
+
+export class RegionEditor {
+    /**
+     * @param {Function} getLayout - Returns the current {boxRect, regions}
+     */
+    constructor(getLayout) {
+        this.getLayout = getLayout;
+        this.eventListeners = {};
+
+        this.selectedId = null;
+        this.action = null;         // {type, handle, id, startPoint, startRect, startLayout, changed}
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.config = {
+            handleSize: 8,          // square handle side in pixels
+            hitTolerance: 6,        // extra pixels around handles and edges
+            rotateOffset: 24,       // rotation handle distance above the top edge
+            minSize: 20,            // same minimum as a freshly drawn rectangle
+            rotateStep: 1,          // degrees; Shift snaps to 15
+            historyLimit: 50
+        };
+    }
+
+    /**
+     * Shapes that can be edited, topmost last
+     * @returns {Array} [{id, rect, rotatable}]
+     */
+    getShapes() {
+        const { boxRect, regions } = this.getLayout();
+        const shapes = [];
+
+        if (boxRect) shapes.push({ id: 'box', rect: boxRect, rotatable: false });
+        regions.forEach(region => shapes.push({ id: region.id, rect: region.rect, rotatable: true }));
+
+        return shapes;
+    }
+
+    /**
+     * Currently selected shape
+     * @returns {Object|null} {id, rect, rotatable}
+     */
+    getSelected() {
+        return this.getShapes().find(shape => shape.id === this.selectedId) || null;
+    }
+
+    /**
+     * Select a shape by id (null clears the selection)
+     * @param {string|null} id - Shape id
+     */
+    select(id) {
+        if (this.selectedId === id) return;
+        this.selectedId = id;
+        this.emit('select', { id });
+    }
+
+    /**
+     * Centre of a rectangle
+     * @param {Object} rect - {x, y, width, height}
+     * @returns {Object} {x, y}
+     */
+    center(rect) {
+        return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    }
+
+    /**
+     * Express a canvas point in a rectangle's own axes, relative to its centre
+     * @param {Object} point - {x, y} on the canvas
+     * @param {Object} rect - Possibly rotated rectangle
+     * @returns {Object} {x, y} in rectangle axes
+     */
+    toLocal(point, rect) {
+        const c = this.center(rect);
+        const a = -(rect.angle || 0) * Math.PI / 180;
+        const dx = point.x - c.x, dy = point.y - c.y;
+        return {
+            x: dx * Math.cos(a) - dy * Math.sin(a),
+            y: dx * Math.sin(a) + dy * Math.cos(a)
+        };
+    }
+
+    /**
+     * Inverse of toLocal()
+     * @param {Object} local - {x, y} in rectangle axes
+     * @param {Object} rect - Possibly rotated rectangle
+     * @returns {Object} {x, y} on the canvas
+     */
+    toCanvas(local, rect) {
+        const c = this.center(rect);
+        const a = (rect.angle || 0) * Math.PI / 180;
+        return {
+            x: c.x + local.x * Math.cos(a) - local.y * Math.sin(a),
+            y: c.y + local.x * Math.sin(a) + local.y * Math.cos(a)
+        };
+    }
+
+    /**
+     * Handle positions of a shape in canvas pixels
+     * @param {Object} shape - {rect, rotatable}
+     * @returns {Object} handle name -> {x, y}
+     */
+    getHandles(shape) {
+        const hw = shape.rect.width / 2, hh = shape.rect.height / 2;
+        const local = {
+            nw: { x: -hw, y: -hh }, n: { x: 0, y: -hh }, ne: { x: hw, y: -hh },
+            e: { x: hw, y: 0 }, se: { x: hw, y: hh }, s: { x: 0, y: hh },
+            sw: { x: -hw, y: hh }, w: { x: -hw, y: 0 }
+        };
+        if (shape.rotatable) {
+            local.rotate = { x: 0, y: -hh - this.config.rotateOffset };
+        }
+
+        const handles = {};
+        Object.entries(local).forEach(([name, point]) => {
+            handles[name] = this.toCanvas(point, shape.rect);
+        });
+        return handles;
+    }
+
+    /**
+     * Find what lies under a canvas point
+     * Handles of the selected shape win, then shapes from the top down
+     * @param {Object} point - {x, y}
+     * @returns {Object|null} {id, handle} where handle is a handle name or 'move'
+     */
+    hitTest(point) {
+        const reach = this.config.handleSize / 2 + this.config.hitTolerance;
+
+        const selected = this.getSelected();
+        if (selected) {
+            const handles = this.getHandles(selected);
+            for (const [handle, p] of Object.entries(handles)) {
+                if (Math.abs(point.x - p.x) <= reach && Math.abs(point.y - p.y) <= reach) {
+                    return { id: selected.id, handle };
+                }
+            }
+        }
+
+        const shapes = this.getShapes().reverse();
+        for (const shape of shapes) {
+            const local = this.toLocal(point, shape.rect);
+            if (Math.abs(local.x) <= shape.rect.width / 2 && Math.abs(local.y) <= shape.rect.height / 2) {
+                return { id: shape.id, handle: 'move' };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * CSS cursor for a canvas point
+     * @param {Object} point - {x, y}
+     * @returns {string} Cursor name
+     */
+    cursorAt(point) {
+        const hit = this.action ? { handle: this.action.handle } : this.hitTest(point);
+        if (!hit) return 'default';
+        if (hit.handle === 'move') return 'move';
+        if (hit.handle === 'rotate') return 'grab';
+        return { n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize', ne: 'nesw-resize', sw: 'nesw-resize', nw: 'nwse-resize', se: 'nwse-resize' }[hit.handle];
+    }
+
+    /**
+     * Start a drag at a canvas point
+     * @param {Object} point - {x, y}
+     * @returns {boolean} Whether a shape was hit
+     */
+    begin(point) {
+        const hit = this.hitTest(point);
+        this.select(hit ? hit.id : null);
+        if (!hit) return false;
+
+        const shape = this.getSelected();
+        this.action = {
+            type: hit.handle === 'move' || hit.handle === 'rotate' ? hit.handle : 'resize',
+            handle: hit.handle,
+            id: hit.id,
+            startPoint: { ...point },
+            startRect: { ...shape.rect },
+            startLayout: this.snapshot(),
+            changed: false
+        };
+        return true;
+    }
+
+    /**
+     * Continue the drag
+     * @param {Object} point - {x, y}
+     * @param {Object} modifiers - {shiftKey}
+     */
+    update(point, modifiers = {}) {
+        if (!this.action) return;
+
+        const { type, startRect, startPoint } = this.action;
+        let rect;
+
+        if (type === 'move') {
+            rect = {
+                ...startRect,
+                x: startRect.x + point.x - startPoint.x,
+                y: startRect.y + point.y - startPoint.y
+            };
+        } else if (type === 'rotate') {
+            const c = this.center(startRect);
+            const step = modifiers.shiftKey ? 15 : this.config.rotateStep;
+            let angle = Math.atan2(point.y - c.y, point.x - c.x) * 180 / Math.PI + 90;
+            angle = Math.round(angle / step) * step;
+            if (angle > 180) angle -= 360;
+            rect = { ...startRect, angle };
+        } else {
+            rect = this.resizeRect(startRect, this.action.handle, point);
+        }
+
+        this.action.changed = true;
+        this.emitLayout(this.replaceRect(this.action.id, rect), false);
+    }
+
+    /**
+     * Finish the drag and record it for undo
+     */
+    end() {
+        if (!this.action) return;
+
+        const { changed, startLayout } = this.action;
+        this.action = null;
+
+        if (changed) {
+            this.pushUndo(startLayout);
+            this.emitLayout(this.snapshot(), true);
+        }
+    }
+
+    /**
+     * Resize a rectangle by dragging one handle; the opposite side stays put
+     * @param {Object} rect - Rectangle at drag start
+     * @param {string} handle - Handle name (n, ne, e, ...)
+     * @param {Object} point - Pointer position on the canvas
+     * @returns {Object} Resized rectangle
+     */
+    resizeRect(rect, handle, point) {
+        const local = this.toLocal(point, rect);
+        const min = this.config.minSize;
+        let left = -rect.width / 2, right = rect.width / 2;
+        let top = -rect.height / 2, bottom = rect.height / 2;
+
+        if (handle.includes('e')) right = Math.max(local.x, left + min);
+        if (handle.includes('w')) left = Math.min(local.x, right - min);
+        if (handle.includes('s')) bottom = Math.max(local.y, top + min);
+        if (handle.includes('n')) top = Math.min(local.y, bottom - min);
+
+        const width = right - left;
+        const height = bottom - top;
+        const center = this.toCanvas({ x: (left + right) / 2, y: (top + bottom) / 2 }, rect);
+
+        return { ...rect, x: center.x - width / 2, y: center.y - height / 2, width, height };
+    }
+
+    /**
+     * Move the selected shape by a few pixels
+     * @param {number} dx - Horizontal step
+     * @param {number} dy - Vertical step
+     * @returns {boolean} Whether anything moved
+     */
+    nudge(dx, dy) {
+        const shape = this.getSelected();
+        if (!shape) return false;
+
+        this.pushUndo(this.snapshot());
+        this.emitLayout(this.replaceRect(shape.id, { ...shape.rect, x: shape.rect.x + dx, y: shape.rect.y + dy }), true);
+        return true;
+    }
+
+    /**
+     * Record the current layout before an edit made outside the editor
+     * (adding, removing or renaming a region)
+     */
+    record() {
+        this.pushUndo(this.snapshot());
+    }
+
+    /**
+     * Restore the layout before the last edit
+     * @returns {boolean} Whether there was anything to undo
+     */
+    undo() {
+        if (this.undoStack.length === 0) return false;
+
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Re-apply the last undone edit
+     * @returns {boolean} Whether there was anything to redo
+     */
+    redo() {
+        if (this.redoStack.length === 0) return false;
+
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+        return true;
+    }
+
+    /**
+     * Forget the edit history (after clearing all areas)
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.action = null;
+        this.select(null);
+    }
+
+    /**
+     * Re-project the stored layouts after the canvas geometry changed
+     * @param {Function} mapLayout - Maps a layout in the old canvas pixels to the new ones
+     */
+    remapHistory(mapLayout) {
+        this.undoStack = this.undoStack.map(mapLayout);
+        this.redoStack = this.redoStack.map(mapLayout);
+        this.action = null;
+    }
+
+    /**
+     * Push a layout onto the undo stack and drop the redo branch
+     * @param {Object} layout - Layout snapshot
+     */
+    pushUndo(layout) {
+        this.undoStack.push(layout);
+        if (this.undoStack.length > this.config.historyLimit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * Emit a layout from the history, keeping the selection when it still exists
+     * @param {Object} layout - Layout snapshot
+     */
+    restore(layout) {
+        this.action = null;
+        const exists = this.selectedId === 'box' ? !!layout.boxRect : layout.regions.some(r => r.id === this.selectedId);
+        if (!exists) this.select(null);
+        this.emitLayout(layout, true);
+    }
+
+    /**
+     * Deep copy of the current layout
+     * @returns {Object} {boxRect, regions}
+     */
+    snapshot() {
+        const { boxRect, regions } = this.getLayout();
+        return JSON.parse(JSON.stringify({ boxRect, regions }));
+    }
+
+    /**
+     * Current layout with one shape's rectangle replaced
+     * @param {string} id - Shape id
+     * @param {Object} rect - New rectangle
+     * @returns {Object} {boxRect, regions}
+     */
+    replaceRect(id, rect) {
+        const layout = this.snapshot();
+        if (id === 'box') {
+            layout.boxRect = rect;
+        } else {
+            const region = layout.regions.find(r => r.id === id);
+            if (region) region.rect = rect;
+        }
+        return layout;
+    }
+
+    /**
+     * @param {Object} layout - {boxRect, regions}
+     * @param {boolean} final - false while a drag is still in progress
+     */
+    emitLayout(layout, final) {
+        this.emit('change', { layout, final, canUndo: this.undoStack.length > 0, canRedo: this.redoStack.length > 0 });
+    }
+
+    /**
+     * Draw the selection outline and its handles
+     * @param {CanvasRenderingContext2D} ctx - Overlay context
+     */
+    draw(ctx) {
+        const shape = this.getSelected();
+        if (!shape) return;
+
+        const handles = this.getHandles(shape);
+        const size = this.config.handleSize;
+
+        ctx.save();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ['nw', 'ne', 'se', 'sw'].forEach((name, i) => {
+            if (i === 0) ctx.moveTo(handles[name].x, handles[name].y);
+            else ctx.lineTo(handles[name].x, handles[name].y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (handles.rotate) {
+            ctx.beginPath();
+            ctx.moveTo(handles.n.x, handles.n.y);
+            ctx.lineTo(handles.rotate.x, handles.rotate.y);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.strokeStyle = '#333333';
+        Object.entries(handles).forEach(([name, p]) => {
+            ctx.beginPath();
+            if (name === 'rotate') {
+                ctx.arc(p.x, p.y, size / 2 + 1, 0, Math.PI * 2);
+            } else {
+                ctx.rect(p.x - size / 2, p.y - size / 2, size, size);
+            }
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        const index = this.eventListeners[event].indexOf(callback);
+        if (index > -1) {
+            this.eventListeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data = null) {
+        if (!this.eventListeners[event]) return;
+
+        this.eventListeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Error in region editor listener for '${event}':`, error);
+            }
+        });
+    }
+}
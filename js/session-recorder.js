@@ -0,0 +1,515 @@
+/**
+ * Session Recorder Module
+ * Records what the inspection saw so a reported false alarm can be looked at
+ * later: the video from the active frame source (MediaRecorder) plus every
+ * detection result and box verdict with its time, the settings and the drawn
+ * areas. Sessions are stored with SessionStore and played back with
+ * SessionReplaySource, which hands the recorded results out in step with the
+ * video so the overlay is redrawn exactly as it was shown live.
+ *
+ * Two modes:
+ *   manual   start() ... stop() records one clip
+ *   rolling  runs while monitoring and keeps only the last rollingSeconds or
+ *            so (one finished segment plus the current one); saveRolling()
+ *            turns that window into a session without stopping
+ */
+
+import { VideoFileSource } from './frame-source.js';
+import { Utils } from './utils.js';
+
+// Preferred containers, best first; the first one the browser can record is used
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+export class SessionRecorder {
+    /**
+     * @param {Object} options
+     * @param {DetectionWorkerClient} options.detection - Emits 'result' and 'boxExited'
+     * @param {Function} options.getSource - () => active FrameSource
+     * @param {Function} options.getContext - () => {settings, boxRect, regions, recipe}
+     */
+    constructor({ detection, getSource, getContext }) {
+        this.detection = detection;
+        this.getSource = getSource;
+        this.getContext = getContext;
+
+        this.rolling = false;           // Record while monitoring (see configure())
+        this.rollingSeconds = 30;
+        this.videoBitsPerSecond = 2500000;
+
+        this.mode = null;               // 'manual' | 'rolling' while recording
+        this.segment = null;            // Segment being recorded
+        this.previous = null;           // Last finished rolling segment
+        this.rotateTimer = null;
+        this.utils = new Utils();
+        this.eventListeners = {};
+
+        this.handleResult = (result) => {
+            if (!this.segment || !result) return;
+            this.segment.frames.push({ t: this.elapsed(this.segment), result: this.compact(result) });
+        };
+        this.handleVerdict = (event) => {
+            if (!this.segment) return;
+            this.segment.verdicts.push({ t: this.elapsed(this.segment), event: this.compact(event) });
+        };
+        detection.on('result', this.handleResult);
+        detection.on('boxExited', this.handleVerdict);
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    /**
+     * Apply the 'recorder' configuration section
+     * @param {Object} section - {rolling?, rollingSeconds?}
+     */
+    configure(section = {}) {
+        if (section.rolling !== undefined) this.rolling = section.rolling;
+        if (section.rollingSeconds !== undefined) this.rollingSeconds = section.rollingSeconds;
+    }
+
+    get isRecording() {
+        return this.mode !== null;
+    }
+
+    /**
+     * Start recording
+     * @param {string} mode - 'manual' or 'rolling'
+     */
+    start(mode = 'manual') {
+        if (!SessionRecorder.isSupported()) throw new Error('MediaRecorder is not supported');
+        if (this.isRecording) throw new Error(`Already recording (${this.mode})`);
+
+        this.segment = this.beginSegment();
+        this.mode = mode;
+        this.previous = null;
+
+        if (mode === 'rolling') {
+            this.rotateTimer = setInterval(() => this.rotate(), this.rollingSeconds * 1000);
+        }
+
+        this.emit('started', { mode });
+        console.log(`⏺️ Recording started (${mode})`);
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Object|null>} The session for a manual recording; null for rolling
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+
+        const mode = this.mode;
+        const segment = this.segment;
+        this.mode = null;
+        this.segment = null;
+        clearInterval(this.rotateTimer);
+        this.rotateTimer = null;
+
+        const finished = await this.finishSegment(segment);
+        this.previous = null;
+        this.emit('stopped', { mode });
+        console.log(`⏹️ Recording stopped (${mode})`);
+
+        return mode === 'manual' ? this.buildSession([finished], mode) : null;
+    }
+
+    /**
+     * Turn the rolling window into a session; recording carries on
+     * @returns {Promise<Object>} The session
+     */
+    async saveRolling() {
+        if (this.mode !== 'rolling') throw new Error('Rolling recording is not running');
+
+        // The next segment starts before this one stops, so nothing is lost in between
+        const current = this.segment;
+        this.segment = this.beginSegment();
+        const finished = await this.finishSegment(current);
+
+        const session = this.buildSession([this.previous, finished].filter(Boolean), 'rolling');
+        this.previous = finished;
+        return session;
+    }
+
+    /**
+     * Start a new rolling segment and keep the one that just ended
+     */
+    async rotate() {
+        if (this.mode !== 'rolling') return;
+
+        const current = this.segment;
+        try {
+            this.segment = this.beginSegment();
+            this.previous = await this.finishSegment(current);
+        } catch (error) {
+            console.error('❌ Error finishing recording segment:', error);
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Open a MediaRecorder on the active source
+     * @returns {Object} Segment {recorder, chunks, startedAt, frames, verdicts, context, frameSize, done}
+     */
+    beginSegment() {
+        const source = this.getSource();
+        const stream = source?.stream || source?.videoElement?.captureStream?.();
+        if (!source?.isActive || !stream) throw new Error('Nothing to record: no active video source');
+
+        const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitsPerSecond });
+        const segment = {
+            recorder,
+            mimeType: recorder.mimeType || mimeType || 'video/webm',
+            chunks: [],
+            startedAt: performance.now(),
+            endedAt: null,
+            frames: [],
+            verdicts: [],
+            context: this.compact(this.getContext()),
+            frameSize: source.getResolution()
+        };
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) segment.chunks.push(event.data);
+        };
+        segment.done = new Promise((resolve, reject) => {
+            recorder.onstop = () => {
+                segment.endedAt = performance.now();
+                resolve();
+            };
+            recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+        });
+
+        recorder.start(1000);
+        return segment;
+    }
+
+    /**
+     * Stop a segment's recorder and collect its video
+     * @param {Object} segment - From beginSegment()
+     * @returns {Promise<Object>} {video, mimeType, duration, frames, verdicts, context, frameSize}
+     */
+    async finishSegment(segment) {
+        if (segment.recorder.state !== 'inactive') segment.recorder.stop();
+        await segment.done;
+
+        return {
+            video: new Blob(segment.chunks, { type: segment.mimeType }),
+            mimeType: segment.mimeType,
+            duration: (segment.endedAt - segment.startedAt) / 1000,
+            frames: segment.frames,
+            verdicts: segment.verdicts,
+            context: segment.context,
+            frameSize: segment.frameSize
+        };
+    }
+
+    /**
+     * Join finished segments into one session, with times from the session start
+     * @param {Array} segments - finishSegment() results, oldest first
+     * @param {string} mode - Recording mode
+     * @returns {Object} Session (see SessionStore)
+     */
+    buildSession(segments, mode) {
+        let offset = 0;
+        const clips = [];
+        const frames = [];
+        const verdicts = [];
+
+        // A rolling window can span a recipe change, so each clip keeps the areas it was judged with
+        segments.forEach(segment => {
+            const { settings = {}, boxRect = null, regions = [], recipe = null } = segment.context || {};
+            clips.push({
+                video: segment.video,
+                mimeType: segment.mimeType,
+                offset,
+                duration: segment.duration,
+                frameSize: segment.frameSize,
+                boxRect,
+                regions,
+                settings,
+                recipe
+            });
+            segment.frames.forEach(frame => frames.push({ ...frame, t: frame.t + offset }));
+            segment.verdicts.forEach(verdict => verdicts.push({ ...verdict, t: verdict.t + offset }));
+            offset += segment.duration;
+        });
+
+        // The session itself is described by its latest clip
+        const { frameSize, boxRect, regions, settings, recipe } = clips[clips.length - 1];
+        const name = `${recipe?.name || 'เซสชัน'} ${this.utils.formatTimestamp(Date.now())}`;
+
+        return {
+            name,
+            mode,
+            duration: offset,
+            clips,
+            frames,
+            verdicts,
+            frameSize,
+            boxRect,
+            regions,
+            settings,
+            recipe
+        };
+    }
+
+    /**
+     * Seconds since a segment started
+     */
+    elapsed(segment) {
+        return (performance.now() - segment.startedAt) / 1000;
+    }
+
+    /**
+     * Plain JSON copy without pixel buffers, so results stay small and serializable
+     * @param {any} value - Result, event or context
+     * @returns {any} Copy
+     */
+    compact(value) {
+        if (value == null) return value;
+        return JSON.parse(JSON.stringify(value, (key, item) => {
+            if (ArrayBuffer.isView(item) || item instanceof ArrayBuffer) return undefined;
+            if (typeof ImageData !== 'undefined' && item instanceof ImageData) return undefined;
+            return item;
+        }));
+    }
+
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        const index = this.eventListeners[event].indexOf(callback);
+        if (index > -1) {
+            this.eventListeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data = null) {
+        if (!this.eventListeners[event]) return;
+
+        this.eventListeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Error in recorder listener for '${event}':`, error);
+            }
+        });
+    }
+
+    destroy() {
+        clearInterval(this.rotateTimer);
+        if (this.segment && this.segment.recorder.state !== 'inactive') this.segment.recorder.stop();
+        this.segment = null;
+        this.mode = null;
+        this.detection.off('result', this.handleResult);
+        this.detection.off('boxExited', this.handleVerdict);
+        this.eventListeners = {};
+    }
+}
+
+/**
+ * Plays a recorded session: its clips back to back as one timeline, with
+ * 'replayResult' {result, verdicts, mediaTime} emitted whenever the recorded
+ * result on screen changes or a recorded verdict is passed, and
+ * 'replayContext' (see getClipContext()) whenever another clip is shown
+ */
+export class SessionReplaySource extends VideoFileSource {
+    /**
+     * @param {Object} session - Session from SessionStore or SessionRecorder
+     */
+    constructor(session) {
+        super(session.clips[0].video, { loop: false });
+        this.kind = 'replay';
+        this.session = session;
+        this.label = session.name;
+        this.clipIndex = 0;
+
+        this.clockId = null;
+        this.lastFrame = null;
+        this.lastTime = 0;
+        this.verdictIndex = 0;
+
+        this.handleEnded = () => this.nextClip();
+    }
+
+    get duration() {
+        return this.session.duration;
+    }
+
+    async start(videoElement) {
+        await super.start(videoElement);
+        // Looping is handled across clips here, not by the element
+        videoElement.loop = false;
+        this.startReplayClock();
+    }
+
+    getPosition() {
+        const clip = this.session.clips[this.clipIndex];
+        const mediaTime = clip.offset + (this.videoElement?.currentTime || 0);
+        return { mediaTime, frameIndex: Math.floor(mediaTime * this.mediaFrameRate + 1e-6) };
+    }
+
+    /**
+     * What the shown clip was recorded with; sessions saved before clips kept
+     * their own context fall back to the session's
+     * @returns {Object} {frameSize, boxRect, regions, settings, recipe}
+     */
+    getClipContext() {
+        const clip = this.session.clips[this.clipIndex];
+        const pick = key => clip[key] !== undefined ? clip[key] : this.session[key];
+
+        return {
+            frameSize: pick('frameSize'),
+            boxRect: pick('boxRect') || null,
+            regions: pick('regions') || [],
+            settings: pick('settings') || {},
+            recipe: pick('recipe') || null
+        };
+    }
+
+    /**
+     * Show another clip in the video element
+     * @param {number} index - Clip index
+     * @param {boolean} play - Keep playing
+     */
+    async loadClip(index, play) {
+        this.releaseUrl();
+        const changed = index !== this.clipIndex;
+        this.clipIndex = index;
+        this.file = this.session.clips[index].video;
+        this.url = URL.createObjectURL(this.file);
+
+        await this.loadVideoElement({ src: this.url }, { autoplay: play });
+        this.videoElement.playbackRate = this.speed;
+        if (changed) this.emit('replayContext', this.getClipContext());
+    }
+
+    async nextClip() {
+        try {
+            if (this.clipIndex < this.session.clips.length - 1) {
+                await this.loadClip(this.clipIndex + 1, true);
+            } else if (this.loop) {
+                await this.loadClip(0, true);
+            } else {
+                this.emitPosition();
+                this.emit('ended', this.getPosition());
+            }
+        } catch (error) {
+            console.error('❌ Error switching replay clip:', error);
+            this.emit('error', error);
+        }
+    }
+
+    async play() {
+        if (!this.isActive) return;
+        if (this.videoElement.ended) await this.seek(0);
+        await this.videoElement.play();
+        this.emitPosition();
+    }
+
+    /**
+     * Jump to a time on the session timeline
+     * @param {number} seconds - Session time
+     */
+    async seek(seconds) {
+        if (!this.isActive) return;
+
+        const clips = this.session.clips;
+        const target = Math.max(0, Math.min(this.duration, seconds));
+        let index = clips.findIndex(clip => target < clip.offset + clip.duration);
+        if (index < 0) index = clips.length - 1;
+
+        if (index !== this.clipIndex) await this.loadClip(index, !this.videoElement.paused);
+
+        const video = this.videoElement;
+        const local = Math.min(target - clips[index].offset, clips[index].duration);
+        await new Promise(resolve => {
+            video.addEventListener('seeked', resolve, { once: true });
+            video.currentTime = local;
+        });
+
+        this.emitReplay();
+        this.emitPosition();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    /**
+     * Latest recorded result at a session time
+     * @param {number} time - Seconds
+     * @returns {Object|null} {t, result}
+     */
+    frameAt(time) {
+        const frames = this.session.frames;
+        let low = 0;
+        let high = frames.length - 1;
+        let found = null;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (frames[mid].t <= time) {
+                found = frames[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Emit the recorded result for the current time and any verdicts passed since the last call
+     */
+    emitReplay() {
+        const { mediaTime } = this.getPosition();
+        const verdicts = this.session.verdicts;
+
+        // A jump (seek, loop) replays no verdicts, it only repositions; playback
+        // moves a few frames per tick at most
+        if (mediaTime < this.lastTime || mediaTime - this.lastTime > 1) {
+            this.verdictIndex = verdicts.findIndex(verdict => verdict.t > mediaTime);
+            if (this.verdictIndex < 0) this.verdictIndex = verdicts.length;
+        }
+
+        const passed = [];
+        while (this.verdictIndex < verdicts.length && verdicts[this.verdictIndex].t <= mediaTime) {
+            passed.push(verdicts[this.verdictIndex].event);
+            this.verdictIndex++;
+        }
+
+        const frame = this.frameAt(mediaTime);
+        if (frame !== this.lastFrame || passed.length > 0) {
+            this.lastFrame = frame;
+            this.emit('replayResult', { result: frame?.result || null, verdicts: passed, mediaTime });
+        }
+        this.lastTime = mediaTime;
+    }
+
+    startReplayClock() {
+        const tick = () => {
+            if (!this.isActive) return;
+            this.emitReplay();
+            this.clockId = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    stop() {
+        if (this.clockId) cancelAnimationFrame(this.clockId);
+        this.clockId = null;
+        super.stop();
+    }
+}
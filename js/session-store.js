@@ -0,0 +1,240 @@
+/**
+ * Session Store Module
+ * Recorded inspection sessions kept in IndexedDB, and the file format used to
+ * hand them to someone else. A session is the video that was on screen plus
+ * everything needed to redraw the overlay the way it was shown live:
+ *
+ *   {
+ *       id, name, createdAt,
+ *       mode,                      // 'manual' or 'rolling'
+ *       duration,                  // seconds, all clips together
+ *       clips: [{video, mimeType, offset, duration,     // video Blobs, played back to back
+ *                frameSize, boxRect, regions, settings, recipe}],   // what each clip was judged with
+ *       frames: [{t, result}],     // detection results, t = seconds from session start
+ *       verdicts: [{t, event}],    // boxExited events
+ *       frameSize,                 // {width, height} the results refer to
+ *       boxRect, regions,          // normalized video coordinates (see VideoViewport)
+ *       settings, recipe           // sensitivities and {id, name, sku} in use
+ *   }
+ *
+ * The session-level frameSize ... recipe repeat the last clip's; sessions
+ * recorded before clips kept their own have only those.
+ *
+ * Files use format 'visual-control-session' with the clips as data URLs.
+ */
+
+import { Utils } from './utils.js';
+
+export class SessionStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'visualControlSessions';
+        this.storeName = 'sessions';
+        this.dbVersion = 1;
+        this.maxSessions = options.maxSessions || 20;
+
+        this.format = 'visual-control-session';
+        this.version = 1;
+
+        this.db = null;
+        this.opening = null;
+        this.utils = new Utils();
+        this.eventListeners = {};
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating the session store on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        if (!SessionStore.isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not supported'));
+        }
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Session database is blocked by another tab'));
+        }).finally(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    }
+
+    /**
+     * Run one request against the session store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<any>} Request result once the transaction completes
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * All sessions, newest first
+     * @returns {Promise<Array>} Sessions
+     */
+    async list() {
+        const sessions = await this.run('readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async get(id) {
+        return (await this.run('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Store a session; the oldest are dropped beyond maxSessions
+     * @param {Object} session - Session; an id is generated when missing
+     * @returns {Promise<Object>} The stored session
+     */
+    async save(session) {
+        const stored = {
+            ...session,
+            id: session.id || this.utils.generateId(8, 'session-'),
+            createdAt: session.createdAt || Date.now()
+        };
+
+        await this.run('readwrite', store => store.put(stored));
+        console.log(`🎬 Session saved: ${stored.name}`);
+
+        const sessions = await this.list();
+        for (const old of sessions.slice(this.maxSessions)) {
+            await this.run('readwrite', store => store.delete(old.id));
+        }
+
+        this.emit('saved', stored);
+        return stored;
+    }
+
+    async delete(id) {
+        await this.run('readwrite', store => store.delete(id));
+        this.emit('deleted', { id });
+    }
+
+    /**
+     * Download a session as one self-contained file
+     * @param {Object} session - Stored session
+     */
+    async download(session) {
+        const clips = await Promise.all(session.clips.map(async clip => ({
+            ...clip,
+            video: await this.blobToDataUrl(clip.video)
+        })));
+        const file = { format: this.format, version: this.version, session: { ...session, clips } };
+
+        const name = session.name.replace(/[\\/:*?"<>|\s]+/g, '_');
+        this.utils.downloadAsFile(JSON.stringify(file), `${name}.json`, 'application/json');
+    }
+
+    /**
+     * Read a session file
+     * @param {string} text - File contents
+     * @returns {Promise<Object>} Session with video Blobs, ready for save() or replay
+     */
+    async parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+
+        if (file?.format !== this.format) throw new Error('Not a session recording file');
+        if (file.version > this.version) {
+            throw new Error(`Recording was made by a newer version of the app (format ${file.version}, this app reads up to ${this.version})`);
+        }
+
+        const session = file.session;
+        if (!Array.isArray(session?.clips) || session.clips.length === 0 || !Array.isArray(session.frames)) {
+            throw new Error('Recording has no video or no results');
+        }
+
+        const clips = await Promise.all(session.clips.map(async clip => ({
+            ...clip,
+            video: await (await fetch(clip.video)).blob()
+        })));
+        return { ...session, clips, verdicts: session.verdicts || [] };
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        const index = this.eventListeners[event].indexOf(callback);
+        if (index > -1) {
+            this.eventListeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data = null) {
+        if (!this.eventListeners[event]) return;
+
+        this.eventListeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Error in session store listener for '${event}':`, error);
+            }
+        });
+    }
+
+    destroy() {
+        this.db?.close();
+        this.db = null;
+        this.eventListeners = {};
+    }
+}
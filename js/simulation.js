@@ -0,0 +1,584 @@
+/**
+ * Simulation Module
+ * Scripted conveyor scenes for demos and accuracy tests. A scenario (JSON)
+ * describes the belt, the boxes on it and the defects to inject; everything
+ * random comes from its seed, so a frame index always renders the same picture
+ * and every box has a known ground-truth label.
+ *
+ *   {
+ *       name, seed, width, height, frameRate,
+ *       boxes,                              // how many boxes pass
+ *       belt: {speed, color},               // speed in px per second
+ *       box: {width, height, spacing, color, print: {x, y, width, height, color}},
+ *                                           // print area as fractions of the box
+ *       variation: {skew, shift, noise},    // natural jitter: ± degrees, ± px, gray levels
+ *       defects: [{type, ...}]
+ *   }
+ *
+ * Box defects, on the listed box indexes (boxes: [0, 4]) or at random (rate: 0..1);
+ * a defective box is expected to raise an alert unless expectAlert is false:
+ *   skew           {angle}      box turned by angle degrees
+ *   shift          {offset}     box moved across the belt by offset px
+ *   missing-print  -            print mark left out
+ *   occlusion      {area}       something dark covers area {x, y, width, height} of the box
+ * Frame defects, between frames from and to (the whole run by default);
+ * they should not raise alerts:
+ *   flicker        {amplitude, hz}   brightness swings by ±amplitude
+ *   noise          {amount}          extra sensor noise in gray levels
+ *
+ * Rendering writes straight into an RGBA buffer, so the same scenes run in the
+ * browser (SimulationSource, the camera's fallback) and in Node (npm run simulate).
+ */
+
+import { ConfigLoader } from './config.js';
+import { ImageSequenceSource } from './frame-source.js';
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const oneOf = (...values) => ({ type: 'string', enum: values });
+
+const AREA = {
+    x: number(0, 1),
+    y: number(0, 1),
+    width: number(0, 1),
+    height: number(0, 1)
+};
+
+const BOX_DEFECTS = ['skew', 'shift', 'missing-print', 'occlusion'];
+const FRAME_DEFECTS = ['flicker', 'noise'];
+
+const SCENARIO_SCHEMA = {
+    type: 'object',
+    required: ['seed'],
+    properties: {
+        name: { type: 'string' },
+        seed: integer(0, 4294967295),
+        width: integer(64, 4096),
+        height: integer(64, 4096),
+        frameRate: number(1, 120),
+        boxes: integer(1, 10000),
+        belt: {
+            type: 'object',
+            properties: { speed: number(1, 10000), color: { type: 'string' } }
+        },
+        box: {
+            type: 'object',
+            properties: {
+                width: number(8, 4096),
+                height: number(8, 4096),
+                spacing: number(0, 10000),
+                color: { type: 'string' },
+                print: { type: 'object', properties: { ...AREA, color: { type: 'string' } } }
+            }
+        },
+        variation: {
+            type: 'object',
+            properties: { skew: number(0, 45), shift: number(0, 1000), noise: number(0, 255) }
+        },
+        defects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                    type: oneOf(...BOX_DEFECTS, ...FRAME_DEFECTS),
+                    boxes: { type: 'array', items: integer(0) },
+                    rate: number(0, 1),
+                    expectAlert: { type: 'boolean' },
+                    angle: number(-90, 90),
+                    offset: number(-4096, 4096),
+                    area: { type: 'object', properties: AREA },
+                    from: integer(0),
+                    to: integer(0),
+                    amplitude: number(0, 1),
+                    hz: number(0, 120),
+                    amount: number(0, 255)
+                }
+            }
+        }
+    }
+};
+
+export const DEFAULT_SCENARIO = {
+    name: 'สายพานปกติ',
+    seed: 1,
+    width: 1280,
+    height: 720,
+    frameRate: 30,
+    boxes: 20,
+    belt: { speed: 320, color: '#5f6368' },
+    box: {
+        width: 360,
+        height: 240,
+        spacing: 200,
+        color: '#d7b47a',
+        print: { x: 0.55, y: 0.2, width: 0.3, height: 0.3, color: '#1f2a44' }
+    },
+    variation: { skew: 0.5, shift: 4, noise: 3 },
+    defects: []
+};
+
+const OCCLUDER_COLOR = [58, 47, 42];
+const RAIL_COLOR = [40, 42, 46];
+const STRIPE_PERIOD = 80;
+
+/**
+ * Seeded random numbers (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Independent seed for one stream of a scenario (a box, a frame's noise)
+ */
+function mixSeed(seed, stream) {
+    return Math.imul(seed ^ 0x9E3779B9, 0x85EBCA6B) ^ Math.imul(stream + 1, 0xC2B2AE35);
+}
+
+function parseColor(hex) {
+    const match = /^#([0-9a-f]{6})$/i.exec(hex || '');
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return [value >> 16, (value >> 8) & 255, value & 255];
+}
+
+function inside(area, x, y) {
+    return x >= area.x && x < area.x + area.width && y >= area.y && y < area.y + area.height;
+}
+
+/**
+ * Deterministic conveyor scene with ground truth
+ */
+export class ConveyorSimulator {
+    /**
+     * @param {Object} scenario - Scenario (see the module comment); missing fields use DEFAULT_SCENARIO
+     * @throws {Error} When the scenario is invalid; error.details lists each problem
+     */
+    constructor(scenario = DEFAULT_SCENARIO) {
+        const loader = new ConfigLoader();
+        const errors = loader.validate(scenario, SCENARIO_SCHEMA, 'scenario');
+
+        const s = {
+            ...DEFAULT_SCENARIO,
+            ...scenario,
+            belt: { ...DEFAULT_SCENARIO.belt, ...scenario.belt },
+            box: {
+                ...DEFAULT_SCENARIO.box,
+                ...scenario.box,
+                print: { ...DEFAULT_SCENARIO.box.print, ...scenario.box?.print }
+            },
+            variation: { ...DEFAULT_SCENARIO.variation, ...scenario.variation },
+            defects: Array.isArray(scenario.defects) ? scenario.defects : []
+        };
+
+        const colors = {
+            belt: parseColor(s.belt.color),
+            box: parseColor(s.box.color),
+            print: parseColor(s.box.print.color)
+        };
+        Object.entries(colors).forEach(([key, color]) => {
+            if (!color) errors.push(`scenario ${key} color must look like "#rrggbb"`);
+        });
+        s.defects.forEach((defect, index) => {
+            if (defect.from !== undefined && defect.to !== undefined && defect.from > defect.to) {
+                errors.push(`scenario.defects[${index}].from must not be after "to"`);
+            }
+        });
+
+        if (errors.length > 0) throw loader.createError('Scenario is invalid', errors);
+
+        this.scenario = s;
+        this.name = s.name;
+        this.seed = s.seed;
+        this.width = s.width;
+        this.height = s.height;
+        this.frameRate = s.frameRate;
+        this.colors = colors;
+
+        // A box starts fully left of the picture and is done once fully right of it
+        this.pitch = s.box.width + s.box.spacing;
+        this.reach = Math.hypot(s.box.width, s.box.height) / 2 + s.variation.shift;
+        this.frameCount = Math.ceil((this.width + 2 * this.reach + (s.boxes - 1) * this.pitch) / s.belt.speed * this.frameRate);
+        this.pitchFrames = this.pitch / s.belt.speed * this.frameRate;
+
+        this.boxes = Array.from({ length: s.boxes }, (_, index) => this.createBox(index));
+        this.labels = this.boxes.map(box => this.createLabel(box));
+    }
+
+    /**
+     * Jitter and injected defects of one box
+     * @param {number} index - Box index on the belt
+     * @returns {Object} Box {index, angle, shift, print, occlusion, defects, expectAlert, centerFrame}
+     */
+    createBox(index) {
+        const { variation, defects } = this.scenario;
+        const random = createRandom(mixSeed(this.seed, index));
+
+        const box = {
+            index,
+            angle: (random() * 2 - 1) * variation.skew,
+            shift: (random() * 2 - 1) * variation.shift,
+            print: true,
+            occlusion: null,
+            defects: [],
+            expectAlert: false,
+            // Frame where the box centre crosses the middle of the picture
+            centerFrame: Math.round((this.width / 2 + this.reach + index * this.pitch) / this.scenario.belt.speed * this.frameRate)
+        };
+
+        defects.forEach(defect => {
+            if (!BOX_DEFECTS.includes(defect.type)) return;
+
+            // Draw for every rate defect so adding one doesn't reshuffle the others
+            const roll = random();
+            const applies = defect.boxes ? defect.boxes.includes(index) : roll < (defect.rate ?? 0);
+            if (!applies) return;
+
+            switch (defect.type) {
+                case 'skew':
+                    box.angle += defect.angle ?? 8;
+                    break;
+                case 'shift':
+                    box.shift += defect.offset ?? 40;
+                    break;
+                case 'missing-print':
+                    box.print = false;
+                    break;
+                case 'occlusion':
+                    box.occlusion = { ...this.scenario.box.print, ...defect.area };
+                    break;
+            }
+
+            box.defects.push({ ...defect });
+            box.expectAlert ||= defect.expectAlert ?? true;
+        });
+
+        return box;
+    }
+
+    /**
+     * Frame defects active at a frame
+     * @param {number} frame - Frame index
+     * @returns {Object} {gain, noise, active: [type]}
+     */
+    conditionsAt(frame) {
+        const t = frame / this.frameRate;
+        const conditions = { gain: 1, noise: this.scenario.variation.noise, active: [] };
+
+        this.scenario.defects.forEach(defect => {
+            if (!FRAME_DEFECTS.includes(defect.type)) return;
+            if (frame < (defect.from ?? 0) || frame > (defect.to ?? Infinity)) return;
+
+            if (defect.type === 'flicker') {
+                conditions.gain += (defect.amplitude ?? 0.3) * Math.sin(2 * Math.PI * (defect.hz ?? 6) * t);
+            } else {
+                conditions.noise += defect.amount ?? 20;
+            }
+            if (!conditions.active.includes(defect.type)) conditions.active.push(defect.type);
+        });
+
+        return conditions;
+    }
+
+    /**
+     * Ground truth for a box
+     * @param {Object} box - From createBox()
+     * @returns {Object} {index, sequence, centerFrame, expectAlert, defects, conditions, angle, shift}
+     */
+    createLabel(box) {
+        return {
+            index: box.index,
+            sequence: box.index + 1,
+            centerFrame: box.centerFrame,
+            expectAlert: box.expectAlert,
+            defects: box.defects.map(defect => defect.type),
+            conditions: this.conditionsAt(box.centerFrame).active,
+            angle: box.angle,
+            shift: box.shift
+        };
+    }
+
+    /**
+     * Where the box and its print sit when a box is centred without jitter;
+     * what the box area and key point should be drawn around
+     * @returns {Object} {boxRect, printRect} in frame pixels
+     */
+    referenceAreas() {
+        const { box } = this.scenario;
+        const left = (this.width - box.width) / 2;
+        const top = (this.height - box.height) / 2;
+
+        return {
+            boxRect: { x: left, y: top, width: box.width, height: box.height },
+            printRect: {
+                x: left + box.print.x * box.width,
+                y: top + box.print.y * box.height,
+                width: box.print.width * box.width,
+                height: box.print.height * box.height
+            }
+        };
+    }
+
+    /**
+     * Render one frame
+     * @param {number} frame - Frame index
+     * @param {Object} image - ImageData-like {data, width, height} of the scenario size
+     * @returns {Object} The image
+     */
+    render(frame, image) {
+        const t = frame / this.frameRate;
+        const speed = this.scenario.belt.speed;
+
+        const visible = this.boxes
+            .map(box => ({ ...box, cx: speed * t - this.reach - box.index * this.pitch, cy: this.height / 2 + box.shift }))
+            .filter(box => box.cx > -this.reach && box.cx < this.width + this.reach);
+
+        return this.drawScene(image, visible, speed * t, this.conditionsAt(frame), createRandom(mixSeed(this.seed, 1e6 + frame)));
+    }
+
+    /**
+     * Render the reference picture: one clean box in the middle, no jitter, defects or noise
+     * @param {Object} image - ImageData-like of the scenario size
+     * @returns {Object} The image
+     */
+    renderReference(image) {
+        const box = { angle: 0, print: true, occlusion: null, cx: this.width / 2, cy: this.height / 2 };
+        return this.drawScene(image, [box], 0, { gain: 1, noise: 0 }, null);
+    }
+
+    /**
+     * Belt, boxes, then lighting and noise
+     */
+    drawScene(image, boxes, travel, conditions, random) {
+        const { data, width, height } = image;
+        if (width !== this.width || height !== this.height) {
+            throw new Error(`Image is ${width}x${height}, the scenario renders ${this.width}x${this.height}`);
+        }
+
+        // Belt: one row with moving stripes, copied down; dark rails at the edges
+        const beltRow = new Uint8ClampedArray(width * 4);
+        const railRow = new Uint8ClampedArray(width * 4);
+        const offset = travel % STRIPE_PERIOD;
+        for (let x = 0; x < width; x++) {
+            const stripe = ((x - offset) % STRIPE_PERIOD + STRIPE_PERIOD) % STRIPE_PERIOD < 6 ? -14 : 0;
+            for (let c = 0; c < 3; c++) {
+                beltRow[x * 4 + c] = this.colors.belt[c] + stripe;
+                railRow[x * 4 + c] = RAIL_COLOR[c];
+            }
+            beltRow[x * 4 + 3] = railRow[x * 4 + 3] = 255;
+        }
+        const railHeight = Math.round(height * 0.08);
+        for (let y = 0; y < height; y++) {
+            data.set(y < railHeight || y >= height - railHeight ? railRow : beltRow, y * width * 4);
+        }
+
+        boxes.forEach(box => this.drawBox(image, box));
+
+        if (conditions.gain !== 1 || conditions.noise > 0) {
+            const { gain, noise } = conditions;
+            for (let i = 0; i < data.length; i += 4) {
+                const grain = random && noise > 0 ? (random() * 2 - 1) * noise : 0;
+                data[i] = data[i] * gain + grain;
+                data[i + 1] = data[i + 1] * gain + grain;
+                data[i + 2] = data[i + 2] * gain + grain;
+            }
+        }
+
+        return image;
+    }
+
+    /**
+     * Fill one rotated box with its outline, print and occlusion
+     * @param {Object} image - Target image
+     * @param {Object} box - {cx, cy, angle, print, occlusion}
+     */
+    drawBox(image, box) {
+        const { data, width, height } = image;
+        const { width: w, height: h } = this.scenario.box;
+        const printArea = this.scenario.box.print;
+        const a = box.angle * Math.PI / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        const border = Math.max(2, Math.round(Math.min(w, h) * 0.02));
+
+        const extentX = Math.abs(w / 2 * cos) + Math.abs(h / 2 * sin);
+        const extentY = Math.abs(w / 2 * sin) + Math.abs(h / 2 * cos);
+        const x0 = Math.max(0, Math.floor(box.cx - extentX));
+        const x1 = Math.min(width - 1, Math.ceil(box.cx + extentX));
+        const y0 = Math.max(0, Math.floor(box.cy - extentY));
+        const y1 = Math.min(height - 1, Math.ceil(box.cy + extentY));
+
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                // Pixel in box coordinates
+                const dx = x + 0.5 - box.cx, dy = y + 0.5 - box.cy;
+                const u = dx * cos + dy * sin + w / 2;
+                const v = -dx * sin + dy * cos + h / 2;
+                if (u < 0 || u >= w || v < 0 || v >= h) continue;
+
+                const lx = u / w, ly = v / h;
+                let color = this.colors.box;
+                let shade = 0;
+                if (box.occlusion && inside(box.occlusion, lx, ly)) {
+                    color = OCCLUDER_COLOR;
+                } else if (box.print && inside(printArea, lx, ly)) {
+                    color = this.colors.print;
+                } else if (u < border || u >= w - border || v < border || v >= h - border) {
+                    shade = -60;
+                }
+
+                const i = (y * width + x) * 4;
+                data[i] = color[0] + shade;
+                data[i + 1] = color[1] + shade;
+                data[i + 2] = color[2] + shade;
+            }
+        }
+    }
+}
+
+/**
+ * Matches inspection verdicts to the simulated boxes and keeps the score
+ * A verdict belongs to the oldest box not yet judged whose centre passed the
+ * middle of the picture at most one box pitch earlier; boxes that get no
+ * verdict within that window count as missed
+ */
+export class GroundTruthScorer {
+    /**
+     * @param {ConveyorSimulator} simulator - Scene the verdicts come from
+     */
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.reset();
+    }
+
+    reset() {
+        this.judged = new Set();      // Box indexes with a verdict in the current pass
+        this.lastFrame = -1;
+        this.counts = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0, missed: 0, missedDefective: 0, extra: 0 };
+        this.entries = [];
+    }
+
+    /**
+     * Score one verdict
+     * @param {Object|null} result - Verdict result (hasAlert)
+     * @param {number} frame - Frame the verdict arrived at
+     * @returns {Object} {label, outcome} outcome is 'truePositive', 'falsePositive',
+     *                   'trueNegative', 'falseNegative' or 'extra' (no box to match)
+     */
+    record(result, frame) {
+        this.advance(frame);
+
+        const label = this.simulator.labels.find(candidate =>
+            !this.judged.has(candidate.index) &&
+            frame >= candidate.centerFrame &&
+            frame - candidate.centerFrame <= this.simulator.pitchFrames);
+
+        let outcome = 'extra';
+        if (label) {
+            this.judged.add(label.index);
+            const alert = !!result?.hasAlert;
+            outcome = label.expectAlert ?
+                (alert ? 'truePositive' : 'falseNegative') :
+                (alert ? 'falsePositive' : 'trueNegative');
+        }
+
+        this.counts[outcome]++;
+        const entry = { label: label || null, outcome, frame, hasAlert: !!result?.hasAlert, message: result?.message || '' };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Move the clock; jumping back (loop, seek) closes the pass and counts its missed boxes
+     * @param {number} frame - Current frame
+     */
+    advance(frame) {
+        if (frame < this.lastFrame) {
+            const missed = this.missedBefore(this.lastFrame);
+            this.counts.missed += missed.length;
+            this.counts.missedDefective += missed.filter(label => label.expectAlert).length;
+            this.judged.clear();
+        }
+        this.lastFrame = frame;
+    }
+
+    /**
+     * Boxes whose verdict window closed before a frame without a verdict in this pass
+     * @param {number} frame - Frame
+     * @returns {Array} Labels
+     */
+    missedBefore(frame) {
+        return this.simulator.labels.filter(label =>
+            !this.judged.has(label.index) && frame - label.centerFrame > this.simulator.pitchFrames);
+    }
+
+    /**
+     * Score so far
+     * @param {number} frame - Current frame; boxes whose window has closed without a verdict count as missed
+     * @returns {Object} Counts plus {boxes, correct, accuracy, missedAlerts}; missedAlerts is every
+     *                   defective box that did not raise an alert, judged normal or never judged
+     */
+    summary(frame = this.lastFrame) {
+        const missed = this.missedBefore(frame);
+        const counts = {
+            ...this.counts,
+            missed: this.counts.missed + missed.length,
+            missedDefective: this.counts.missedDefective + missed.filter(label => label.expectAlert).length
+        };
+        counts.missedAlerts = counts.falseNegative + counts.missedDefective;
+        const correct = counts.truePositive + counts.trueNegative;
+        const boxes = correct + counts.falsePositive + counts.falseNegative + counts.missed;
+        const total = boxes + counts.extra;
+
+        return { ...counts, boxes, correct, accuracy: total > 0 ? correct / total : null };
+    }
+}
+
+/**
+ * A scenario played like footage: seekable, steppable, and the same frame every time
+ */
+export class SimulationSource extends ImageSequenceSource {
+    /**
+     * @param {Object|ConveyorSimulator} scenario - Scenario JSON or a simulator
+     * @param {Object} options - {speed = 1, loop = true}
+     */
+    constructor(scenario, options = {}) {
+        const simulator = scenario instanceof ConveyorSimulator ? scenario : new ConveyorSimulator(scenario);
+        super([], { frameRate: simulator.frameRate, speed: options.speed, loop: options.loop });
+
+        this.kind = 'simulation';
+        this.simulator = simulator;
+        this.label = `🧪 ${simulator.name}`;
+        this.isSimulating = true;
+        this.imageData = null;
+    }
+
+    get frameCount() {
+        return this.simulator.frameCount;
+    }
+
+    async drawFrame(index) {
+        const ctx = this.canvas.getContext('2d');
+        if (!this.imageData) {
+            this.canvas.width = this.simulator.width;
+            this.canvas.height = this.simulator.height;
+            this.imageData = ctx.createImageData(this.simulator.width, this.simulator.height);
+        }
+
+        this.simulator.render(index, this.imageData);
+        ctx.putImageData(this.imageData, 0, 0);
+    }
+
+    getLabels() {
+        return this.simulator.labels;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Video Viewport Module
+ * Maps between normalized video coordinates (0..1 across the video frame) and
+ * the CSS pixels of the element that shows the video, following its
+ * object-fit and object-position. Areas are stored normalized so they stay on
+ * the same part of the picture when the window, the canvases or the camera
+ * resolution change.
+ *
+ * A normalized rectangle {x, y, width, height, angle?} is the frame-pixel
+ * rectangle divided by the frame size: the angle is measured in frame pixels,
+ * so it carries over unchanged wherever the video keeps its aspect ratio.
+ * Polygons and masks are already normalized to their rectangle and pass
+ * through as they are.
+ */
+
+export class VideoViewport {
+    /**
+     * @param {HTMLVideoElement|null} videoElement - Element showing the video
+     */
+    constructor(videoElement = null) {
+        this.videoElement = videoElement;
+
+        this.elementSize = { width: 0, height: 0 };
+        this.videoSize = { width: 0, height: 0 };
+
+        // Where the video picture lands inside the element, CSS pixels;
+        // may extend past the element with object-fit: cover
+        this.content = { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    /**
+     * Re-measure the element and the video
+     * Without video metadata the picture is assumed to fill the element
+     * @param {number} width - Element (canvas) width in CSS pixels
+     * @param {number} height - Element (canvas) height in CSS pixels
+     * @returns {boolean} Whether the mapping changed
+     */
+    update(width, height) {
+        const video = this.videoElement;
+        const videoWidth = video?.videoWidth || 0;
+        const videoHeight = video?.videoHeight || 0;
+
+        let fit = 'fill', position = '50% 50%';
+        if (video && typeof getComputedStyle === 'function') {
+            const style = getComputedStyle(video);
+            fit = style.objectFit || fit;
+            position = style.objectPosition || position;
+        }
+
+        const content = videoWidth && videoHeight ?
+            VideoViewport.fitContent(videoWidth, videoHeight, width, height, fit, position) :
+            { x: 0, y: 0, width, height };
+
+        const changed = ['x', 'y', 'width', 'height'].some(key => Math.abs(content[key] - this.content[key]) > 0.01);
+
+        this.elementSize = { width, height };
+        this.videoSize = { width: videoWidth, height: videoHeight };
+        this.content = content;
+
+        return changed;
+    }
+
+    /**
+     * Independent copy, e.g. to re-project data laid out for the old geometry
+     * @returns {VideoViewport} Copy of this viewport
+     */
+    clone() {
+        const copy = new VideoViewport(this.videoElement);
+        copy.elementSize = { ...this.elementSize };
+        copy.videoSize = { ...this.videoSize };
+        copy.content = { ...this.content };
+        return copy;
+    }
+
+    /**
+     * Whether the viewport has been measured
+     */
+    get isReady() {
+        return this.content.width > 0 && this.content.height > 0;
+    }
+
+    /**
+     * Box of a replaced element's content for a CSS object-fit / object-position
+     * @param {number} videoWidth - Intrinsic width
+     * @param {number} videoHeight - Intrinsic height
+     * @param {number} width - Element width
+     * @param {number} height - Element height
+     * @param {string} fit - 'fill', 'contain', 'cover', 'none' or 'scale-down'
+     * @param {string} position - Computed object-position, e.g. '50% 50%' or '0px 10px'
+     * @returns {Object} {x, y, width, height} in element pixels
+     */
+    static fitContent(videoWidth, videoHeight, width, height, fit = 'fill', position = '50% 50%') {
+        if (fit === 'fill') return { x: 0, y: 0, width, height };
+
+        const contain = Math.min(width / videoWidth, height / videoHeight);
+        const scale = {
+            contain,
+            cover: Math.max(width / videoWidth, height / videoHeight),
+            none: 1,
+            'scale-down': Math.min(1, contain)
+        }[fit] ?? contain;
+
+        const contentWidth = videoWidth * scale;
+        const contentHeight = videoHeight * scale;
+        const [px = '50%', py = '50%'] = position.trim().split(/\s+/);
+
+        // Percentages place the content's own point on the element's; lengths are offsets
+        const offset = (value, free) => value.endsWith('%') ? free * parseFloat(value) / 100 : parseFloat(value) || 0;
+
+        return {
+            x: offset(px, width - contentWidth),
+            y: offset(py, height - contentHeight),
+            width: contentWidth,
+            height: contentHeight
+        };
+    }
+
+    /**
+     * Normalized video point -> element pixels
+     * @param {number} u - 0..1 across the video
+     * @param {number} v - 0..1 down the video
+     * @returns {Object} {x, y}
+     */
+    pointToCanvas(u, v) {
+        return {
+            x: this.content.x + u * this.content.width,
+            y: this.content.y + v * this.content.height
+        };
+    }
+
+    /**
+     * Element pixels -> normalized video point
+     * @param {number} x - Element x
+     * @param {number} y - Element y
+     * @returns {Object} {x, y} normalized
+     */
+    pointFromCanvas(x, y) {
+        return {
+            x: this.content.width ? (x - this.content.x) / this.content.width : 0,
+            y: this.content.height ? (y - this.content.y) / this.content.height : 0
+        };
+    }
+
+    /**
+     * Normalized rectangle -> element pixels
+     * @param {Object} rect - Normalized {x, y, width, height, ...}
+     * @returns {Object} Rectangle in element pixels, other fields kept
+     */
+    rectToCanvas(rect) {
+        if (!rect) return null;
+        const origin = this.pointToCanvas(rect.x, rect.y);
+        return {
+            ...rect,
+            x: origin.x,
+            y: origin.y,
+            width: rect.width * this.content.width,
+            height: rect.height * this.content.height
+        };
+    }
+
+    /**
+     * Element pixels -> normalized rectangle
+     * @param {Object} rect - {x, y, width, height, ...} in element pixels
+     * @returns {Object} Normalized rectangle, other fields kept
+     */
+    rectFromCanvas(rect) {
+        if (!rect) return null;
+        const origin = this.pointFromCanvas(rect.x, rect.y);
+        return {
+            ...rect,
+            x: origin.x,
+            y: origin.y,
+            width: this.content.width ? rect.width / this.content.width : 0,
+            height: this.content.height ? rect.height / this.content.height : 0
+        };
+    }
+
+    /**
+     * Normalized rectangle -> frame pixels, as the detection engine expects them
+     * @param {Object} rect - Normalized rectangle
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @returns {Object} Rectangle in whole frame pixels, other fields kept
+     */
+    static rectToFrame(rect, width, height) {
+        if (!rect) return null;
+        return {
+            ...rect,
+            x: Math.round(rect.x * width),
+            y: Math.round(rect.y * height),
+            width: Math.round(rect.width * width),
+            height: Math.round(rect.height * height)
+        };
+    }
+}
@@ -0,0 +1,907 @@
+/**
+ * Vision Backend Module
+ * Interchangeable implementations of the primitives DetectionEngine builds on:
+ * the built-in pure-JS pipeline and OpenCV.js (WASM) loaded from lib/opencv.js.
+ * Images are single-channel {data, width, height} objects; contours are [x, y] point lists.
+ */
+
+import { ImageProcessing } from './image-processing.js';
+
+/**
+ * Base class with helpers shared by all backends
+ * Every backend implements:
+ *   grayscale(imageData)             -> {data: Float32Array, width, height}
+ *   blur(image, sigma)               -> {data: Float32Array, width, height}
+ *   canny(image, {lower, upper, sigma}) -> {data: Uint8Array (255 = edge), width, height}
+ *   findContours(binary)             -> {contours, hierarchy, holes}
+ *   minAreaRect(points)              -> {center, width, height, angle, corners}
+ *   matchTemplate(search, template)  -> {x, y, score} | null
+ */
+export class VisionBackend {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Bring a rotated rectangle's angle into (-45, 45], swapping sides as needed
+     * @param {Object} rect - Rotated rectangle
+     * @returns {Object} Normalized rectangle
+     */
+    normalizeRotatedRect(rect) {
+        let { angle, width, height } = rect;
+
+        while (angle > 45) {
+            angle -= 90;
+            [width, height] = [height, width];
+        }
+        while (angle <= -45) {
+            angle += 90;
+            [width, height] = [height, width];
+        }
+
+        return { ...rect, angle, width, height };
+    }
+
+    /**
+     * Corners of a rotated rectangle, in order around its outline
+     * @param {Object} center - {x, y}
+     * @param {number} width - Side along the angle
+     * @param {number} height - Side across the angle
+     * @param {number} angle - Degrees
+     * @returns {Array} Four [x, y] corners
+     */
+    rectCorners(center, width, height, angle) {
+        const a = angle * Math.PI / 180;
+        const ex = Math.cos(a), ey = Math.sin(a);
+        const hw = width / 2, hh = height / 2;
+
+        return [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].map(([u, v]) => [
+            center.x + ex * u - ey * v,
+            center.y + ey * u + ex * v
+        ]);
+    }
+
+    /**
+     * Offset of the vertex of a parabola through three equally spaced samples
+     * @param {number} left - Value left of the peak
+     * @param {number} center - Peak value
+     * @param {number} right - Value right of the peak
+     * @returns {number} Offset in -0.5..0.5
+     */
+    parabolicPeak(left, center, right) {
+        const denom = left - 2 * center + right;
+        if (denom >= 0) return 0;
+        return Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / denom));
+    }
+}
+
+/**
+ * Built-in pure-JS backend on top of ImageProcessing
+ */
+export class JsVisionBackend extends VisionBackend {
+    constructor() {
+        super('js');
+    }
+
+    /**
+     * Convert RGBA image data to a single-channel luminance image
+     * @param {ImageData} imageData - RGBA input
+     * @returns {Object} {data: Float32Array, width, height}
+     */
+    grayscale(imageData) {
+        return {
+            data: ImageProcessing.grayscale(imageData),
+            width: imageData.width,
+            height: imageData.height
+        };
+    }
+
+    /**
+     * Separable Gaussian blur
+     * @param {Object} image - Grayscale image
+     * @param {number} sigma - Standard deviation in pixels
+     * @returns {Object} {data: Float32Array, width, height}
+     */
+    blur(image, sigma) {
+        return {
+            data: ImageProcessing.gaussianBlur(image.data, image.width, image.height, sigma),
+            width: image.width,
+            height: image.height
+        };
+    }
+
+    /**
+     * Canny edge detector
+     * Gaussian smoothing, Sobel gradients, non-maximum suppression along the
+     * gradient direction and hysteresis between the lower and upper thresholds
+     * @param {Object} image - Grayscale image {data, width, height}
+     * @param {Object} options - {lower, upper, sigma}
+     * @returns {Object} Edge image {data: Uint8Array (255 = edge, 0 = background), width, height}
+     */
+    canny(image, { lower, upper, sigma }) {
+        const { width, height, data } = image;
+        const size = width * height;
+        const edges = new Uint8Array(size);
+        if (width < 3 || height < 3) return { data: edges, width, height };
+
+        // Intermediate images live in reused buffers; only `edges` leaves this function
+        const scratch = (name, Type) => ImageProcessing.scratch(`canny.${name}`, size, Type);
+
+        // 1. Gaussian smoothing (separable)
+        const smoothed = ImageProcessing.gaussianBlur(data, width, height, sigma, scratch('smoothed'));
+
+        // 2. Gradient magnitude and direction (Sobel)
+        const { gx, gy, magnitude } = ImageProcessing.sobel(smoothed, width, height, {
+            gx: scratch('gx'),
+            gy: scratch('gy'),
+            magnitude: scratch('magnitude')
+        });
+
+        // 3. Non-maximum suppression across the edge; the gradient angle is quantized
+        // into 0°, 45°, 90° and 135° sectors by comparing |gy| / |gx| with tan(22.5°) and tan(67.5°)
+        const TAN_22_5 = 0.41421356;
+        const TAN_67_5 = 2.41421356;
+        const suppressed = scratch('suppressed');
+        suppressed.fill(0);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const m = magnitude[i];
+                if (m < lower) continue;
+
+                const dx = gx[i], dy = gy[i];
+                const ax = dx < 0 ? -dx : dx;
+                const ay = dy < 0 ? -dy : dy;
+
+                let o;
+                if (ay <= ax * TAN_22_5) o = 1;                         // 0°
+                else if (ay >= ax * TAN_67_5) o = width;                // 90°
+                else o = (dx > 0) === (dy > 0) ? width + 1 : width - 1; // 45° or 135°
+
+                if (m >= magnitude[i - o] && m > magnitude[i + o]) {
+                    suppressed[i] = m;
+                }
+            }
+        }
+
+        // 4. Double threshold and hysteresis: weak edges survive only when connected to strong ones
+        const stack = scratch('stack', Int32Array);
+
+        for (let i = 0; i < size; i++) {
+            if (suppressed[i] < upper || edges[i]) continue;
+
+            edges[i] = 255;
+            let top = 0;
+            stack[top++] = i;
+
+            while (top > 0) {
+                const p = stack[--top];
+                const px = p % width;
+                const x0 = px > 0 ? -1 : 0;
+                const x1 = px < width - 1 ? 1 : 0;
+                const y0 = p >= width ? -width : 0;
+                const y1 = p < size - width ? width : 0;
+
+                for (let dy = y0; dy <= y1; dy += width) {
+                    for (let dx = x0; dx <= x1; dx++) {
+                        const n = p + dy + dx;
+                        if (!edges[n] && suppressed[n] >= lower) {
+                            edges[n] = 255;
+                            stack[top++] = n;
+                        }
+                    }
+                }
+            }
+        }
+
+        return { data: edges, width, height };
+    }
+
+    /**
+     * Suzuki-Abe border following over a binary image
+     * Returns every outer and hole border as an ordered, closed point list plus
+     * an OpenCV-style hierarchy entry [next, previous, firstChild, parent]
+     * @param {Object} edgeData - Single-channel binary image {data, width, height} (pixels > 128 are foreground)
+     * @returns {Object} {contours, hierarchy, holes}
+     */
+    findContours(edgeData) {
+        const { width, height, data } = edgeData;
+
+        // Pad with a one pixel frame of background so borders never touch the edge
+        const W = width + 2;
+        const H = height + 2;
+        const f = new Int32Array(W * H);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[y * width + x] > 128) {
+                    f[(y + 1) * W + x + 1] = 1;
+                }
+            }
+        }
+
+        // Neighbour offsets in counterclockwise order starting east (y grows downwards)
+        const dirX = [1, 1, 0, -1, -1, -1, 0, 1];
+        const dirY = [0, -1, -1, -1, 0, 1, 1, 1];
+        const offsets = dirX.map((dx, k) => dirY[k] * W + dx);
+        const directionOf = (from, to) => offsets.indexOf(to - from);
+
+        const contours = [];
+        const holes = [];
+        const parents = [];
+        const borders = [null, { isHole: true, index: -1, parentIndex: -1 }]; // NBD 1 is the frame
+        let nbd = 1;
+
+        for (let i = 1; i < H - 1; i++) {
+            let lnbd = 1;
+
+            for (let j = 1; j < W - 1; j++) {
+                const p = i * W + j;
+                const value = f[p];
+                if (value === 0) continue;
+
+                let start = -1;
+                let isHole = false;
+
+                if (value === 1 && f[p - 1] === 0) {
+                    start = p - 1;                      // outer border
+                } else if (value >= 1 && f[p + 1] === 0) {
+                    start = p + 1;                      // hole border
+                    isHole = true;
+                    if (value > 1) lnbd = value;
+                }
+
+                if (start >= 0) {
+                    nbd++;
+
+                    // Parent from the type of the last border met on this row
+                    const last = borders[lnbd];
+                    const parentIndex = isHole === last.isHole ? last.parentIndex : last.index;
+
+                    const points = this.followBorder(f, W, p, start, nbd, offsets, directionOf);
+                    borders[nbd] = { isHole, index: contours.length, parentIndex };
+                    contours.push(points);
+                    holes.push(isHole);
+                    parents.push(parentIndex);
+                }
+
+                const current = f[p];
+                if (current !== 0 && current !== 1) {
+                    lnbd = Math.abs(current);
+                }
+            }
+        }
+
+        return {
+            contours,
+            hierarchy: this.buildHierarchy(parents),
+            holes
+        };
+    }
+
+    /**
+     * Follow one border (steps 3.1 - 3.5 of Suzuki-Abe), labelling it with nbd
+     * @param {Int32Array} f - Padded label image, modified in place
+     * @param {number} W - Padded width
+     * @param {number} p - Starting border pixel
+     * @param {number} start - Background neighbour the border was entered from
+     * @param {number} nbd - Label of this border
+     * @param {Array<number>} offsets - Neighbour offsets (counterclockwise)
+     * @param {Function} directionOf - Direction index between two neighbours
+     * @returns {Array} Ordered [x, y] points in unpadded coordinates
+     */
+    followBorder(f, W, p, start, nbd, offsets, directionOf) {
+        const toPoint = (q) => [q % W - 1, Math.floor(q / W) - 1];
+
+        // 3.1 Search clockwise from the start neighbour for a non-zero pixel
+        const startDir = directionOf(p, start);
+        let p1 = -1;
+        for (let k = 0; k < 8; k++) {
+            const q = p + offsets[(startDir - k + 8) % 8];
+            if (f[q] !== 0) {
+                p1 = q;
+                break;
+            }
+        }
+
+        if (p1 < 0) {
+            f[p] = -nbd; // isolated pixel
+            return [toPoint(p)];
+        }
+
+        const points = [];
+        let p2 = p1;
+        let p3 = p;
+
+        for (;;) {
+            // 3.3 Search counterclockwise around p3, starting after p2
+            const fromDir = directionOf(p3, p2);
+            let p4 = -1;
+            let eastIsZero = false;
+
+            for (let k = 1; k <= 8; k++) {
+                const dir = (fromDir + k) % 8;
+                const q = p3 + offsets[dir];
+                if (f[q] !== 0) {
+                    p4 = q;
+                    break;
+                }
+                if (dir === 0) eastIsZero = true;
+            }
+
+            // 3.4 Label the current pixel
+            if (eastIsZero) {
+                f[p3] = -nbd;
+            } else if (f[p3] === 1) {
+                f[p3] = nbd;
+            }
+            points.push(toPoint(p3));
+
+            // 3.5 Stop when we are back at the start going the same way
+            if (p4 === p && p3 === p1) break;
+            p2 = p3;
+            p3 = p4;
+        }
+
+        return points;
+    }
+
+    /**
+     * Turn parent indices into [next, previous, firstChild, parent] entries
+     * @param {Array<number>} parents - Parent index per contour (-1 for top level)
+     * @returns {Array} Hierarchy
+     */
+    buildHierarchy(parents) {
+        const hierarchy = parents.map(parent => [-1, -1, -1, parent]);
+        const lastChild = new Map();
+
+        parents.forEach((parent, index) => {
+            if (lastChild.has(parent)) {
+                const previous = lastChild.get(parent);
+                hierarchy[previous][0] = index;
+                hierarchy[index][1] = previous;
+            } else if (parent >= 0) {
+                hierarchy[parent][2] = index;
+            }
+            lastChild.set(parent, index);
+        });
+
+        return hierarchy;
+    }
+
+    /**
+     * Convex hull of a point set (Andrew's monotone chain)
+     * @param {Array} points - [x, y] points
+     * @returns {Array} Hull vertices in counterclockwise order
+     */
+    convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const lower = [];
+        for (const p of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+                lower.pop();
+            }
+            lower.push(p);
+        }
+
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+                upper.pop();
+            }
+            upper.push(p);
+        }
+
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    /**
+     * Minimum-area rotated rectangle around a contour (rotating calipers on the hull)
+     * @param {Array} contour - [x, y] points
+     * @returns {Object} {center, width, height, angle, corners}, angle in (-45, 45] degrees
+     */
+    minAreaRect(contour) {
+        const hull = this.convexHull(contour || []);
+        const n = hull.length;
+
+        if (n === 0) {
+            return { center: { x: 0, y: 0 }, width: 0, height: 0, angle: 0, corners: [] };
+        }
+        if (n < 3) {
+            const [a, b = a] = hull;
+            const length = Math.sqrt((b[0] - a[0]) ** 2 + (b[1] - a[1]) ** 2);
+            const angle = length > 0 ? Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI : 0;
+            return this.normalizeRotatedRect({
+                center: { x: (a[0] + b[0]) / 2, y: (a[1] + b[1]) / 2 },
+                width: length,
+                height: 0,
+                angle,
+                corners: [a, b, b, a]
+            });
+        }
+
+        const dot = (p, q, ex, ey) => (q[0] - p[0]) * ex + (q[1] - p[1]) * ey;
+        const next = (i) => (i + 1) % n;
+        const eps = 1e-9;
+
+        let best = null;
+        let right = 1, top = 1, left = 1;
+
+        for (let i = 0; i < n; i++) {
+            const a = hull[i];
+            const b = hull[next(i)];
+            const length = Math.sqrt((b[0] - a[0]) ** 2 + (b[1] - a[1]) ** 2);
+            if (length < eps) continue;
+
+            // Edge direction and inward normal of a counterclockwise hull
+            const ex = (b[0] - a[0]) / length;
+            const ey = (b[1] - a[1]) / length;
+            const nx = -ey;
+            const ny = ex;
+
+            // Advance the calipers; each pointer only moves forward
+            while (dot(hull[right], hull[next(right)], ex, ey) > eps) right = next(right);
+            if (i === 0) top = right;
+            while (dot(hull[top], hull[next(top)], nx, ny) > eps) top = next(top);
+            if (i === 0) left = top;
+            while (dot(hull[left], hull[next(left)], ex, ey) < -eps) left = next(left);
+
+            const minU = dot(a, hull[left], ex, ey);
+            const maxU = dot(a, hull[right], ex, ey);
+            const maxV = dot(a, hull[top], nx, ny);
+            const area = (maxU - minU) * maxV;
+
+            if (!best || area < best.area) {
+                best = { area, a, ex, ey, nx, ny, minU, maxU, maxV };
+            }
+        }
+
+        const { a, ex, ey, nx, ny, minU, maxU, maxV } = best;
+        const corner = (u, v) => [a[0] + ex * u + nx * v, a[1] + ey * u + ny * v];
+        const corners = [corner(minU, 0), corner(maxU, 0), corner(maxU, maxV), corner(minU, maxV)];
+        const midU = (minU + maxU) / 2;
+        const midV = maxV / 2;
+
+        return this.normalizeRotatedRect({
+            center: { x: a[0] + ex * midU + nx * midV, y: a[1] + ey * midU + ny * midV },
+            width: maxU - minU,
+            height: maxV,
+            angle: Math.atan2(ey, ex) * 180 / Math.PI,
+            corners
+        });
+    }
+
+    /**
+     * Half-resolution copy of an image (2x2 block mean)
+     * @param {Object} image - Grayscale image {data, width, height}
+     * @returns {Object} {data: Float32Array, width, height}
+     */
+    halve(image) {
+        const width = image.width >> 1;
+        const height = image.height >> 1;
+        const data = new Float32Array(width * height);
+        const src = image.data;
+        const w = image.width;
+
+        for (let y = 0; y < height; y++) {
+            const row = 2 * y * w;
+            for (let x = 0; x < width; x++) {
+                const i = row + 2 * x;
+                data[y * width + x] = (src[i] + src[i + 1] + src[i + w] + src[i + w + 1]) / 4;
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    /**
+     * Normalized cross-correlation template matching with sub-pixel refinement
+     * Large templates are matched coarse-to-fine over a half-resolution pyramid
+     * @param {Object} search - Search image {data, width, height}
+     * @param {Object} template - Template image {data, width, height}
+     * @returns {Object|null} Best match {x, y, score} in search coordinates
+     */
+    matchTemplate(search, template) {
+        const tw = template.width;
+        const th = template.height;
+        const rangeX = search.width - tw;
+        const rangeY = search.height - th;
+        if (rangeX < 0 || rangeY < 0) return null;
+
+        const n = tw * th;
+        let tMean = 0;
+        for (let i = 0; i < n; i++) tMean += template.data[i];
+        tMean /= n;
+
+        const tZero = new Float32Array(n);
+        let tNorm = 0;
+        for (let i = 0; i < n; i++) {
+            tZero[i] = template.data[i] - tMean;
+            tNorm += tZero[i] * tZero[i];
+        }
+        if (tNorm === 0) return null;
+
+        // Integral images give the window mean and energy in O(1)
+        const iw = search.width + 1;
+        const sum = new Float64Array(iw * (search.height + 1));
+        const sqSum = new Float64Array(iw * (search.height + 1));
+        for (let y = 0; y < search.height; y++) {
+            let rowSum = 0, rowSq = 0;
+            for (let x = 0; x < search.width; x++) {
+                const v = search.data[y * search.width + x];
+                rowSum += v;
+                rowSq += v * v;
+                sum[(y + 1) * iw + x + 1] = sum[y * iw + x + 1] + rowSum;
+                sqSum[(y + 1) * iw + x + 1] = sqSum[y * iw + x + 1] + rowSq;
+            }
+        }
+
+        const scores = new Float32Array((rangeX + 1) * (rangeY + 1)).fill(NaN);
+
+        const scoreAt = (px, py) => {
+            const idx = py * (rangeX + 1) + px;
+            if (!Number.isNaN(scores[idx])) return scores[idx];
+
+            const a = py * iw + px;
+            const b = py * iw + px + tw;
+            const c = (py + th) * iw + px;
+            const d = (py + th) * iw + px + tw;
+            const wSum = sum[d] - sum[b] - sum[c] + sum[a];
+            const wSq = sqSum[d] - sqSum[b] - sqSum[c] + sqSum[a];
+            const wVar = wSq - (wSum * wSum) / n;
+
+            let cross = 0;
+            for (let y = 0; y < th; y++) {
+                const sRow = (py + y) * search.width + px;
+                const tRow = y * tw;
+                for (let x = 0; x < tw; x++) {
+                    cross += search.data[sRow + x] * tZero[tRow + x];
+                }
+            }
+
+            const score = wVar > 0 ? cross / Math.sqrt(wVar * tNorm) : 0;
+            scores[idx] = score;
+            return score;
+        };
+
+        let bestX = 0, bestY = 0, best = -Infinity;
+        const consider = (px, py) => {
+            const score = scoreAt(px, py);
+            if (score > best) {
+                best = score;
+                bestX = px;
+                bestY = py;
+            }
+        };
+
+        // Large templates are located on half-resolution copies first, then refined here;
+        // a strided scan at full resolution would miss fine texture between its samples
+        const coarse = n > 4096 ? this.matchTemplate(this.halve(search), this.halve(template)) : null;
+
+        if (coarse) {
+            const cx = Math.round(coarse.x * 2), cy = Math.round(coarse.y * 2);
+            for (let py = Math.max(0, cy - 2); py <= Math.min(rangeY, cy + 2); py++) {
+                for (let px = Math.max(0, cx - 2); px <= Math.min(rangeX, cx + 2); px++) {
+                    consider(px, py);
+                }
+            }
+        } else {
+            for (let py = 0; py <= rangeY; py++) {
+                for (let px = 0; px <= rangeX; px++) {
+                    consider(px, py);
+                }
+            }
+        }
+
+        // Parabolic fit through the peak and its neighbours for sub-pixel offsets
+        let subX = 0, subY = 0;
+        if (bestX > 0 && bestX < rangeX) {
+            subX = this.parabolicPeak(scoreAt(bestX - 1, bestY), best, scoreAt(bestX + 1, bestY));
+        }
+        if (bestY > 0 && bestY < rangeY) {
+            subY = this.parabolicPeak(scoreAt(bestX, bestY - 1), best, scoreAt(bestX, bestY + 1));
+        }
+
+        return {
+            x: bestX + subX,
+            y: bestY + subY,
+            score: Math.max(-1, Math.min(1, best))
+        };
+    }
+}
+
+/**
+ * OpenCV.js backend; needs the `cv` global (lib/opencv.js)
+ * Results are converted to the same shapes and conventions as JsVisionBackend
+ */
+export class OpenCvVisionBackend extends VisionBackend {
+    constructor() {
+        super('opencv');
+
+        if (!OpenCvVisionBackend.isAvailable()) {
+            throw new Error('OpenCV.js is not loaded');
+        }
+    }
+
+    /**
+     * Whether the OpenCV.js runtime is loaded and initialized
+     * @returns {boolean} Availability
+     */
+    static isAvailable() {
+        return typeof cv !== 'undefined' && typeof cv.Mat === 'function';
+    }
+
+    /**
+     * Load OpenCV.js as a classic script and wait for its WASM runtime
+     * The bundled lib/opencv.js is an empty placeholder until a build is dropped in
+     * @param {string|URL} url - Script location
+     * @param {number} timeoutMs - Runtime initialization timeout
+     * @returns {Promise<boolean>} Whether OpenCV.js is usable
+     */
+    static async load(url = new URL('../lib/opencv.js', import.meta.url), timeoutMs = 30000) {
+        if (OpenCvVisionBackend.isAvailable()) return true;
+
+        if (typeof globalThis.cv === 'undefined') {
+            const response = await fetch(url);
+            if (!response.ok) return false;
+
+            const source = await response.text();
+            if (!source.trim()) return false;
+
+            // Indirect eval runs the UMD build in global scope, in windows and workers alike
+            (0, eval)(source);
+        }
+
+        await OpenCvVisionBackend.waitForRuntime(timeoutMs);
+        return OpenCvVisionBackend.isAvailable();
+    }
+
+    /**
+     * Wait until the `cv` global has finished compiling its WASM module
+     * @param {number} timeoutMs - Timeout in milliseconds
+     * @returns {Promise<void>}
+     */
+    static async waitForRuntime(timeoutMs) {
+        const runtime = globalThis.cv;
+        if (!runtime || typeof runtime.Mat === 'function') return;
+
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('OpenCV.js runtime did not initialize')), timeoutMs);
+            const ready = (module) => {
+                clearTimeout(timer);
+                if (typeof module?.Mat === 'function') globalThis.cv = module;
+                resolve();
+            };
+
+            // Newer builds are thenable; the module they pass on is thenable too,
+            // so it must not be awaited directly or the promise never settles
+            if (typeof runtime.then === 'function') {
+                runtime.then(ready);
+            } else {
+                runtime.onRuntimeInitialized = () => ready(runtime);
+            }
+        });
+    }
+
+    /**
+     * Copy a single-channel image into a CV_32F matrix
+     * @param {Object} image - {data, width, height}
+     * @returns {cv.Mat} Matrix (caller deletes)
+     */
+    toMat(image) {
+        const mat = new cv.Mat(image.height, image.width, cv.CV_32F);
+        mat.data32F.set(image.data);
+        return mat;
+    }
+
+    /**
+     * Gaussian kernel size matching ImageProcessing.gaussianKernel()
+     * @param {number} sigma - Standard deviation in pixels
+     * @returns {cv.Size} Kernel size
+     */
+    kernelSize(sigma) {
+        const size = Math.max(1, Math.ceil(sigma * 3)) * 2 + 1;
+        return new cv.Size(size, size);
+    }
+
+    /**
+     * Convert RGBA image data to a single-channel luminance image
+     * @param {ImageData} imageData - RGBA input
+     * @returns {Object} {data: Float32Array, width, height}
+     */
+    grayscale(imageData) {
+        const rgba = cv.matFromImageData(imageData);
+        const gray = new cv.Mat();
+
+        try {
+            cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+            return {
+                data: Float32Array.from(gray.data),
+                width: imageData.width,
+                height: imageData.height
+            };
+        } finally {
+            rgba.delete();
+            gray.delete();
+        }
+    }
+
+    /**
+     * Gaussian blur with border replication
+     * @param {Object} image - Grayscale image
+     * @param {number} sigma - Standard deviation in pixels
+     * @returns {Object} {data: Float32Array, width, height}
+     */
+    blur(image, sigma) {
+        if (!sigma || sigma <= 0) {
+            return { data: Float32Array.from(image.data), width: image.width, height: image.height };
+        }
+
+        const src = this.toMat(image);
+        const dst = new cv.Mat();
+
+        try {
+            cv.GaussianBlur(src, dst, this.kernelSize(sigma), sigma, sigma, cv.BORDER_REPLICATE);
+            return { data: Float32Array.from(dst.data32F), width: image.width, height: image.height };
+        } finally {
+            src.delete();
+            dst.delete();
+        }
+    }
+
+    /**
+     * Canny edge detector with L2 gradient magnitude, like the JS backend
+     * @param {Object} image - Grayscale image {data, width, height}
+     * @param {Object} options - {lower, upper, sigma}
+     * @returns {Object} Edge image {data: Uint8Array (255 = edge, 0 = background), width, height}
+     */
+    canny(image, { lower, upper, sigma }) {
+        const src = this.toMat(image);
+        const smoothed = new cv.Mat();
+        const gray = new cv.Mat();
+        const edges = new cv.Mat();
+
+        try {
+            if (sigma > 0) {
+                cv.GaussianBlur(src, smoothed, this.kernelSize(sigma), sigma, sigma, cv.BORDER_REPLICATE);
+            } else {
+                src.copyTo(smoothed);
+            }
+            smoothed.convertTo(gray, cv.CV_8U);
+            cv.Canny(gray, edges, lower, upper, 3, true);
+
+            return { data: new Uint8Array(edges.data), width: image.width, height: image.height };
+        } finally {
+            src.delete();
+            smoothed.delete();
+            gray.delete();
+            edges.delete();
+        }
+    }
+
+    /**
+     * Trace every border of a binary image (RETR_TREE, no chain approximation)
+     * @param {Object} binary - Single-channel image (pixels > 128 are foreground)
+     * @returns {Object} {contours, hierarchy, holes}
+     */
+    findContours(binary) {
+        const src = new cv.Mat(binary.height, binary.width, cv.CV_8U);
+        const found = new cv.MatVector();
+        const tree = new cv.Mat();
+
+        try {
+            const pixels = src.data;
+            for (let i = 0; i < pixels.length; i++) {
+                pixels[i] = binary.data[i] > 128 ? 255 : 0;
+            }
+
+            cv.findContours(src, found, tree, cv.RETR_TREE, cv.CHAIN_APPROX_NONE);
+
+            const contours = [];
+            const hierarchy = [];
+            for (let i = 0; i < found.size(); i++) {
+                const contour = found.get(i);
+                const points = [];
+                for (let k = 0; k < contour.data32S.length; k += 2) {
+                    points.push([contour.data32S[k], contour.data32S[k + 1]]);
+                }
+                contour.delete();
+
+                contours.push(points);
+                hierarchy.push(Array.from(tree.data32S.subarray(i * 4, i * 4 + 4)));
+            }
+
+            // Borders alternate outer / hole with nesting depth
+            const holes = hierarchy.map((_, i) => {
+                let depth = 0;
+                for (let parent = hierarchy[i][3]; parent >= 0; parent = hierarchy[parent][3]) depth++;
+                return depth % 2 === 1;
+            });
+
+            return { contours, hierarchy, holes };
+        } finally {
+            src.delete();
+            found.delete();
+            tree.delete();
+        }
+    }
+
+    /**
+     * Minimum-area rotated rectangle around a point set
+     * @param {Array} points - [x, y] points
+     * @returns {Object} {center, width, height, angle, corners}, angle in (-45, 45] degrees
+     */
+    minAreaRect(points) {
+        if (!points || points.length === 0) {
+            return { center: { x: 0, y: 0 }, width: 0, height: 0, angle: 0, corners: [] };
+        }
+
+        const mat = cv.matFromArray(points.length, 1, cv.CV_32FC2, points.flat());
+
+        try {
+            const rect = cv.minAreaRect(mat);
+            const center = { x: rect.center.x, y: rect.center.y };
+
+            return this.normalizeRotatedRect({
+                center,
+                width: rect.size.width,
+                height: rect.size.height,
+                angle: rect.angle,
+                corners: this.rectCorners(center, rect.size.width, rect.size.height, rect.angle)
+            });
+        } finally {
+            mat.delete();
+        }
+    }
+
+    /**
+     * Normalized cross-correlation (TM_CCOEFF_NORMED) with sub-pixel refinement
+     * @param {Object} search - Search image {data, width, height}
+     * @param {Object} template - Template image {data, width, height}
+     * @returns {Object|null} Best match {x, y, score} in search coordinates
+     */
+    matchTemplate(search, template) {
+        const rangeX = search.width - template.width;
+        const rangeY = search.height - template.height;
+        if (rangeX < 0 || rangeY < 0) return null;
+
+        // A flat template has no correlation; match the JS backend instead of returning NaN scores
+        const first = template.data[0];
+        if (template.data.every(v => v === first)) return null;
+
+        const src = this.toMat(search);
+        const templ = this.toMat(template);
+        const result = new cv.Mat();
+
+        try {
+            cv.matchTemplate(src, templ, result, cv.TM_CCOEFF_NORMED);
+
+            const { maxLoc, maxVal } = cv.minMaxLoc(result);
+            const scores = result.data32F;
+            const cols = rangeX + 1;
+            const scoreAt = (x, y) => scores[y * cols + x];
+
+            let subX = 0, subY = 0;
+            if (maxLoc.x > 0 && maxLoc.x < rangeX) {
+                subX = this.parabolicPeak(scoreAt(maxLoc.x - 1, maxLoc.y), maxVal, scoreAt(maxLoc.x + 1, maxLoc.y));
+            }
+            if (maxLoc.y > 0 && maxLoc.y < rangeY) {
+                subY = this.parabolicPeak(scoreAt(maxLoc.x, maxLoc.y - 1), maxVal, scoreAt(maxLoc.x, maxLoc.y + 1));
+            }
+
+            return {
+                x: maxLoc.x + subX,
+                y: maxLoc.y + subY,
+                score: Math.max(-1, Math.min(1, maxVal))
+            };
+        } finally {
+            src.delete();
+            templ.delete();
+            result.delete();
+        }
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * Custom Inspection Rules
+ * Loaded by DetectionEngine.loadRules() when the detection worker starts.
+ * Export a rule or an array of rules as the default export; each rule is:
+ *
+ *   {
+ *       id: 'unique-id',
+ *       name: 'ชื่อที่แสดง',
+ *       description: 'optional',
+ *       enabled: true,                 // optional, default true
+ *       options: { ... },              // optional, passed back as context.options
+ *       regions: ['โลโก้'],            // optional, region ids or names; all regions by default
+ *       evaluate(context) {            // must be synchronous
+ *           return { pass: true, score: 0.95, message: '' };
+ *       }
+ *   }
+ *
+ * Rules run once per key point region; context holds:
+ *   roi          - region ROI {imageData, width, height, originalRect}
+ *   gray         - region luminance (Float32Array, roi.width x roi.height)
+ *   frame        - full frame {imageData, width, height, timestamp}
+ *   boxRect      - box area in frame pixels
+ *   keyPointRect - region area in frame pixels
+ *   region       - {id, name, rect, checkType, tolerances}
+ *   reference    - reference features (keyPointPatch, boxSignature, skew, ...)
+ *   settings     - detection settings (sensitivities, threshold)
+ *   analysis     - this frame's analysis (features, match, skew)
+ *   options      - the rule's own options
+ *   vision       - active vision backend (grayscale, blur, canny, findContours, ...)
+ *
+ * Example: fail when the key point has too little contrast (missing print or barcode)
+ *
+ *   export default [{
+ *       id: 'print-present',
+ *       name: 'มีงานพิมพ์',
+ *       options: { minContrast: 25 },
+ *       evaluate({ gray, options }) {
+ *           let mean = 0;
+ *           for (const v of gray) mean += v;
+ *           mean /= gray.length;
+ *
+ *           let variance = 0;
+ *           for (const v of gray) variance += (v - mean) ** 2;
+ *           const contrast = Math.sqrt(variance / gray.length);
+ *
+ *           return {
+ *               pass: contrast >= options.minContrast,
+ *               score: contrast,
+ *               message: `ไม่พบงานพิมพ์ (contrast ${contrast.toFixed(0)})`
+ *           };
+ *       }
+ *   }];
+ */
+
+export default [];
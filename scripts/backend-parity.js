@@ -0,0 +1,251 @@
+/* eslint-env node */
+/**
+ * Vision backend parity check
+ * Runs the pure-JS and OpenCV.js backends on the same fixture images and
+ * fails when their results drift apart. OpenCV.js is loaded through
+ * OpenCvVisionBackend.load(), the same indirect-eval path the app uses.
+ * Build used: $OPENCV_JS, else lib/opencv.js when it holds a build, else the
+ * pinned @techstark/opencv-js dev dependency. A missing build fails the check.
+ * Run with: npm run parity  (OPENCV_JS=/path/to/opencv.js to use another build)
+ */
+
+import { readFile, stat } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { JsVisionBackend, OpenCvVisionBackend } from '../js/vision-backend.js';
+
+const LIB_OPENCV = fileURLToPath(new URL('../lib/opencv.js', import.meta.url));
+const PINNED_OPENCV = fileURLToPath(new URL('../node_modules/@techstark/opencv-js/dist/opencv.js', import.meta.url));
+
+// Node has no ImageData; OpenCV.js only reads data/width/height
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = class ImageData {
+        constructor(data, width, height) {
+            this.data = data;
+            this.width = width;
+            this.height = height;
+        }
+    };
+}
+
+/**
+ * Fixture: a rotated box with a printed mark on a belt, optional noise
+ * @param {Object} options - {angle, noise, seed}
+ * @returns {ImageData} 320x240 RGBA image
+ */
+function createFixture({ angle, noise, seed }) {
+    const width = 320, height = 240;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const a = angle * Math.PI / 180;
+    const cos = Math.cos(a), sin = Math.sin(a);
+    let state = seed;
+    const random = () => (state = (state * 1664525 + 1013904223) >>> 0) / 4294967296;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = x - 160, dy = y - 120;
+            const u = dx * cos + dy * sin;
+            const v = -dx * sin + dy * cos;
+
+            let value = 200;
+            if (Math.abs(u) < 90 && Math.abs(v) < 60) value = 110;
+            if (Math.abs(u - 40) < 20 && Math.abs(v + 25) < 12) value = 25;
+
+            value += (random() - 0.5) * noise;
+            const i = (y * width + x) * 4;
+            data[i] = value;
+            data[i + 1] = value * 0.9;
+            data[i + 2] = value * 0.8;
+            data[i + 3] = 255;
+        }
+    }
+
+    return new ImageData(data, width, height);
+}
+
+const FIXTURES = [
+    { name: 'square box', angle: 0, noise: 0, seed: 1 },
+    { name: 'skewed 7°', angle: 7, noise: 6, seed: 2 },
+    { name: 'skewed -20°, noisy', angle: -20, noise: 24, seed: 3 }
+];
+
+/**
+ * Largest absolute difference between two arrays
+ */
+function maxDifference(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]));
+    return max;
+}
+
+/**
+ * Share of edge pixels in `a` that have an edge in `b` within one pixel
+ */
+function edgeRecall(a, b) {
+    let total = 0, matched = 0;
+    for (let y = 0; y < a.height; y++) {
+        for (let x = 0; x < a.width; x++) {
+            if (!a.data[y * a.width + x]) continue;
+            total++;
+
+            let found = false;
+            for (let dy = -1; dy <= 1 && !found; dy++) {
+                for (let dx = -1; dx <= 1 && !found; dx++) {
+                    const nx = x + dx, ny = y + dy;
+                    found = nx >= 0 && ny >= 0 && nx < b.width && ny < b.height && b.data[ny * b.width + nx] > 0;
+                }
+            }
+            if (found) matched++;
+        }
+    }
+    return total > 0 ? matched / total : 1;
+}
+
+/**
+ * Largest outer contour of a contour set
+ */
+function largestOuter({ contours, holes }) {
+    let best = null;
+    contours.forEach((contour, i) => {
+        if (!holes[i] && (!best || contour.length > best.length)) best = contour;
+    });
+    return best || [];
+}
+
+/**
+ * Smallest difference between two angles with a 90 degree period
+ */
+function angleDifference(a, b) {
+    const diff = Math.abs(a - b) % 90;
+    return Math.min(diff, 90 - diff);
+}
+
+const results = [];
+
+/**
+ * Record one comparison
+ */
+function check(fixture, name, value, limit, unit = '') {
+    results.push({ fixture, name, value, limit, unit, ok: value <= limit });
+}
+
+/**
+ * Pick the OpenCV.js build to check
+ * @returns {Promise<string|null>} File path, or null when there is none
+ */
+async function findOpenCv() {
+    if (process.env.OPENCV_JS) return process.env.OPENCV_JS;
+
+    for (const path of [LIB_OPENCV, PINNED_OPENCV]) {
+        const info = await stat(path).catch(() => null);
+        if (info?.size > 0) return path;
+    }
+    return null;
+}
+
+/**
+ * Load OpenCV.js into the global scope through OpenCvVisionBackend.load()
+ * @param {string} path - Build to load
+ * @returns {Promise<boolean>} Whether OpenCV.js is usable
+ */
+async function loadOpenCv(path) {
+    // Node's fetch has no file: support; serve the build from disk instead
+    const networkFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        if (String(url).startsWith('file:')) {
+            try {
+                return new Response(await readFile(new URL(url), 'utf8'));
+            } catch {
+                return new Response('', { status: 404 });
+            }
+        }
+        return networkFetch(url, options);
+    };
+
+    // Evaluated in global scope, the Emscripten build still expects Node's CommonJS globals
+    globalThis.require = createRequire(import.meta.url);
+    globalThis.__dirname = dirname(path);
+
+    return OpenCvVisionBackend.load(pathToFileURL(path), 60000);
+}
+
+const opencvPath = await findOpenCv();
+if (!opencvPath) {
+    console.error(`❌ No OpenCV.js build: ${LIB_OPENCV} is empty and ${PINNED_OPENCV} is missing (run npm install, or set OPENCV_JS)`);
+    process.exit(1);
+}
+
+if (!(await loadOpenCv(opencvPath))) {
+    console.error(`❌ OpenCV.js from ${opencvPath} did not load`);
+    process.exit(1);
+}
+
+const js = new JsVisionBackend();
+const opencv = new OpenCvVisionBackend();
+const cannyOptions = { lower: 50, upper: 150, sigma: 1.4 };
+
+for (const fixture of FIXTURES) {
+    const image = createFixture(fixture);
+
+    // grayscale: OpenCV rounds to 8 bits, so up to half a level apart
+    const jsGray = js.grayscale(image);
+    const cvGray = opencv.grayscale(image);
+    check(fixture.name, 'grayscale max diff', maxDifference(jsGray.data, cvGray.data), 0.5);
+
+    // blur on identical input
+    const jsBlur = js.blur(jsGray, 1.4);
+    const cvBlur = opencv.blur(jsGray, 1.4);
+    check(fixture.name, 'blur max diff', maxDifference(jsBlur.data, cvBlur.data), 0.001);
+
+    // Canny: OpenCV thins an 8-bit copy, so edges may shift by a pixel where rounding tips the NMS
+    const jsEdges = js.canny(jsGray, cannyOptions);
+    const cvEdges = opencv.canny(jsGray, cannyOptions);
+    const recall = Math.min(edgeRecall(jsEdges, cvEdges), edgeRecall(cvEdges, jsEdges));
+    check(fixture.name, 'canny edge mismatch', 1 - recall, 0.01);
+
+    // findContours on the same edge map
+    const jsContours = js.findContours(jsEdges);
+    const cvContours = opencv.findContours(jsEdges);
+    const jsOuter = jsContours.holes.filter(hole => !hole).length;
+    const cvOuter = cvContours.holes.filter(hole => !hole).length;
+    check(fixture.name, 'outer contour count diff', Math.abs(jsOuter - cvOuter), 0);
+    check(fixture.name, 'largest contour length diff', Math.abs(largestOuter(jsContours).length - largestOuter(cvContours).length), 0, 'px');
+
+    // minAreaRect on the same point set
+    const points = largestOuter(jsContours);
+    const jsRect = js.minAreaRect(points);
+    const cvRect = opencv.minAreaRect(points);
+    check(fixture.name, 'minAreaRect center diff', Math.hypot(jsRect.center.x - cvRect.center.x, jsRect.center.y - cvRect.center.y), 0.01, 'px');
+    check(fixture.name, 'minAreaRect angle diff', angleDifference(jsRect.angle, cvRect.angle), 0.01, '°');
+    check(fixture.name, 'minAreaRect area diff', Math.abs(jsRect.width * jsRect.height - cvRect.width * cvRect.height) / Math.max(1, jsRect.width * jsRect.height), 0.0001);
+
+    // matchTemplate: printed mark searched in a window around it
+    const search = { data: jsGray.data, width: jsGray.width, height: jsGray.height };
+    const templateRect = { x: 170, y: 70, width: 60, height: 40 };
+    const template = {
+        data: new Float32Array(templateRect.width * templateRect.height),
+        width: templateRect.width,
+        height: templateRect.height
+    };
+    for (let y = 0; y < templateRect.height; y++) {
+        for (let x = 0; x < templateRect.width; x++) {
+            template.data[y * templateRect.width + x] = jsGray.data[(templateRect.y + y) * jsGray.width + templateRect.x + x];
+        }
+    }
+    const jsMatch = js.matchTemplate(search, template);
+    const cvMatch = opencv.matchTemplate(search, template);
+    check(fixture.name, 'matchTemplate position diff', Math.hypot(jsMatch.x - cvMatch.x, jsMatch.y - cvMatch.y), 0.01, 'px');
+    check(fixture.name, 'matchTemplate score diff', Math.abs(jsMatch.score - cvMatch.score), 0.0001);
+}
+
+console.log(`\n🔬 Vision backend parity: js vs opencv (${opencvPath}, ${cv.getBuildInformation?.().match(/General configuration for OpenCV ([^\s=]+)/)?.[1] || 'unknown version'})\n`);
+for (const r of results) {
+    const mark = r.ok ? '✅' : '❌';
+    const value = r.value !== 0 && Math.abs(r.value) < 0.001 ? r.value.toExponential(1) : r.value.toFixed(4);
+    console.log(`${mark} ${r.fixture.padEnd(20)} ${r.name.padEnd(30)} ${value.padStart(9)}${r.unit.padEnd(2)} (limit ${r.limit}${r.unit})`);
+}
+
+const failed = results.filter(r => !r.ok).length;
+console.log(`\n${failed === 0 ? '✅ All checks passed' : `❌ ${failed} check(s) failed`}\n`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,100 @@
+/* eslint-env node */
+/**
+ * Image processing benchmark
+ * Times each kernel and the full DetectionEngine frame at 1280x720.
+ * Run with: npm run bench
+ */
+
+import { ImageProcessing } from '../js/image-processing.js';
+import { DetectionEngine } from '../js/detection.js';
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const ITERATIONS = Number(process.env.BENCH_ITERATIONS) || 10;
+
+// Node has no ImageData; the engine only needs its data/width/height shape
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = class ImageData {
+        constructor(data, width, height) {
+            this.data = data;
+            this.width = width;
+            this.height = height;
+        }
+    };
+}
+
+/**
+ * Synthetic frame: a slightly rotated dark box with a printed mark on a noisy belt
+ * @returns {ImageData} RGBA frame
+ */
+function createFrame() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    const angle = 4 * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    let seed = 42;
+    const random = () => (seed = (seed * 1664525 + 1013904223) >>> 0) / 4294967296;
+
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const dx = x - WIDTH / 2, dy = y - HEIGHT / 2;
+            const u = dx * cos + dy * sin;
+            const v = -dx * sin + dy * cos;
+
+            let value = 190;
+            if (Math.abs(u) < 300 && Math.abs(v) < 200) value = 120;
+            if (Math.abs(u - 120) < 60 && Math.abs(v + 80) < 40) value = 30;
+
+            value += (random() - 0.5) * 20;
+            const i = (y * WIDTH + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+
+    return new ImageData(data, WIDTH, HEIGHT);
+}
+
+/**
+ * Run a function repeatedly and report the mean time
+ * @param {string} name - Label
+ * @param {Function} fn - Work to time
+ */
+function bench(name, fn) {
+    fn(); // warm-up
+
+    const started = performance.now();
+    for (let i = 0; i < ITERATIONS; i++) fn();
+    const ms = (performance.now() - started) / ITERATIONS;
+
+    console.log(`${name.padEnd(32)} ${ms.toFixed(2).padStart(8)} ms  ${(1000 / ms).toFixed(1).padStart(7)} fps`);
+}
+
+const frame = createFrame();
+const gray = ImageProcessing.grayscale(frame);
+const binary = new Uint8Array(gray.length).map((_, i) => (gray[i] < 100 ? 255 : 0));
+
+const engine = new DetectionEngine();
+const frameData = { imageData: frame, width: WIDTH, height: HEIGHT, timestamp: 0 };
+engine.setReferenceAreas(
+    { x: 300, y: 120, width: 680, height: 480 },
+    { x: 680, y: 160, width: 200, height: 140 },
+    frame
+);
+
+console.log(`\n📊 Benchmark ${WIDTH}x${HEIGHT}, ${ITERATIONS} iterations\n`);
+
+bench('grayscale', () => ImageProcessing.grayscale(frame, gray));
+bench('gaussianBlur (sigma 1.4)', () => ImageProcessing.gaussianBlur(gray, WIDTH, HEIGHT, 1.4));
+bench('gaussianBlur (sigma 5/3)', () => ImageProcessing.gaussianBlur(gray, WIDTH, HEIGHT, 5 / 3));
+bench('boxBlur (radius 5)', () => ImageProcessing.boxBlur(gray, WIDTH, HEIGHT, 5));
+bench('boxBlur (radius 25)', () => ImageProcessing.boxBlur(gray, WIDTH, HEIGHT, 25));
+bench('sobel', () => ImageProcessing.sobel(gray, WIDTH, HEIGHT));
+bench('erode (3x3, Uint8Array)', () => ImageProcessing.erode(binary, WIDTH, HEIGHT, 3));
+bench('dilate (3x3, Uint8Array)', () => ImageProcessing.dilate(binary, WIDTH, HEIGHT, 3));
+bench('open (3x3, Uint8Array)', () => ImageProcessing.open(binary, WIDTH, HEIGHT, 3));
+bench('close (3x3, Uint8Array)', () => ImageProcessing.close(binary, WIDTH, HEIGHT, 3));
+bench('detectEdges (Canny)', () => engine.detectEdges({ data: gray, width: WIDTH, height: HEIGHT }));
+bench('detectBoxes (full frame)', () => engine.detectBoxes(frameData));
+bench('analyzeFrame (drawing areas)', () => engine.analyzeFrame(frameData));
+
+console.log('');
@@ -0,0 +1,100 @@
+/* eslint-env node */
+/**
+ * Simulation accuracy run
+ * Renders a scenario frame by frame, runs DetectionEngine on it with the box
+ * area and key point placed where the scenario puts them, and scores every
+ * verdict against the scenario's ground truth.
+ * Run with: npm run simulate [-- <scenario.json>] [--min-accuracy=0.9] [--json]
+ * Without arguments it runs scenarios/mixed-defects.json and fails below 95% accuracy;
+ * --min-accuracy=0 turns the check off.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { DetectionEngine } from '../js/detection.js';
+import { ConveyorSimulator, GroundTruthScorer } from '../js/simulation.js';
+
+const DEFAULT_FILE = 'scenarios/mixed-defects.json';
+const DEFAULT_MIN_ACCURACY = 0.95;
+
+// Node has no ImageData; the engine only needs its data/width/height shape
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = class ImageData {
+        constructor(data, width, height) {
+            this.data = data;
+            this.width = width;
+            this.height = height;
+        }
+    };
+}
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--')) || new URL(`../${DEFAULT_FILE}`, import.meta.url);
+const option = (name) => args.find(arg => arg.startsWith(`--${name}`))?.split('=')[1] ?? (args.includes(`--${name}`) ? true : undefined);
+const minAccuracy = option('min-accuracy') !== undefined ? Number(option('min-accuracy')) : DEFAULT_MIN_ACCURACY;
+
+// With --json the engine's logs go to stderr so stdout stays parseable
+if (option('json')) console.log = (...items) => console.error(...items);
+
+let simulator;
+try {
+    simulator = new ConveyorSimulator(JSON.parse(await readFile(file, 'utf8')));
+} catch (error) {
+    console.error(`❌ ${file}: ${error.message}`);
+    (error.details || []).forEach(detail => console.error(`   - ${detail}`));
+    process.exit(1);
+}
+
+const { width, height, frameRate } = simulator;
+const createImage = () => new ImageData(new Uint8ClampedArray(width * height * 4), width, height);
+
+// Same detection settings as the app starts with
+const settings = JSON.parse(await readFile(new URL('../config/settings.json', import.meta.url), 'utf8'));
+const engine = new DetectionEngine();
+engine.configure(settings.detection);
+
+// Drawn the way an operator would: the key point with some margin around the print
+const { boxRect, printRect } = simulator.referenceAreas();
+const grow = (rect, margin) => ({ x: rect.x - margin, y: rect.y - margin, width: rect.width + 2 * margin, height: rect.height + 2 * margin });
+engine.setReferenceAreas(boxRect, grow(printRect, Math.round(Math.min(printRect.width, printRect.height) * 0.3)), simulator.renderReference(createImage()));
+
+const scorer = new GroundTruthScorer(simulator);
+let frame = 0;
+engine.on('boxExited', (event) => scorer.record(event.result, frame));
+
+const image = createImage();
+const started = performance.now();
+for (frame = 0; frame < simulator.frameCount; frame++) {
+    simulator.render(frame, image);
+    engine.analyzeFrame({ imageData: image, width, height, timestamp: frame * 1000 / frameRate });
+}
+const seconds = (performance.now() - started) / 1000;
+const summary = scorer.summary(Infinity);
+
+if (option('json')) {
+    process.stdout.write(JSON.stringify({ scenario: simulator.name, labels: simulator.labels, verdicts: scorer.entries, summary }, null, 2) + '\n');
+} else {
+    console.log(`\n🧪 ${simulator.name}: ${simulator.labels.length} boxes, ${simulator.frameCount} frames ${width}x${height} (${seconds.toFixed(1)} s)\n`);
+
+    const verdicts = new Map(scorer.entries.filter(entry => entry.label).map(entry => [entry.label.index, entry]));
+    simulator.labels.forEach(label => {
+        const entry = verdicts.get(label.index);
+        const expected = label.expectAlert ? 'alert ' : 'normal';
+        const got = entry ? (entry.hasAlert ? 'alert ' : 'normal') : '-     ';
+        const mark = !entry ? '❔' : entry.outcome.startsWith('true') ? '✅' : '❌';
+        const notes = [...label.defects, ...label.conditions].join(', ');
+        console.log(`${mark} #${String(label.sequence).padEnd(4)} expected ${expected}  got ${got}  ${notes}`);
+    });
+    scorer.entries.filter(entry => !entry.label).forEach(entry => {
+        console.log(`❌ verdict at frame ${entry.frame} matches no box (${entry.hasAlert ? 'alert' : 'normal'})`);
+    });
+
+    const percent = summary.accuracy === null ? '-' : `${(summary.accuracy * 100).toFixed(1)}%`;
+    console.log(`\n📊 Accuracy ${percent}: ${summary.correct}/${summary.boxes + summary.extra} correct`);
+    console.log(`   alerts caught ${summary.truePositive}, missed ${summary.missedAlerts} (${summary.falseNegative} judged normal, ${summary.missedDefective} never judged), false alarms ${summary.falsePositive}`);
+    console.log(`   boxes without a verdict ${summary.missed}, verdicts without a box ${summary.extra}\n`);
+}
+
+if (minAccuracy > 0 && !(summary.accuracy >= minAccuracy)) {
+    console.error(`❌ Accuracy below ${minAccuracy}`);
+    process.exit(1);
+}
@@ -3,7 +3,8 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'visual-control-v1.0.0';
+// Bump with every release that changes cached files; 'activate' drops every other cache
+const CACHE_NAME = 'visual-control-v2.0.0';
 const CACHE_URLS = [
     '/',
     '/index.html',
@@ -12,7 +13,21 @@ const CACHE_URLS = [
     '/css/responsive.css',
     '/js/main.js',
     '/js/camera.js',
+    '/js/frame-source.js',
     '/js/detection.js',
+    '/js/detection-client.js',
+    '/js/detection-worker.js',
+    '/js/image-processing.js',
+    '/js/vision-backend.js',
+    '/js/region-editor.js',
+    '/js/video-viewport.js',
+    '/js/recipe-store.js',
+    '/js/recipe-bundle.js',
+    '/js/session-store.js',
+    '/js/session-recorder.js',
+    '/js/simulation.js',
+    '/js/config.js',
+    '/lib/custom-detection.js',
     '/js/audio.js',
     '/js/bluetooth.js',
     '/js/utils.js'
@@ -71,6 +86,23 @@ self.addEventListener('fetch', (event) => {
     if (!event.request.url.startsWith(self.location.origin)) {
         return;
     }
+
+    // Config and custom rule edits must apply on the next reload: network first, cache only when offline
+    const { pathname } = new URL(event.request.url);
+    if (pathname.includes('/config/') || pathname.endsWith('/lib/custom-detection.js')) {
+        event.respondWith(
+            fetch(event.request)
+                .then((fetchResponse) => {
+                    if (fetchResponse.status === 200) {
+                        const responseToCache = fetchResponse.clone();
+                        caches.open(CACHE_NAME).then((cache) => cache.put(event.request, responseToCache));
+                    }
+                    return fetchResponse;
+                })
+                .catch(() => caches.match(event.request))
+        );
+        return;
+    }
     
     event.respondWith(
         caches.match(event.request)
@@ -0,0 +1,233 @@
+/* eslint-env jest */
+/**
+ * ConfigLoader schema messages, layer precedence, ordered fields and the
+ * user layer, on config files served by a stubbed fetch
+ */
+
+import { jest } from '@jest/globals';
+import { ConfigLoader } from '../js/config.js';
+
+const USER_KEY = 'visualControl_settings';
+
+const PROFILES = {
+    version: 1,
+    profiles: { hd: { label: 'HD', width: 1280, height: 720, frameRate: 30 } }
+};
+
+/**
+ * settings.json with one station that overrides the rotation sensitivity
+ */
+const settingsFile = () => ({
+    version: 1,
+    station: 'line-1',
+    detection: {
+        settings: { rotationSensitivity: 5, positionSensitivity: 20, detectionThreshold: 50 },
+        config: { cannyLower: 50, cannyUpper: 150, occupancyEnter: 0.6, occupancyExit: 0.35 }
+    },
+    camera: { profile: 'hd' },
+    stations: {
+        'line-1': { name: 'Line 1', detection: { settings: { rotationSensitivity: 8 } } },
+        'line-2': { name: 'Line 2' }
+    }
+});
+
+/**
+ * Serve config files by name; a string is sent as is, undefined is a 404
+ */
+const serve = (files) => {
+    globalThis.fetch = jest.fn(async (url) => {
+        const name = new URL(url).pathname.split('/').pop();
+        const body = files[name];
+        if (body === undefined) return { ok: false, status: 404, statusText: 'Not Found' };
+        return { ok: true, status: 200, text: async () => typeof body === 'string' ? body : JSON.stringify(body) };
+    });
+};
+
+/**
+ * Load and return the error it throws, or null
+ */
+const loadError = async (loader, stationId) => {
+    try {
+        await loader.load(stationId);
+        return null;
+    } catch (error) {
+        return error;
+    }
+};
+
+let loader;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+    serve({ 'settings.json': settingsFile(), 'camera-profiles.json': PROFILES });
+    loader = new ConfigLoader();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.fetch;
+});
+
+describe('validate', () => {
+    const schema = {
+        type: 'object',
+        required: ['version'],
+        properties: {
+            version: { type: 'integer', min: 1, max: 1 },
+            volume: { type: 'number', min: 0, max: 1 },
+            wave: { type: 'string', enum: ['sine', 'square'] },
+            enabled: { type: 'boolean' },
+            offset: { type: 'number', min: 0, nullable: true }
+        }
+    };
+
+    test('accepts a valid value', () => {
+        expect(loader.validate({ version: 1, volume: 0.5, wave: 'sine', enabled: true, offset: null }, schema, 'file')).toEqual([]);
+    });
+
+    test('names the path and the expectation of every problem', () => {
+        const errors = loader.validate({ volume: 2, wave: 'saw', enabled: 'yes', typo: 1 }, schema, 'file');
+
+        expect(errors).toEqual([
+            'file.version is required',
+            'file.volume must be a number between 0 and 1 (got 2)',
+            'file.wave must be one of "sine", "square" (got "saw")',
+            'file.enabled must be true or false (got "yes")',
+            'file.typo is not a known setting (expected one of: version, volume, wave, enabled, offset)'
+        ]);
+    });
+
+    test('rejects a value that is not an object or a whole number', () => {
+        expect(loader.validate([], schema, 'file')).toEqual(['file must be an object (got [])']);
+        expect(loader.validate({ version: 1.5 }, schema, 'file')).toEqual(['file.version must be a whole number equal to 1 (got 1.5)']);
+    });
+});
+
+describe('load', () => {
+    test('lists every problem in both files', async () => {
+        const settings = settingsFile();
+        settings.detection.settings.rotationSensitivity = 200;
+        settings.camera.profile = 'missing';
+        serve({ 'settings.json': settings, 'camera-profiles.json': { version: 2, profiles: {} } });
+
+        const error = await loadError(loader);
+
+        expect(error.details).toEqual([
+            'settings.json.detection.settings.rotationSensitivity must be a number between 0 and 90 (got 200)',
+            'camera-profiles.json.version must be a whole number equal to 1 (got 2)',
+            'settings.json: camera profile "missing" is not defined in camera-profiles.json'
+        ]);
+    });
+
+    test('reports a missing, empty or broken file', async () => {
+        serve({ 'settings.json': settingsFile() });
+        expect((await loadError(loader)).details).toEqual(['camera-profiles.json: HTTP 404 Not Found']);
+
+        serve({ 'settings.json': '', 'camera-profiles.json': PROFILES });
+        expect((await loadError(loader)).details).toEqual(['settings.json: file is empty']);
+
+        serve({ 'settings.json': '{ "version": ', 'camera-profiles.json': PROFILES });
+        expect((await loadError(loader)).details[0]).toMatch(/^settings\.json: not valid JSON/);
+    });
+
+    test('rejects an unknown station', async () => {
+        const error = await loadError(loader, 'line-9');
+        expect(error.details).toEqual(['settings.json: station "line-9" is not defined in "stations" (known: line-1, line-2)']);
+    });
+});
+
+describe('layers', () => {
+    const rotation = () => loader.get('detection').settings.rotationSensitivity;
+
+    test('apply defaults < station < recipe < user', async () => {
+        await loader.load('line-2');
+        expect(rotation()).toBe(5);
+
+        await loader.load('line-1');
+        expect(rotation()).toBe(8);
+
+        loader.setLayer('recipe', ConfigLoader.fromRecipe({ settings: { rotationSensitivity: 12 } }));
+        expect(rotation()).toBe(12);
+
+        loader.setUserOverrides({ detection: { settings: { rotationSensitivity: 3 } } });
+        expect(rotation()).toBe(3);
+        expect(loader.get('detection').settings.positionSensitivity).toBe(20);
+
+        loader.clearUserOverrides('detection', ['settings']);
+        expect(rotation()).toBe(12);
+    });
+
+    test('keep the user layer across loads', async () => {
+        await loader.load();
+        loader.setUserOverrides({ detection: { settings: { detectionThreshold: 70 } } });
+
+        const reloaded = new ConfigLoader();
+        await reloaded.load();
+        expect(reloaded.get('detection').settings.detectionThreshold).toBe(70);
+    });
+
+    test('read the legacy flat slider object as detection settings', async () => {
+        localStorage.setItem(USER_KEY, JSON.stringify({ rotationSensitivity: 9, positionSensitivity: 30 }));
+        await loader.load();
+
+        expect(loader.layers.user).toEqual({ detection: { settings: { rotationSensitivity: 9, positionSensitivity: 30 } } });
+        expect(rotation()).toBe(9);
+    });
+
+    test('map a recipe into detection, audio and camera sections', () => {
+        const sections = ConfigLoader.fromRecipe({
+            settings: { rotationSensitivity: 4 },
+            alertProfile: { volume: 0.5, repeat: 3, sound: { frequency: 900 } },
+            cameraSettings: { deviceId: 'cam-1', facingMode: 'environment', width: 1280, height: 720, frameRate: 30, exposureTime: 100 }
+        });
+
+        expect(sections).toEqual({
+            detection: { settings: { rotationSensitivity: 4 } },
+            audio: { volume: 0.5, repeat: 3, sounds: { alert: { frequency: 900 } } },
+            camera: { deviceId: 'cam-1', facingMode: 'environment', width: 1280, height: 720, frameRate: 30, exposureTime: 100 }
+        });
+    });
+});
+
+describe('ordered fields', () => {
+    test('reject a Canny lower threshold above the upper one and an exit not below the enter level', async () => {
+        const settings = settingsFile();
+        Object.assign(settings.detection.config, { cannyLower: 200, occupancyExit: 0.6 });
+        serve({ 'settings.json': settings, 'camera-profiles.json': PROFILES });
+
+        expect((await loadError(loader)).details).toEqual([
+            'settings.json: detection.config.cannyLower must be at most cannyUpper (got 200 and 150)',
+            'settings.json: detection.config.occupancyExit must be below occupancyEnter (got 0.6 and 0.6)',
+            // line-1 overrides detection settings, so it is checked over the same defaults
+            'settings.json: stations.line-1.detection.config.cannyLower must be at most cannyUpper (got 200 and 150)',
+            'settings.json: stations.line-1.detection.config.occupancyExit must be below occupancyEnter (got 0.6 and 0.6)'
+        ]);
+    });
+
+    test('accept equal Canny thresholds', () => {
+        expect(loader.checkOrder({ config: { cannyLower: 100, cannyUpper: 100 } }, 'detection')).toEqual([]);
+    });
+
+    test('check a station over the defaults', async () => {
+        const settings = settingsFile();
+        settings.stations['line-2'].detection = { config: { cannyUpper: 40 } };
+        serve({ 'settings.json': settings, 'camera-profiles.json': PROFILES });
+
+        expect((await loadError(loader)).details).toEqual([
+            'settings.json: stations.line-2.detection.config.cannyLower must be at most cannyUpper (got 50 and 40)'
+        ]);
+    });
+
+    test('report an invalid user layer as a user layer error', async () => {
+        localStorage.setItem(USER_KEY, JSON.stringify({ detection: { config: { occupancyEnter: 0.2 } } }));
+        const error = await loadError(loader);
+
+        expect(error.layer).toBe('user');
+        expect(error.details).toEqual([`${USER_KEY}.detection.config.occupancyExit must be below occupancyEnter (got 0.35 and 0.2)`]);
+
+        loader.clearUserLayer();
+        expect(localStorage.getItem(USER_KEY)).toBeNull();
+        expect(await loadError(loader)).toBeNull();
+    });
+});
@@ -0,0 +1,136 @@
+/* eslint-env jest */
+/**
+ * DetectionEngine Hough skew on generated frames with known box angles, and
+ * the box passage state machine on synthetic occupancy sequences
+ */
+
+import { jest } from '@jest/globals';
+import { DetectionEngine } from '../js/detection.js';
+import { rotatedBoxFrame } from './images.js';
+
+const WIDTH = 200;
+const HEIGHT = 160;
+const BOX_RECT = { x: 20, y: 15, width: 160, height: 130 };
+
+/**
+ * Frame with a 120x80 box rotated by the given angle in the middle
+ */
+const frameAt = (angle) => rotatedBoxFrame(WIDTH, HEIGHT, { cx: 100, cy: 80, width: 120, height: 80, angle });
+
+let engine;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    engine = new DetectionEngine();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('measureSkew', () => {
+    test.each([0, 7, -12, 30])('measures a box rotated by %p degrees', (angle) => {
+        const skew = engine.measureSkew(frameAt(angle), BOX_RECT);
+
+        expect(Math.abs(engine.angleDifference90(skew.angle, angle))).toBeLessThanOrEqual(1);
+        expect(skew.confidence).toBeGreaterThanOrEqual(engine.config.houghMinConfidence);
+    });
+
+    test('folds perpendicular edges onto one orientation', () => {
+        const a = engine.measureSkew(frameAt(20), BOX_RECT);
+        const b = engine.measureSkew(frameAt(110), BOX_RECT);
+
+        expect(engine.angleDifference90(a.angle, b.angle)).toBeLessThanOrEqual(1);
+    });
+
+    test('returns null without edges', () => {
+        const flat = rotatedBoxFrame(WIDTH, HEIGHT, { cx: 0, cy: 0, width: 0, height: 0, angle: 0 });
+        expect(engine.measureSkew(flat, BOX_RECT)).toBeNull();
+    });
+});
+
+describe('dominantOrientation', () => {
+    test('averages angles across the 90 degree wrap', () => {
+        const skew = engine.dominantOrientation([
+            { theta: 44, votes: 100 },
+            { theta: 134, votes: 100 },
+            { theta: 46, votes: 100 }
+        ]);
+
+        expect(Math.abs(engine.angleDifference90(skew.angle, 45))).toBeLessThan(0.5);
+        expect(skew.confidence).toBe(1);
+    });
+});
+
+describe('updateTracking', () => {
+    let entered;
+    let exited;
+
+    beforeEach(() => {
+        engine.config.occupancyEnter = 0.6;
+        engine.config.occupancyExit = 0.35;
+        engine.config.trackingMinFrames = 2;
+
+        entered = [];
+        exited = [];
+        engine.on('boxEntered', event => entered.push(event));
+        engine.on('boxExited', event => exited.push(event));
+    });
+
+    /**
+     * Feed one frame per occupancy value; similarity and comparison default to a plain pass
+     */
+    const drive = (occupancies, similarityAt = () => 0.5, comparisonAt = (i) => ({ frame: i })) => {
+        occupancies.forEach((occupancy, i) => {
+            jest.advanceTimersByTime(33);
+            engine.updateTracking(occupancy, similarityAt(i), comparisonAt(i));
+        });
+    };
+
+    test('emits one boxEntered and one boxExited per box', () => {
+        drive([0, 0, 0.9, 0.9, 0.9, 0.9, 0.1, 0.1, 0, 0, 0.8, 0.8, 0.8, 0.2, 0.2, 0]);
+
+        expect(entered.map(event => event.sequence)).toEqual([1, 2]);
+        expect(exited.map(event => event.sequence)).toEqual([1, 2]);
+        expect(exited[0].frames).toBe(4);
+        expect(exited[0].duration).toBe(4 * 33);
+        expect(engine.tracking.state).toBe('empty');
+    });
+
+    test('takes the verdict from the frame that best matches the reference', () => {
+        const similarities = [0, 0, 0.4, 0.9, 0.7, 0.95, 0.6, 0, 0];
+        drive([0, 0.9, 0.9, 0.9, 0.9, 0.9, 0.9, 0, 0], i => similarities[i], i => ({ frame: i, hasAlert: i !== 5 }));
+
+        expect(exited).toHaveLength(1);
+        expect(exited[0].result).toEqual({ frame: 5, hasAlert: false });
+    });
+
+    test('ignores flicker shorter than trackingMinFrames', () => {
+        // A one-frame spike on the empty belt, then a one-frame dip inside a box
+        drive([0, 0.9, 0, 0, 0.9, 0.9, 0.9, 0.1, 0.9, 0.9, 0.1, 0.1, 0]);
+
+        expect(entered).toHaveLength(1);
+        expect(exited).toHaveLength(1);
+    });
+
+    test('keeps its state between the exit and enter thresholds', () => {
+        drive([0.5, 0.5, 0.5, 0.5]);
+        expect(entered).toHaveLength(0);
+
+        drive([0.9, 0.9, 0.5, 0.5, 0.5, 0.5]);
+        expect(entered).toHaveLength(1);
+        expect(exited).toHaveLength(0);
+        expect(engine.tracking.state).toBe('present');
+    });
+
+    test('drops a box in progress on resetTracking without a verdict', () => {
+        drive([0.9, 0.9, 0.9]);
+        engine.resetTracking();
+        drive([0, 0, 0]);
+
+        expect(entered).toHaveLength(1);
+        expect(exited).toHaveLength(0);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Generated test images with known geometry
+ * Grayscale images are {data: Float32Array, width, height} like the vision backends take.
+ */
+
+/**
+ * Deterministic pseudo-random generator (LCG)
+ * @param {number} seed - Start value
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function seededRandom(seed = 1) {
+    return () => (seed = (seed * 1664525 + 1013904223) >>> 0) / 4294967296;
+}
+
+/**
+ * Grayscale image filled by a per-pixel function
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} valueAt - (x, y) => gray value
+ * @returns {Object} {data, width, height}
+ */
+export function grayImage(width, height, valueAt) {
+    const data = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data[y * width + x] = valueAt(x, y);
+        }
+    }
+    return { data, width, height };
+}
+
+/**
+ * Whether a pixel centre lies inside a rotated rectangle
+ * @param {number} x - Pixel x
+ * @param {number} y - Pixel y
+ * @param {Object} rect - {cx, cy, width, height, angle} with angle in degrees
+ * @returns {boolean} Inside
+ */
+export function insideRotatedRect(x, y, { cx, cy, width, height, angle }) {
+    const a = angle * Math.PI / 180;
+    const dx = x - cx, dy = y - cy;
+    const u = dx * Math.cos(a) + dy * Math.sin(a);
+    const v = -dx * Math.sin(a) + dy * Math.cos(a);
+    return Math.abs(u) <= width / 2 && Math.abs(v) <= height / 2;
+}
+
+/**
+ * Grayscale image of a bright rotated rectangle on a dark background
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} rect - {cx, cy, width, height, angle}
+ * @returns {Object} {data, width, height}
+ */
+export function rotatedRectImage(width, height, rect) {
+    return grayImage(width, height, (x, y) => insideRotatedRect(x, y, rect) ? 200 : 40);
+}
+
+/**
+ * RGBA ImageData of a gray rotated box on a lighter belt
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} rect - {cx, cy, width, height, angle}
+ * @returns {ImageData} RGBA frame
+ */
+export function rotatedBoxFrame(width, height, rect) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = insideRotatedRect(x, y, rect) ? 90 : 200;
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+    return new ImageData(data, width, height);
+}
+
+/**
+ * Binary image (255 = foreground) from a per-pixel predicate
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} isSet - (x, y) => boolean
+ * @returns {Object} {data: Uint8Array, width, height}
+ */
+export function binaryImage(width, height, isSet) {
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isSet(x, y)) data[y * width + x] = 255;
+        }
+    }
+    return { data, width, height };
+}
+
+/**
+ * Copy a window out of a grayscale image
+ * @param {Object} image - Source image
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Window width
+ * @param {number} height - Window height
+ * @returns {Object} {data, width, height}
+ */
+export function crop(image, x, y, width, height) {
+    return grayImage(width, height, (u, v) => image.data[(y + v) * image.width + x + u]);
+}
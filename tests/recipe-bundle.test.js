@@ -0,0 +1,178 @@
+/* eslint-env jest */
+/**
+ * RecipeBundle parsing, comparison with the library and import actions,
+ * against an in-memory recipe store
+ */
+
+import { jest } from '@jest/globals';
+import { RecipeBundle } from '../js/recipe-bundle.js';
+import { ConfigLoader } from '../js/config.js';
+
+/**
+ * RecipeStore stand-in: list/get/save on a Map, ids handed out in order
+ */
+class MemoryStore {
+    constructor(recipes = []) {
+        this.recipes = new Map(recipes.map(recipe => [recipe.id, recipe]));
+        this.nextId = 1;
+    }
+
+    async list() {
+        return [...this.recipes.values()];
+    }
+
+    async get(id) {
+        return this.recipes.get(id) || null;
+    }
+
+    async save(recipe) {
+        const stored = { ...recipe, id: recipe.id || `recipe-new-${this.nextId++}`, createdAt: recipe.createdAt || 2000 };
+        this.recipes.set(stored.id, stored);
+        return stored;
+    }
+}
+
+const recipe = (fields = {}) => ({
+    id: 'recipe-a',
+    name: 'Carton A',
+    sku: 'SKU-A',
+    boxRect: { x: 0.1, y: 0.2, width: 0.5, height: 0.4 },
+    regions: [{ id: 'r1', name: 'Logo', rect: { x: 0.2, y: 0.3, width: 0.1, height: 0.1 }, tolerances: { position: null, rotation: 3, similarity: 60 } }],
+    settings: { rotationSensitivity: 5, positionSensitivity: 20, detectionThreshold: 50 },
+    referenceImage: null,
+    thumbnail: null,
+    cameraSettings: { width: 1280, height: 720, frameRate: 30 },
+    alertProfile: { volume: 0.7, repeat: 2, sound: { frequency: 800, duration: 0.5, type: 'square' } },
+    createdAt: 1000,
+    ...fields
+});
+
+const bundleText = (recipes, fields = {}) =>
+    JSON.stringify({ format: 'visual-control-recipes', version: 1, exportedAt: 0, recipes, ...fields });
+
+let store;
+let bundle;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = new MemoryStore([recipe()]);
+    bundle = new RecipeBundle(store, new ConfigLoader());
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parse', () => {
+    test('reads a valid bundle', () => {
+        expect(bundle.parse(bundleText([recipe()])).recipes).toHaveLength(1);
+    });
+
+    test('rejects a bundle from a newer version of the app', () => {
+        expect(() => bundle.parse(bundleText([recipe()], { version: 2 }))).toThrow(/newer version of the app \(format 2, this app reads up to 1\)/);
+    });
+
+    test('rejects files that are not recipe bundles', () => {
+        expect(() => bundle.parse('{')).toThrow(/^Not a JSON file/);
+        expect(() => bundle.parse(JSON.stringify({ format: 'something-else' }))).toThrow('Not a recipe bundle file');
+        expect(() => bundle.parse(bundleText([], { version: 0 }))).toThrow('Unknown bundle version: 0');
+    });
+
+    test('lists every recipe problem with its path', () => {
+        const broken = recipe({
+            name: ' ',
+            boxRect: { x: 0, y: 0, width: 'wide', height: 1 },
+            settings: { rotationSensitivity: 200 },
+            regions: [{ id: 'r1', name: 'Logo', rect: { x: 0, y: 0, width: 1, height: 1 }, tolerances: { rotation: -1 } }]
+        });
+
+        let error;
+        try {
+            bundle.parse(bundleText([recipe(), broken]));
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        expect(error.details).toEqual([
+            'recipes[1].name must be a non-empty string',
+            'recipes[1].boxRect.width must be a number',
+            'recipes[1].settings.rotationSensitivity must be a number between 0 and 90 (got 200)',
+            'recipes[1].regions[0].tolerances.rotation must be a number between 0 and 90 (got -1)'
+        ]);
+    });
+});
+
+describe('isEqual', () => {
+    test('ignores object key order and undefined fields', () => {
+        expect(bundle.isEqual({ a: 1, b: { c: [1, { d: 2, e: 3 }] } }, { b: { c: [1, { e: 3, d: 2 }] }, a: 1 })).toBe(true);
+        expect(bundle.isEqual({ a: 1, skipped: undefined }, { a: 1 })).toBe(true);
+    });
+
+    test('tells apart different values, extra keys and array order', () => {
+        expect(bundle.isEqual({ a: 1 }, { a: 2 })).toBe(false);
+        expect(bundle.isEqual({ a: 1 }, { a: 1, b: 2 })).toBe(false);
+        expect(bundle.isEqual([1, 2], [2, 1])).toBe(false);
+        expect(bundle.isEqual({ a: null }, { a: {} })).toBe(false);
+    });
+});
+
+describe('diff', () => {
+    test('calls a recipe with reordered keys identical', async () => {
+        const reordered = Object.fromEntries(Object.entries(recipe()).reverse());
+        reordered.settings = { detectionThreshold: 50, positionSensitivity: 20, rotationSensitivity: 5 };
+
+        const [entry] = await bundle.diff({ recipes: [reordered] });
+        expect(entry.status).toBe('identical');
+        expect(entry.changes).toEqual([]);
+    });
+
+    test('lists the changed fields of a recipe matched by name and SKU', async () => {
+        const changed = recipe({ id: 'recipe-other', settings: { rotationSensitivity: 9, positionSensitivity: 20, detectionThreshold: 50 } });
+
+        const [entry] = await bundle.diff({ recipes: [changed] });
+        expect(entry.existing.id).toBe('recipe-a');
+        expect(entry.status).toBe('changed');
+        expect(entry.changes).toEqual(['settings']);
+    });
+
+    test('calls an unmatched recipe new', async () => {
+        const [entry] = await bundle.diff({ recipes: [recipe({ id: 'recipe-b', name: 'Carton B' })] });
+        expect(entry).toMatchObject({ existing: null, status: 'new' });
+    });
+});
+
+describe('import', () => {
+    const changed = () => recipe({ settings: { rotationSensitivity: 9 } });
+
+    test('replaces the matched recipe under its id and creation time', async () => {
+        const entries = await bundle.diff({ recipes: [changed()] });
+        const stored = await bundle.import(entries, { 'recipe-a': 'replace' });
+
+        expect(stored).toHaveLength(1);
+        expect(stored[0]).toMatchObject({ id: 'recipe-a', createdAt: 1000, settings: { rotationSensitivity: 9 } });
+        expect(store.recipes.size).toBe(1);
+    });
+
+    test('adds a copy beside the matched recipe', async () => {
+        const entries = await bundle.diff({ recipes: [changed()] });
+        const [copy] = await bundle.import(entries, { 'recipe-a': 'copy' });
+
+        expect(copy).toMatchObject({ id: 'recipe-new-1', name: 'Carton A (นำเข้า)', createdAt: 2000 });
+        expect((await store.get('recipe-a')).settings.rotationSensitivity).toBe(5);
+        expect(store.recipes.size).toBe(2);
+    });
+
+    test('skips matched recipes and adds new ones by default', async () => {
+        const entries = await bundle.diff({ recipes: [changed(), recipe({ id: 'recipe-b', name: 'Carton B' })] });
+        const stored = await bundle.import(entries);
+
+        expect(stored.map(r => r.id)).toEqual(['recipe-b']);
+        expect((await store.get('recipe-a')).settings.rotationSensitivity).toBe(5);
+    });
+
+    test('skips a recipe on an explicit skip', async () => {
+        const entries = await bundle.diff({ recipes: [recipe({ id: 'recipe-b', name: 'Carton B' })] });
+        expect(await bundle.import(entries, { 'recipe-b': 'skip' })).toEqual([]);
+        expect(store.recipes.size).toBe(1);
+    });
+});
@@ -0,0 +1,15 @@
+/* eslint-env jest */
+/**
+ * Test setup
+ * jsdom has no ImageData without the canvas package; the engine only needs its data/width/height shape
+ */
+
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = class ImageData {
+        constructor(data, width, height) {
+            this.data = data;
+            this.width = width;
+            this.height = height;
+        }
+    };
+}
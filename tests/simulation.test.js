@@ -0,0 +1,99 @@
+/* eslint-env jest */
+/**
+ * GroundTruthScorer counts on a hand-made label list
+ */
+
+import { GroundTruthScorer } from '../js/simulation.js';
+
+/**
+ * Simulator stand-in: four boxes 20 frames apart, the odd ones defective;
+ * a verdict belongs to a box from its centre frame until pitchFrames later
+ */
+const simulator = {
+    pitchFrames: 10,
+    labels: [0, 1, 2, 3].map(index => ({ index, sequence: index + 1, centerFrame: 10 + index * 20, expectAlert: index % 2 === 1 }))
+};
+
+const NORMAL = { hasAlert: false };
+const ALERT = { hasAlert: true, message: 'ตำแหน่งผิด' };
+
+let scorer;
+
+beforeEach(() => {
+    scorer = new GroundTruthScorer(simulator);
+});
+
+describe('record', () => {
+    test('scores each verdict against the box whose window it falls in', () => {
+        expect(scorer.record(NORMAL, 12)).toMatchObject({ outcome: 'trueNegative', label: { index: 0 } });
+        expect(scorer.record(NORMAL, 30)).toMatchObject({ outcome: 'falseNegative', label: { index: 1 } });
+        expect(scorer.record(ALERT, 55)).toMatchObject({ outcome: 'falsePositive', label: { index: 2 } });
+        expect(scorer.record(ALERT, 75)).toMatchObject({ outcome: 'truePositive', label: { index: 3 }, message: 'ตำแหน่งผิด' });
+    });
+
+    test('calls a verdict outside every window, or a second one for the same box, extra', () => {
+        expect(scorer.record(NORMAL, 5).outcome).toBe('extra');
+        expect(scorer.record(NORMAL, 14).outcome).toBe('trueNegative');
+        expect(scorer.record(NORMAL, 16)).toMatchObject({ outcome: 'extra', label: null });
+    });
+});
+
+describe('summary', () => {
+    test('counts boxes whose window closed without a verdict as missed', () => {
+        scorer.record(NORMAL, 12);
+
+        // Box 1 (defective) closed at frame 40, box 2 is still open at 45
+        const summary = scorer.summary(45);
+        expect(summary).toMatchObject({ missed: 1, missedDefective: 1, boxes: 2, correct: 1 });
+        expect(summary.accuracy).toBeCloseTo(0.5);
+    });
+
+    test('counts defective boxes judged normal and never judged as missed alerts', () => {
+        scorer.record(NORMAL, 30);
+        scorer.record(NORMAL, 50);
+
+        const summary = scorer.summary(Infinity);
+        expect(summary).toMatchObject({
+            falseNegative: 1,
+            missed: 2,
+            missedDefective: 1,
+            missedAlerts: 2,
+            truePositive: 0,
+            trueNegative: 1,
+            boxes: 4
+        });
+    });
+
+    test('counts extra verdicts against the accuracy', () => {
+        [[NORMAL, 12], [ALERT, 30], [ALERT, 45], [NORMAL, 50], [ALERT, 70]].forEach(([result, frame]) => scorer.record(result, frame));
+
+        const summary = scorer.summary(Infinity);
+        expect(summary).toMatchObject({ correct: 4, boxes: 4, extra: 1, missedAlerts: 0 });
+        expect(summary.accuracy).toBeCloseTo(0.8);
+    });
+
+    test('returns a null accuracy before anything was scored', () => {
+        expect(scorer.summary(0).accuracy).toBeNull();
+    });
+});
+
+describe('advance', () => {
+    test('closes the pass on a jump back and lets every box be judged again', () => {
+        scorer.record(NORMAL, 12);
+        scorer.record(ALERT, 30);
+
+        // Loop back before boxes 2 and 3 were judged: both count as missed once
+        scorer.advance(85);
+        scorer.advance(0);
+        expect(scorer.counts).toMatchObject({ missed: 2, missedDefective: 1 });
+
+        expect(scorer.record(NORMAL, 12).outcome).toBe('trueNegative');
+        expect(scorer.summary(25)).toMatchObject({ trueNegative: 2, truePositive: 1, missed: 2, boxes: 5 });
+    });
+
+    test('does not count boxes whose window was still open at the jump', () => {
+        scorer.advance(15);
+        scorer.advance(0);
+        expect(scorer.counts.missed).toBe(0);
+    });
+});
@@ -0,0 +1,227 @@
+/* eslint-env jest */
+/**
+ * JsVisionBackend primitives on generated images with known answers
+ */
+
+import { JsVisionBackend } from '../js/vision-backend.js';
+import { grayImage, rotatedRectImage, binaryImage, insideRotatedRect, seededRandom, crop } from './images.js';
+
+const backend = new JsVisionBackend();
+const CANNY = { lower: 50, upper: 150, sigma: 1.4 };
+
+/**
+ * Edge pixel x positions on one row
+ */
+const edgesOnRow = (edges, y) => {
+    const xs = [];
+    for (let x = 0; x < edges.width; x++) {
+        if (edges.data[y * edges.width + x] === 255) xs.push(x);
+    }
+    return xs;
+};
+
+describe('canny', () => {
+    test('finds a vertical step as a one pixel wide line on the step', () => {
+        const image = grayImage(64, 48, (x) => x < 32 ? 40 : 200);
+        const edges = backend.canny(image, CANNY);
+
+        for (let y = 2; y < 46; y++) {
+            const xs = edgesOnRow(edges, y);
+            expect(xs).toHaveLength(1);
+            expect(Math.abs(xs[0] - 31.5)).toBeLessThanOrEqual(0.5);
+        }
+    });
+
+    test('returns no edges on a flat image', () => {
+        const edges = backend.canny(grayImage(32, 32, () => 128), CANNY);
+        expect(edges.data.every(value => value === 0)).toBe(true);
+    });
+
+    test('keeps weak edges only when they connect to a strong one', () => {
+        const options = { lower: 30, upper: 150, sigma: 1.4 };
+
+        // Step contrast fades from strong at the top to weak at the bottom
+        const fading = backend.canny(grayImage(64, 48, (x, y) => x < 32 ? 40 : 200 - 3 * y), options);
+        for (let y = 2; y < 44; y++) {
+            expect(edgesOnRow(fading, y)).toEqual([32]);
+        }
+
+        // A weak step on its own never reaches the upper threshold
+        const isolated = backend.canny(grayImage(64, 48, (x) => x < 32 ? 40 : 100), options);
+        expect(isolated.data.every(value => value === 0)).toBe(true);
+    });
+
+    test('outlines a square as a closed single contour', () => {
+        const image = grayImage(60, 60, (x, y) => x >= 20 && x < 40 && y >= 20 && y < 40 ? 200 : 40);
+        const edges = backend.canny(image, CANNY);
+        const { contours, holes } = backend.findContours(edges);
+        const outer = contours.filter((_, index) => !holes[index]);
+
+        expect(outer).toHaveLength(1);
+        const xs = outer[0].map(([x]) => x);
+        const ys = outer[0].map(([, y]) => y);
+        expect(Math.min(...xs)).toBeGreaterThanOrEqual(18);
+        expect(Math.max(...xs)).toBeLessThanOrEqual(41);
+        expect(Math.min(...ys)).toBeGreaterThanOrEqual(18);
+        expect(Math.max(...ys)).toBeLessThanOrEqual(41);
+    });
+});
+
+describe('findContours', () => {
+    test('traces the border of a filled square', () => {
+        const image = binaryImage(30, 30, (x, y) => x >= 5 && x < 15 && y >= 5 && y < 15);
+        const { contours, holes, hierarchy } = backend.findContours(image);
+
+        expect(contours).toHaveLength(1);
+        expect(holes).toEqual([false]);
+        expect(hierarchy).toEqual([[-1, -1, -1, -1]]);
+
+        // Every border pixel of a 10x10 square, each once
+        const points = contours[0];
+        expect(points).toHaveLength(36);
+        expect(new Set(points.map(point => point.join(','))).size).toBe(36);
+        for (const [x, y] of points) {
+            expect(x === 5 || x === 14 || y === 5 || y === 14).toBe(true);
+        }
+    });
+
+    test('nests a hole under its outer border', () => {
+        const image = binaryImage(40, 40, (x, y) =>
+            x >= 5 && x < 25 && y >= 5 && y < 25 && !(x >= 10 && x < 20 && y >= 10 && y < 20));
+        const { contours, holes, hierarchy } = backend.findContours(image);
+
+        expect(holes).toEqual([false, true]);
+        expect(hierarchy[0]).toEqual([-1, -1, 1, -1]);
+        expect(hierarchy[1]).toEqual([-1, -1, -1, 0]);
+
+        // The hole border runs along the foreground pixels around the hole
+        const xs = contours[1].map(([x]) => x);
+        const ys = contours[1].map(([, y]) => y);
+        expect([Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)]).toEqual([9, 20, 9, 20]);
+    });
+
+    test('links separate shapes as siblings', () => {
+        const image = binaryImage(40, 20, (x, y) => y >= 5 && y < 15 && ((x >= 2 && x < 12) || (x >= 20 && x < 30)));
+        const { contours, hierarchy } = backend.findContours(image);
+
+        expect(contours).toHaveLength(2);
+        expect(hierarchy).toEqual([[1, -1, -1, -1], [-1, 0, -1, -1]]);
+    });
+
+    test('returns a single point for an isolated pixel', () => {
+        const image = binaryImage(10, 10, (x, y) => x === 4 && y === 6);
+        expect(backend.findContours(image).contours).toEqual([[[4, 6]]]);
+    });
+});
+
+describe('minAreaRect', () => {
+    const corners = (cx, cy, width, height, angle) => backend.rectCorners({ x: cx, y: cy }, width, height, angle);
+
+    test('recovers an exact rotated rectangle from its corners', () => {
+        const rect = backend.minAreaRect(corners(50, 40, 40, 20, 30));
+
+        expect(rect.center.x).toBeCloseTo(50, 6);
+        expect(rect.center.y).toBeCloseTo(40, 6);
+        expect(rect.width).toBeCloseTo(40, 6);
+        expect(rect.height).toBeCloseTo(20, 6);
+        expect(rect.angle).toBeCloseTo(30, 6);
+    });
+
+    test('normalizes the angle into (-45, 45] by swapping the sides', () => {
+        const rect = backend.minAreaRect(corners(50, 40, 40, 20, 60));
+
+        expect(rect.angle).toBeCloseTo(-30, 6);
+        expect(rect.width).toBeCloseTo(20, 6);
+        expect(rect.height).toBeCloseTo(40, 6);
+    });
+
+    test('ignores interior points', () => {
+        const random = seededRandom(7);
+        const a = -20 * Math.PI / 180;
+        const points = corners(0, 0, 30, 10, -20);
+        for (let i = 0; i < 50; i++) {
+            const u = (random() - 0.5) * 28, v = (random() - 0.5) * 8;
+            points.push([u * Math.cos(a) - v * Math.sin(a), u * Math.sin(a) + v * Math.cos(a)]);
+        }
+        const rect = backend.minAreaRect(points);
+
+        expect(rect.width * rect.height).toBeCloseTo(300, 6);
+        expect(rect.angle).toBeCloseTo(-20, 6);
+    });
+
+    test('fits the contour of a rasterized rotated box', () => {
+        const box = { cx: 60, cy: 50, width: 60, height: 30, angle: 20 };
+        const image = binaryImage(120, 100, (x, y) => insideRotatedRect(x, y, box));
+        const rect = backend.minAreaRect(backend.findContours(image).contours[0]);
+
+        expect(Math.abs(rect.angle - 20)).toBeLessThan(1.5);
+        expect(Math.abs(rect.center.x - 60)).toBeLessThan(1);
+        expect(Math.abs(rect.center.y - 50)).toBeLessThan(1);
+        expect(Math.abs(rect.width - 60)).toBeLessThan(2);
+        expect(Math.abs(rect.height - 30)).toBeLessThan(2);
+    });
+
+    test('measures a rotated box through canny and findContours', () => {
+        const image = rotatedRectImage(120, 100, { cx: 60, cy: 50, width: 60, height: 30, angle: -12 });
+        const { contours, holes } = backend.findContours(backend.canny(image, CANNY));
+        const outer = contours.filter((_, index) => !holes[index]).sort((a, b) => b.length - a.length)[0];
+        const rect = backend.minAreaRect(outer);
+
+        expect(Math.abs(rect.angle + 12)).toBeLessThan(1.5);
+        expect(Math.abs(rect.width - 60)).toBeLessThan(3);
+        expect(Math.abs(rect.height - 30)).toBeLessThan(3);
+    });
+
+    test('handles degenerate input', () => {
+        expect(backend.minAreaRect([])).toMatchObject({ width: 0, height: 0 });
+        expect(backend.minAreaRect([[0, 0], [10, 0]])).toMatchObject({ width: 10, height: 0, angle: 0 });
+    });
+});
+
+describe('matchTemplate', () => {
+    const random = seededRandom(42);
+    const texture = grayImage(160, 120, () => random() * 255);
+
+    test('finds a small template at its exact position', () => {
+        const match = backend.matchTemplate(texture, crop(texture, 23, 17, 16, 12));
+
+        expect(match.x).toBeCloseTo(23, 1);
+        expect(match.y).toBeCloseTo(17, 1);
+        expect(match.score).toBeGreaterThan(0.999);
+    });
+
+    test('finds a large template on odd offsets through the coarse scan', () => {
+        // 70x70 exceeds the coarse-scan size, so the refine step has to land on odd positions
+        const match = backend.matchTemplate(texture, crop(texture, 37, 25, 70, 70));
+
+        expect(Math.round(match.x)).toBe(37);
+        expect(Math.round(match.y)).toBe(25);
+        expect(match.score).toBeGreaterThan(0.999);
+    });
+
+    test('is invariant to brightness and contrast changes', () => {
+        const template = crop(texture, 60, 40, 20, 20);
+        template.data = template.data.map(value => value * 0.5 + 30);
+        const match = backend.matchTemplate(texture, template);
+
+        expect(Math.round(match.x)).toBe(60);
+        expect(Math.round(match.y)).toBe(40);
+        expect(match.score).toBeGreaterThan(0.999);
+    });
+
+    test('places a smooth pattern with sub-pixel accuracy', () => {
+        const blob = (ox, oy) => (x, y) => 40 + 160 * Math.exp(-((x - ox) ** 2 + (y - oy) ** 2) / 50);
+        const search = grayImage(60, 60, blob(30.4, 25.7));
+        const template = grayImage(21, 21, blob(10, 10));
+        const match = backend.matchTemplate(search, template);
+
+        expect(Math.abs(match.x - 20.4)).toBeLessThan(0.25);
+        expect(Math.abs(match.y - 15.7)).toBeLessThan(0.25);
+    });
+
+    test('returns null for a template larger than the search image or a flat template', () => {
+        expect(backend.matchTemplate(crop(texture, 0, 0, 10, 10), crop(texture, 0, 0, 12, 8))).toBeNull();
+        expect(backend.matchTemplate(texture, grayImage(8, 8, () => 100))).toBeNull();
+    });
+});
+